@@ -1,35 +1,182 @@
 /**
  * Bot Configuration
- * All permissions are ID-based, not role-based
+ * Permissions are ID-based: the arrays below, plus user/role grants stored with /admin permissions
  */
 
 export const config = {
-  // Server Lock - Bot only works in this server
-  allowedGuildId: '1434124929879773197', // CHANGE THIS to your server ID
-  
-  // Point Managers - Can add/remove points for others
-  pointManagers: [
-    '937194748618354708',
-    '1232261529752178719', // Point Manager 1
-    '1450450293547339808', // Point Manager 2
-  ],
-
-  // Super Admins - Full access including emergency overrides
-  superAdmins: [
-    '937194748618354708',
-    '1306580945419370621', // Super Admin 1
-    //'937194748618354708',  // Super Admin 2
-  ],
-
-  // Points System Settings
+  // Server Allowlist - Bot only works in these servers
+  // Every server has its own managers, super admins, point settings and a fully separate ledger
+  guilds: {
+    '1434124929879773197': { // CHANGE THIS to your server ID
+      name: 'Main Staff Server',
+
+      // Point Managers - Can add/remove points for others
+      // Always apply, on top of the grants managed with /admin permissions
+      pointManagers: [
+        '937194748618354708',
+        '1232261529752178719', // Point Manager 1
+        '1450450293547339808', // Point Manager 2
+      ],
+
+      // Super Admins - Full access including emergency overrides
+      // Always apply, so granted access can never lock every super admin out
+      superAdmins: [
+        '937194748618354708',
+        '1306580945419370621', // Super Admin 1
+        //'937194748618354708',  // Super Admin 2
+      ],
+
+      // Manager Scopes - Limit a point manager to targets holding certain roles (super admins are never scoped)
+      // A target needs a role from at least one of the manager's scopes; maxAmount (optional) caps each change, e.g.
+      //   '1232261529752178719': [{ name: 'Moderation', roleIds: ['000000000000000000'], maxAmount: 500 }],
+      managerScopes: {},
+
+      // Overrides merged over the default `points` settings below
+      points: {},
+
+      // Milestone reward roles for this server (role IDs are per server), see `roleRewards`
+      milestones: [],
+
+      // Optional milestone announcement channel (falls back to MILESTONE_CHANNEL_ID)
+      milestoneChannelId: null,
+
+      // Optional audit log channel (falls back to LOG_CHANNEL_ID)
+      logChannelId: null,
+
+      // Strike consequences for this server, see `strikes`
+      strikeConsequences: [],
+
+      // Optional security channel for anomaly flags (falls back to SECURITY_CHANNEL_ID)
+      securityChannelId: null,
+    },
+    // '000000000000000000': {
+    //   name: 'Second Staff Server',
+    //   pointManagers: [],
+    //   superAdmins: [],
+    //   managerScopes: {},
+    //   points: { maxAmount: 500 },
+    //   milestones: [],
+    //   milestoneChannelId: null,
+    //   logChannelId: null,
+    //   strikeConsequences: [],
+    //   securityChannelId: null,
+    // },
+  },
+
+  // Default Points System Settings (per-server overrides live in `guilds` and /config)
   points: {
     allowSelfAdd: false, // Can point managers add points to themselves?
     allowNegativeBalance: false, // Can users have negative points? (SINGLE SOURCE OF TRUTH)
     minAmount: 1, // Minimum points per transaction
     maxAmount: 10000, // Maximum points per transaction
+    bulkMaxTargets: 100, // Maximum users affected by one /points bulk command
+  },
+
+  // Two-Person Approval - Large changes need a second manager
+  approvals: {
+    enabled: true,
+    threshold: 1000, // Add/remove ABOVE this amount creates a pending request
+    expiryHours: 24, // Pending requests expire after this long
+  },
+
+  // Manager Budgets - Caps on points a manager can move (rolling 24h / 7 days, null = unlimited)
+  budgets: {
+    enabled: true,
+    default: {
+      add: { daily: 2000, weekly: null },
+      remove: { daily: null, weekly: 500 },
+    },
+    // Per-manager overrides, merged over the default
+    managers: {
+      // '1232261529752178719': { add: { daily: 5000 } },
+    },
+    superAdmins: null, // null = exempt, or a limits object shaped like `default`
+  },
+
+  // Milestone Role Rewards - Roles granted/removed automatically to match balance
+  // Milestones are set per server in `guilds`, e.g.
+  //   { points: 500, roleId: '000000000000000000', name: 'Trusted Staff' },
+  //   { points: 2000, roleId: '000000000000000000', name: 'Senior Staff' },
+  roleRewards: {
+    enabled: false,
+    stackRoles: true, // true = keep every reached role, false = only the highest one
+  },
+
+  // System Actor - Recorded as action_by_user_id for automatic (non-human) point changes
+  systemActorId: '0',
+
+  // Point Decay - Keeps balances reflecting RECENT contribution
+  decay: {
+    enabled: false,
+    mode: 'expiry', // 'inactivity' = lose a % per period without activity, 'expiry' = points expire FIFO
+    inactivity: {
+      percent: 10, // % of balance lost per inactive period
+      periodDays: 30, // Length of one inactive period
+    },
+    expiry: {
+      days: 90, // Earned points expire this many days later (oldest first)
+    },
+    previewDays: 30, // /points view shows expirations/decay due within this window
+  },
+
+  // Activity Rewards - Staff earn points for chatting (opt-in)
+  // These are the defaults; /activity config saves per-server overrides to the database
+  activity: {
+    enabled: false,
+    channels: [], // Channel IDs where messages earn points
+    staffRoleId: null, // Only members with this role earn (null = every member)
+    pointsPerMessage: 1,
+    minLength: 15, // Messages shorter than this (trimmed) earn nothing
+    cooldownMinutes: 5, // One reward per user per N minutes
+    dailyCap: 50, // Max activity points per user per UTC day
+    flushIntervalSeconds: 300, // Buffered points are written in batches this often
   },
 
-  // Feature Flags
+  // Voice Time Tracking - Staff earn points for time in voice support rooms
+  voice: {
+    enabled: false,
+    channels: [], // Voice channel IDs that count (the server's AFK channel never counts)
+    staffRoleId: null, // Only members with this role are tracked (null = every member)
+    pointsPerHour: 10, // Self-deafened time is not counted
+    checkpointMinutes: 5, // Open sessions are saved this often (max time lost if the bot crashes)
+  },
+
+  // Anomaly Detection - Flags suspicious patterns in /points add, remove and bulk
+  // Flags are posted to the security channel for super admins to acknowledge or dismiss;
+  // nothing is blocked automatically
+  anomalies: {
+    enabled: false,
+    rules: {
+      // A manager rewarding the same user again and again
+      repeatRecipient: { enabled: true, count: 5, windowHours: 24 },
+      // Grants just under the approval threshold (within marginPercent of it)
+      nearThreshold: { enabled: true, marginPercent: 10, count: 3, windowHours: 24 },
+      // Many high-value changes by one manager in a short window
+      burst: { enabled: true, minAmount: 500, count: 5, windowMinutes: 30 },
+      // Two managers granting points to each other
+      reciprocal: { enabled: true, windowHours: 72 },
+    },
+  },
+
+  // Strikes - Discipline ledger kept separate from points (/strike)
+  // A strike's weight counts while it is active (not removed, not expired).
+  // Consequences are set per server in `guilds` (role IDs are per server), e.g.
+  //   { count: 3, action: 'REMOVE_ROLE', roleId: '000000000000000000' }  role taken away (not given back automatically)
+  //   { count: 5, action: 'FREEZE_GAINS' }  no points can be added or received while at or above the count
+  strikes: {
+    severities: {
+      MINOR: { weight: 1, expiryDays: 30 },
+      MAJOR: { weight: 2, expiryDays: 90 },
+      SEVERE: { weight: 3, expiryDays: null }, // null = never expires
+    },
+  },
+
+  // Seasons - /season end archives the leaderboard and resets balances
+  seasons: {
+    carryOverRatio: 0, // Share of each balance kept into the next season (0 = full reset, 0.25 = keep 25%)
+  },
+
+  // Feature Flags (super admins can override these and `points` per server with /config)
   features: {
     dmHistoryOnly: true, // History must be sent via DM
     requireAuditLog: true, // All actions must be logged
@@ -37,53 +184,199 @@ export const config = {
 };
 
 /**
- * Check if command is being used in the allowed server
+ * Check if command is being used in an allowed server
  * @param {string} guildId - Guild ID from interaction
  * @returns {boolean} True if allowed, false otherwise
  */
 export function isAllowedServer(guildId) {
-  return guildId === config.allowedGuildId;
+  return Boolean(guildId) && Object.hasOwn(config.guilds, guildId);
+}
+
+/**
+ * Get IDs of every allowed server
+ * @returns {Array<string>} Guild IDs
+ */
+export function getGuildIds() {
+  return Object.keys(config.guilds);
+}
+
+/**
+ * Get a server's configuration entry
+ * @param {string} guildId - Guild ID
+ * @returns {Object|null} Entry from config.guilds, or null if not allowed
+ */
+export function getGuildConfig(guildId) {
+  return isAllowedServer(guildId) ? config.guilds[guildId] : null;
+}
+
+// Overrides saved with /config, cached per server (loaded by src/utils/runtimeSettings.js)
+const settingOverrides = new Map();
+
+/**
+ * Get a server's saved /config overrides
+ * @param {string} guildId - Guild ID
+ * @returns {{points: Object, features: Object}}
+ */
+export function getSettingOverrides(guildId) {
+  return settingOverrides.get(guildId) || { points: {}, features: {} };
 }
 
 /**
- * Check if user is a Point Manager
+ * Replace a server's cached /config overrides
+ * @param {string} guildId - Guild ID
+ * @param {{points: Object, features: Object}} overrides - Saved overrides
  */
-export function isPointManager(userId) {
-  return config.pointManagers.includes(userId) || isSuperAdmin(userId);
+export function setSettingOverrides(guildId, overrides) {
+  settingOverrides.set(guildId, { points: { ...overrides.points }, features: { ...overrides.features } });
 }
 
 /**
- * Check if user is a Super Admin
+ * Get effective point settings for a server (defaults, then its config.js overrides, then /config)
+ * @param {string|null} guildId - Guild ID, or null for the defaults
+ * @returns {Object} Point settings shaped like config.points
  */
-export function isSuperAdmin(userId) {
-  return config.superAdmins.includes(userId);
+export function getPointSettings(guildId = null) {
+  return {
+    ...config.points,
+    ...(getGuildConfig(guildId)?.points || {}),
+    ...(settingOverrides.get(guildId)?.points || {}),
+  };
+}
+
+/**
+ * Get effective feature flags for a server (defaults merged with its /config overrides)
+ * @param {string|null} guildId - Guild ID, or null for the defaults
+ * @returns {Object} Feature flags shaped like config.features
+ */
+export function getFeatureSettings(guildId = null) {
+  return { ...config.features, ...(settingOverrides.get(guildId)?.features || {}) };
+}
+
+// Grants from /admin permissions, cached per server so checks stay synchronous.
+// Filled and invalidated by src/utils/permissionStore.js.
+const permissionGrants = new Map();
+let memberRoleResolver = () => null;
+
+/**
+ * Replace a server's cached permission grants
+ * @param {string} guildId - Guild ID
+ * @param {Array} grants - Live permission_grants rows
+ */
+export function setPermissionGrants(guildId, grants) {
+  permissionGrants.set(guildId, grants);
+}
+
+/**
+ * Set how a member's role IDs are looked up for role grants and manager scopes
+ * @param {Function} resolver - (guildId, userId) => Array<string>, or null if the member is unknown
+ */
+export function setMemberRoleResolver(resolver) {
+  memberRoleResolver = resolver;
+}
+
+/**
+ * Check if a user holds an unexpired grant of a level, directly or through a role
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {string} level - POINT_MANAGER or SUPER_ADMIN
+ * @returns {boolean}
+ */
+function hasGrant(guildId, userId, level) {
+  const now = Date.now();
+  const grants = (permissionGrants.get(guildId) || []).filter(grant =>
+    grant.level === level && (!grant.expires_at || new Date(grant.expires_at).getTime() > now)
+  );
+
+  if (grants.length === 0) return false;
+  if (grants.some(grant => grant.subject_type === 'USER' && grant.subject_id === userId)) return true;
+
+  const roleIds = memberRoleResolver(guildId, userId) || [];
+  return grants.some(grant => grant.subject_type === 'ROLE' && roleIds.includes(grant.subject_id));
+}
+
+/**
+ * Check if user is a Point Manager in a server
+ */
+export function isPointManager(guildId, userId) {
+  const guild = getGuildConfig(guildId);
+  if (!guild) return false;
+
+  return guild.pointManagers.includes(userId) ||
+    hasGrant(guildId, userId, 'POINT_MANAGER') ||
+    isSuperAdmin(guildId, userId);
+}
+
+/**
+ * Check if user is a Super Admin in a server
+ */
+export function isSuperAdmin(guildId, userId) {
+  const guild = getGuildConfig(guildId);
+  if (!guild) return false;
+
+  return guild.superAdmins.includes(userId) || hasGrant(guildId, userId, 'SUPER_ADMIN');
+}
+
+/**
+ * Explain which manager scope rule blocks a change, if any
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID of the manager (string)
+ * @param {string} targetUserId - Discord user ID of the target (string)
+ * @param {number|null} amount - Points in the change, or null to check the target only
+ * @returns {string|null} Why the change is blocked, or null if the scopes allow it
+ */
+export function getScopeDenial(guildId, userId, targetUserId, amount = null) {
+  if (isSuperAdmin(guildId, userId)) return null;
+
+  const scopes = getGuildConfig(guildId)?.managerScopes?.[userId] || [];
+  if (scopes.length === 0) return null;
+
+  const describe = scope => `${scope.name} (${scope.roleIds.map(id => `<@&${id}>`).join(', ')})`;
+  const targetRoles = memberRoleResolver(guildId, targetUserId);
+
+  if (!targetRoles) {
+    return `Could not check <@${targetUserId}>'s roles against your scopes: ${scopes.map(describe).join(', ')}.`;
+  }
+
+  const matching = scopes.filter(scope => scope.roleIds.some(id => targetRoles.includes(id)));
+
+  if (matching.length === 0) {
+    return `<@${targetUserId}> is outside your scopes: ${scopes.map(describe).join(', ')}.`;
+  }
+
+  if (amount !== null && !matching.some(scope => scope.maxAmount == null || amount <= scope.maxAmount)) {
+    const highest = matching.reduce((best, scope) => scope.maxAmount > best.maxAmount ? scope : best);
+    return `Your ${highest.name} scope allows at most ${highest.maxAmount} points per change.`;
+  }
+
+  return null;
 }
 
 /**
- * Check if user has permission to manage points for target
+ * Check if user has permission to manage points for target in a server
+ * @param {number|null} amount - Points in the change, checked against scope limits when given
  */
-export function canManagePoints(userId, targetUserId) {
+export function canManagePoints(guildId, userId, targetUserId, amount = null) {
   // Super admins can manage anyone
-  if (isSuperAdmin(userId)) return true;
+  if (isSuperAdmin(guildId, userId)) return true;
 
-  // Point managers can manage others (unless self-add is disabled)
-  if (isPointManager(userId)) {
+  // Point managers can manage others (unless self-add is disabled) within their scopes
+  if (isPointManager(guildId, userId)) {
     if (userId === targetUserId) {
-      return config.points.allowSelfAdd;
+      return getPointSettings(guildId).allowSelfAdd && getScopeDenial(guildId, userId, targetUserId, amount) === null;
     }
-    return true;
+    return getScopeDenial(guildId, userId, targetUserId, amount) === null;
   }
 
   return false;
 }
 
 /**
- * Check if user can view another user's history
+ * Check if user can view another user's history in a server
  */
-export function canViewHistory(userId, targetUserId) {
+export function canViewHistory(guildId, userId, targetUserId) {
   // Users can always view their own history
   if (userId === targetUserId) return true;
 
   // Admins can view anyone's history
-  return isPointManager(userId) || isSuperAdmin(userId);
+  return isPointManager(guildId, userId) || isSuperAdmin(guildId, userId);
 }
@@ -0,0 +1,26 @@
+-- ==========================================
+-- ACTIVITY REWARDS SETTINGS
+-- ==========================================
+-- Run after shop_schema.sql (setup step 10, see README.md).
+-- Overrides saved by /activity config, merged over config.activity on startup.
+-- Rewards themselves are ordinary points_history rows with reason 'ACTIVITY'.
+CREATE TABLE IF NOT EXISTS activity_settings (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1), -- Single row
+  settings JSONB NOT NULL DEFAULT '{}'::JSONB,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+-- Daily cap and /activity stats sum today's ACTIVITY rows
+CREATE INDEX IF NOT EXISTS idx_points_history_activity
+  ON points_history(created_at)
+  WHERE reason = 'ACTIVITY';
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write settings
+ALTER TABLE activity_settings ENABLE ROW LEVEL SECURITY;
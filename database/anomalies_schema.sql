@@ -0,0 +1,38 @@
+-- ==========================================
+-- ANOMALY FLAGS (SUSPICIOUS POINT PATTERNS)
+-- ==========================================
+-- Run after stats_schema.sql (setup step 16, see README.md).
+-- Written when a change made through /points add, remove or bulk matches one of the
+-- rules in config.anomalies. Flags are only ever reviewed - nothing is blocked or
+-- reverted automatically. A super admin acknowledges (looked into it, it's real) or
+-- dismisses (false positive) each one from the security channel.
+CREATE TABLE IF NOT EXISTS anomaly_flags (
+  id BIGSERIAL PRIMARY KEY,
+  guild_id TEXT NOT NULL,
+  rule TEXT NOT NULL CHECK (rule IN ('REPEAT_RECIPIENT', 'NEAR_THRESHOLD', 'BURST', 'RECIPROCAL')),
+  manager_id TEXT NOT NULL, -- Manager whose change triggered the rule
+  subject_id TEXT NOT NULL DEFAULT '', -- Recipient / other manager, '' when the rule has none
+  summary TEXT NOT NULL,
+  history_ids BIGINT[] NOT NULL DEFAULT '{}', -- Supporting points_history rows
+  status TEXT NOT NULL DEFAULT 'OPEN'
+    CHECK (status IN ('OPEN', 'ACKNOWLEDGED', 'DISMISSED')),
+  channel_id TEXT,
+  message_id TEXT,
+  decided_by TEXT,
+  decided_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+-- One open flag per pattern: further matches while it's under review don't re-flag
+CREATE UNIQUE INDEX IF NOT EXISTS idx_anomaly_flags_open
+  ON anomaly_flags(guild_id, rule, manager_id, subject_id)
+  WHERE status = 'OPEN';
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write flags
+ALTER TABLE anomaly_flags ENABLE ROW LEVEL SECURITY;
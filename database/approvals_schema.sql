@@ -0,0 +1,37 @@
+-- ==========================================
+-- TWO-PERSON APPROVAL WORKFLOW
+-- ==========================================
+-- Run after reversals_schema.sql (setup step 6, see README.md).
+-- Point changes above config.approvals.threshold are stored here as PENDING
+-- instead of being applied. A DIFFERENT manager approves or denies them.
+-- The actual mutation still happens through modify_points() on approval.
+CREATE TABLE IF NOT EXISTS point_approvals (
+  id BIGSERIAL PRIMARY KEY,
+  action_type TEXT NOT NULL CHECK (action_type IN ('ADD', 'REMOVE')),
+  target_user_id TEXT NOT NULL,
+  requested_by TEXT NOT NULL,
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  reason TEXT,
+  status TEXT NOT NULL DEFAULT 'PENDING'
+    CHECK (status IN ('PENDING', 'APPROVED', 'DENIED', 'EXPIRED', 'FAILED')),
+  channel_id TEXT,
+  message_id TEXT,
+  decided_by TEXT,
+  decided_at TIMESTAMPTZ,
+  failure_reason TEXT,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_point_approvals_pending_expiry
+  ON point_approvals(expires_at)
+  WHERE status = 'PENDING';
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write requests
+ALTER TABLE point_approvals ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,531 @@
+-- ==========================================
+-- IDEMPOTENCY KEYS FOR POINT MUTATIONS
+-- ==========================================
+-- Run after multiguild_schema.sql (setup step 13, see README.md).
+-- Every ledger mutation can carry an idempotency key (the Discord interaction ID,
+-- or a job-specific key for schedules, decay, approvals, ...). The key is stored on
+-- the history row the mutation wrote. Calling again with a key the server has already
+-- seen returns the ORIGINAL result with "duplicate": true and changes nothing - so a
+-- retry after a timeout, or a re-delivered interaction, can never apply a grant twice.
+--
+-- Keys are unique per server. Reusing a key for a DIFFERENT change is an error.
+
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS idempotency_key TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_points_history_idempotency_key
+  ON points_history(guild_id, idempotency_key)
+  WHERE idempotency_key IS NOT NULL;
+
+-- Signatures change (new trailing parameter), so drop the previous versions
+DROP FUNCTION IF EXISTS modify_points(TEXT, BIGINT, BIGINT, TEXT, INTEGER, BOOLEAN, TEXT);
+DROP FUNCTION IF EXISTS transfer_points(TEXT, BIGINT, BIGINT, INTEGER, BOOLEAN, TEXT);
+DROP FUNCTION IF EXISTS revert_points(TEXT, BIGINT, BIGINT, BOOLEAN, TEXT);
+DROP FUNCTION IF EXISTS set_points_balance(TEXT, BIGINT, BIGINT, INTEGER, TEXT);
+DROP FUNCTION IF EXISTS redeem_reward(TEXT, BIGINT, BIGINT);
+
+-- ==========================================
+-- lock_idempotency_key(): SERIALISE CALLS WITH THE SAME KEY
+-- ==========================================
+-- Transaction-scoped advisory lock, so two concurrent calls with one key can't both
+-- miss the lookup. Returns the history row already written for the key, if any.
+CREATE OR REPLACE FUNCTION lock_idempotency_key(
+  p_guild_id TEXT,
+  p_idempotency_key TEXT
+)
+RETURNS points_history
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_existing points_history%ROWTYPE;
+BEGIN
+  PERFORM pg_advisory_xact_lock(hashtextextended(p_guild_id || ':' || p_idempotency_key, 0));
+
+  SELECT * INTO v_existing
+  FROM points_history
+  WHERE guild_id = p_guild_id AND idempotency_key = p_idempotency_key;
+
+  RETURN v_existing;
+END;
+$$;
+
+-- ==========================================
+-- modify_points(): SINGLE SOURCE OF TRUTH (IDEMPOTENT)
+-- ==========================================
+CREATE OR REPLACE FUNCTION modify_points(
+  p_guild_id TEXT,
+  p_target_user_id BIGINT,
+  p_action_by_user_id BIGINT,
+  p_action_type TEXT,
+  p_amount INTEGER,
+  p_allow_negative BOOLEAN DEFAULT false,
+  p_reason TEXT DEFAULT NULL,
+  p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_before INTEGER;
+  v_after INTEGER;
+  v_history_id BIGINT;
+  v_existing points_history%ROWTYPE;
+BEGIN
+  IF p_guild_id IS NULL THEN
+    RAISE EXCEPTION 'Server is required';
+  END IF;
+
+  -- Seen this key before: hand back the original result, write nothing
+  IF p_idempotency_key IS NOT NULL THEN
+    v_existing := lock_idempotency_key(p_guild_id, p_idempotency_key);
+
+    IF v_existing.id IS NOT NULL THEN
+      IF v_existing.target_user_id <> p_target_user_id OR v_existing.amount <> p_amount THEN
+        RAISE EXCEPTION 'Idempotency key % was already used for a different change', p_idempotency_key;
+      END IF;
+
+      RETURN json_build_object(
+        'history_id', v_existing.id,
+        'before_points', v_existing.before_points,
+        'after_points', v_existing.after_points,
+        'duplicate', true
+      );
+    END IF;
+  END IF;
+
+  IF p_action_type NOT IN ('ADD', 'REMOVE') THEN
+    RAISE EXCEPTION 'Invalid action type: %', p_action_type;
+  END IF;
+
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be positive';
+  END IF;
+
+  INSERT INTO staff_points (guild_id, id, points) VALUES (p_guild_id, p_target_user_id, 0)
+  ON CONFLICT (guild_id, id) DO NOTHING;
+
+  SELECT points INTO v_before
+  FROM staff_points
+  WHERE guild_id = p_guild_id AND id = p_target_user_id
+  FOR UPDATE;
+
+  v_after := CASE WHEN p_action_type = 'ADD' THEN v_before + p_amount ELSE v_before - p_amount END;
+
+  -- Validate BEFORE any write
+  IF v_after < 0 AND NOT p_allow_negative THEN
+    RAISE EXCEPTION 'Insufficient points: balance is %, cannot remove %', v_before, p_amount;
+  END IF;
+
+  UPDATE staff_points SET points = v_after WHERE guild_id = p_guild_id AND id = p_target_user_id;
+
+  INSERT INTO points_history (
+    guild_id, target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason, idempotency_key
+  ) VALUES (
+    p_guild_id, p_target_user_id, p_action_by_user_id, p_action_type, p_amount,
+    v_before, v_after, p_reason, p_idempotency_key
+  )
+  RETURNING id INTO v_history_id;
+
+  RETURN json_build_object(
+    'history_id', v_history_id,
+    'before_points', v_before,
+    'after_points', v_after,
+    'duplicate', false
+  );
+END;
+$$;
+
+-- ==========================================
+-- transfer_points(): ATOMIC DEBIT + CREDIT (IDEMPOTENT)
+-- ==========================================
+-- The key is stored on the sender half; the recipient half is found via transfer_id.
+CREATE OR REPLACE FUNCTION transfer_points(
+  p_guild_id TEXT,
+  p_from_user_id BIGINT,
+  p_to_user_id BIGINT,
+  p_amount INTEGER,
+  p_allow_negative BOOLEAN DEFAULT false,
+  p_reason TEXT DEFAULT NULL,
+  p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transfer_id UUID := gen_random_uuid();
+  v_from_before INTEGER;
+  v_from_after INTEGER;
+  v_to_before INTEGER;
+  v_to_after INTEGER;
+  v_existing points_history%ROWTYPE;
+  v_credit points_history%ROWTYPE;
+BEGIN
+  IF p_idempotency_key IS NOT NULL THEN
+    v_existing := lock_idempotency_key(p_guild_id, p_idempotency_key);
+
+    IF v_existing.id IS NOT NULL THEN
+      SELECT * INTO v_credit
+      FROM points_history
+      WHERE transfer_id = v_existing.transfer_id AND id <> v_existing.id;
+
+      IF v_existing.transfer_id IS NULL OR v_existing.target_user_id <> p_from_user_id
+        OR v_credit.target_user_id <> p_to_user_id OR v_existing.amount <> p_amount THEN
+        RAISE EXCEPTION 'Idempotency key % was already used for a different change', p_idempotency_key;
+      END IF;
+
+      RETURN json_build_object(
+        'transfer_id', v_existing.transfer_id,
+        'from_before_points', v_existing.before_points,
+        'from_after_points', v_existing.after_points,
+        'to_before_points', v_credit.before_points,
+        'to_after_points', v_credit.after_points,
+        'duplicate', true
+      );
+    END IF;
+  END IF;
+
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be positive';
+  END IF;
+
+  IF p_from_user_id = p_to_user_id THEN
+    RAISE EXCEPTION 'Cannot transfer points to yourself';
+  END IF;
+
+  -- Make sure both accounts exist before locking
+  INSERT INTO staff_points (guild_id, id, points)
+  VALUES (p_guild_id, p_from_user_id, 0), (p_guild_id, p_to_user_id, 0)
+  ON CONFLICT (guild_id, id) DO NOTHING;
+
+  -- Lock both rows in a stable order to avoid deadlocks between opposite transfers
+  PERFORM 1 FROM staff_points
+  WHERE guild_id = p_guild_id AND id IN (p_from_user_id, p_to_user_id)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT points INTO v_from_before FROM staff_points WHERE guild_id = p_guild_id AND id = p_from_user_id;
+  SELECT points INTO v_to_before FROM staff_points WHERE guild_id = p_guild_id AND id = p_to_user_id;
+
+  v_from_after := v_from_before - p_amount;
+  v_to_after := v_to_before + p_amount;
+
+  -- Validate BEFORE any write
+  IF v_from_after < 0 AND NOT p_allow_negative THEN
+    RAISE EXCEPTION 'Insufficient points: balance is %, transfer requires %', v_from_before, p_amount;
+  END IF;
+
+  UPDATE staff_points SET points = v_from_after WHERE guild_id = p_guild_id AND id = p_from_user_id;
+  UPDATE staff_points SET points = v_to_after WHERE guild_id = p_guild_id AND id = p_to_user_id;
+
+  -- Sender half (debit) - carries the idempotency key
+  INSERT INTO points_history (
+    guild_id, target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason, transfer_id, idempotency_key
+  ) VALUES (
+    p_guild_id, p_from_user_id, p_from_user_id, 'REMOVE', p_amount,
+    v_from_before, v_from_after, p_reason, v_transfer_id, p_idempotency_key
+  );
+
+  -- Recipient half (credit)
+  INSERT INTO points_history (
+    guild_id, target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason, transfer_id
+  ) VALUES (
+    p_guild_id, p_to_user_id, p_from_user_id, 'ADD', p_amount,
+    v_to_before, v_to_after, p_reason, v_transfer_id
+  );
+
+  RETURN json_build_object(
+    'transfer_id', v_transfer_id,
+    'from_before_points', v_from_before,
+    'from_after_points', v_from_after,
+    'to_before_points', v_to_before,
+    'to_after_points', v_to_after,
+    'duplicate', false
+  );
+END;
+$$;
+
+-- ==========================================
+-- revert_points(): ATOMIC COMPENSATING ENTRY (IDEMPOTENT)
+-- ==========================================
+-- The key is stored on the reversal row (written by modify_points()).
+CREATE OR REPLACE FUNCTION revert_points(
+  p_guild_id TEXT,
+  p_history_id BIGINT,
+  p_action_by_user_id BIGINT,
+  p_allow_negative BOOLEAN DEFAULT false,
+  p_reason TEXT DEFAULT NULL,
+  p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_original points_history%ROWTYPE;
+  v_existing points_history%ROWTYPE;
+  v_reverse_type TEXT;
+  v_result JSONB;
+  v_reversal_id BIGINT;
+BEGIN
+  -- A retried reversal would otherwise fail with "already been reversed"
+  IF p_idempotency_key IS NOT NULL THEN
+    v_existing := lock_idempotency_key(p_guild_id, p_idempotency_key);
+
+    IF v_existing.id IS NOT NULL THEN
+      IF v_existing.reverses_history_id IS DISTINCT FROM p_history_id THEN
+        RAISE EXCEPTION 'Idempotency key % was already used for a different change', p_idempotency_key;
+      END IF;
+
+      RETURN json_build_object(
+        'reversal_history_id', v_existing.id,
+        'target_user_id', v_existing.target_user_id::TEXT,
+        'original_action_type', CASE WHEN v_existing.action_type = 'ADD' THEN 'REMOVE' ELSE 'ADD' END,
+        'amount', v_existing.amount,
+        'before_points', v_existing.before_points,
+        'after_points', v_existing.after_points,
+        'duplicate', true
+      );
+    END IF;
+  END IF;
+
+  -- Lock the original row so two concurrent reverts can't both pass the checks
+  SELECT * INTO v_original
+  FROM points_history
+  WHERE id = p_history_id AND guild_id = p_guild_id
+  FOR UPDATE;
+
+  -- Entries from other servers are reported as missing
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'History entry #% not found', p_history_id;
+  END IF;
+
+  IF v_original.reversed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'History entry #% has already been reversed', p_history_id;
+  END IF;
+
+  IF v_original.reverses_history_id IS NOT NULL THEN
+    RAISE EXCEPTION 'History entry #% is itself a reversal and cannot be reverted', p_history_id;
+  END IF;
+
+  IF v_original.action_type NOT IN ('ADD', 'REMOVE') THEN
+    RAISE EXCEPTION 'History entry #% (%) cannot be reverted', p_history_id, v_original.action_type;
+  END IF;
+
+  IF v_original.transfer_id IS NOT NULL THEN
+    RAISE EXCEPTION 'History entry #% is part of a transfer and cannot be reverted on its own', p_history_id;
+  END IF;
+
+  v_reverse_type := CASE WHEN v_original.action_type = 'ADD' THEN 'REMOVE' ELSE 'ADD' END;
+
+  -- Compensating entry goes through the SINGLE SOURCE OF TRUTH
+  v_result := to_jsonb(modify_points(
+    p_guild_id => p_guild_id,
+    p_target_user_id => v_original.target_user_id,
+    p_action_by_user_id => p_action_by_user_id,
+    p_action_type => v_reverse_type,
+    p_amount => v_original.amount,
+    p_allow_negative => p_allow_negative,
+    p_reason => COALESCE(p_reason, 'Reversal of #' || p_history_id),
+    p_idempotency_key => p_idempotency_key
+  ));
+
+  v_reversal_id := (v_result->>'history_id')::BIGINT;
+
+  UPDATE points_history SET reverses_history_id = p_history_id WHERE id = v_reversal_id;
+  UPDATE points_history
+  SET reversed_at = NOW(), reversed_by_history_id = v_reversal_id
+  WHERE id = p_history_id;
+
+  RETURN json_build_object(
+    'reversal_history_id', v_reversal_id,
+    'target_user_id', v_original.target_user_id::TEXT,
+    'original_action_type', v_original.action_type,
+    'amount', v_original.amount,
+    'before_points', (v_result->>'before_points')::INTEGER,
+    'after_points', (v_result->>'after_points')::INTEGER,
+    'duplicate', false
+  );
+END;
+$$;
+
+-- ==========================================
+-- set_points_balance(): ATOMIC ABSOLUTE BALANCE (IDEMPOTENT)
+-- ==========================================
+CREATE OR REPLACE FUNCTION set_points_balance(
+  p_guild_id TEXT,
+  p_target_user_id BIGINT,
+  p_action_by_user_id BIGINT,
+  p_new_balance INTEGER,
+  p_reason TEXT,
+  p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_before INTEGER;
+  v_existing points_history%ROWTYPE;
+BEGIN
+  -- A retried override would otherwise fail with "Balance is already"
+  IF p_idempotency_key IS NOT NULL THEN
+    v_existing := lock_idempotency_key(p_guild_id, p_idempotency_key);
+
+    IF v_existing.id IS NOT NULL THEN
+      IF v_existing.action_type <> 'ADJUST' OR v_existing.target_user_id <> p_target_user_id
+        OR v_existing.after_points <> p_new_balance THEN
+        RAISE EXCEPTION 'Idempotency key % was already used for a different change', p_idempotency_key;
+      END IF;
+
+      RETURN json_build_object(
+        'before_points', v_existing.before_points,
+        'after_points', v_existing.after_points,
+        'duplicate', true
+      );
+    END IF;
+  END IF;
+
+  IF p_reason IS NULL OR btrim(p_reason) = '' THEN
+    RAISE EXCEPTION 'A reason is required for balance overrides';
+  END IF;
+
+  -- Emergency override works on frozen accounts too (flag is local to this transaction)
+  PERFORM set_config('app.allow_frozen_override', 'on', true);
+
+  INSERT INTO staff_points (guild_id, id, points) VALUES (p_guild_id, p_target_user_id, 0)
+  ON CONFLICT (guild_id, id) DO NOTHING;
+
+  SELECT points INTO v_before
+  FROM staff_points
+  WHERE guild_id = p_guild_id AND id = p_target_user_id
+  FOR UPDATE;
+
+  IF v_before = p_new_balance THEN
+    RAISE EXCEPTION 'Balance is already %', p_new_balance;
+  END IF;
+
+  UPDATE staff_points SET points = p_new_balance WHERE guild_id = p_guild_id AND id = p_target_user_id;
+
+  -- amount holds the size of the delta; before/after give its direction
+  INSERT INTO points_history (
+    guild_id, target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason, idempotency_key
+  ) VALUES (
+    p_guild_id, p_target_user_id, p_action_by_user_id, 'ADJUST', ABS(p_new_balance - v_before),
+    v_before, p_new_balance, p_reason, p_idempotency_key
+  );
+
+  PERFORM set_config('app.allow_frozen_override', 'off', true);
+
+  RETURN json_build_object(
+    'before_points', v_before,
+    'after_points', p_new_balance,
+    'duplicate', false
+  );
+END;
+$$;
+
+-- ==========================================
+-- redeem_reward(): ATOMIC PURCHASE (IDEMPOTENT)
+-- ==========================================
+-- The key is stored on the REDEEM debit; the redemption is found via history_id.
+CREATE OR REPLACE FUNCTION redeem_reward(
+  p_guild_id TEXT,
+  p_reward_id BIGINT,
+  p_user_id BIGINT,
+  p_idempotency_key TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_reward shop_rewards%ROWTYPE;
+  v_result JSONB;
+  v_history_id BIGINT;
+  v_redemption_id BIGINT;
+  v_existing points_history%ROWTYPE;
+  v_redemption shop_redemptions%ROWTYPE;
+BEGIN
+  -- A retried purchase would otherwise be charged (and counted against stock) again
+  IF p_idempotency_key IS NOT NULL THEN
+    v_existing := lock_idempotency_key(p_guild_id, p_idempotency_key);
+
+    IF v_existing.id IS NOT NULL THEN
+      SELECT * INTO v_redemption FROM shop_redemptions WHERE history_id = v_existing.id;
+
+      IF v_redemption.id IS NULL OR v_redemption.reward_id <> p_reward_id THEN
+        RAISE EXCEPTION 'Idempotency key % was already used for a different change', p_idempotency_key;
+      END IF;
+
+      SELECT * INTO v_reward FROM shop_rewards WHERE id = p_reward_id;
+
+      RETURN json_build_object(
+        'redemption_id', v_redemption.id,
+        'history_id', v_existing.id,
+        'reward_name', v_reward.name,
+        'role_id', v_reward.role_id,
+        'cost', v_redemption.cost,
+        'before_points', v_existing.before_points,
+        'after_points', v_existing.after_points,
+        'duplicate', true
+      );
+    END IF;
+  END IF;
+
+  -- Lock the reward so concurrent buyers can't oversell the last unit
+  SELECT * INTO v_reward
+  FROM shop_rewards
+  WHERE id = p_reward_id AND guild_id = p_guild_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR NOT v_reward.active THEN
+    RAISE EXCEPTION 'Reward #% is not available', p_reward_id;
+  END IF;
+
+  IF v_reward.stock IS NOT NULL AND v_reward.stock <= 0 THEN
+    RAISE EXCEPTION 'Reward "%" is out of stock', v_reward.name;
+  END IF;
+
+  IF v_reward.per_user_limit IS NOT NULL AND (
+    SELECT COUNT(*) FROM shop_redemptions
+    WHERE reward_id = p_reward_id AND user_id = p_user_id::TEXT
+  ) >= v_reward.per_user_limit THEN
+    RAISE EXCEPTION 'Redemption limit reached for "%" (max %)', v_reward.name, v_reward.per_user_limit;
+  END IF;
+
+  -- Debit through the SINGLE SOURCE OF TRUTH (purchases never go negative)
+  v_result := to_jsonb(modify_points(
+    p_guild_id => p_guild_id,
+    p_target_user_id => p_user_id,
+    p_action_by_user_id => p_user_id,
+    p_action_type => 'REMOVE',
+    p_amount => v_reward.cost,
+    p_allow_negative => false,
+    p_reason => 'Redeemed: ' || v_reward.name,
+    p_idempotency_key => p_idempotency_key
+  ));
+
+  -- Tag the debit so statements can tell redemptions apart from manual removals
+  v_history_id := (v_result->>'history_id')::BIGINT;
+  UPDATE points_history SET action_type = 'REDEEM' WHERE id = v_history_id;
+
+  UPDATE shop_rewards
+  SET stock = stock - 1, updated_at = NOW()
+  WHERE id = p_reward_id AND stock IS NOT NULL;
+
+  INSERT INTO shop_redemptions (guild_id, reward_id, user_id, cost, history_id)
+  VALUES (p_guild_id, p_reward_id, p_user_id::TEXT, v_reward.cost, v_history_id)
+  RETURNING id INTO v_redemption_id;
+
+  RETURN json_build_object(
+    'redemption_id', v_redemption_id,
+    'history_id', v_history_id,
+    'reward_name', v_reward.name,
+    'role_id', v_reward.role_id,
+    'cost', v_reward.cost,
+    'before_points', (v_result->>'before_points')::INTEGER,
+    'after_points', (v_result->>'after_points')::INTEGER,
+    'duplicate', false
+  );
+END;
+$$;
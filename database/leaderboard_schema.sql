@@ -0,0 +1,30 @@
+-- ==========================================
+-- LEADERBOARD (TIME-WINDOWED RANKINGS)
+-- ==========================================
+-- Run after transfers_schema.sql (setup step 4, see README.md).
+-- All-time rankings read staff_points directly.
+-- Windowed rankings (week / month / custom range) sum net deltas from points_history
+-- (after_points - before_points, so every action type is counted with the right sign).
+-- user_id is returned as TEXT so 18-digit snowflakes survive JSON serialization.
+
+CREATE INDEX IF NOT EXISTS idx_points_history_created_at
+  ON points_history(created_at DESC);
+
+CREATE OR REPLACE FUNCTION points_leaderboard(
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ
+)
+RETURNS TABLE (user_id TEXT, net_points BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    target_user_id::TEXT AS user_id,
+    SUM(after_points - before_points)::BIGINT AS net_points
+  FROM points_history
+  WHERE created_at >= p_from
+    AND created_at < p_to
+  GROUP BY target_user_id
+  HAVING SUM(after_points - before_points) <> 0
+  ORDER BY net_points DESC, user_id ASC;
+$$;
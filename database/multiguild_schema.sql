@@ -0,0 +1,560 @@
+-- ==========================================
+-- MULTI-SERVER SUPPORT (ISOLATED LEDGERS)
+-- ==========================================
+-- Run after voice_schema.sql (setup step 12, see README.md).
+-- The tables from steps 2-11 must already exist.
+-- Adds guild_id to every per-server table and replaces the ledger functions with
+-- guild-scoped versions. Balances, history, profiles and everything built on them
+-- are fully separate per server. bot_updates stays global (it's the bot's changelog).
+--
+-- Existing rows are assigned to the server in v_legacy_guild_id below.
+
+-- ==========================================
+-- GUILD COLUMNS + BACKFILL
+-- ==========================================
+ALTER TABLE staff_points ADD COLUMN IF NOT EXISTS guild_id TEXT;
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS guild_id TEXT;
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS guild_id TEXT;
+ALTER TABLE frozen_accounts ADD COLUMN IF NOT EXISTS guild_id TEXT;
+ALTER TABLE point_approvals ADD COLUMN IF NOT EXISTS guild_id TEXT;
+ALTER TABLE point_schedules ADD COLUMN IF NOT EXISTS guild_id TEXT;
+ALTER TABLE shop_rewards ADD COLUMN IF NOT EXISTS guild_id TEXT;
+ALTER TABLE shop_redemptions ADD COLUMN IF NOT EXISTS guild_id TEXT;
+ALTER TABLE activity_settings ADD COLUMN IF NOT EXISTS guild_id TEXT;
+ALTER TABLE voice_sessions ADD COLUMN IF NOT EXISTS guild_id TEXT;
+
+DO $$
+DECLARE
+  v_legacy_guild_id TEXT := '1434124929879773197'; -- CHANGE THIS to the server that owns the existing data
+BEGIN
+  UPDATE staff_points SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+  UPDATE points_history SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+  UPDATE user_profiles SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+  UPDATE frozen_accounts SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+  UPDATE point_approvals SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+  UPDATE point_schedules SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+  UPDATE shop_rewards SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+  UPDATE shop_redemptions SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+  UPDATE activity_settings SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+  UPDATE voice_sessions SET guild_id = v_legacy_guild_id WHERE guild_id IS NULL;
+END $$;
+
+ALTER TABLE staff_points ALTER COLUMN guild_id SET NOT NULL;
+ALTER TABLE points_history ALTER COLUMN guild_id SET NOT NULL;
+ALTER TABLE user_profiles ALTER COLUMN guild_id SET NOT NULL;
+ALTER TABLE frozen_accounts ALTER COLUMN guild_id SET NOT NULL;
+ALTER TABLE point_approvals ALTER COLUMN guild_id SET NOT NULL;
+ALTER TABLE point_schedules ALTER COLUMN guild_id SET NOT NULL;
+ALTER TABLE shop_rewards ALTER COLUMN guild_id SET NOT NULL;
+ALTER TABLE shop_redemptions ALTER COLUMN guild_id SET NOT NULL;
+ALTER TABLE activity_settings ALTER COLUMN guild_id SET NOT NULL;
+ALTER TABLE voice_sessions ALTER COLUMN guild_id SET NOT NULL;
+
+-- ==========================================
+-- PER-SERVER KEYS
+-- ==========================================
+-- A user has one balance / profile / freeze PER SERVER.
+-- CASCADE drops any foreign key that pointed at the old single-column key.
+ALTER TABLE staff_points DROP CONSTRAINT IF EXISTS staff_points_pkey CASCADE;
+ALTER TABLE staff_points ADD PRIMARY KEY (guild_id, id);
+
+ALTER TABLE user_profiles DROP CONSTRAINT IF EXISTS user_profiles_pkey CASCADE;
+ALTER TABLE user_profiles ADD PRIMARY KEY (guild_id, user_id);
+
+ALTER TABLE frozen_accounts DROP CONSTRAINT IF EXISTS frozen_accounts_pkey CASCADE;
+ALTER TABLE frozen_accounts ADD PRIMARY KEY (guild_id, user_id);
+
+-- activity_settings: one row per server instead of the single id = 1 row
+ALTER TABLE activity_settings DROP CONSTRAINT IF EXISTS activity_settings_pkey CASCADE;
+ALTER TABLE activity_settings DROP COLUMN IF EXISTS id;
+ALTER TABLE activity_settings ADD PRIMARY KEY (guild_id);
+
+-- At most one open voice session per user per server
+DROP INDEX IF EXISTS idx_voice_sessions_open;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_sessions_open
+  ON voice_sessions(guild_id, user_id)
+  WHERE ended_at IS NULL;
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_points_history_guild_target
+  ON points_history(guild_id, target_user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_points_history_guild_created_at
+  ON points_history(guild_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_point_schedules_guild ON point_schedules(guild_id);
+CREATE INDEX IF NOT EXISTS idx_shop_rewards_guild ON shop_rewards(guild_id);
+CREATE INDEX IF NOT EXISTS idx_shop_redemptions_guild_pending
+  ON shop_redemptions(guild_id, created_at)
+  WHERE status = 'PENDING';
+
+-- ==========================================
+-- FROZEN ACCOUNT TRIGGER (PER SERVER)
+-- ==========================================
+CREATE OR REPLACE FUNCTION prevent_frozen_balance_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_setting('app.allow_frozen_override', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND NEW.points = OLD.points THEN
+    RETURN NEW;
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM frozen_accounts
+    WHERE guild_id = NEW.guild_id AND user_id = NEW.id::TEXT
+  ) THEN
+    RAISE EXCEPTION 'Account is frozen: <@%> cannot send or receive points', NEW.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+-- ==========================================
+-- REMOVE SINGLE-SERVER FUNCTION SIGNATURES
+-- ==========================================
+-- Any caller that isn't guild-aware now fails loudly instead of writing to the wrong ledger
+DROP FUNCTION IF EXISTS modify_points(BIGINT, BIGINT, TEXT, INTEGER, BOOLEAN, TEXT);
+DROP FUNCTION IF EXISTS transfer_points(BIGINT, BIGINT, INTEGER, BOOLEAN, TEXT);
+DROP FUNCTION IF EXISTS revert_points(BIGINT, BIGINT, BOOLEAN, TEXT);
+DROP FUNCTION IF EXISTS set_points_balance(BIGINT, BIGINT, INTEGER, TEXT);
+DROP FUNCTION IF EXISTS points_leaderboard(TIMESTAMPTZ, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS redeem_reward(BIGINT, BIGINT);
+DROP FUNCTION IF EXISTS update_voice_session(TEXT, BOOLEAN, TEXT, BOOLEAN);
+DROP FUNCTION IF EXISTS close_voice_session(TEXT, BOOLEAN);
+
+-- ==========================================
+-- modify_points(): SINGLE SOURCE OF TRUTH (PER SERVER)
+-- ==========================================
+-- Same contract as before - lock, validate, update, write history - scoped to one server.
+-- Also returns the new history row's id so callers never have to look it up.
+CREATE OR REPLACE FUNCTION modify_points(
+  p_guild_id TEXT,
+  p_target_user_id BIGINT,
+  p_action_by_user_id BIGINT,
+  p_action_type TEXT,
+  p_amount INTEGER,
+  p_allow_negative BOOLEAN DEFAULT false,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_before INTEGER;
+  v_after INTEGER;
+  v_history_id BIGINT;
+BEGIN
+  IF p_guild_id IS NULL THEN
+    RAISE EXCEPTION 'Server is required';
+  END IF;
+
+  IF p_action_type NOT IN ('ADD', 'REMOVE') THEN
+    RAISE EXCEPTION 'Invalid action type: %', p_action_type;
+  END IF;
+
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be positive';
+  END IF;
+
+  INSERT INTO staff_points (guild_id, id, points) VALUES (p_guild_id, p_target_user_id, 0)
+  ON CONFLICT (guild_id, id) DO NOTHING;
+
+  SELECT points INTO v_before
+  FROM staff_points
+  WHERE guild_id = p_guild_id AND id = p_target_user_id
+  FOR UPDATE;
+
+  v_after := CASE WHEN p_action_type = 'ADD' THEN v_before + p_amount ELSE v_before - p_amount END;
+
+  -- Validate BEFORE any write
+  IF v_after < 0 AND NOT p_allow_negative THEN
+    RAISE EXCEPTION 'Insufficient points: balance is %, cannot remove %', v_before, p_amount;
+  END IF;
+
+  UPDATE staff_points SET points = v_after WHERE guild_id = p_guild_id AND id = p_target_user_id;
+
+  INSERT INTO points_history (
+    guild_id, target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason
+  ) VALUES (
+    p_guild_id, p_target_user_id, p_action_by_user_id, p_action_type, p_amount,
+    v_before, v_after, p_reason
+  )
+  RETURNING id INTO v_history_id;
+
+  RETURN json_build_object(
+    'history_id', v_history_id,
+    'before_points', v_before,
+    'after_points', v_after
+  );
+END;
+$$;
+
+-- ==========================================
+-- transfer_points(): ATOMIC DEBIT + CREDIT (PER SERVER)
+-- ==========================================
+CREATE OR REPLACE FUNCTION transfer_points(
+  p_guild_id TEXT,
+  p_from_user_id BIGINT,
+  p_to_user_id BIGINT,
+  p_amount INTEGER,
+  p_allow_negative BOOLEAN DEFAULT false,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transfer_id UUID := gen_random_uuid();
+  v_from_before INTEGER;
+  v_from_after INTEGER;
+  v_to_before INTEGER;
+  v_to_after INTEGER;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be positive';
+  END IF;
+
+  IF p_from_user_id = p_to_user_id THEN
+    RAISE EXCEPTION 'Cannot transfer points to yourself';
+  END IF;
+
+  -- Make sure both accounts exist before locking
+  INSERT INTO staff_points (guild_id, id, points)
+  VALUES (p_guild_id, p_from_user_id, 0), (p_guild_id, p_to_user_id, 0)
+  ON CONFLICT (guild_id, id) DO NOTHING;
+
+  -- Lock both rows in a stable order to avoid deadlocks between opposite transfers
+  PERFORM 1 FROM staff_points
+  WHERE guild_id = p_guild_id AND id IN (p_from_user_id, p_to_user_id)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT points INTO v_from_before FROM staff_points WHERE guild_id = p_guild_id AND id = p_from_user_id;
+  SELECT points INTO v_to_before FROM staff_points WHERE guild_id = p_guild_id AND id = p_to_user_id;
+
+  v_from_after := v_from_before - p_amount;
+  v_to_after := v_to_before + p_amount;
+
+  -- Validate BEFORE any write
+  IF v_from_after < 0 AND NOT p_allow_negative THEN
+    RAISE EXCEPTION 'Insufficient points: balance is %, transfer requires %', v_from_before, p_amount;
+  END IF;
+
+  UPDATE staff_points SET points = v_from_after WHERE guild_id = p_guild_id AND id = p_from_user_id;
+  UPDATE staff_points SET points = v_to_after WHERE guild_id = p_guild_id AND id = p_to_user_id;
+
+  -- Sender half (debit)
+  INSERT INTO points_history (
+    guild_id, target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason, transfer_id
+  ) VALUES (
+    p_guild_id, p_from_user_id, p_from_user_id, 'REMOVE', p_amount,
+    v_from_before, v_from_after, p_reason, v_transfer_id
+  );
+
+  -- Recipient half (credit)
+  INSERT INTO points_history (
+    guild_id, target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason, transfer_id
+  ) VALUES (
+    p_guild_id, p_to_user_id, p_from_user_id, 'ADD', p_amount,
+    v_to_before, v_to_after, p_reason, v_transfer_id
+  );
+
+  RETURN json_build_object(
+    'transfer_id', v_transfer_id,
+    'from_before_points', v_from_before,
+    'from_after_points', v_from_after,
+    'to_before_points', v_to_before,
+    'to_after_points', v_to_after
+  );
+END;
+$$;
+
+-- ==========================================
+-- revert_points(): ATOMIC COMPENSATING ENTRY (PER SERVER)
+-- ==========================================
+CREATE OR REPLACE FUNCTION revert_points(
+  p_guild_id TEXT,
+  p_history_id BIGINT,
+  p_action_by_user_id BIGINT,
+  p_allow_negative BOOLEAN DEFAULT false,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_original points_history%ROWTYPE;
+  v_reverse_type TEXT;
+  v_result JSONB;
+  v_reversal_id BIGINT;
+BEGIN
+  -- Lock the original row so two concurrent reverts can't both pass the checks
+  SELECT * INTO v_original
+  FROM points_history
+  WHERE id = p_history_id AND guild_id = p_guild_id
+  FOR UPDATE;
+
+  -- Entries from other servers are reported as missing
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'History entry #% not found', p_history_id;
+  END IF;
+
+  IF v_original.reversed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'History entry #% has already been reversed', p_history_id;
+  END IF;
+
+  IF v_original.reverses_history_id IS NOT NULL THEN
+    RAISE EXCEPTION 'History entry #% is itself a reversal and cannot be reverted', p_history_id;
+  END IF;
+
+  IF v_original.action_type NOT IN ('ADD', 'REMOVE') THEN
+    RAISE EXCEPTION 'History entry #% (%) cannot be reverted', p_history_id, v_original.action_type;
+  END IF;
+
+  IF v_original.transfer_id IS NOT NULL THEN
+    RAISE EXCEPTION 'History entry #% is part of a transfer and cannot be reverted on its own', p_history_id;
+  END IF;
+
+  v_reverse_type := CASE WHEN v_original.action_type = 'ADD' THEN 'REMOVE' ELSE 'ADD' END;
+
+  -- Compensating entry goes through the SINGLE SOURCE OF TRUTH
+  v_result := to_jsonb(modify_points(
+    p_guild_id => p_guild_id,
+    p_target_user_id => v_original.target_user_id,
+    p_action_by_user_id => p_action_by_user_id,
+    p_action_type => v_reverse_type,
+    p_amount => v_original.amount,
+    p_allow_negative => p_allow_negative,
+    p_reason => COALESCE(p_reason, 'Reversal of #' || p_history_id)
+  ));
+
+  v_reversal_id := (v_result->>'history_id')::BIGINT;
+
+  UPDATE points_history SET reverses_history_id = p_history_id WHERE id = v_reversal_id;
+  UPDATE points_history
+  SET reversed_at = NOW(), reversed_by_history_id = v_reversal_id
+  WHERE id = p_history_id;
+
+  RETURN json_build_object(
+    'reversal_history_id', v_reversal_id,
+    'target_user_id', v_original.target_user_id::TEXT,
+    'original_action_type', v_original.action_type,
+    'amount', v_original.amount,
+    'before_points', (v_result->>'before_points')::INTEGER,
+    'after_points', (v_result->>'after_points')::INTEGER
+  );
+END;
+$$;
+
+-- ==========================================
+-- set_points_balance(): ATOMIC ABSOLUTE BALANCE (PER SERVER)
+-- ==========================================
+CREATE OR REPLACE FUNCTION set_points_balance(
+  p_guild_id TEXT,
+  p_target_user_id BIGINT,
+  p_action_by_user_id BIGINT,
+  p_new_balance INTEGER,
+  p_reason TEXT
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_before INTEGER;
+BEGIN
+  IF p_reason IS NULL OR btrim(p_reason) = '' THEN
+    RAISE EXCEPTION 'A reason is required for balance overrides';
+  END IF;
+
+  -- Emergency override works on frozen accounts too (flag is local to this transaction)
+  PERFORM set_config('app.allow_frozen_override', 'on', true);
+
+  INSERT INTO staff_points (guild_id, id, points) VALUES (p_guild_id, p_target_user_id, 0)
+  ON CONFLICT (guild_id, id) DO NOTHING;
+
+  SELECT points INTO v_before
+  FROM staff_points
+  WHERE guild_id = p_guild_id AND id = p_target_user_id
+  FOR UPDATE;
+
+  IF v_before = p_new_balance THEN
+    RAISE EXCEPTION 'Balance is already %', p_new_balance;
+  END IF;
+
+  UPDATE staff_points SET points = p_new_balance WHERE guild_id = p_guild_id AND id = p_target_user_id;
+
+  -- amount holds the size of the delta; before/after give its direction
+  INSERT INTO points_history (
+    guild_id, target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason
+  ) VALUES (
+    p_guild_id, p_target_user_id, p_action_by_user_id, 'ADJUST', ABS(p_new_balance - v_before),
+    v_before, p_new_balance, p_reason
+  );
+
+  PERFORM set_config('app.allow_frozen_override', 'off', true);
+
+  RETURN json_build_object(
+    'before_points', v_before,
+    'after_points', p_new_balance
+  );
+END;
+$$;
+
+-- ==========================================
+-- points_leaderboard(): WINDOWED RANKINGS (PER SERVER)
+-- ==========================================
+CREATE OR REPLACE FUNCTION points_leaderboard(
+  p_guild_id TEXT,
+  p_from TIMESTAMPTZ,
+  p_to TIMESTAMPTZ
+)
+RETURNS TABLE (user_id TEXT, net_points BIGINT)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    target_user_id::TEXT AS user_id,
+    SUM(after_points - before_points)::BIGINT AS net_points
+  FROM points_history
+  WHERE guild_id = p_guild_id
+    AND created_at >= p_from
+    AND created_at < p_to
+  GROUP BY target_user_id
+  HAVING SUM(after_points - before_points) <> 0
+  ORDER BY net_points DESC, user_id ASC;
+$$;
+
+-- ==========================================
+-- redeem_reward(): ATOMIC PURCHASE (PER SERVER)
+-- ==========================================
+CREATE OR REPLACE FUNCTION redeem_reward(
+  p_guild_id TEXT,
+  p_reward_id BIGINT,
+  p_user_id BIGINT
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_reward shop_rewards%ROWTYPE;
+  v_result JSONB;
+  v_history_id BIGINT;
+  v_redemption_id BIGINT;
+BEGIN
+  -- Lock the reward so concurrent buyers can't oversell the last unit
+  SELECT * INTO v_reward
+  FROM shop_rewards
+  WHERE id = p_reward_id AND guild_id = p_guild_id
+  FOR UPDATE;
+
+  IF NOT FOUND OR NOT v_reward.active THEN
+    RAISE EXCEPTION 'Reward #% is not available', p_reward_id;
+  END IF;
+
+  IF v_reward.stock IS NOT NULL AND v_reward.stock <= 0 THEN
+    RAISE EXCEPTION 'Reward "%" is out of stock', v_reward.name;
+  END IF;
+
+  IF v_reward.per_user_limit IS NOT NULL AND (
+    SELECT COUNT(*) FROM shop_redemptions
+    WHERE reward_id = p_reward_id AND user_id = p_user_id::TEXT
+  ) >= v_reward.per_user_limit THEN
+    RAISE EXCEPTION 'Redemption limit reached for "%" (max %)', v_reward.name, v_reward.per_user_limit;
+  END IF;
+
+  -- Debit through the SINGLE SOURCE OF TRUTH (purchases never go negative)
+  v_result := to_jsonb(modify_points(
+    p_guild_id => p_guild_id,
+    p_target_user_id => p_user_id,
+    p_action_by_user_id => p_user_id,
+    p_action_type => 'REMOVE',
+    p_amount => v_reward.cost,
+    p_allow_negative => false,
+    p_reason => 'Redeemed: ' || v_reward.name
+  ));
+
+  -- Tag the debit so statements can tell redemptions apart from manual removals
+  v_history_id := (v_result->>'history_id')::BIGINT;
+  UPDATE points_history SET action_type = 'REDEEM' WHERE id = v_history_id;
+
+  UPDATE shop_rewards
+  SET stock = stock - 1, updated_at = NOW()
+  WHERE id = p_reward_id AND stock IS NOT NULL;
+
+  INSERT INTO shop_redemptions (guild_id, reward_id, user_id, cost, history_id)
+  VALUES (p_guild_id, p_reward_id, p_user_id::TEXT, v_reward.cost, v_history_id)
+  RETURNING id INTO v_redemption_id;
+
+  RETURN json_build_object(
+    'redemption_id', v_redemption_id,
+    'history_id', v_history_id,
+    'reward_name', v_reward.name,
+    'role_id', v_reward.role_id,
+    'cost', v_reward.cost,
+    'before_points', (v_result->>'before_points')::INTEGER,
+    'after_points', (v_result->>'after_points')::INTEGER
+  );
+END;
+$$;
+
+-- ==========================================
+-- VOICE SESSION STATE CHANGES (PER SERVER)
+-- ==========================================
+CREATE OR REPLACE FUNCTION update_voice_session(
+  p_guild_id TEXT,
+  p_user_id TEXT,
+  p_counting BOOLEAN,
+  p_channel_id TEXT DEFAULT NULL,
+  p_count_open_segment BOOLEAN DEFAULT true
+)
+RETURNS SETOF voice_sessions
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE voice_sessions
+  SET
+    tracked_seconds = tracked_seconds + CASE
+      WHEN counting_since IS NULL OR NOT p_count_open_segment THEN 0
+      ELSE GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (NOW() - counting_since))))::INTEGER
+    END,
+    counting_since = CASE WHEN p_counting THEN NOW() ELSE NULL END,
+    channel_id = COALESCE(p_channel_id, channel_id),
+    checkpoint_at = NOW()
+  WHERE guild_id = p_guild_id AND user_id = p_user_id AND ended_at IS NULL
+  RETURNING *;
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION close_voice_session(
+  p_guild_id TEXT,
+  p_user_id TEXT,
+  p_count_open_segment BOOLEAN DEFAULT true
+)
+RETURNS SETOF voice_sessions
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE voice_sessions
+  SET
+    tracked_seconds = tracked_seconds + CASE
+      WHEN counting_since IS NULL OR NOT p_count_open_segment THEN 0
+      ELSE GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (NOW() - counting_since))))::INTEGER
+    END,
+    counting_since = NULL,
+    ended_at = CASE WHEN p_count_open_segment THEN NOW() ELSE checkpoint_at END
+  WHERE guild_id = p_guild_id AND user_id = p_user_id AND ended_at IS NULL
+  RETURNING *;
+END;
+$$;
@@ -0,0 +1,104 @@
+-- ==========================================
+-- SUPER ADMIN EMERGENCY OVERRIDES
+-- ==========================================
+-- Run after schedules_schema.sql (setup step 8, see README.md).
+-- - set_points_balance(): absolute balance, recorded as an ADJUST entry with the delta
+-- - frozen_accounts: locked users whose balance can't change (enforced by trigger)
+
+-- ADJUST joins the allowed action types
+ALTER TABLE points_history DROP CONSTRAINT IF EXISTS points_history_action_type_check;
+ALTER TABLE points_history ADD CONSTRAINT points_history_action_type_check
+  CHECK (action_type IN ('ADD', 'REMOVE', 'ADJUST'));
+
+-- ==========================================
+-- FROZEN ACCOUNTS
+-- ==========================================
+CREATE TABLE IF NOT EXISTS frozen_accounts (
+  user_id TEXT PRIMARY KEY,
+  frozen_by TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  frozen_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- No policies: only the bot's service_role key can read or write
+ALTER TABLE frozen_accounts ENABLE ROW LEVEL SECURITY;
+
+-- Database-level guarantee: NO function (modify_points, transfer_points, ...) can move
+-- a frozen balance. Only set_points_balance() bypasses it, via a transaction-local flag.
+CREATE OR REPLACE FUNCTION prevent_frozen_balance_change()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF current_setting('app.allow_frozen_override', true) = 'on' THEN
+    RETURN NEW;
+  END IF;
+
+  IF TG_OP = 'UPDATE' AND NEW.points = OLD.points THEN
+    RETURN NEW;
+  END IF;
+
+  IF EXISTS (SELECT 1 FROM frozen_accounts WHERE user_id = NEW.id::TEXT) THEN
+    RAISE EXCEPTION 'Account is frozen: <@%> cannot send or receive points', NEW.id;
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_prevent_frozen_balance_change ON staff_points;
+CREATE TRIGGER trg_prevent_frozen_balance_change
+  BEFORE INSERT OR UPDATE ON staff_points
+  FOR EACH ROW
+  EXECUTE FUNCTION prevent_frozen_balance_change();
+
+-- ==========================================
+-- set_points_balance(): ATOMIC ABSOLUTE BALANCE
+-- ==========================================
+CREATE OR REPLACE FUNCTION set_points_balance(
+  p_target_user_id BIGINT,
+  p_action_by_user_id BIGINT,
+  p_new_balance INTEGER,
+  p_reason TEXT
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_before INTEGER;
+BEGIN
+  IF p_reason IS NULL OR btrim(p_reason) = '' THEN
+    RAISE EXCEPTION 'A reason is required for balance overrides';
+  END IF;
+
+  -- Emergency override works on frozen accounts too (flag is local to this transaction)
+  PERFORM set_config('app.allow_frozen_override', 'on', true);
+
+  INSERT INTO staff_points (id, points) VALUES (p_target_user_id, 0)
+  ON CONFLICT (id) DO NOTHING;
+
+  SELECT points INTO v_before FROM staff_points WHERE id = p_target_user_id FOR UPDATE;
+
+  IF v_before = p_new_balance THEN
+    RAISE EXCEPTION 'Balance is already %', p_new_balance;
+  END IF;
+
+  UPDATE staff_points SET points = p_new_balance WHERE id = p_target_user_id;
+
+  -- amount holds the size of the delta; before/after give its direction
+  INSERT INTO points_history (
+    target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason
+  ) VALUES (
+    p_target_user_id, p_action_by_user_id, 'ADJUST', ABS(p_new_balance - v_before),
+    v_before, p_new_balance, p_reason
+  );
+
+  PERFORM set_config('app.allow_frozen_override', 'off', true);
+
+  RETURN json_build_object(
+    'before_points', v_before,
+    'after_points', p_new_balance
+  );
+END;
+$$;
@@ -0,0 +1,37 @@
+-- ==========================================
+-- PERMISSION GRANTS
+-- ==========================================
+-- Run after strikes_schema.sql (setup step 18, see README.md).
+-- Point manager / super admin access granted with /admin permissions, to a user
+-- or to a Discord role, optionally until expires_at. The pointManagers and
+-- superAdmins arrays in config.js always apply on top of these, so removing
+-- every grant can never lock the configured super admins out.
+--
+-- Revoked grants are kept for the record (revoked_at set). Expiry needs no job:
+-- the bot ignores grants past expires_at when checking permissions.
+CREATE TABLE IF NOT EXISTS permission_grants (
+  id BIGSERIAL PRIMARY KEY,
+  guild_id TEXT NOT NULL,
+  subject_type TEXT NOT NULL CHECK (subject_type IN ('USER', 'ROLE')),
+  subject_id TEXT NOT NULL,
+  level TEXT NOT NULL CHECK (level IN ('POINT_MANAGER', 'SUPER_ADMIN')),
+  granted_by TEXT NOT NULL,
+  granted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ, -- NULL = permanent
+  revoked_by TEXT,
+  revoked_at TIMESTAMPTZ
+);
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+-- One live grant per subject and level: granting again updates the expiry
+CREATE UNIQUE INDEX IF NOT EXISTS idx_permission_grants_one_live
+  ON permission_grants(guild_id, subject_type, subject_id, level)
+  WHERE revoked_at IS NULL;
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write grants
+ALTER TABLE permission_grants ENABLE ROW LEVEL SECURITY;
@@ -1,6 +1,7 @@
 -- ==========================================
 -- DROP OLD PROFILE SYSTEM
 -- ==========================================
+-- Run after the core points schema: staff_points, points_history, modify_points (setup step 2, see README.md).
 DROP TABLE IF EXISTS user_profiles CASCADE;
 
 -- ==========================================
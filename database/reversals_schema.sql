@@ -0,0 +1,91 @@
+-- ==========================================
+-- TRANSACTION REVERSALS
+-- ==========================================
+-- Run after leaderboard_schema.sql (setup step 5, see README.md).
+-- A reversal is a compensating modify_points() entry that references the original
+-- points_history row. The original is marked as reversed so it can't be reverted twice.
+
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS reverses_history_id BIGINT REFERENCES points_history(id);
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS reversed_by_history_id BIGINT REFERENCES points_history(id);
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMPTZ;
+
+-- Database-level guarantee: at most ONE reversal per original entry
+CREATE UNIQUE INDEX IF NOT EXISTS idx_points_history_reverses_history_id
+  ON points_history(reverses_history_id)
+  WHERE reverses_history_id IS NOT NULL;
+
+-- ==========================================
+-- revert_points(): ATOMIC COMPENSATING ENTRY
+-- ==========================================
+CREATE OR REPLACE FUNCTION revert_points(
+  p_history_id BIGINT,
+  p_action_by_user_id BIGINT,
+  p_allow_negative BOOLEAN DEFAULT false,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_original points_history%ROWTYPE;
+  v_reverse_type TEXT;
+  v_result JSONB;
+  v_reversal_id BIGINT;
+BEGIN
+  -- Lock the original row so two concurrent reverts can't both pass the checks
+  SELECT * INTO v_original FROM points_history WHERE id = p_history_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'History entry #% not found', p_history_id;
+  END IF;
+
+  IF v_original.reversed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'History entry #% has already been reversed', p_history_id;
+  END IF;
+
+  IF v_original.reverses_history_id IS NOT NULL THEN
+    RAISE EXCEPTION 'History entry #% is itself a reversal and cannot be reverted', p_history_id;
+  END IF;
+
+  IF v_original.action_type NOT IN ('ADD', 'REMOVE') THEN
+    RAISE EXCEPTION 'History entry #% (%) cannot be reverted', p_history_id, v_original.action_type;
+  END IF;
+
+  IF v_original.transfer_id IS NOT NULL THEN
+    RAISE EXCEPTION 'History entry #% is part of a transfer and cannot be reverted on its own', p_history_id;
+  END IF;
+
+  v_reverse_type := CASE WHEN v_original.action_type = 'ADD' THEN 'REMOVE' ELSE 'ADD' END;
+
+  -- Compensating entry goes through the SINGLE SOURCE OF TRUTH
+  v_result := to_jsonb(modify_points(
+    p_target_user_id => v_original.target_user_id,
+    p_action_by_user_id => p_action_by_user_id,
+    p_action_type => v_reverse_type,
+    p_amount => v_original.amount,
+    p_allow_negative => p_allow_negative,
+    p_reason => COALESCE(p_reason, 'Reversal of #' || p_history_id)
+  ));
+
+  -- The target's staff_points row is locked until commit, so the newest row is ours
+  SELECT id INTO v_reversal_id
+  FROM points_history
+  WHERE target_user_id = v_original.target_user_id
+  ORDER BY created_at DESC, id DESC
+  LIMIT 1;
+
+  UPDATE points_history SET reverses_history_id = p_history_id WHERE id = v_reversal_id;
+  UPDATE points_history
+  SET reversed_at = NOW(), reversed_by_history_id = v_reversal_id
+  WHERE id = p_history_id;
+
+  RETURN json_build_object(
+    'reversal_history_id', v_reversal_id,
+    'target_user_id', v_original.target_user_id::TEXT,
+    'original_action_type', v_original.action_type,
+    'amount', v_original.amount,
+    'before_points', (v_result->>'before_points')::INTEGER,
+    'after_points', (v_result->>'after_points')::INTEGER
+  );
+END;
+$$;
@@ -0,0 +1,42 @@
+-- ==========================================
+-- SCHEDULED & RECURRING POINT GRANTS
+-- ==========================================
+-- Run after approvals_schema.sql (setup step 7, see README.md).
+-- Each run goes through modify_points() (via addPoints/removePoints) with
+-- the schedule ID as the reason. All times are UTC.
+CREATE TABLE IF NOT EXISTS point_schedules (
+  id BIGSERIAL PRIMARY KEY,
+  created_by TEXT NOT NULL,
+  target_type TEXT NOT NULL CHECK (target_type IN ('USER', 'ROLE')),
+  target_id TEXT NOT NULL,
+  action_type TEXT NOT NULL CHECK (action_type IN ('ADD', 'REMOVE')),
+  amount INTEGER NOT NULL CHECK (amount > 0),
+  note TEXT,
+  schedule_type TEXT NOT NULL CHECK (schedule_type IN ('ONCE', 'INTERVAL', 'CRON')),
+  interval_minutes INTEGER CHECK (interval_minutes IS NULL OR interval_minutes > 0),
+  cron_expression TEXT,
+  missed_policy TEXT NOT NULL DEFAULT 'RUN_ONCE'
+    CHECK (missed_policy IN ('CATCH_UP', 'RUN_ONCE', 'SKIP')),
+  next_run_at TIMESTAMPTZ,
+  last_run_at TIMESTAMPTZ,
+  run_count INTEGER NOT NULL DEFAULT 0,
+  active BOOLEAN NOT NULL DEFAULT true,
+  cancelled_by TEXT,
+  cancelled_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CHECK (schedule_type <> 'INTERVAL' OR interval_minutes IS NOT NULL),
+  CHECK (schedule_type <> 'CRON' OR cron_expression IS NOT NULL)
+);
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_point_schedules_due
+  ON point_schedules(next_run_at)
+  WHERE active = true;
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write schedules
+ALTER TABLE point_schedules ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,141 @@
+-- ==========================================
+-- SEASONS (ARCHIVED STANDINGS + BALANCE RESET)
+-- ==========================================
+-- Run after idempotency_schema.sql (setup step 14, see README.md).
+-- A season is a named period per server. Ending it archives every non-zero balance
+-- with its final leaderboard rank into season_standings, then resets each balance to
+-- TRUNC(points * carry_over_ratio) through modify_points() with reason 'SEASON_RESET'
+-- - so the reset is an ordinary, auditable ledger entry in everyone's history.
+-- user_id is TEXT so 18-digit snowflakes survive JSON serialization.
+CREATE TABLE IF NOT EXISTS seasons (
+  id BIGSERIAL PRIMARY KEY,
+  guild_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'ENDED')),
+  started_by TEXT NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ended_by TEXT,
+  ended_at TIMESTAMPTZ,
+  carry_over_ratio NUMERIC(4, 3) CHECK (carry_over_ratio IS NULL OR carry_over_ratio BETWEEN 0 AND 1),
+  CHECK (status <> 'ENDED' OR ended_at IS NOT NULL)
+);
+
+CREATE TABLE IF NOT EXISTS season_standings (
+  season_id BIGINT NOT NULL REFERENCES seasons(id) ON DELETE CASCADE,
+  guild_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  rank INTEGER NOT NULL,
+  final_points INTEGER NOT NULL, -- Balance when the season ended
+  carried_points INTEGER NOT NULL, -- Balance the user started the next season with
+  PRIMARY KEY (season_id, user_id)
+);
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+-- At most one running season per server
+CREATE UNIQUE INDEX IF NOT EXISTS idx_seasons_active
+  ON seasons(guild_id)
+  WHERE status = 'ACTIVE';
+
+CREATE INDEX IF NOT EXISTS idx_seasons_guild_started
+  ON seasons(guild_id, started_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_season_standings_rank
+  ON season_standings(season_id, rank);
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write seasons
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE season_standings ENABLE ROW LEVEL SECURITY;
+
+-- ==========================================
+-- end_season(): ATOMIC ARCHIVE + RESET
+-- ==========================================
+-- Everything happens in one transaction: if any reset fails, nothing is archived
+-- and the season stays active. Each reset carries the idempotency key
+-- 'season:<id>:<user>', so it can never be applied twice.
+CREATE OR REPLACE FUNCTION end_season(
+  p_guild_id TEXT,
+  p_ended_by TEXT,
+  p_carry_over_ratio NUMERIC,
+  p_system_actor_id BIGINT DEFAULT 0
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_season seasons%ROWTYPE;
+  v_standing season_standings%ROWTYPE;
+  v_players INTEGER := 0;
+  v_total_final BIGINT := 0;
+  v_total_carried BIGINT := 0;
+BEGIN
+  IF p_carry_over_ratio IS NULL OR p_carry_over_ratio < 0 OR p_carry_over_ratio > 1 THEN
+    RAISE EXCEPTION 'Carry-over must be between 0%% and 100%%';
+  END IF;
+
+  SELECT * INTO v_season
+  FROM seasons
+  WHERE guild_id = p_guild_id AND status = 'ACTIVE'
+  FOR UPDATE;
+
+  IF v_season.id IS NULL THEN
+    RAISE EXCEPTION 'No season is active';
+  END IF;
+
+  -- Lock every balance so the snapshot and the resets see the same numbers
+  PERFORM 1 FROM staff_points WHERE guild_id = p_guild_id FOR UPDATE;
+
+  -- Final leaderboard, ranked the same way as the all-time /points leaderboard
+  INSERT INTO season_standings (season_id, guild_id, user_id, rank, final_points, carried_points)
+  SELECT
+    v_season.id,
+    p_guild_id,
+    id::TEXT,
+    ROW_NUMBER() OVER (ORDER BY points DESC, id ASC),
+    points,
+    TRUNC(points * p_carry_over_ratio)::INTEGER
+  FROM staff_points
+  WHERE guild_id = p_guild_id AND points <> 0;
+
+  -- Resets also apply to frozen accounts (flag is local to this transaction)
+  PERFORM set_config('app.allow_frozen_override', 'on', true);
+
+  FOR v_standing IN
+    SELECT * FROM season_standings WHERE season_id = v_season.id ORDER BY rank
+  LOOP
+    v_players := v_players + 1;
+    v_total_final := v_total_final + v_standing.final_points;
+    v_total_carried := v_total_carried + v_standing.carried_points;
+
+    CONTINUE WHEN v_standing.final_points = v_standing.carried_points;
+
+    PERFORM modify_points(
+      p_guild_id,
+      v_standing.user_id::BIGINT,
+      p_system_actor_id,
+      CASE WHEN v_standing.final_points > v_standing.carried_points THEN 'REMOVE' ELSE 'ADD' END,
+      ABS(v_standing.final_points - v_standing.carried_points),
+      true, -- Negative balances move up towards zero
+      'SEASON_RESET',
+      'season:' || v_season.id || ':' || v_standing.user_id
+    );
+  END LOOP;
+
+  PERFORM set_config('app.allow_frozen_override', 'off', true);
+
+  UPDATE seasons
+  SET status = 'ENDED', ended_by = p_ended_by, ended_at = NOW(), carry_over_ratio = p_carry_over_ratio
+  WHERE id = v_season.id;
+
+  RETURN json_build_object(
+    'season_id', v_season.id,
+    'players', v_players,
+    'total_final_points', v_total_final,
+    'total_carried_points', v_total_carried
+  );
+END;
+$$;
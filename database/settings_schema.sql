@@ -0,0 +1,20 @@
+-- ==========================================
+-- RUNTIME SETTINGS
+-- ==========================================
+-- Run after permissions_schema.sql (setup step 19, see README.md).
+-- Overrides saved by /config, one row per server, merged over config.points /
+-- config.features (and the server's entry in config.guilds) on startup.
+-- settings is shaped like { "points": { ... }, "features": { ... } }; keys that
+-- are not overridden are simply absent.
+CREATE TABLE IF NOT EXISTS bot_settings (
+  guild_id TEXT PRIMARY KEY,
+  settings JSONB NOT NULL DEFAULT '{}'::JSONB,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write settings
+ALTER TABLE bot_settings ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,132 @@
+-- ==========================================
+-- REWARDS SHOP
+-- ==========================================
+-- Run after overrides_schema.sql (setup step 9, see README.md).
+-- Redemptions deduct the cost through modify_points() and are tagged REDEEM
+-- in points_history. Each redemption is also a fulfilment ticket.
+
+-- REDEEM joins the allowed action types
+ALTER TABLE points_history DROP CONSTRAINT IF EXISTS points_history_action_type_check;
+ALTER TABLE points_history ADD CONSTRAINT points_history_action_type_check
+  CHECK (action_type IN ('ADD', 'REMOVE', 'ADJUST', 'REDEEM'));
+
+-- ==========================================
+-- CATALOG
+-- ==========================================
+CREATE TABLE IF NOT EXISTS shop_rewards (
+  id BIGSERIAL PRIMARY KEY,
+  name TEXT NOT NULL,
+  description TEXT,
+  cost INTEGER NOT NULL CHECK (cost > 0),
+  stock INTEGER CHECK (stock IS NULL OR stock >= 0), -- NULL = unlimited
+  role_id TEXT, -- Optional Discord role granted on redemption
+  per_user_limit INTEGER CHECK (per_user_limit IS NULL OR per_user_limit > 0), -- NULL = unlimited
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_by TEXT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- REDEMPTIONS / FULFILMENT TICKETS
+-- ==========================================
+CREATE TABLE IF NOT EXISTS shop_redemptions (
+  id BIGSERIAL PRIMARY KEY,
+  reward_id BIGINT NOT NULL REFERENCES shop_rewards(id),
+  user_id TEXT NOT NULL,
+  cost INTEGER NOT NULL,
+  history_id BIGINT REFERENCES points_history(id),
+  status TEXT NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DELIVERED')),
+  delivered_by TEXT,
+  delivered_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_shop_redemptions_reward_user ON shop_redemptions(reward_id, user_id);
+CREATE INDEX IF NOT EXISTS idx_shop_redemptions_pending ON shop_redemptions(created_at) WHERE status = 'PENDING';
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write
+ALTER TABLE shop_rewards ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shop_redemptions ENABLE ROW LEVEL SECURITY;
+
+-- ==========================================
+-- redeem_reward(): ATOMIC PURCHASE
+-- ==========================================
+-- Stock, per-user limit, balance deduction and ticket creation succeed or fail together.
+CREATE OR REPLACE FUNCTION redeem_reward(
+  p_reward_id BIGINT,
+  p_user_id BIGINT
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_reward shop_rewards%ROWTYPE;
+  v_result JSONB;
+  v_history_id BIGINT;
+  v_redemption_id BIGINT;
+BEGIN
+  -- Lock the reward so concurrent buyers can't oversell the last unit
+  SELECT * INTO v_reward FROM shop_rewards WHERE id = p_reward_id FOR UPDATE;
+
+  IF NOT FOUND OR NOT v_reward.active THEN
+    RAISE EXCEPTION 'Reward #% is not available', p_reward_id;
+  END IF;
+
+  IF v_reward.stock IS NOT NULL AND v_reward.stock <= 0 THEN
+    RAISE EXCEPTION 'Reward "%" is out of stock', v_reward.name;
+  END IF;
+
+  IF v_reward.per_user_limit IS NOT NULL AND (
+    SELECT COUNT(*) FROM shop_redemptions
+    WHERE reward_id = p_reward_id AND user_id = p_user_id::TEXT
+  ) >= v_reward.per_user_limit THEN
+    RAISE EXCEPTION 'Redemption limit reached for "%" (max %)', v_reward.name, v_reward.per_user_limit;
+  END IF;
+
+  -- Debit through the SINGLE SOURCE OF TRUTH (purchases never go negative)
+  v_result := to_jsonb(modify_points(
+    p_target_user_id => p_user_id,
+    p_action_by_user_id => p_user_id,
+    p_action_type => 'REMOVE',
+    p_amount => v_reward.cost,
+    p_allow_negative => false,
+    p_reason => 'Redeemed: ' || v_reward.name
+  ));
+
+  -- modify_points() validates and debits like REMOVE; tag the row so statements
+  -- can tell redemptions apart from manual removals. The user's staff_points row
+  -- is locked until commit, so the newest row is ours.
+  SELECT id INTO v_history_id
+  FROM points_history
+  WHERE target_user_id = p_user_id
+  ORDER BY created_at DESC, id DESC
+  LIMIT 1;
+
+  UPDATE points_history SET action_type = 'REDEEM' WHERE id = v_history_id;
+
+  UPDATE shop_rewards
+  SET stock = stock - 1, updated_at = NOW()
+  WHERE id = p_reward_id AND stock IS NOT NULL;
+
+  INSERT INTO shop_redemptions (reward_id, user_id, cost, history_id)
+  VALUES (p_reward_id, p_user_id::TEXT, v_reward.cost, v_history_id)
+  RETURNING id INTO v_redemption_id;
+
+  RETURN json_build_object(
+    'redemption_id', v_redemption_id,
+    'history_id', v_history_id,
+    'reward_name', v_reward.name,
+    'role_id', v_reward.role_id,
+    'cost', v_reward.cost,
+    'before_points', (v_result->>'before_points')::INTEGER,
+    'after_points', (v_result->>'after_points')::INTEGER
+  );
+END;
+$$;
@@ -0,0 +1,139 @@
+-- ==========================================
+-- MANAGER & USER ACTIVITY STATISTICS
+-- ==========================================
+-- Run after seasons_schema.sql (setup step 15, see README.md).
+-- Read-only aggregations of points_history for /stats. Direction comes from the
+-- balance change (after_points - before_points), so ADJUST entries and reversals
+-- count with the right sign. NULL p_from / p_to = unbounded.
+-- IDs are returned as TEXT so 18-digit snowflakes survive JSON serialization.
+
+CREATE INDEX IF NOT EXISTS idx_points_history_guild_actor_created
+  ON points_history(guild_id, action_by_user_id, created_at DESC);
+
+-- ==========================================
+-- manager_stats(): PER-MANAGER TOTALS
+-- ==========================================
+-- Manual changes only: transfers (staff moving their own points), purchases and
+-- entries written by the system actor (decay, activity, voice, ...) are left out.
+CREATE OR REPLACE FUNCTION manager_stats(
+  p_guild_id TEXT,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL,
+  p_system_actor_id BIGINT DEFAULT 0
+)
+RETURNS TABLE (
+  manager_id TEXT,
+  points_added BIGINT,
+  points_removed BIGINT,
+  transactions BIGINT,
+  recipients BIGINT,
+  top_recipient_id TEXT,
+  top_recipient_points BIGINT,
+  top_reasons JSON
+)
+LANGUAGE sql
+STABLE
+AS $$
+  WITH entries AS (
+    SELECT
+      action_by_user_id AS manager,
+      target_user_id AS target,
+      after_points - before_points AS delta,
+      COALESCE(NULLIF(btrim(reason), ''), '(no reason)') AS reason
+    FROM points_history
+    WHERE guild_id = p_guild_id
+      AND transfer_id IS NULL
+      AND action_type IN ('ADD', 'REMOVE', 'ADJUST')
+      AND action_by_user_id <> p_system_actor_id
+      AND (p_from IS NULL OR created_at >= p_from)
+      AND (p_to IS NULL OR created_at < p_to)
+  ),
+  totals AS (
+    SELECT
+      manager,
+      SUM(GREATEST(delta, 0))::BIGINT AS points_added,
+      SUM(GREATEST(-delta, 0))::BIGINT AS points_removed,
+      COUNT(*)::BIGINT AS transactions,
+      COUNT(DISTINCT target)::BIGINT AS recipients
+    FROM entries
+    GROUP BY manager
+  ),
+  -- The single user who received the most of each manager's grants
+  top_recipient AS (
+    SELECT DISTINCT ON (manager) manager, target, granted
+    FROM (
+      SELECT manager, target, SUM(GREATEST(delta, 0))::BIGINT AS granted
+      FROM entries
+      GROUP BY manager, target
+    ) per_target
+    WHERE granted > 0
+    ORDER BY manager, granted DESC, target ASC
+  ),
+  reason_counts AS (
+    SELECT
+      manager,
+      reason,
+      COUNT(*) AS uses,
+      ROW_NUMBER() OVER (PARTITION BY manager ORDER BY COUNT(*) DESC, reason ASC) AS position
+    FROM entries
+    GROUP BY manager, reason
+  ),
+  top_reasons AS (
+    SELECT manager, json_agg(json_build_object('reason', reason, 'count', uses) ORDER BY position) AS reasons
+    FROM reason_counts
+    WHERE position <= 3
+    GROUP BY manager
+  )
+  SELECT
+    totals.manager::TEXT,
+    totals.points_added,
+    totals.points_removed,
+    totals.transactions,
+    totals.recipients,
+    top_recipient.target::TEXT,
+    COALESCE(top_recipient.granted, 0),
+    top_reasons.reasons
+  FROM totals
+  LEFT JOIN top_recipient ON top_recipient.manager = totals.manager
+  LEFT JOIN top_reasons ON top_reasons.manager = totals.manager
+  ORDER BY totals.points_added DESC, totals.points_removed DESC, totals.manager ASC;
+$$;
+
+-- ==========================================
+-- user_stats(): WHO CHANGED ONE USER'S BALANCE
+-- ==========================================
+-- Every entry on the user's ledger written by someone else: managers, colleagues'
+-- transfers and the system actor. The user's own transfers and purchases are left out.
+CREATE OR REPLACE FUNCTION user_stats(
+  p_guild_id TEXT,
+  p_user_id BIGINT,
+  p_from TIMESTAMPTZ DEFAULT NULL,
+  p_to TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS TABLE (
+  actor_id TEXT,
+  points_added BIGINT,
+  points_removed BIGINT,
+  transactions BIGINT,
+  last_at TIMESTAMPTZ
+)
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT
+    action_by_user_id::TEXT AS actor_id,
+    SUM(GREATEST(after_points - before_points, 0))::BIGINT AS points_added,
+    SUM(GREATEST(before_points - after_points, 0))::BIGINT AS points_removed,
+    COUNT(*)::BIGINT AS transactions,
+    MAX(created_at) AS last_at
+  FROM points_history
+  WHERE guild_id = p_guild_id
+    AND target_user_id = p_user_id
+    AND action_by_user_id <> p_user_id
+    AND (p_from IS NULL OR created_at >= p_from)
+    AND (p_to IS NULL OR created_at < p_to)
+  GROUP BY action_by_user_id
+  ORDER BY
+    SUM(GREATEST(after_points - before_points, 0)) + SUM(GREATEST(before_points - after_points, 0)) DESC,
+    action_by_user_id ASC;
+$$;
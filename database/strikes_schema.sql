@@ -0,0 +1,188 @@
+-- ==========================================
+-- STAFF STRIKES (DISCIPLINE LEDGER)
+-- ==========================================
+-- Run after anomalies_schema.sql (setup step 17, see README.md).
+-- Strikes are kept completely apart from points: issuing one never touches
+-- staff_points or points_history. Every strike change also writes a
+-- strike_history row (the strike equivalent of points_history).
+--
+-- A strike is ACTIVE while it is not removed and not past expires_at. Its weight
+-- (from its severity, copied at issue time) counts towards the consequences in
+-- the guild's strikeConsequences (config.js). Expiry needs no job: it is evaluated on read.
+CREATE TABLE IF NOT EXISTS staff_strikes (
+  id BIGSERIAL PRIMARY KEY,
+  guild_id TEXT NOT NULL,
+  user_id TEXT NOT NULL,
+  severity TEXT NOT NULL CHECK (severity IN ('MINOR', 'MAJOR', 'SEVERE')),
+  weight INTEGER NOT NULL CHECK (weight > 0),
+  reason TEXT NOT NULL,
+  issued_by TEXT NOT NULL,
+  issued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ, -- NULL = never expires
+  removed_by TEXT,
+  removed_at TIMESTAMPTZ,
+  removal_reason TEXT
+);
+
+CREATE TABLE IF NOT EXISTS strike_history (
+  id BIGSERIAL PRIMARY KEY,
+  guild_id TEXT NOT NULL,
+  strike_id BIGINT NOT NULL REFERENCES staff_strikes(id),
+  user_id TEXT NOT NULL,
+  action_type TEXT NOT NULL CHECK (action_type IN ('ADD', 'REMOVE')),
+  severity TEXT NOT NULL,
+  weight INTEGER NOT NULL,
+  reason TEXT NOT NULL,
+  action_by TEXT NOT NULL,
+  active_before INTEGER NOT NULL, -- Active strike weight before / after this change
+  active_after INTEGER NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+CREATE INDEX IF NOT EXISTS idx_staff_strikes_guild_user
+  ON staff_strikes(guild_id, user_id, issued_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_strike_history_guild_user
+  ON strike_history(guild_id, user_id, created_at DESC);
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write strikes
+ALTER TABLE staff_strikes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE strike_history ENABLE ROW LEVEL SECURITY;
+
+-- ==========================================
+-- active_strike_weight(): CURRENT TOTAL
+-- ==========================================
+CREATE OR REPLACE FUNCTION active_strike_weight(
+  p_guild_id TEXT,
+  p_user_id TEXT
+)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(SUM(weight), 0)::INTEGER
+  FROM staff_strikes
+  WHERE guild_id = p_guild_id
+    AND user_id = p_user_id
+    AND removed_at IS NULL
+    AND (expires_at IS NULL OR expires_at > NOW());
+$$;
+
+-- ==========================================
+-- add_strike(): ATOMIC ISSUE + HISTORY
+-- ==========================================
+-- Changes for one user are serialised with an advisory lock, so the before/after
+-- totals that drive consequences are always exact.
+CREATE OR REPLACE FUNCTION add_strike(
+  p_guild_id TEXT,
+  p_user_id TEXT,
+  p_issued_by TEXT,
+  p_severity TEXT,
+  p_weight INTEGER,
+  p_reason TEXT,
+  p_expires_at TIMESTAMPTZ DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_before INTEGER;
+  v_strike_id BIGINT;
+BEGIN
+  IF p_reason IS NULL OR btrim(p_reason) = '' THEN
+    RAISE EXCEPTION 'A reason is required for strikes';
+  END IF;
+
+  IF p_expires_at IS NOT NULL AND p_expires_at <= NOW() THEN
+    RAISE EXCEPTION 'Expiry must be in the future';
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtextextended('strikes:' || p_guild_id || ':' || p_user_id, 0));
+
+  v_before := active_strike_weight(p_guild_id, p_user_id);
+
+  INSERT INTO staff_strikes (guild_id, user_id, severity, weight, reason, issued_by, expires_at)
+  VALUES (p_guild_id, p_user_id, p_severity, p_weight, p_reason, p_issued_by, p_expires_at)
+  RETURNING id INTO v_strike_id;
+
+  INSERT INTO strike_history (
+    guild_id, strike_id, user_id, action_type, severity, weight, reason, action_by, active_before, active_after
+  ) VALUES (
+    p_guild_id, v_strike_id, p_user_id, 'ADD', p_severity, p_weight, p_reason, p_issued_by, v_before, v_before + p_weight
+  );
+
+  RETURN json_build_object(
+    'strike_id', v_strike_id,
+    'active_before', v_before,
+    'active_after', v_before + p_weight
+  );
+END;
+$$;
+
+-- ==========================================
+-- remove_strike(): ATOMIC REMOVAL + HISTORY
+-- ==========================================
+CREATE OR REPLACE FUNCTION remove_strike(
+  p_guild_id TEXT,
+  p_strike_id BIGINT,
+  p_removed_by TEXT,
+  p_reason TEXT
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_strike staff_strikes%ROWTYPE;
+  v_before INTEGER;
+  v_after INTEGER;
+BEGIN
+  IF p_reason IS NULL OR btrim(p_reason) = '' THEN
+    RAISE EXCEPTION 'A reason is required to remove a strike';
+  END IF;
+
+  SELECT * INTO v_strike
+  FROM staff_strikes
+  WHERE guild_id = p_guild_id AND id = p_strike_id;
+
+  IF v_strike.id IS NULL THEN
+    RAISE EXCEPTION 'Strike #% not found', p_strike_id;
+  END IF;
+
+  PERFORM pg_advisory_xact_lock(hashtextextended('strikes:' || p_guild_id || ':' || v_strike.user_id, 0));
+
+  -- Re-read under the lock
+  SELECT * INTO v_strike FROM staff_strikes WHERE id = p_strike_id FOR UPDATE;
+
+  IF v_strike.removed_at IS NOT NULL THEN
+    RAISE EXCEPTION 'Strike #% was already removed', p_strike_id;
+  END IF;
+
+  v_before := active_strike_weight(p_guild_id, v_strike.user_id);
+
+  UPDATE staff_strikes
+  SET removed_by = p_removed_by, removed_at = NOW(), removal_reason = p_reason
+  WHERE id = p_strike_id;
+
+  v_after := active_strike_weight(p_guild_id, v_strike.user_id);
+
+  INSERT INTO strike_history (
+    guild_id, strike_id, user_id, action_type, severity, weight, reason, action_by, active_before, active_after
+  ) VALUES (
+    p_guild_id, p_strike_id, v_strike.user_id, 'REMOVE', v_strike.severity, v_strike.weight, p_reason, p_removed_by, v_before, v_after
+  );
+
+  RETURN json_build_object(
+    'strike_id', p_strike_id,
+    'user_id', v_strike.user_id,
+    'severity', v_strike.severity,
+    'active_before', v_before,
+    'active_after', v_after
+  );
+END;
+$$;
@@ -0,0 +1,93 @@
+-- ==========================================
+-- STAFF-TO-STAFF POINT TRANSFERS
+-- ==========================================
+-- Run after profiles_schema.sql (setup step 3, see README.md).
+-- A transfer debits the sender and credits the recipient in ONE transaction and
+-- writes two points_history rows that share the same transfer_id.
+
+-- Link column for the two halves of a transfer
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS transfer_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_points_history_transfer_id
+  ON points_history(transfer_id)
+  WHERE transfer_id IS NOT NULL;
+
+-- ==========================================
+-- transfer_points(): ATOMIC DEBIT + CREDIT
+-- ==========================================
+CREATE OR REPLACE FUNCTION transfer_points(
+  p_from_user_id BIGINT,
+  p_to_user_id BIGINT,
+  p_amount INTEGER,
+  p_allow_negative BOOLEAN DEFAULT false,
+  p_reason TEXT DEFAULT NULL
+)
+RETURNS JSON
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_transfer_id UUID := gen_random_uuid();
+  v_from_before INTEGER;
+  v_from_after INTEGER;
+  v_to_before INTEGER;
+  v_to_after INTEGER;
+BEGIN
+  IF p_amount IS NULL OR p_amount <= 0 THEN
+    RAISE EXCEPTION 'Amount must be positive';
+  END IF;
+
+  IF p_from_user_id = p_to_user_id THEN
+    RAISE EXCEPTION 'Cannot transfer points to yourself';
+  END IF;
+
+  -- Make sure both accounts exist before locking
+  INSERT INTO staff_points (id, points) VALUES (p_from_user_id, 0), (p_to_user_id, 0)
+  ON CONFLICT (id) DO NOTHING;
+
+  -- Lock both rows in a stable order to avoid deadlocks between opposite transfers
+  PERFORM 1 FROM staff_points
+  WHERE id IN (p_from_user_id, p_to_user_id)
+  ORDER BY id
+  FOR UPDATE;
+
+  SELECT points INTO v_from_before FROM staff_points WHERE id = p_from_user_id;
+  SELECT points INTO v_to_before FROM staff_points WHERE id = p_to_user_id;
+
+  v_from_after := v_from_before - p_amount;
+  v_to_after := v_to_before + p_amount;
+
+  -- Validate BEFORE any write
+  IF v_from_after < 0 AND NOT p_allow_negative THEN
+    RAISE EXCEPTION 'Insufficient points: balance is %, transfer requires %', v_from_before, p_amount;
+  END IF;
+
+  UPDATE staff_points SET points = v_from_after WHERE id = p_from_user_id;
+  UPDATE staff_points SET points = v_to_after WHERE id = p_to_user_id;
+
+  -- Sender half (debit)
+  INSERT INTO points_history (
+    target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason, transfer_id
+  ) VALUES (
+    p_from_user_id, p_from_user_id, 'REMOVE', p_amount,
+    v_from_before, v_from_after, p_reason, v_transfer_id
+  );
+
+  -- Recipient half (credit)
+  INSERT INTO points_history (
+    target_user_id, action_by_user_id, action_type, amount,
+    before_points, after_points, reason, transfer_id
+  ) VALUES (
+    p_to_user_id, p_from_user_id, 'ADD', p_amount,
+    v_to_before, v_to_after, p_reason, v_transfer_id
+  );
+
+  RETURN json_build_object(
+    'transfer_id', v_transfer_id,
+    'from_before_points', v_from_before,
+    'from_after_points', v_from_after,
+    'to_before_points', v_to_before,
+    'to_after_points', v_to_after
+  );
+END;
+$$;
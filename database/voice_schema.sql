@@ -0,0 +1,121 @@
+-- ==========================================
+-- VOICE TIME TRACKING
+-- ==========================================
+-- Run after activity_schema.sql (setup step 11, see README.md).
+-- One row per stay in tracked voice channels. Open sessions (ended_at IS NULL)
+-- are persisted so tracking survives restarts. Points are credited through
+-- modify_points() (via addPoints) with reason 'VOICE' when a session closes.
+CREATE TABLE IF NOT EXISTS voice_sessions (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  channel_id TEXT NOT NULL,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ended_at TIMESTAMPTZ,
+  tracked_seconds INTEGER NOT NULL DEFAULT 0, -- Counted time written so far (excludes AFK / self-deafened)
+  counting_since TIMESTAMPTZ, -- Start of the segment being counted now (NULL = paused)
+  checkpoint_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- Last time the bot confirmed this session
+  carry_seconds INTEGER NOT NULL DEFAULT 0, -- Time not yet worth a whole point, carried to the next session
+  points_awarded INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- ==========================================
+-- INDEXES FOR PERFORMANCE
+-- ==========================================
+-- At most one open session per user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_sessions_open
+  ON voice_sessions(user_id)
+  WHERE ended_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_voice_sessions_user_started
+  ON voice_sessions(user_id, started_at DESC);
+
+-- ==========================================
+-- ROW LEVEL SECURITY
+-- ==========================================
+-- No policies: only the bot's service_role key can read or write sessions
+ALTER TABLE voice_sessions ENABLE ROW LEVEL SECURITY;
+
+-- ==========================================
+-- SESSION STATE CHANGES
+-- ==========================================
+-- All time arithmetic happens here with the database clock, so a checkpoint
+-- running at the same moment can never count a segment twice.
+
+-- Pause/resume counting (self-deafen, move between channels) for the open session.
+-- p_count_open_segment = false drops time since the last checkpoint (used after
+-- a restart, when presence during the outage is unknown)
+CREATE OR REPLACE FUNCTION update_voice_session(
+  p_user_id TEXT,
+  p_counting BOOLEAN,
+  p_channel_id TEXT DEFAULT NULL,
+  p_count_open_segment BOOLEAN DEFAULT true
+)
+RETURNS SETOF voice_sessions
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE voice_sessions
+  SET
+    tracked_seconds = tracked_seconds + CASE
+      WHEN counting_since IS NULL OR NOT p_count_open_segment THEN 0
+      ELSE GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (NOW() - counting_since))))::INTEGER
+    END,
+    counting_since = CASE WHEN p_counting THEN NOW() ELSE NULL END,
+    channel_id = COALESCE(p_channel_id, channel_id),
+    checkpoint_at = NOW()
+  WHERE user_id = p_user_id AND ended_at IS NULL
+  RETURNING *;
+END;
+$$;
+
+-- Close the open session (same p_count_open_segment meaning as above)
+CREATE OR REPLACE FUNCTION close_voice_session(
+  p_user_id TEXT,
+  p_count_open_segment BOOLEAN DEFAULT true
+)
+RETURNS SETOF voice_sessions
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  RETURN QUERY
+  UPDATE voice_sessions
+  SET
+    tracked_seconds = tracked_seconds + CASE
+      WHEN counting_since IS NULL OR NOT p_count_open_segment THEN 0
+      ELSE GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (NOW() - counting_since))))::INTEGER
+    END,
+    counting_since = NULL,
+    ended_at = CASE WHEN p_count_open_segment THEN NOW() ELSE checkpoint_at END
+  WHERE user_id = p_user_id AND ended_at IS NULL
+  RETURNING *;
+END;
+$$;
+
+-- ==========================================
+-- checkpoint_voice_sessions(): PERIODIC CHECKPOINT
+-- ==========================================
+-- Moves counted time into tracked_seconds for every open session, so at most
+-- one checkpoint interval is lost if the bot goes down.
+CREATE OR REPLACE FUNCTION checkpoint_voice_sessions()
+RETURNS INTEGER
+LANGUAGE plpgsql
+AS $$
+DECLARE
+  v_count INTEGER;
+BEGIN
+  UPDATE voice_sessions
+  SET
+    tracked_seconds = tracked_seconds + CASE
+      WHEN counting_since IS NULL THEN 0
+      ELSE GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (NOW() - counting_since))))::INTEGER
+    END,
+    counting_since = CASE WHEN counting_since IS NULL THEN NULL ELSE NOW() END,
+    checkpoint_at = NOW()
+  WHERE ended_at IS NULL;
+
+  GET DIAGNOSTICS v_count = ROW_COUNT;
+  RETURN v_count;
+END;
+$$;
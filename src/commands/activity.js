@@ -0,0 +1,290 @@
+import { SlashCommandBuilder, EmbedBuilder, ChannelType } from 'discord.js';
+import { saveActivitySettings, getActivityEarnings } from '../services/activityService.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { isPointManager, getPointSettings } from '../../config.js';
+import { sendAuditLog } from '../utils/logger.js';
+import { checkCooldown, setCooldown } from '../utils/cooldown.js';
+import { ACTIVITY_SETTING_KEYS, getActivityConfig, setActivityOverrides, getActivityStats } from '../utils/activityRewards.js';
+
+/**
+ * Build the command definition for a server (the daily cap is bounded by its max amount)
+ * @param {string|null} guildId - Guild ID, or null for the default settings
+ * @returns {SlashCommandBuilder}
+ */
+export function buildData(guildId = null) {
+  const pointSettings = getPointSettings(guildId);
+
+  return new SlashCommandBuilder()
+    .setName('activity')
+    .setDescription('Chat activity rewards (Staff only)')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('config')
+        .setDescription('View or change activity reward settings')
+        .addBooleanOption(option =>
+          option
+            .setName('enabled')
+            .setDescription('Turn activity rewards on or off')
+            .setRequired(false)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('add_channel')
+            .setDescription('Start rewarding messages in this channel')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+        .addChannelOption(option =>
+          option
+            .setName('remove_channel')
+            .setDescription('Stop rewarding messages in this channel')
+            .addChannelTypes(ChannelType.GuildText)
+            .setRequired(false)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('points')
+            .setDescription('Points per rewarded message')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(100)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('min_length')
+            .setDescription('Minimum message length in characters')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(2000)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('cooldown')
+            .setDescription('Minutes between rewards for the same user')
+            .setRequired(false)
+            .setMinValue(0)
+            .setMaxValue(1440)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('daily_cap')
+            .setDescription('Max activity points per user per UTC day')
+            .setRequired(false)
+            .setMinValue(1)
+            .setMaxValue(pointSettings.maxAmount)
+        )
+        .addRoleOption(option =>
+          option
+            .setName('role')
+            .setDescription('Only members with this role earn')
+            .setRequired(false)
+        )
+        .addBooleanOption(option =>
+          option
+            .setName('clear_role')
+            .setDescription('Let every member earn')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('stats')
+        .setDescription('Activity reward counters and today\'s top earners')
+    );
+}
+
+export const data = buildData();
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    // Check permissions
+    if (!isPointManager(interaction.guildId, interaction.user.id)) {
+      return await interaction.reply({
+        content: '<:error:1450781522545086599> **You do not have permission to manage activity rewards.**',
+        ephemeral: true,
+      });
+    }
+
+    if (!isSupabaseBackend()) {
+      throw new Error('Activity rewards need the Supabase storage backend.');
+    }
+
+    if (subcommand === 'config') {
+      await handleConfig(interaction);
+    } else if (subcommand === 'stats') {
+      await handleStats(interaction);
+    }
+  } catch (error) {
+    console.error('Error executing activity command:', error);
+
+    const errorMessage = error.message || 'An unexpected error occurred.';
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}` });
+    } else {
+      await interaction.reply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}`, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Format a server's current activity settings
+ * @param {string} guildId - Guild ID
+ * @returns {string} Settings lines
+ */
+function describeSettings(guildId) {
+  const settings = getActivityConfig(guildId);
+  const channels = settings.channels.length > 0
+    ? settings.channels.map(id => `<#${id}>`).join(', ')
+    : 'None';
+
+  return [
+    `**Status:** ${settings.enabled ? '🟢 Enabled' : '🔴 Disabled'}`,
+    `**Channels:** ${channels}`,
+    `**Eligible:** ${settings.staffRoleId ? `<@&${settings.staffRoleId}>` : 'Everyone'}`,
+    `**Reward:** +${settings.pointsPerMessage} per message`,
+    `**Min length:** ${settings.minLength} characters`,
+    `**Cooldown:** ${settings.cooldownMinutes} minute${settings.cooldownMinutes === 1 ? '' : 's'}`,
+    `**Daily cap:** ${settings.dailyCap} points`,
+  ].join('\n');
+}
+
+/**
+ * Handle /activity config
+ * With no options it only shows the current settings
+ */
+async function handleConfig(interaction) {
+  const executor = interaction.user;
+  const options = interaction.options;
+  const guildId = interaction.guildId;
+  const current = getActivityConfig(guildId);
+
+  const updates = {};
+  const enabled = options.getBoolean('enabled');
+  const addChannel = options.getChannel('add_channel');
+  const removeChannel = options.getChannel('remove_channel');
+  const points = options.getInteger('points');
+  const minLength = options.getInteger('min_length');
+  const cooldown = options.getInteger('cooldown');
+  const dailyCap = options.getInteger('daily_cap');
+  const role = options.getRole('role');
+  const clearRole = options.getBoolean('clear_role');
+
+  if (enabled !== null) updates.enabled = enabled;
+  if (addChannel || removeChannel) {
+    const channels = new Set(current.channels);
+    if (addChannel) channels.add(addChannel.id);
+    if (removeChannel) channels.delete(removeChannel.id);
+    updates.channels = [...channels];
+  }
+  if (points !== null) updates.pointsPerMessage = points;
+  if (minLength !== null) updates.minLength = minLength;
+  if (cooldown !== null) updates.cooldownMinutes = cooldown;
+  if (dailyCap !== null) updates.dailyCap = dailyCap;
+  if (role) updates.staffRoleId = role.id;
+  if (clearRole) updates.staffRoleId = null;
+
+  if (Object.keys(updates).length === 0) {
+    const embed = new EmbedBuilder()
+      .setColor(0x5865F2)
+      .setTitle('💬 Activity Rewards')
+      .setDescription(describeSettings(guildId))
+      .setTimestamp();
+
+    return await interaction.reply({ embeds: [embed], ephemeral: true });
+  }
+
+  if ((updates.pointsPerMessage ?? current.pointsPerMessage) > (updates.dailyCap ?? current.dailyCap)) {
+    throw new Error('Points per message cannot be higher than the daily cap.');
+  }
+
+  // RATE LIMIT: Check cooldown (anti-spam protection)
+  const cooldownRemaining = checkCooldown(executor.id, 'activity_config');
+  if (cooldownRemaining > 0) {
+    return await interaction.reply({
+      content: `<:time:1450781529700565073> **Slow down!** Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before using this command again.`,
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply();
+
+  const changes = Object.entries(updates)
+    .map(([key, value]) => `${key}: ${JSON.stringify(current[key])} → ${JSON.stringify(value)}`);
+
+  // Persist first so a failed save leaves the running config untouched
+  const next = { ...current, ...updates };
+  const saved = Object.fromEntries(ACTIVITY_SETTING_KEYS.map(key => [key, next[key]]));
+  await saveActivitySettings(guildId, saved, executor.id);
+  setActivityOverrides(guildId, saved);
+
+  setCooldown(executor.id, 'activity_config');
+
+  await interaction.editReply([
+    `💬 <:success:1450781525812449280> **ACTIVITY SETTINGS UPDATED**`,
+    ``,
+    describeSettings(guildId),
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId,
+    type: 'ACTIVITY',
+    event: 'CONFIG',
+    executor,
+    changes,
+  });
+}
+
+/**
+ * Handle /activity stats
+ */
+async function handleStats(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const guildId = interaction.guildId;
+  const stats = getActivityStats(guildId);
+  const dayStart = new Date(Date.now() - (Date.now() % 86400000));
+
+  // Today's written credits, totalled per user
+  const totals = new Map();
+  for (const row of await getActivityEarnings(guildId, dayStart)) {
+    totals.set(row.userId, (totals.get(row.userId) || 0) + row.amount);
+  }
+
+  const top = [...totals.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 10)
+    .map(([userId, amount], index) => `**${index + 1}.** <@${userId}> • +${amount}`);
+
+  const todayTotal = [...totals.values()].reduce((sum, amount) => sum + amount, 0);
+  const since = Math.floor(stats.since.getTime() / 1000);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle('💬 Activity Rewards — Stats')
+    .addFields(
+      {
+        name: 'Since startup',
+        value: [
+          `**Started:** <t:${since}:R>`,
+          `**Rewarded messages:** ${stats.rewarded}`,
+          `**Skipped:** ${stats.skippedShort} too short • ${stats.skippedCooldown} cooldown • ${stats.skippedCap} capped`,
+          `**Points written:** ${stats.flushedPoints} • **Failed credits:** ${stats.flushFailures}`,
+          `**Buffered:** ${stats.pendingPoints} points for ${stats.pendingUsers} user${stats.pendingUsers === 1 ? '' : 's'}`,
+          `**Last flush:** ${stats.lastFlushAt ? `<t:${Math.floor(stats.lastFlushAt.getTime() / 1000)}:R>` : 'Never'}`,
+        ].join('\n'),
+      },
+      {
+        name: `Today (UTC) • ${todayTotal} points to ${totals.size} user${totals.size === 1 ? '' : 's'}`,
+        value: top.length > 0 ? top.join('\n') : 'No activity points yet today.',
+      }
+    )
+    .setFooter({ text: getActivityConfig(guildId).enabled ? 'Activity rewards are enabled' : 'Activity rewards are disabled' })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
@@ -0,0 +1,519 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { setPointsBalance, freezeAccount, unfreezeAccount } from '../services/database.js';
+import { getPermissionGrants, grantPermission, revokePermission } from '../services/permissionService.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { isSuperAdmin, getPointSettings, getGuildConfig } from '../../config.js';
+import { sendAuditLog } from '../utils/logger.js';
+import { interactionKey, DUPLICATE_NOTICE } from '../utils/idempotency.js';
+import { checkCooldown, setCooldown } from '../utils/cooldown.js';
+import { applyMilestoneRoles } from '../utils/roleRewards.js';
+import { refreshPermissionGrants } from '../utils/permissionStore.js';
+import { parseUtcDate } from '../utils/periods.js';
+
+const LEVEL_LABELS = {
+  POINT_MANAGER: 'Point Manager',
+  SUPER_ADMIN: 'Super Admin',
+};
+
+/**
+ * Add the shared level / user / role options to a permissions subcommand
+ */
+function addGrantSubjectOptions(subcommand) {
+  return subcommand
+    .addStringOption(option =>
+      option
+        .setName('level')
+        .setDescription('Permission level')
+        .setRequired(true)
+        .addChoices(
+          ...Object.entries(LEVEL_LABELS).map(([value, name]) => ({ name, value }))
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('reason')
+        .setDescription('Reason for the change (required)')
+        .setRequired(true)
+    )
+    .addUserOption(option =>
+      option
+        .setName('user')
+        .setDescription('User (use either user or role)')
+        .setRequired(false)
+    )
+    .addRoleOption(option =>
+      option
+        .setName('role')
+        .setDescription('Role (use either user or role)')
+        .setRequired(false)
+    );
+}
+
+/**
+ * Build the command definition for a server (negative balances depend on its settings)
+ * @param {string|null} guildId - Guild ID, or null for the default settings
+ * @returns {SlashCommandBuilder}
+ */
+export function buildData(guildId = null) {
+  const pointSettings = getPointSettings(guildId);
+
+  return new SlashCommandBuilder()
+    .setName('admin')
+    .setDescription('Super admin emergency overrides')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('set-balance')
+        .setDescription('Set a user\'s balance to an exact value')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User whose balance to set')
+            .setRequired(true)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('balance')
+            .setDescription('New balance')
+            .setRequired(true)
+            .setMinValue(pointSettings.allowNegativeBalance ? -1000000 : 0)
+            .setMaxValue(1000000)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Reason for the override (required)')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('freeze')
+        .setDescription('Lock a user\'s account so their points cannot change')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to freeze')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Reason for freezing (required)')
+            .setRequired(true)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('unfreeze')
+        .setDescription('Unlock a frozen account')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to unfreeze')
+            .setRequired(true)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Reason for unfreezing (required)')
+            .setRequired(true)
+        )
+    )
+    .addSubcommandGroup(group =>
+      group
+        .setName('permissions')
+        .setDescription('Point manager and super admin access')
+        .addSubcommand(subcommand =>
+          addGrantSubjectOptions(
+            subcommand
+              .setName('grant')
+              .setDescription('Grant access to a user or role')
+          )
+            .addStringOption(option =>
+              option
+                .setName('expires')
+                .setDescription('Expiry date (YYYY-MM-DD UTC), e.g. for temporary managers (default: never)')
+                .setRequired(false)
+            )
+        )
+        .addSubcommand(subcommand =>
+          addGrantSubjectOptions(
+            subcommand
+              .setName('revoke')
+              .setDescription('Revoke access granted to a user or role')
+          )
+        )
+        .addSubcommand(subcommand =>
+          subcommand
+            .setName('list')
+            .setDescription('List everyone with manager or super admin access')
+        )
+    );
+}
+
+export const data = buildData();
+
+export async function execute(interaction) {
+  const group = interaction.options.getSubcommandGroup(false);
+  const subcommand = interaction.options.getSubcommand();
+
+  // Every override is super admin only
+  if (!isSuperAdmin(interaction.guildId, interaction.user.id)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **Only super admins can use emergency overrides.**',
+      ephemeral: true,
+    });
+  }
+
+  // RATE LIMIT: Check cooldown (anti-spam protection)
+  const cooldownRemaining = checkCooldown(interaction.user.id, 'admin_override');
+  if (cooldownRemaining > 0) {
+    return await interaction.reply({
+      content: `<:time:1450781529700565073> **Slow down!** Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before using this command again.`,
+      ephemeral: true,
+    });
+  }
+
+  try {
+    if (group === 'permissions') {
+      if (!isSupabaseBackend()) {
+        throw new Error('Permission grants need the Supabase storage backend. Edit config.js instead.');
+      }
+
+      if (subcommand === 'grant') {
+        await handleGrant(interaction);
+      } else if (subcommand === 'revoke') {
+        await handleRevoke(interaction);
+      } else if (subcommand === 'list') {
+        await handlePermissionList(interaction);
+      }
+    } else if (subcommand === 'set-balance') {
+      await handleSetBalance(interaction);
+    } else if (subcommand === 'freeze') {
+      await handleFreeze(interaction);
+    } else if (subcommand === 'unfreeze') {
+      await handleUnfreeze(interaction);
+    }
+
+    // Set cooldown AFTER successful operation
+    setCooldown(interaction.user.id, 'admin_override');
+  } catch (error) {
+    console.error('Error executing admin command:', error);
+
+    const errorMessage = error.message || 'An unexpected error occurred.';
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}` });
+    } else {
+      await interaction.reply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}`, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Handle /admin set-balance
+ */
+async function handleSetBalance(interaction) {
+  const executor = interaction.user;
+  const targetUser = interaction.options.getUser('user');
+  const balance = interaction.options.getInteger('balance');
+  const reason = interaction.options.getString('reason');
+
+  await interaction.deferReply();
+
+  await interaction.editReply(
+    '<:admin:1450781535002427476> **Applying emergency override...**\n> Setting absolute balance'
+  );
+
+  // Call set_points_balance RPC - ATOMIC TRANSACTION, recorded as ADJUST
+  const { before, after, duplicate } = await setPointsBalance(
+    interaction.guildId,
+    targetUser.id,
+    executor.id,
+    balance,
+    reason,
+    interactionKey(interaction)
+  );
+  const delta = after - before;
+
+  await interaction.editReply([
+    `<:admin:1450781535002427476> <:success:1450781525812449280> **BALANCE OVERRIDDEN**`,
+    ``,
+    `**User:** ${targetUser}`,
+    `**Before:** ${before}`,
+    `**Adjustment:** ${delta > 0 ? '+' : ''}${delta}`,
+    `**After:** ${after}`,
+    `**Reason:** ${reason}`,
+    duplicate ? `\n${DUPLICATE_NOTICE}` : null,
+    ``,
+    `────────────────────────────`,
+  ].filter(line => line !== null).join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'OVERRIDE',
+    action: 'SET_BALANCE',
+    targetUser,
+    executor,
+    reason,
+    details: `${before} → ${after} (${delta > 0 ? '+' : ''}${delta})`,
+    duplicate,
+  });
+
+  await applyMilestoneRoles(interaction.guild, targetUser.id, before, after);
+}
+
+/**
+ * Handle /admin freeze
+ */
+async function handleFreeze(interaction) {
+  const executor = interaction.user;
+  const targetUser = interaction.options.getUser('user');
+  const reason = interaction.options.getString('reason');
+
+  await interaction.deferReply();
+
+  await freezeAccount(interaction.guildId, targetUser.id, executor.id, reason);
+
+  await interaction.editReply([
+    `🧊 <:success:1450781525812449280> **ACCOUNT FROZEN**`,
+    ``,
+    `**User:** ${targetUser}`,
+    `**Reason:** ${reason}`,
+    `> Points can no longer be added, removed or transferred.`,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'OVERRIDE',
+    action: 'FREEZE',
+    targetUser,
+    executor,
+    reason,
+  });
+}
+
+/**
+ * Handle /admin unfreeze
+ */
+async function handleUnfreeze(interaction) {
+  const executor = interaction.user;
+  const targetUser = interaction.options.getUser('user');
+  const reason = interaction.options.getString('reason');
+
+  await interaction.deferReply();
+
+  const removed = await unfreezeAccount(interaction.guildId, targetUser.id);
+
+  if (!removed) {
+    throw new Error(`${targetUser} is not frozen.`);
+  }
+
+  await interaction.editReply([
+    `🔥 <:success:1450781525812449280> **ACCOUNT UNFROZEN**`,
+    ``,
+    `**User:** ${targetUser}`,
+    `**Reason:** ${reason}`,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'OVERRIDE',
+    action: 'UNFREEZE',
+    targetUser,
+    executor,
+    reason,
+  });
+}
+
+/**
+ * Read the user / role options of a permissions subcommand
+ * @param {Interaction} interaction - The /admin permissions interaction
+ * @returns {{subjectType: string, subjectId: string, mention: string}}
+ */
+function getGrantSubject(interaction) {
+  const user = interaction.options.getUser('user');
+  const role = interaction.options.getRole('role');
+
+  if (Boolean(user) === Boolean(role)) {
+    throw new Error('Choose either a `user` or a `role`.');
+  }
+
+  if (role) {
+    if (role.id === interaction.guildId) {
+      throw new Error('Access cannot be granted to @everyone.');
+    }
+    return { subjectType: 'ROLE', subjectId: role.id, mention: `<@&${role.id}>` };
+  }
+
+  return { subjectType: 'USER', subjectId: user.id, mention: `<@${user.id}>` };
+}
+
+/**
+ * Check whether a grant is live and unexpired
+ * @param {Object} grant - permission_grants row
+ * @returns {boolean}
+ */
+function isGrantActive(grant) {
+  return !grant.expires_at || new Date(grant.expires_at) > new Date();
+}
+
+/**
+ * Handle /admin permissions grant
+ */
+async function handleGrant(interaction) {
+  const executor = interaction.user;
+  const level = interaction.options.getString('level');
+  const reason = interaction.options.getString('reason');
+  const expiresRaw = interaction.options.getString('expires');
+  const { subjectType, subjectId, mention } = getGrantSubject(interaction);
+
+  let expiresAt = null;
+
+  if (expiresRaw) {
+    expiresAt = parseUtcDate(expiresRaw.trim());
+
+    if (!expiresAt) {
+      throw new Error('Invalid `expires`. Use YYYY-MM-DD.');
+    }
+
+    if (expiresAt <= new Date()) {
+      throw new Error('`expires` must be in the future.');
+    }
+  }
+
+  await interaction.deferReply();
+
+  const { renewed } = await grantPermission({
+    guildId: interaction.guildId,
+    subjectType,
+    subjectId,
+    level,
+    grantedBy: executor.id,
+    expiresAt,
+  });
+
+  // Invalidate the cache so the grant applies immediately
+  await refreshPermissionGrants(interaction.guildId);
+
+  const expiresText = expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:F>` : 'Never';
+
+  await interaction.editReply([
+    `🔑 <:success:1450781525812449280> **PERMISSION ${renewed ? 'RENEWED' : 'GRANTED'}**`,
+    ``,
+    `**${subjectType === 'ROLE' ? 'Role' : 'User'}:** ${mention}`,
+    `**Level:** ${LEVEL_LABELS[level]}`,
+    `**Expires:** ${expiresText}`,
+    `**Reason:** ${reason}`,
+    subjectType === 'ROLE' ? `> Role grants are checked against the bot's member cache: members are loaded when they use a command, are picked in one, or are acted on by a schedule or approval.` : null,
+    ``,
+    `────────────────────────────`,
+  ].filter(line => line !== null).join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'PERMISSION',
+    action: renewed ? 'RENEWED' : 'GRANTED',
+    subject: mention,
+    level: LEVEL_LABELS[level],
+    expiresText,
+    reason,
+    executor,
+  });
+}
+
+/**
+ * Handle /admin permissions revoke
+ */
+async function handleRevoke(interaction) {
+  const executor = interaction.user;
+  const level = interaction.options.getString('level');
+  const reason = interaction.options.getString('reason');
+  const { subjectType, subjectId, mention } = getGrantSubject(interaction);
+
+  // Never leave a server without a super admin: config.js is the fallback, so only
+  // block when it lists none and this is the last active super admin grant
+  if (level === 'SUPER_ADMIN' && getGuildConfig(interaction.guildId).superAdmins.length === 0) {
+    const remaining = (await getPermissionGrants(interaction.guildId)).filter(grant =>
+      grant.level === 'SUPER_ADMIN' && isGrantActive(grant) &&
+      !(grant.subject_type === subjectType && grant.subject_id === subjectId)
+    );
+
+    if (remaining.length === 0) {
+      throw new Error('This is the last super admin grant and config.js lists no super admins. Grant another super admin first.');
+    }
+  }
+
+  await interaction.deferReply();
+
+  const revoked = await revokePermission(interaction.guildId, subjectType, subjectId, level, executor.id);
+
+  if (!revoked) {
+    throw new Error(`${mention} has no ${LEVEL_LABELS[level]} grant. Access listed in config.js can only be changed there.`);
+  }
+
+  // Invalidate the cache so the revoke applies immediately
+  await refreshPermissionGrants(interaction.guildId);
+
+  await interaction.editReply([
+    `🔒 <:success:1450781525812449280> **PERMISSION REVOKED**`,
+    ``,
+    `**${subjectType === 'ROLE' ? 'Role' : 'User'}:** ${mention}`,
+    `**Level:** ${LEVEL_LABELS[level]}`,
+    `**Reason:** ${reason}`,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'PERMISSION',
+    action: 'REVOKED',
+    subject: mention,
+    level: LEVEL_LABELS[level],
+    reason,
+    executor,
+  });
+}
+
+/**
+ * Handle /admin permissions list
+ */
+async function handlePermissionList(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const guild = getGuildConfig(interaction.guildId);
+  const grants = (await getPermissionGrants(interaction.guildId)).filter(isGrantActive);
+
+  const describeGrants = level => grants
+    .filter(grant => grant.level === level)
+    .map(grant => {
+      const mention = grant.subject_type === 'ROLE' ? `<@&${grant.subject_id}>` : `<@${grant.subject_id}>`;
+      const expires = grant.expires_at ? `expires <t:${Math.floor(new Date(grant.expires_at).getTime() / 1000)}:R>` : 'permanent';
+      return `${mention} • ${expires} • by <@${grant.granted_by}>`;
+    });
+
+  const section = (ids, level) => {
+    const lines = [
+      ...ids.map(id => `<@${id}> • config.js`),
+      ...describeGrants(level),
+    ];
+    return lines.length > 0 ? lines.join('\n').slice(0, 1024) : '*None*';
+  };
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle('🔑 Permissions')
+    .addFields(
+      { name: '<:admin:1450781535002427476> Super Admins', value: section(guild.superAdmins, 'SUPER_ADMIN') },
+      { name: '<:user:1450781532473000006> Point Managers', value: section(guild.pointManagers, 'POINT_MANAGER') }
+    )
+    .setFooter({ text: 'config.js entries always apply and can only be changed there • Role grants need the member in the bot\'s member cache' })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
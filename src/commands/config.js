@@ -0,0 +1,243 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { saveBotSettings } from '../services/settingsService.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { config, isSuperAdmin, getGuildConfig, getSettingOverrides, setSettingOverrides, getPointSettings } from '../../config.js';
+import { sendAuditLog } from '../utils/logger.js';
+import { checkCooldown, setCooldown } from '../utils/cooldown.js';
+import { SETTING_DEFINITIONS, getSettingValue, parseSettingValue, validatePointSettings } from '../utils/runtimeSettings.js';
+import { registerGuildCommands } from '../utils/commandRegistry.js';
+
+const SETTING_CHOICES = Object.keys(SETTING_DEFINITIONS).map(key => ({ name: key, value: key }));
+
+export const data = new SlashCommandBuilder()
+  .setName('config')
+  .setDescription('Runtime settings (Super Admin only)')
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('view')
+      .setDescription('Show every setting and where its value comes from')
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('set')
+      .setDescription('Override a setting')
+      .addStringOption(option =>
+        option
+          .setName('key')
+          .setDescription('Setting to change')
+          .setRequired(true)
+          .addChoices(...SETTING_CHOICES)
+      )
+      .addStringOption(option =>
+        option
+          .setName('value')
+          .setDescription('New value (true/false or a whole number)')
+          .setRequired(true)
+      )
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('reset')
+      .setDescription('Remove overrides and go back to the config.js values')
+      .addStringOption(option =>
+        option
+          .setName('key')
+          .setDescription('Setting to reset (default: all of them)')
+          .setRequired(false)
+          .addChoices(...SETTING_CHOICES)
+      )
+  );
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  if (!isSuperAdmin(interaction.guildId, interaction.user.id)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **Only super admins can change settings.**',
+      ephemeral: true,
+    });
+  }
+
+  // RATE LIMIT: Check cooldown (anti-spam protection)
+  const cooldownRemaining = checkCooldown(interaction.user.id, 'config');
+  if (cooldownRemaining > 0) {
+    return await interaction.reply({
+      content: `<:time:1450781529700565073> **Slow down!** Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before using this command again.`,
+      ephemeral: true,
+    });
+  }
+
+  try {
+    if (subcommand === 'view') {
+      await handleView(interaction);
+    } else {
+      if (!isSupabaseBackend()) {
+        throw new Error('Saved settings need the Supabase storage backend. Edit config.js instead.');
+      }
+
+      if (subcommand === 'set') {
+        await handleSet(interaction);
+      } else if (subcommand === 'reset') {
+        await handleReset(interaction);
+      }
+    }
+
+    // Set cooldown AFTER successful operation
+    setCooldown(interaction.user.id, 'config');
+  } catch (error) {
+    console.error('Error executing config command:', error);
+
+    const errorMessage = error.message || 'An unexpected error occurred.';
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}` });
+    } else {
+      await interaction.reply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}`, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Save new overrides, then apply them and re-register commands if needed
+ * Persisted first so a failed save leaves the running settings untouched
+ * @param {Interaction} interaction - The /config interaction (already deferred)
+ * @param {{points: Object, features: Object}} next - Full overrides after the change
+ * @param {Array<string>} keys - Keys that changed
+ * @returns {Promise<{changes: Array<string>, registers: boolean, reregistered: boolean}>}
+ */
+async function applyOverrides(interaction, next, keys) {
+  const guildId = interaction.guildId;
+  const before = Object.fromEntries(keys.map(key => [key, getSettingValue(guildId, key)]));
+
+  await saveBotSettings(guildId, next, interaction.user.id);
+  setSettingOverrides(guildId, next);
+
+  const changed = keys.filter(key => before[key] !== getSettingValue(guildId, key));
+  const changes = changed.map(key =>
+    `${key}: ${JSON.stringify(before[key])} → ${JSON.stringify(getSettingValue(guildId, key))}`
+  );
+
+  // Option limits (min/max amounts, negative balances) are part of the command definitions
+  const registers = changed.some(key => SETTING_DEFINITIONS[key].registers);
+  let reregistered = false;
+
+  if (registers) {
+    try {
+      await registerGuildCommands(interaction.client, guildId);
+      reregistered = true;
+    } catch (error) {
+      console.error(`Failed to re-register commands for guild ${guildId}:`, error);
+    }
+  }
+
+  if (changes.length > 0) {
+    await sendAuditLog(interaction.client, {
+      guildId,
+      type: 'CONFIG',
+      changes,
+      executor: interaction.user,
+    });
+  }
+
+  return { changes, registers, reregistered };
+}
+
+/**
+ * Build the reply for a saved change
+ * @param {string} title - Reply title
+ * @param {Object} result - Result of applyOverrides()
+ * @returns {string}
+ */
+function describeResult(title, { changes, registers, reregistered }) {
+  let commandsLine = null;
+  if (registers) {
+    commandsLine = reregistered
+      ? '> Slash commands were re-registered with the new limits.'
+      : '> ⚠️ Slash commands could not be re-registered; the new limits apply after the next restart.';
+  }
+
+  return [
+    `⚙️ <:success:1450781525812449280> **${title}**`,
+    ``,
+    changes.length > 0 ? changes.map(change => `• ${change}`).join('\n') : '*Nothing changed*',
+    commandsLine,
+    ``,
+    `────────────────────────────`,
+  ].filter(line => line !== null).join('\n');
+}
+
+/**
+ * Handle /config view
+ */
+async function handleView(interaction) {
+  const guildId = interaction.guildId;
+  const overrides = getSettingOverrides(guildId);
+
+  const lines = Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => {
+    const [section, name] = key.split('.');
+    const source = Object.hasOwn(overrides[section], name) ? '/config' : 'config.js';
+    return `\`${key}\` = **${getSettingValue(guildId, key)}** (${source})\n> ${definition.description}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle('⚙️ Settings')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: isSupabaseBackend() ? 'Change with /config set, undo with /config reset' : 'Saved settings need Supabase' })
+    .setTimestamp();
+
+  await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+/**
+ * Handle /config set
+ */
+async function handleSet(interaction) {
+  const guildId = interaction.guildId;
+  const key = interaction.options.getString('key');
+  const value = parseSettingValue(key, interaction.options.getString('value'));
+  const [section, name] = key.split('.');
+
+  const current = getSettingOverrides(guildId);
+  const next = { ...current, [section]: { ...current[section], [name]: value } };
+
+  // Check the combined result (e.g. min ≤ max) before anything is saved
+  if (section === 'points') {
+    validatePointSettings({ ...getPointSettings(guildId), [name]: value });
+  }
+
+  await interaction.deferReply();
+
+  const result = await applyOverrides(interaction, next, [key]);
+
+  await interaction.editReply(describeResult('SETTING UPDATED', result));
+}
+
+/**
+ * Handle /config reset
+ */
+async function handleReset(interaction) {
+  const guildId = interaction.guildId;
+  const key = interaction.options.getString('key');
+  const current = getSettingOverrides(guildId);
+
+  let next = { points: {}, features: {} };
+  let keys = Object.keys(SETTING_DEFINITIONS);
+
+  if (key) {
+    const [section, name] = key.split('.');
+    const remaining = { ...current[section] };
+    delete remaining[name];
+    next = { ...current, [section]: remaining };
+    keys = [key];
+  }
+
+  // The config.js value coming back must still fit the remaining overrides
+  validatePointSettings({ ...config.points, ...(getGuildConfig(guildId).points || {}), ...next.points });
+
+  await interaction.deferReply();
+
+  const result = await applyOverrides(interaction, next, keys);
+
+  await interaction.editReply(describeResult(key ? 'SETTING RESET' : 'ALL SETTINGS RESET', result));
+}
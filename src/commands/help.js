@@ -26,10 +26,213 @@ const commandCategories = {
         description: 'Remove points (Staff only)',
         example: '`/points remove @User 20 Penalty`'
       },
+      {
+        name: '/points transfer',
+        description: 'Send some of your own points to a colleague',
+        example: '`/points transfer @User 25 Covered my shift`'
+      },
+      {
+        name: '/points bulk',
+        description: 'Add/remove points for a role or many users (Staff only)',
+        example: '`/points bulk action:Add amount:50 reason:"Event" role:@Mods`'
+      },
+      {
+        name: '/points leaderboard',
+        description: 'Staff rankings (all time, week, month, custom range or an ended season)',
+        example: '`/points leaderboard period:This week` or `/points leaderboard season:2`'
+      },
+      {
+        name: '/points revert',
+        description: 'Reverse a transaction by its Ref # (Super Admin only)',
+        example: '`/points revert history_id:1234 reason:"Wrong amount"`'
+      },
+      {
+        name: '/points sync-roles',
+        description: 'Re-apply milestone reward roles to everyone (Staff only)',
+        example: '`/points sync-roles`'
+      },
       {
         name: '/history',
-        description: 'Export transaction history via DM',
-        example: '`/history` or `/history @User`'
+        description: 'Export transaction history via DM (txt, csv, json or html), optionally filtered by date, action, manager or amount',
+        example: '`/history` or `/history @User format:csv from:2026-01-01 to:2026-01-31 action:ADD`'
+      }
+    ]
+  },
+  automation: {
+    title: '🗓️ Automation',
+    description: 'Scheduled grants and chat activity rewards (Staff only)',
+    emoji: '🗓️',
+    commands: [
+      {
+        name: '/schedule create',
+        description: 'One-off, interval or cron schedule for a user or role (UTC)',
+        example: '`/schedule create action:Add amount:100 role:@Staff cron:"0 9 * * 1"`'
+      },
+      {
+        name: '/schedule list',
+        description: 'Show active schedules and their next run',
+        example: '`/schedule list`'
+      },
+      {
+        name: '/schedule cancel',
+        description: 'Stop a schedule by ID',
+        example: '`/schedule cancel id:12`'
+      },
+      {
+        name: '/activity config',
+        description: 'Channels, reward, min length, cooldown and daily cap for chat rewards',
+        example: '`/activity config enabled:True add_channel:#staff-chat daily_cap:30`'
+      },
+      {
+        name: '/activity stats',
+        description: 'Chat reward counters and today\'s top earners',
+        example: '`/activity stats`'
+      }
+    ]
+  },
+  shop: {
+    title: '🛒 Rewards Shop',
+    description: 'Spend points on rewards from the catalog',
+    emoji: '🛒',
+    commands: [
+      {
+        name: '/shop browse',
+        description: 'View rewards and redeem one from the menu',
+        example: '`/shop browse`'
+      },
+      {
+        name: '/shop add',
+        description: 'Add a reward with optional stock, role and limit (Super Admin only)',
+        example: '`/shop add name:"Day off" cost:500 stock:5 limit:1`'
+      },
+      {
+        name: '/shop edit',
+        description: 'Change a reward (Super Admin only)',
+        example: '`/shop edit id:3 cost:400 stock:-1`'
+      },
+      {
+        name: '/shop remove',
+        description: 'Take a reward out of the catalog (Super Admin only)',
+        example: '`/shop remove id:3`'
+      },
+      {
+        name: '/shop tickets',
+        description: 'Redemptions waiting for delivery (Staff only)',
+        example: '`/shop tickets`'
+      },
+      {
+        name: '/shop deliver',
+        description: 'Mark a redemption ticket as delivered (Staff only)',
+        example: '`/shop deliver ticket:12`'
+      }
+    ]
+  },
+  strikes: {
+    title: '⚠️ Strikes',
+    description: 'Warnings ledger kept separate from points (Staff only)',
+    emoji: '⚠️',
+    commands: [
+      {
+        name: '/strike add',
+        description: 'Issue a Minor, Major or Severe strike with an optional expiry',
+        example: '`/strike add @User severity:Minor reason:"Missed shift" expires:2026-12-31`'
+      },
+      {
+        name: '/strike remove',
+        description: 'Remove a strike by its ID',
+        example: '`/strike remove id:7 reason:"Appeal accepted"`'
+      },
+      {
+        name: '/strike list',
+        description: 'Active strikes and their total weight',
+        example: '`/strike list @User include_inactive:True`'
+      },
+      {
+        name: '/strike export',
+        description: 'Export the full strike record via DM',
+        example: '`/strike export @User`'
+      }
+    ]
+  },
+  admin: {
+    title: '🛡️ Super Admin',
+    description: 'Emergency overrides - every use is audit-logged with a reason',
+    emoji: '🛡️',
+    commands: [
+      {
+        name: '/admin set-balance',
+        description: 'Set an exact balance (recorded as ADJUST)',
+        example: '`/admin set-balance @User 500 reason:"Data fix"`'
+      },
+      {
+        name: '/admin freeze',
+        description: 'Lock an account so points cannot change',
+        example: '`/admin freeze @User reason:"Under review"`'
+      },
+      {
+        name: '/admin unfreeze',
+        description: 'Unlock a frozen account',
+        example: '`/admin unfreeze @User reason:"Review complete"`'
+      },
+      {
+        name: '/admin permissions grant',
+        description: 'Give a user or role manager/super admin access, optionally until a date',
+        example: '`/admin permissions grant level:Point Manager role:@Mods reason:"Event week" expires:2026-12-31`'
+      },
+      {
+        name: '/admin permissions revoke',
+        description: 'Remove granted access (config.js entries stay)',
+        example: '`/admin permissions revoke level:Point Manager user:@User reason:"Left team"`'
+      },
+      {
+        name: '/admin permissions list',
+        description: 'Everyone with access, from config.js and grants',
+        example: '`/admin permissions list`'
+      },
+      {
+        name: '/config view',
+        description: 'Point limits and feature flags, and where each value comes from',
+        example: '`/config view`'
+      },
+      {
+        name: '/config set',
+        description: 'Override a setting (limit changes re-register commands)',
+        example: '`/config set key:points.maxAmount value:5000`'
+      },
+      {
+        name: '/config reset',
+        description: 'Go back to the config.js value for one or all settings',
+        example: '`/config reset key:points.maxAmount`'
+      },
+      {
+        name: '/stats managers',
+        description: 'Points added/removed per manager, top reasons and top recipient share',
+        example: '`/stats managers period:This month`'
+      },
+      {
+        name: '/stats user',
+        description: 'Who gave and took points from a staff member',
+        example: '`/stats user @User period:All time`'
+      },
+      {
+        name: '/season start',
+        description: 'Start a named leaderboard season',
+        example: '`/season start name:"Winter 2026"`'
+      },
+      {
+        name: '/season end',
+        description: 'Archive the final standings and reset balances (SEASON_RESET)',
+        example: '`/season end carry_over:25`'
+      },
+      {
+        name: '/season list',
+        description: 'All seasons with their dates and carry-over',
+        example: '`/season list`'
+      },
+      {
+        name: '/season view',
+        description: 'A season\'s details and top 10',
+        example: '`/season view id:2`'
       }
     ]
   },
@@ -50,7 +253,7 @@ const commandCategories = {
       },
       {
         name: '/pro view',
-        description: 'View profile card (points: owner only)',
+        description: 'View profile card (points: owner only, strikes: staff only)',
         example: '`/pro view` or `/pro view @User`'
       }
     ]
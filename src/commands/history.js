@@ -1,7 +1,10 @@
 import { SlashCommandBuilder, AttachmentBuilder } from 'discord.js';
-import { getPointsHistory } from '../services/database.js';
-import { canViewHistory } from '../../config.js';
-import { generateHistoryFile } from '../utils/historyGenerator.js';
+import { getPointsHistory, getBalanceAsOf } from '../services/database.js';
+import { getSeasons } from '../services/seasonService.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { canViewHistory, getFeatureSettings } from '../../config.js';
+import { generateHistoryFile, STATEMENT_FORMATS } from '../utils/historyGenerator.js';
+import { parseUtcDate } from '../utils/periods.js';
 
 export const data = new SlashCommandBuilder()
   .setName('history')
@@ -11,20 +14,117 @@ export const data = new SlashCommandBuilder()
       .setName('user')
       .setDescription('User to view history for (admins only)')
       .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('format')
+      .setDescription('File format (default: txt)')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Text passbook (txt)', value: 'txt' },
+        { name: 'Spreadsheet (csv)', value: 'csv' },
+        { name: 'JSON', value: 'json' },
+        { name: 'Printable page (html)', value: 'html' }
+      )
+  )
+  .addStringOption(option =>
+    option
+      .setName('from')
+      .setDescription('Start date (YYYY-MM-DD UTC)')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('to')
+      .setDescription('End date, inclusive (YYYY-MM-DD UTC)')
+      .setRequired(false)
+  )
+  .addStringOption(option =>
+    option
+      .setName('action')
+      .setDescription('Only additions or removals')
+      .setRequired(false)
+      .addChoices(
+        { name: 'Added', value: 'ADD' },
+        { name: 'Removed', value: 'REMOVE' }
+      )
+  )
+  .addUserOption(option =>
+    option
+      .setName('by')
+      .setDescription('Only changes made by this manager')
+      .setRequired(false)
+  )
+  .addIntegerOption(option =>
+    option
+      .setName('min_amount')
+      .setDescription('Only changes of at least this many points')
+      .setRequired(false)
+      .setMinValue(1)
   );
 
+/**
+ * Read the filter options into getPointsHistory() filters and statement labels
+ * @param {Interaction} interaction - The /history interaction
+ * @returns {{filters: Object, labels: Array<string>}}
+ */
+function resolveFilters(interaction) {
+  const fromRaw = interaction.options.getString('from');
+  const toRaw = interaction.options.getString('to');
+  const actionType = interaction.options.getString('action');
+  const actor = interaction.options.getUser('by');
+  const minAmount = interaction.options.getInteger('min_amount');
+
+  const from = fromRaw ? parseUtcDate(fromRaw) : null;
+  const toDay = toRaw ? parseUtcDate(toRaw) : null;
+
+  if ((fromRaw && !from) || (toRaw && !toDay)) {
+    throw new Error('Invalid date. Use YYYY-MM-DD (UTC).');
+  }
+
+  // "to" is inclusive, so the window ends at the start of the following day
+  const to = toDay ? new Date(toDay.getTime() + 86400000) : null;
+  if (from && to && from >= to) {
+    throw new Error('`from` must be on or before `to`.');
+  }
+
+  const labels = [
+    actionType ? `${actionType} ONLY` : null,
+    actor ? `BY ${actor.username} (${actor.id})` : null,
+    minAmount ? `MIN ${minAmount} POINTS` : null,
+  ].filter(label => label !== null);
+
+  return {
+    filters: { from, to, actionType, actorId: actor?.id || null, minAmount },
+    labels,
+  };
+}
+
 export async function execute(interaction) {
   const executor = interaction.user;
   const targetUser = interaction.options.getUser('user') || executor;
+  const format = interaction.options.getString('format') || 'txt';
 
   // Check permissions
-  if (!canViewHistory(executor.id, targetUser.id)) {
+  if (!canViewHistory(interaction.guildId, executor.id, targetUser.id)) {
     return await interaction.reply({
       content: '<:error:1450781522545086599> **You do not have permission to view this user\'s history.**',
       ephemeral: true,
     });
   }
 
+  let filters, labels;
+  try {
+    ({ filters, labels } = resolveFilters(interaction));
+  } catch (error) {
+    return await interaction.reply({
+      content: `<:error:1450781522545086599> **Error:** ${error.message}`,
+      ephemeral: true,
+    });
+  }
+
+  const filtered = Object.values(filters).some(value => value);
+
   await interaction.deferReply({ ephemeral: true });
 
   // Step 1: Show accessing archives animation
@@ -33,11 +133,13 @@ export async function execute(interaction) {
   try {
     // READ ONLY: Fetch history from points_history table
     // NO writes, NO modifications - database is source of truth
-    const history = await getPointsHistory(targetUser.id);
+    const history = await getPointsHistory(interaction.guildId, targetUser.id, filters);
 
     if (!history || history.length === 0) {
       return await interaction.editReply({
-        content: '<:history:1450781562059751534> **No points history found for this user.**',
+        content: filtered
+          ? '<:history:1450781562059751534> **No points history matches these filters.**'
+          : '<:history:1450781562059751534> **No points history found for this user.**',
       });
     }
 
@@ -45,16 +147,36 @@ export async function execute(interaction) {
     await new Promise(resolve => setTimeout(resolve, 800)); // 800ms delay
     await interaction.editReply('<:history:1450781562059751534> **Compiling statement...**');
 
+    // Seasons are only stored in Supabase - other backends get a statement without separators
+    const seasons = isSupabaseBackend() ? await getSeasons(interaction.guildId) : [];
+
     // Generate history file content
-    const fileContent = await generateHistoryFile(targetUser, history);
+    // Opening and closing balances come from the whole ledger, not just the filtered entries
+    const period = {
+      from: filters.from,
+      to: filters.to,
+      filters: labels,
+      openingBalance: filters.from ? await getBalanceAsOf(interaction.guildId, targetUser.id, filters.from) : 0,
+      closingBalance: await getBalanceAsOf(interaction.guildId, targetUser.id, filters.to),
+    };
+
+    const fileContent = await generateHistoryFile(targetUser, history, { seasons, format, period });
 
-    // Create attachment with proper filename format: Statement_<USERNAME>_<YYYY-MM-DD>.txt
+    // Create attachment with proper filename format: Statement_<USERNAME>_<YYYY-MM-DD>.<ext>
     const dateStr = new Date().toISOString().split('T')[0]; // YYYY-MM-DD
     const attachment = new AttachmentBuilder(
       Buffer.from(fileContent, 'utf-8'),
-      { name: `Statement_${targetUser.username}_${dateStr}.txt` }
+      { name: `Statement_${targetUser.username}_${dateStr}.${STATEMENT_FORMATS[format].extension}` }
     );
 
+    // With DM-only delivery turned off, the statement is attached to the (ephemeral) reply
+    if (!getFeatureSettings(interaction.guildId).dmHistoryOnly) {
+      return await interaction.editReply({
+        content: `📜 **Official Points Statement** for **${targetUser.username}**`,
+        files: [attachment],
+      });
+    }
+
     // Try to send DM
     try {
       await executor.send({
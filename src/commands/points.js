@@ -1,74 +1,231 @@
-import { SlashCommandBuilder } from 'discord.js';
-import { getUserPoints, addPoints, removePoints } from '../services/database.js';
-import { canManagePoints } from '../../config.js';
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { getUserPoints, addPoints, removePoints, transferPoints, getLeaderboard, revertTransaction, getFrozenAccount } from '../services/database.js';
+import { canManagePoints, getScopeDenial, isPointManager, isSuperAdmin, getPointSettings, getGuildConfig } from '../../config.js';
 import { config } from '../../config.js';
 import { sendAuditLog } from '../utils/logger.js';
 import { checkCooldown, setCooldown } from '../utils/cooldown.js';
+import { requiresApproval, submitApprovalRequest } from '../utils/approvalWorkflow.js';
+import { interactionKey, DUPLICATE_NOTICE } from '../utils/idempotency.js';
+import { getDecayPreview } from '../utils/decay.js';
+import { checkBudget, getBudgetStatus, formatBudgetDenial } from '../utils/budgets.js';
+import { applyMilestoneRoles, syncAllMilestoneRoles } from '../utils/roleRewards.js';
+import { getWeeklyVoiceHours } from '../utils/voiceTracker.js';
+import { resolvePeriodRange } from '../utils/periods.js';
+import { checkForAnomalies } from '../utils/anomalyDetection.js';
+import { getSeason, getSeasonStandings } from '../services/seasonService.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { cacheMembers } from '../utils/permissionStore.js';
 
-export const data = new SlashCommandBuilder()
-  .setName('points')
-  .setDescription('Manage staff points')
-  .addSubcommand(subcommand =>
-    subcommand
-      .setName('view')
-      .setDescription('View points for yourself or another user')
-      .addUserOption(option =>
-        option
-          .setName('user')
-          .setDescription('User to check points for (optional)')
-          .setRequired(false)
-      )
-  )
-  .addSubcommand(subcommand =>
-    subcommand
-      .setName('add')
-      .setDescription('Add points to a user')
-      .addUserOption(option =>
-        option
-          .setName('user')
-          .setDescription('User to add points to')
-          .setRequired(true)
-      )
-      .addIntegerOption(option =>
-        option
-          .setName('amount')
-          .setDescription('Amount of points to add')
-          .setRequired(true)
-          .setMinValue(config.points.minAmount)
-          .setMaxValue(config.points.maxAmount)
-      )
-      .addStringOption(option =>
-        option
-          .setName('reason')
-          .setDescription('Reason for points change (optional)')
-          .setRequired(false)
-      )
-  )
-  .addSubcommand(subcommand =>
-    subcommand
-      .setName('remove')
-      .setDescription('Remove points from a user')
-      .addUserOption(option =>
-        option
-          .setName('user')
-          .setDescription('User to remove points from')
-          .setRequired(true)
-      )
-      .addIntegerOption(option =>
-        option
-          .setName('amount')
-          .setDescription('Amount of points to remove')
-          .setRequired(true)
-          .setMinValue(config.points.minAmount)
-          .setMaxValue(config.points.maxAmount)
-      )
-      .addStringOption(option =>
-        option
-          .setName('reason')
-          .setDescription('Reason for points change (optional)')
-          .setRequired(false)
-      )
-  );
+/**
+ * Build the command definition for a server (amount limits come from its settings)
+ * @param {string|null} guildId - Guild ID, or null for the default settings
+ * @returns {SlashCommandBuilder}
+ */
+export function buildData(guildId = null) {
+  const pointSettings = getPointSettings(guildId);
+
+  return new SlashCommandBuilder()
+    .setName('points')
+    .setDescription('Manage staff points')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('view')
+        .setDescription('View points for yourself or another user')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to check points for (optional)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('add')
+        .setDescription('Add points to a user')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to add points to')
+            .setRequired(true)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('amount')
+            .setDescription('Amount of points to add')
+            .setRequired(true)
+            .setMinValue(pointSettings.minAmount)
+            .setMaxValue(pointSettings.maxAmount)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Reason for points change (optional)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('remove')
+        .setDescription('Remove points from a user')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to remove points from')
+            .setRequired(true)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('amount')
+            .setDescription('Amount of points to remove')
+            .setRequired(true)
+            .setMinValue(pointSettings.minAmount)
+            .setMaxValue(pointSettings.maxAmount)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Reason for points change (optional)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('transfer')
+        .setDescription('Send some of your own points to another staff member')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to send points to')
+            .setRequired(true)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('amount')
+            .setDescription('Amount of points to transfer')
+            .setRequired(true)
+            .setMinValue(pointSettings.minAmount)
+            .setMaxValue(pointSettings.maxAmount)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Reason for the transfer (optional)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('bulk')
+        .setDescription('Add or remove points for a whole role or a list of users')
+        .addStringOption(option =>
+          option
+            .setName('action')
+            .setDescription('Add or remove points')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Add', value: 'ADD' },
+              { name: 'Remove', value: 'REMOVE' }
+            )
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('amount')
+            .setDescription('Amount of points per user')
+            .setRequired(true)
+            .setMinValue(pointSettings.minAmount)
+            .setMaxValue(pointSettings.maxAmount)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Reason for points change')
+            .setRequired(true)
+        )
+        .addRoleOption(option =>
+          option
+            .setName('role')
+            .setDescription('Apply to every member of this role')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('users')
+            .setDescription('User mentions, e.g. @A @B @C')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('leaderboard')
+        .setDescription('View staff rankings')
+        .addStringOption(option =>
+          option
+            .setName('period')
+            .setDescription('Ranking period (default: all time)')
+            .setRequired(false)
+            .addChoices(
+              { name: 'All time', value: 'all' },
+              { name: 'This week', value: 'week' },
+              { name: 'This month', value: 'month' },
+              { name: 'Custom range', value: 'custom' }
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('from')
+            .setDescription('Custom range start (YYYY-MM-DD)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('to')
+            .setDescription('Custom range end, inclusive (YYYY-MM-DD)')
+            .setRequired(false)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('season')
+            .setDescription('Final standings of an ended season (ID from /season list)')
+            .setRequired(false)
+            .setMinValue(1)
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('page')
+            .setDescription('Page number to view')
+            .setRequired(false)
+            .setMinValue(1)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('revert')
+        .setDescription('Reverse a specific transaction (Super Admin only)')
+        .addIntegerOption(option =>
+          option
+            .setName('history_id')
+            .setDescription('Ref # of the entry to reverse (shown in /history)')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+        .addStringOption(option =>
+          option
+            .setName('reason')
+            .setDescription('Reason for the reversal (optional)')
+            .setRequired(false)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('sync-roles')
+        .setDescription('Reconcile milestone reward roles for everyone (Staff only)')
+    );
+}
+
+export const data = buildData();
+
+// Leaderboard entries shown per page
+const LEADERBOARD_PAGE_SIZE = 10;
 
 export async function execute(interaction) {
   const subcommand = interaction.options.getSubcommand();
@@ -80,6 +237,16 @@ export async function execute(interaction) {
       await handleAdd(interaction);
     } else if (subcommand === 'remove') {
       await handleRemove(interaction);
+    } else if (subcommand === 'transfer') {
+      await handleTransfer(interaction);
+    } else if (subcommand === 'bulk') {
+      await handleBulk(interaction);
+    } else if (subcommand === 'leaderboard') {
+      await handleLeaderboard(interaction);
+    } else if (subcommand === 'revert') {
+      await handleRevert(interaction);
+    } else if (subcommand === 'sync-roles') {
+      await handleSyncRoles(interaction);
     }
   } catch (error) {
     console.error('Error executing points command:', error);
@@ -108,23 +275,67 @@ async function handleView(interaction) {
   );
 
   // Fetch data with realistic delay
-  const points = await getUserPoints(targetUser.id);
+  const guildId = interaction.guildId;
+  const points = await getUserPoints(guildId, targetUser.id);
+  const frozen = await getFrozenAccount(guildId, targetUser.id);
+  const decayPreview = await getDecayPreview(guildId, targetUser.id, points);
+  // Voice sessions are only stored in Supabase
+  const voiceHours = config.voice.enabled && isSupabaseBackend()
+    ? await getWeeklyVoiceHours(guildId, targetUser.id)
+    : null;
+
+  // Managers viewing themselves also see their remaining budget
+  const budgetStatus = targetUser.id === interaction.user.id && isPointManager(guildId, targetUser.id)
+    ? await getBudgetStatus(guildId, targetUser.id)
+    : null;
   await new Promise(resolve => setTimeout(resolve, 1000)); // 1s delay
 
   const now = Math.floor(Date.now() / 1000); // Discord timestamp
 
   // Step 2: Replace with final premium design
-  const response = [
+  const responseLines = [
     `╔══════════════╗`,
     `║  <:user:1450781532473000006> **STAFF PROFILE**   ║`,
     `╚══════════════╝`,
     ``,
     `<:user:1450781532473000006> **User:** ${targetUser}`,
     `<a:points:1450781567663210506> **Points:** **${points}**`,
+  ];
+
+  if (frozen) {
+    responseLines.push(`🧊 **Account Frozen** since <t:${Math.floor(new Date(frozen.frozen_at).getTime() / 1000)}:R>`);
+  }
+
+  if (voiceHours !== null) {
+    responseLines.push(`🎙️ **Voice this week:** ${voiceHours.toFixed(1)}h`);
+  }
+
+  // Upcoming decay / expirations (only when config.decay is enabled)
+  if (decayPreview.length > 0) {
+    const label = config.decay.mode === 'inactivity' ? 'Decay if inactive' : 'Expiring';
+    responseLines.push(``, `🍂 **${label}:**`);
+    for (const { amount, at } of decayPreview.slice(0, 5)) {
+      responseLines.push(`> -${amount} <t:${Math.floor(at.getTime() / 1000)}:R>`);
+    }
+  }
+
+  if (budgetStatus) {
+    const windows = [
+      ...budgetStatus.add.map(w => `> Add: **${w.remaining}**/${w.limit} left (${w.label})`),
+      ...budgetStatus.remove.map(w => `> Remove: **${w.remaining}**/${w.limit} left (${w.label})`),
+    ];
+    if (windows.length > 0) {
+      responseLines.push(``, `💼 **Manager Budget:**`, ...windows);
+    }
+  }
+
+  responseLines.push(
     ``,
     `-# <a:time:1450781529700565073> **Retrieved:** <t:${now}:F>`,
     `────────────────────────────`
-  ].join('\n');
+  );
+
+  const response = responseLines.join('\n');
 
   await interaction.editReply(response);
 }
@@ -143,16 +354,17 @@ async function handleAdd(interaction) {
   const executorId = executor.id;  // String
   const targetUserId = targetUser.id;  // String
 
-  // Check permissions
-  if (!canManagePoints(executorId, targetUserId)) {
+  // Check permissions (scoped managers are told which scope rule blocked them)
+  if (!canManagePoints(interaction.guildId, executorId, targetUserId, amount)) {
+    const scopeDenial = getScopeDenial(interaction.guildId, executorId, targetUserId, amount);
     return await interaction.reply({
-      content: '<:error:1450781522545086599> **You do not have permission to add points.**',
+      content: `<:error:1450781522545086599> **${scopeDenial || 'You do not have permission to add points.'}**`,
       ephemeral: true,
     });
   }
 
   // Check self-add
-  if (executorId === targetUserId && !config.points.allowSelfAdd) {
+  if (executorId === targetUserId && !getPointSettings(interaction.guildId).allowSelfAdd) {
     return await interaction.reply({
       content: '<:error:1450781522545086599> **You cannot add points to yourself.**',
       ephemeral: true,
@@ -168,6 +380,27 @@ async function handleAdd(interaction) {
     });
   }
 
+  // BUDGET: Per-manager caps, summed from the manager's recent history
+  const budget = await checkBudget(interaction.guildId, executorId, 'ADD', amount);
+  if (!budget.allowed) {
+    return await interaction.reply({
+      content: `<:error:1450781522545086599> **${formatBudgetDenial('ADD', amount, budget)}**`,
+      ephemeral: true,
+    });
+  }
+
+  // TWO-PERSON RULE: Large changes become a pending request for another manager
+  if (requiresApproval(amount)) {
+    await submitApprovalRequest(interaction, {
+      actionType: 'ADD',
+      targetUser,
+      amount,
+      reason: interaction.options.getString('reason') || null,
+    });
+    setCooldown(executorId, 'points_add');
+    return;
+  }
+
   await interaction.deferReply();
 
   // Step 1: Show processing animation
@@ -185,7 +418,15 @@ async function handleAdd(interaction) {
     // Call modify_points RPC - ATOMIC TRANSACTION
     // Database handles: row locking, validation, points update, history insert
     // If ANY step fails, ENTIRE transaction rolls back
-    const { before, after } = await addPoints(targetUserId, executorId, amount, reason);
+    // Keyed by the interaction: a retried or re-delivered command returns the original result
+    const { before, after, duplicate } = await addPoints(
+      interaction.guildId,
+      targetUserId,
+      executorId,
+      amount,
+      reason,
+      interactionKey(interaction)
+    );
 
     // Set cooldown AFTER successful operation
     setCooldown(executorId, 'points_add');
@@ -205,6 +446,10 @@ async function handleAdd(interaction) {
       responseLines.push(`**Reason:** ${reason}`);
     }
 
+    if (duplicate) {
+      responseLines.push(``, DUPLICATE_NOTICE);
+    }
+
     responseLines.push(``, `────────────────────────────`);
 
     const response = responseLines.join('\n');
@@ -213,11 +458,21 @@ async function handleAdd(interaction) {
 
     // Send audit log (async, non-blocking)
     await sendAuditLog(interaction.client, {
+      guildId: interaction.guildId,
       type: 'ADD',
       targetUser,
       amount,
       executor,
+      duplicate,
     });
+
+    // Keep milestone reward roles in sync with the new balance
+    await applyMilestoneRoles(interaction.guild, targetUserId, before, after);
+
+    // Look for suspicious patterns in the manager's recent changes (flags only, never blocks)
+    if (!duplicate) {
+      await checkForAnomalies(interaction.client, interaction.guildId, { managerId: executorId, targetUserId, actionType: 'ADD', amount });
+    }
   } catch (error) {
     console.error('Add points error:', error);
     throw error;
@@ -236,16 +491,17 @@ async function handleRemove(interaction) {
   const executorId = executor.id;  // String
   const targetUserId = targetUser.id;  // String
 
-  // Check permissions
-  if (!canManagePoints(executorId, targetUserId)) {
+  // Check permissions (scoped managers are told which scope rule blocked them)
+  if (!canManagePoints(interaction.guildId, executorId, targetUserId, amount)) {
+    const scopeDenial = getScopeDenial(interaction.guildId, executorId, targetUserId, amount);
     return await interaction.reply({
-      content: '<:error:1450781522545086599> **You do not have permission to remove points.**',
+      content: `<:error:1450781522545086599> **${scopeDenial || 'You do not have permission to remove points.'}**`,
       ephemeral: true,
     });
   }
 
   // Check self-remove
-  if (executorId === targetUserId && !config.points.allowSelfAdd) {
+  if (executorId === targetUserId && !getPointSettings(interaction.guildId).allowSelfAdd) {
     return await interaction.reply({
       content: '<:error:1450781522545086599> **You cannot remove points from yourself.**',
       ephemeral: true,
@@ -261,6 +517,27 @@ async function handleRemove(interaction) {
     });
   }
 
+  // BUDGET: Per-manager caps, summed from the manager's recent history
+  const budget = await checkBudget(interaction.guildId, executorId, 'REMOVE', amount);
+  if (!budget.allowed) {
+    return await interaction.reply({
+      content: `<:error:1450781522545086599> **${formatBudgetDenial('REMOVE', amount, budget)}**`,
+      ephemeral: true,
+    });
+  }
+
+  // TWO-PERSON RULE: Large changes become a pending request for another manager
+  if (requiresApproval(amount)) {
+    await submitApprovalRequest(interaction, {
+      actionType: 'REMOVE',
+      targetUser,
+      amount,
+      reason: interaction.options.getString('reason') || null,
+    });
+    setCooldown(executorId, 'points_remove');
+    return;
+  }
+
   await interaction.deferReply();
 
   // Step 1: Show authorization animation
@@ -277,13 +554,15 @@ async function handleRemove(interaction) {
 
     // Call modify_points RPC - ATOMIC TRANSACTION with negative balance validation
     // Database validates BEFORE any write
-    // Uses config.points.allowNegativeBalance as single source of truth
-    const { before, after } = await removePoints(
+    // Uses the server's allowNegativeBalance setting as single source of truth
+    const { before, after, duplicate } = await removePoints(
+      interaction.guildId,
       targetUserId,
       executorId,
       amount,
-      config.points.allowNegativeBalance,
-      reason
+      getPointSettings(interaction.guildId).allowNegativeBalance,
+      reason,
+      interactionKey(interaction)
     );
 
     // Set cooldown AFTER successful operation
@@ -304,6 +583,10 @@ async function handleRemove(interaction) {
       responseLines.push(`**Reason:** ${reason}`);
     }
 
+    if (duplicate) {
+      responseLines.push(``, DUPLICATE_NOTICE);
+    }
+
     responseLines.push(``, `────────────────────────────`);
 
     const response = responseLines.join('\n');
@@ -312,11 +595,21 @@ async function handleRemove(interaction) {
 
     // Send audit log (async, non-blocking)
     await sendAuditLog(interaction.client, {
+      guildId: interaction.guildId,
       type: 'REMOVE',
       targetUser,
       amount,
       executor,
+      duplicate,
     });
+
+    // Keep milestone reward roles in sync with the new balance
+    await applyMilestoneRoles(interaction.guild, targetUserId, before, after);
+
+    // Look for suspicious patterns in the manager's recent changes (flags only, never blocks)
+    if (!duplicate) {
+      await checkForAnomalies(interaction.client, interaction.guildId, { managerId: executorId, targetUserId, actionType: 'REMOVE', amount });
+    }
   } catch (error) {
     console.error('Remove points error:', error);
     
@@ -328,3 +621,648 @@ async function handleRemove(interaction) {
     throw error;
   }
 }
+
+/**
+ * Handle /points transfer with cooldown protection
+ * Any staff member can send part of their OWN balance to a colleague
+ */
+async function handleTransfer(interaction) {
+  const sender = interaction.user;
+  const recipient = interaction.options.getUser('user');
+  const amount = interaction.options.getInteger('amount');
+
+  // CRITICAL: Discord IDs are kept as strings
+  const senderId = sender.id;  // String
+  const recipientId = recipient.id;  // String
+
+  // Check self-transfer
+  if (senderId === recipientId) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **You cannot transfer points to yourself.**',
+      ephemeral: true,
+    });
+  }
+
+  // Bots don't hold balances
+  if (recipient.bot) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **You cannot transfer points to a bot.**',
+      ephemeral: true,
+    });
+  }
+
+  // RATE LIMIT: Check cooldown (anti-spam protection)
+  const cooldownRemaining = checkCooldown(senderId, 'points_transfer');
+  if (cooldownRemaining > 0) {
+    return await interaction.reply({
+      content: `<:time:1450781529700565073> **Slow down!** Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before using this command again.`,
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply();
+
+  // Step 1: Show processing animation
+  await interaction.editReply(
+    '<a:time:1450781529700565073> **Processing transfer...**\n> Verifying balance & moving points'
+  );
+
+  try {
+    // Get optional reason (null if not provided)
+    const reason = interaction.options.getString('reason') || null;
+
+    // Realistic delay for premium feel
+    await new Promise(resolve => setTimeout(resolve, 1200)); // 1.2s delay
+
+    // Call transfer_points RPC - ATOMIC TRANSACTION
+    // Debits sender and credits recipient together, or not at all
+    // Uses the server's allowNegativeBalance setting as single source of truth
+    const { sender: senderBalance, recipient: recipientBalance, duplicate } = await transferPoints(
+      interaction.guildId,
+      senderId,
+      recipientId,
+      amount,
+      getPointSettings(interaction.guildId).allowNegativeBalance,
+      reason,
+      interactionKey(interaction)
+    );
+
+    // Set cooldown AFTER successful operation
+    setCooldown(senderId, 'points_transfer');
+
+    // Step 2: Replace with success design
+    const responseLines = [
+      `🔁 <:success:1450781525812449280> **POINTS TRANSFERRED**`,
+      ``,
+      `**From:** ${sender} (${senderBalance.before} → ${senderBalance.after})`,
+      `**To:** ${recipient} (${recipientBalance.before} → ${recipientBalance.after})`,
+      `**Amount:** ${amount}`,
+    ];
+
+    // Only show reason if it was provided
+    if (reason) {
+      responseLines.push(`**Reason:** ${reason}`);
+    }
+
+    if (duplicate) {
+      responseLines.push(``, DUPLICATE_NOTICE);
+    }
+
+    responseLines.push(``, `────────────────────────────`);
+
+    await interaction.editReply(responseLines.join('\n'));
+
+    // Send audit log (async, non-blocking)
+    await sendAuditLog(interaction.client, {
+      guildId: interaction.guildId,
+      type: 'TRANSFER',
+      targetUser: recipient,
+      amount,
+      executor: sender,
+      duplicate,
+    });
+
+    // Both balances changed, so both members' milestone roles may need updating
+    await applyMilestoneRoles(interaction.guild, senderId, senderBalance.before, senderBalance.after);
+    await applyMilestoneRoles(interaction.guild, recipientId, recipientBalance.before, recipientBalance.after);
+  } catch (error) {
+    console.error('Transfer points error:', error);
+
+    // Map database errors to user-friendly messages
+    if (error.message && error.message.includes('Insufficient points')) {
+      throw new Error(`Cannot transfer ${amount} points. You have insufficient balance.`);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Collect bulk targets from a role and/or a list of mentions
+ * @param {Interaction} interaction - Chat input interaction
+ * @returns {Promise<Array<User>>} Unique, non-bot target users
+ */
+async function resolveBulkTargets(interaction) {
+  const role = interaction.options.getRole('role');
+  const usersRaw = interaction.options.getString('users');
+  const targets = new Map();
+
+  if (role) {
+    // Role member lists are only complete after a full member fetch
+    await interaction.guild.members.fetch();
+    const fullRole = interaction.guild.roles.cache.get(role.id);
+    for (const member of fullRole?.members.values() ?? []) {
+      if (!member.user.bot) targets.set(member.id, member.user);
+    }
+  }
+
+  if (usersRaw) {
+    // Accept <@id>, <@!id> and raw IDs - IDs stay as strings
+    const ids = [...usersRaw.matchAll(/<@!?(\d{17,20})>|\b(\d{17,20})\b/g)].map(m => m[1] || m[2]);
+
+    // Scope checks read the members' roles, so load them as members in one request
+    await cacheMembers(interaction.client, interaction.guildId, ids);
+
+    for (const id of ids) {
+      if (targets.has(id)) continue;
+      const user = interaction.guild.members.cache.get(id)?.user
+        ?? await interaction.client.users.fetch(id).catch(() => null);
+      if (user && !user.bot) targets.set(id, user);
+    }
+  }
+
+  return [...targets.values()];
+}
+
+/**
+ * Build the bulk progress / summary embed
+ */
+function buildBulkEmbed({ action, amount, results, total, done }) {
+  const succeeded = results.filter(r => r.ok);
+  const failed = results.filter(r => !r.ok);
+  const duplicates = results.filter(r => r.duplicate);
+  const sign = action === 'ADD' ? '+' : '-';
+
+  const lines = results.map(r => r.ok
+    ? `<:success:1450781525812449280> ${r.user} ${r.before} → ${r.after}${r.duplicate ? ' ♻️ already applied' : ''}`
+    : `<:error:1450781522545086599> ${r.user} ${r.error}`
+  );
+
+  // Embed descriptions are capped at 4096 characters
+  let description = '';
+  for (let i = 0; i < lines.length; i++) {
+    const remainingNote = `\n…and ${lines.length - i} more`;
+    if (description.length + lines[i].length + remainingNote.length + 1 > 4000) {
+      description += remainingNote;
+      break;
+    }
+    description += (description ? '\n' : '') + lines[i];
+  }
+
+  return new EmbedBuilder()
+    .setColor(!done ? 0x5865F2 : failed.length === 0 ? 0x00FF00 : 0xFFA500)
+    .setTitle(done ? `📦 Bulk ${action === 'ADD' ? 'Grant' : 'Deduction'} Complete` : '📦 Processing Bulk Update...')
+    .setDescription(description || '*Starting...*')
+    .addFields(
+      { name: 'Amount', value: `${sign}${amount} each`, inline: true },
+      { name: 'Progress', value: `${results.length}/${total}`, inline: true },
+      { name: 'Result', value: `✅ ${succeeded.length} • ❌ ${failed.length}${duplicates.length > 0 ? ` • ♻️ ${duplicates.length}` : ''}`, inline: true }
+    )
+    .setTimestamp();
+}
+
+/**
+ * Handle /points bulk
+ * Applies modify_points to each target independently - one failure never stops the rest
+ */
+async function handleBulk(interaction) {
+  const executor = interaction.user;
+  const executorId = executor.id;  // String
+  const action = interaction.options.getString('action');
+  const amount = interaction.options.getInteger('amount');
+  const reason = interaction.options.getString('reason');
+  const role = interaction.options.getRole('role');
+
+  // Check permissions
+  if (!isPointManager(interaction.guildId, executorId)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **You do not have permission to manage points.**',
+      ephemeral: true,
+    });
+  }
+
+  // Bulk runs can't go through the two-person workflow, so large amounts are refused outright
+  if (requiresApproval(amount)) {
+    return await interaction.reply({
+      content: `<:error:1450781522545086599> **Bulk changes are limited to ${config.approvals.threshold} points per user.** Larger amounts need approval via \`/points ${action === 'ADD' ? 'add' : 'remove'}\`.`,
+      ephemeral: true,
+    });
+  }
+
+  if (!role && !interaction.options.getString('users')) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **Provide a role, a list of users, or both.**',
+      ephemeral: true,
+    });
+  }
+
+  // RATE LIMIT: Check cooldown (anti-spam protection)
+  const cooldownRemaining = checkCooldown(executorId, 'points_bulk');
+  if (cooldownRemaining > 0) {
+    return await interaction.reply({
+      content: `<:time:1450781529700565073> **Slow down!** Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before using this command again.`,
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply();
+
+  const targets = await resolveBulkTargets(interaction);
+
+  if (targets.length === 0) {
+    return await interaction.editReply('<:error:1450781522545086599> **No valid users found to update.**');
+  }
+
+  const { bulkMaxTargets, allowNegativeBalance } = getPointSettings(interaction.guildId);
+  if (targets.length > bulkMaxTargets) {
+    return await interaction.editReply(
+      `<:error:1450781522545086599> **Too many users (${targets.length}).** Bulk updates are limited to ${bulkMaxTargets} users.`
+    );
+  }
+
+  // BUDGET: The whole run counts against the manager's budget
+  const budget = await checkBudget(interaction.guildId, executorId, action, amount * targets.length);
+  if (!budget.allowed) {
+    return await interaction.editReply(
+      `<:error:1450781522545086599> **${formatBudgetDenial(action, amount * targets.length, budget)}**`
+    );
+  }
+
+  const results = [];
+  await interaction.editReply({ content: '', embeds: [buildBulkEmbed({ action, amount, results, total: targets.length, done: false })] });
+
+  for (const targetUser of targets) {
+    // Same per-user rules as /points add and /points remove
+    if (!canManagePoints(interaction.guildId, executorId, targetUser.id, amount)) {
+      const scopeDenial = getScopeDenial(interaction.guildId, executorId, targetUser.id, amount);
+      results.push({ user: targetUser, ok: false, error: scopeDenial || 'Not permitted' });
+      continue;
+    }
+
+    try {
+      // One key per target, so a retried run only fills in the users that were missed
+      const key = interactionKey(interaction, targetUser.id);
+      const { before, after, duplicate } = action === 'ADD'
+        ? await addPoints(interaction.guildId, targetUser.id, executorId, amount, reason, key)
+        : await removePoints(interaction.guildId, targetUser.id, executorId, amount, allowNegativeBalance, reason, key);
+      results.push({ user: targetUser, ok: true, before, after, duplicate });
+      await applyMilestoneRoles(interaction.guild, targetUser.id, before, after);
+
+      if (!duplicate) {
+        await checkForAnomalies(interaction.client, interaction.guildId, { managerId: executorId, targetUserId: targetUser.id, actionType: action, amount });
+      }
+    } catch (error) {
+      const message = error.message && error.message.includes('Insufficient points')
+        ? 'Insufficient balance'
+        : (error.message || 'Failed');
+      results.push({ user: targetUser, ok: false, error: message });
+    }
+
+    // Refresh progress every 5 users to stay clear of edit rate limits
+    if (results.length % 5 === 0 && results.length < targets.length) {
+      await interaction.editReply({ embeds: [buildBulkEmbed({ action, amount, results, total: targets.length, done: false })] }).catch(() => {});
+    }
+  }
+
+  // Set cooldown AFTER the run completes
+  setCooldown(executorId, 'points_bulk');
+
+  await interaction.editReply({ embeds: [buildBulkEmbed({ action, amount, results, total: targets.length, done: true })] });
+
+  // ONE consolidated audit log entry instead of N messages
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'BULK',
+    action,
+    amount,
+    executor,
+    role,
+    succeeded: results.filter(r => r.ok).map(r => r.user),
+    failedCount: results.filter(r => !r.ok).length,
+    duplicateCount: results.filter(r => r.duplicate).length,
+  });
+}
+
+/**
+ * Build a leaderboard page embed
+ */
+function buildLeaderboardEmbed(entries, page, totalPages, label, callerId) {
+  const medals = ['🥇', '🥈', '🥉'];
+  const start = (page - 1) * LEADERBOARD_PAGE_SIZE;
+
+  const lines = entries.slice(start, start + LEADERBOARD_PAGE_SIZE).map((entry, index) => {
+    const rank = start + index + 1;
+    const prefix = medals[rank - 1] || `\`#${rank}\``;
+    const line = `${prefix} <@${entry.userId}> — **${entry.points}** pts`;
+    return entry.userId === callerId ? `➤ __${line}__` : line;
+  });
+
+  // Always show the caller's own standing, even when it's on another page
+  const callerIndex = entries.findIndex(entry => entry.userId === callerId);
+  const callerValue = callerIndex === -1
+    ? '*Not ranked for this period*'
+    : `**#${callerIndex + 1}** of ${entries.length} • **${entries[callerIndex].points}** pts • Page ${Math.floor(callerIndex / LEADERBOARD_PAGE_SIZE) + 1}`;
+
+  return new EmbedBuilder()
+    .setColor(0xFFD700)
+    .setTitle(`🏆 Staff Leaderboard — ${label}`)
+    .setDescription(lines.join('\n'))
+    .addFields({ name: '📍 Your Rank', value: callerValue })
+    .setFooter({ text: `Page ${page} / ${totalPages}${totalPages > 1 ? ' • Use buttons below to navigate' : ''}` })
+    .setTimestamp();
+}
+
+/**
+ * Generate leaderboard navigation buttons (same layout as /update)
+ */
+function generateLeaderboardButtons(currentPage, totalPages) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId('lb_first')
+      .setEmoji('⏮️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage === 1),
+    new ButtonBuilder()
+      .setCustomId('lb_prev')
+      .setEmoji('◀️')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(currentPage === 1),
+    new ButtonBuilder()
+      .setCustomId('lb_page')
+      .setLabel(`${currentPage} / ${totalPages}`)
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(true),
+    new ButtonBuilder()
+      .setCustomId('lb_next')
+      .setEmoji('▶️')
+      .setStyle(ButtonStyle.Primary)
+      .setDisabled(currentPage === totalPages),
+    new ButtonBuilder()
+      .setCustomId('lb_last')
+      .setEmoji('⏭️')
+      .setStyle(ButtonStyle.Secondary)
+      .setDisabled(currentPage === totalPages)
+  );
+}
+
+/**
+ * Handle /points leaderboard
+ */
+async function handleLeaderboard(interaction) {
+  const seasonId = interaction.options.getInteger('season');
+
+  if (seasonId) {
+    return await handleSeasonLeaderboard(interaction, seasonId);
+  }
+
+  const period = interaction.options.getString('period') || 'all';
+  const { range, label } = resolvePeriodRange(
+    period,
+    interaction.options.getString('from'),
+    interaction.options.getString('to')
+  );
+
+  await interaction.deferReply();
+
+  // READ ONLY: staff_points for all-time, points_history net deltas for windows
+  const entries = await getLeaderboard(interaction.guildId, range);
+
+  await sendLeaderboard(interaction, entries, label, 'No point activity for this period yet.');
+}
+
+/**
+ * Handle /points leaderboard season:<id> - the archived final standings
+ */
+async function handleSeasonLeaderboard(interaction, seasonId) {
+  if (interaction.options.getString('period') || interaction.options.getString('from') || interaction.options.getString('to')) {
+    throw new Error('`season` can\'t be combined with `period`, `from` or `to`.');
+  }
+
+  if (!isSupabaseBackend()) {
+    throw new Error('Seasons need the Supabase storage backend.');
+  }
+
+  const season = await getSeason(interaction.guildId, seasonId);
+
+  if (!season) {
+    throw new Error(`Season #${seasonId} not found.`);
+  }
+
+  if (season.status !== 'ENDED') {
+    throw new Error(`Season #${seasonId} is still running - its standings are the all-time leaderboard.`);
+  }
+
+  await interaction.deferReply();
+
+  // READ ONLY: standings archived by end_season()
+  const entries = await getSeasonStandings(interaction.guildId, seasonId);
+
+  await sendLeaderboard(interaction, entries, `Season #${season.id}: ${season.name}`, 'Nobody had points when this season ended.');
+}
+
+/**
+ * Render a ranked leaderboard with page buttons
+ * @param {Interaction} interaction - Deferred interaction
+ * @param {Array<{userId: string, points: number}>} entries - Highest first
+ * @param {string} label - Shown in the title
+ * @param {string} emptyText - Shown when there are no entries
+ */
+async function sendLeaderboard(interaction, entries, label, emptyText) {
+  if (entries.length === 0) {
+    const emptyEmbed = new EmbedBuilder()
+      .setColor(0xFFA500)
+      .setTitle(`🏆 Staff Leaderboard — ${label}`)
+      .setDescription(emptyText)
+      .setTimestamp();
+
+    return await interaction.editReply({ embeds: [emptyEmbed] });
+  }
+
+  const callerId = interaction.user.id;
+  const totalPages = Math.ceil(entries.length / LEADERBOARD_PAGE_SIZE);
+  let currentPage = Math.min(interaction.options.getInteger('page') || 1, totalPages);
+
+  const render = () => {
+    const embed = buildLeaderboardEmbed(entries, currentPage, totalPages, label, callerId);
+    return totalPages > 1
+      ? { embeds: [embed], components: [generateLeaderboardButtons(currentPage, totalPages)] }
+      : { embeds: [embed] };
+  };
+
+  await interaction.editReply(render());
+
+  // Only setup collector if there are multiple pages
+  if (totalPages > 1) {
+    const collector = interaction.channel.createMessageComponentCollector({
+      filter: i => i.user.id === interaction.user.id && i.customId.startsWith('lb_'),
+      time: 300000 // 5 minutes
+    });
+
+    collector.on('collect', async i => {
+      if (i.customId === 'lb_first') {
+        currentPage = 1;
+      } else if (i.customId === 'lb_prev') {
+        currentPage = Math.max(1, currentPage - 1);
+      } else if (i.customId === 'lb_next') {
+        currentPage = Math.min(totalPages, currentPage + 1);
+      } else if (i.customId === 'lb_last') {
+        currentPage = totalPages;
+      }
+
+      await i.update(render());
+    });
+
+    collector.on('end', async () => {
+      try {
+        await interaction.editReply({ components: [] });
+      } catch (error) {
+        // Message might be deleted
+      }
+    });
+  }
+}
+
+/**
+ * Handle /points revert
+ * Super admins only - writes a compensating entry linked to the original
+ */
+async function handleRevert(interaction) {
+  const executor = interaction.user;
+  const executorId = executor.id;  // String
+  const historyId = interaction.options.getInteger('history_id');
+
+  // Check permissions
+  if (!isSuperAdmin(interaction.guildId, executorId)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **Only super admins can revert transactions.**',
+      ephemeral: true,
+    });
+  }
+
+  // RATE LIMIT: Check cooldown (anti-spam protection)
+  const cooldownRemaining = checkCooldown(executorId, 'points_revert');
+  if (cooldownRemaining > 0) {
+    return await interaction.reply({
+      content: `<:time:1450781529700565073> **Slow down!** Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before using this command again.`,
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply();
+
+  // Step 1: Show authorization animation
+  await interaction.editReply(
+    `<:admin:1450781535002427476> **Reversing entry #${historyId}...**\n> Locating original & writing compensation`
+  );
+
+  try {
+    const reason = interaction.options.getString('reason') || null;
+
+    // Call revert_points RPC - ATOMIC TRANSACTION
+    // Database rejects unknown, already-reversed and reversal entries
+    const result = await revertTransaction(
+      interaction.guildId,
+      historyId,
+      executorId,
+      getPointSettings(interaction.guildId).allowNegativeBalance,
+      reason,
+      interactionKey(interaction)
+    );
+
+    // Set cooldown AFTER successful operation
+    setCooldown(executorId, 'points_revert');
+
+    const targetUser = await interaction.client.users.fetch(result.targetUserId).catch(() => null);
+    const sign = result.originalType === 'ADD' ? '-' : '+';
+
+    const responseLines = [
+      `↩️ <:success:1450781525812449280> **TRANSACTION REVERSED**`,
+      ``,
+      `**User:** ${targetUser || `<@${result.targetUserId}>`}`,
+      `**Original:** #${historyId} (${result.originalType} ${result.amount})`,
+      `**Reversal:** #${result.reversalId}`,
+      `**Before:** ${result.before}`,
+      `**Change:** ${sign}${result.amount}`,
+      `**After:** ${result.after}`,
+    ];
+
+    // Only show reason if it was provided
+    if (reason) {
+      responseLines.push(`**Reason:** ${reason}`);
+    }
+
+    if (result.duplicate) {
+      responseLines.push(``, DUPLICATE_NOTICE);
+    }
+
+    responseLines.push(``, `────────────────────────────`);
+
+    await interaction.editReply(responseLines.join('\n'));
+
+    // Send audit log (async, non-blocking)
+    await sendAuditLog(interaction.client, {
+      guildId: interaction.guildId,
+      type: 'REVERT',
+      targetUser: targetUser || `<@${result.targetUserId}>`,
+      amount: result.amount,
+      executor,
+      originalId: historyId,
+      originalType: result.originalType,
+      reversalId: result.reversalId,
+      duplicate: result.duplicate,
+    });
+
+    await applyMilestoneRoles(interaction.guild, result.targetUserId, result.before, result.after);
+  } catch (error) {
+    console.error('Revert transaction error:', error);
+
+    // Map database errors to user-friendly messages
+    if (error.message && error.message.includes('Insufficient points')) {
+      throw new Error(`Cannot revert #${historyId}. User has insufficient balance for the reversal.`);
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Handle /points sync-roles
+ * Reconciles every member's milestone roles (e.g. after thresholds change)
+ */
+async function handleSyncRoles(interaction) {
+  const executor = interaction.user;
+
+  // Check permissions
+  if (!isPointManager(interaction.guildId, executor.id)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **You do not have permission to sync roles.**',
+      ephemeral: true,
+    });
+  }
+
+  if (!config.roleRewards.enabled || !getGuildConfig(interaction.guildId).milestones?.length) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **Milestone role rewards are not configured.**',
+      ephemeral: true,
+    });
+  }
+
+  // RATE LIMIT: Full member sync is expensive
+  const cooldownRemaining = checkCooldown(executor.id, 'points_sync_roles');
+  if (cooldownRemaining > 0) {
+    return await interaction.reply({
+      content: `<:time:1450781529700565073> **Slow down!** Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before using this command again.`,
+      ephemeral: true,
+    });
+  }
+
+  await interaction.deferReply();
+
+  await interaction.editReply(
+    '<a:time:1450781529700565073> **Syncing milestone roles...**\n> Comparing every member against their balance'
+  );
+
+  const { checked, updated, failed } = await syncAllMilestoneRoles(interaction.guild);
+
+  setCooldown(executor.id, 'points_sync_roles');
+
+  await interaction.editReply([
+    `🏅 <:success:1450781525812449280> **MILESTONE ROLES SYNCED**`,
+    ``,
+    `**Members checked:** ${checked}`,
+    `**Updated:** ${updated}`,
+    `**Failed:** ${failed}`,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+}
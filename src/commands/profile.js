@@ -1,6 +1,9 @@
 import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
 import { getUserProfile, createUserProfile, updateUserProfile } from '../services/profileService.js';
-import { getUserPoints } from '../services/database.js';
+import { getUserPoints, getFrozenAccount } from '../services/database.js';
+import { getStrikes, getActiveStrikeWeight } from '../services/strikeService.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { isPointManager } from '../../config.js';
 
 export const data = new SlashCommandBuilder()
   .setName('pro')
@@ -153,7 +156,7 @@ async function handleCreate(interaction) {
   await interaction.deferReply({ ephemeral: true });
 
   // Check if profile already exists
-  const existingProfile = await getUserProfile(userId);
+  const existingProfile = await getUserProfile(interaction.guildId, userId);
   if (existingProfile) {
     const errorEmbed = new EmbedBuilder()
       .setColor(0xFF0000)
@@ -166,7 +169,7 @@ async function handleCreate(interaction) {
 
   try {
     // Create profile
-    const profile = await createUserProfile(userId, {
+    const profile = await createUserProfile(interaction.guildId, userId, {
       displayName,
       age,
       dob,
@@ -241,7 +244,7 @@ async function handleEdit(interaction) {
   await interaction.editReply({ embeds: [loadingEmbed1] });
 
   // Check if profile exists
-  const profile = await getUserProfile(userId);
+  const profile = await getUserProfile(interaction.guildId, userId);
   if (!profile) {
     const errorEmbed = new EmbedBuilder()
       .setColor(0xFF0000)
@@ -297,7 +300,7 @@ async function handleEdit(interaction) {
 
   try {
     // Update profile
-    const updatedProfile = await updateUserProfile(userId, updates);
+    const updatedProfile = await updateUserProfile(interaction.guildId, userId, updates);
 
     await new Promise(resolve => setTimeout(resolve, 500));
 
@@ -366,7 +369,7 @@ async function handleView(interaction) {
   await new Promise(r => setTimeout(r, 400));
 
   // Fetch FRESH profile data (no caching)
-  const profile = await getUserProfile(targetUser.id);
+  const profile = await getUserProfile(interaction.guildId, targetUser.id);
 
   if (!profile) {
     const errorEmbed = new EmbedBuilder()
@@ -404,9 +407,17 @@ async function handleView(interaction) {
 
   // Stats section (fetch fresh points)
   try {
-    const points = await getUserPoints(targetUser.id);
+    const points = await getUserPoints(interaction.guildId, targetUser.id);
+    const frozen = await getFrozenAccount(interaction.guildId, targetUser.id);
+    const frozenLine = frozen ? '\n🧊 **Account Frozen**' : '';
+
     if (isOwnProfile) {
-      profileEmbed.addFields({ name: '⭐ Stats', value: `**Points:** ${points}` });
+      profileEmbed.addFields({ name: '⭐ Stats', value: `**Points:** ${points}${frozenLine}` });
+    } else if (frozen) {
+      profileEmbed.addFields({ 
+        name: '⭐ Stats', 
+        value: `*Points are private and visible only to the profile owner*${frozenLine}` 
+      });
     } else {
       profileEmbed.addFields({ 
         name: '⭐ Stats', 
@@ -423,6 +434,24 @@ async function handleView(interaction) {
     }
   }
 
+  // Strikes section - managers only (the reply is ephemeral, so only they see it)
+  if (isPointManager(interaction.guildId, interaction.user.id) && isSupabaseBackend()) {
+    try {
+      const strikes = await getStrikes(interaction.guildId, targetUser.id);
+      const activeWeight = await getActiveStrikeWeight(interaction.guildId, targetUser.id);
+      const strikesValue = strikes.length > 0
+        ? [
+          `**Active:** ${strikes.length} (weight ${activeWeight})`,
+          ...strikes.slice(0, 3).map(strike => `\`#${strike.id}\` ${strike.severity} — ${strike.reason}`),
+        ].join('\n')
+        : '*No active strikes*';
+
+      profileEmbed.addFields({ name: '⚠️ Strikes (managers only)', value: strikesValue });
+    } catch (error) {
+      console.error('Error fetching strikes:', error);
+    }
+  }
+
   // Footer
   profileEmbed.setFooter({ text: `Profile System • Last updated` })
     .setTimestamp(new Date(profile.updated_at));
@@ -0,0 +1,364 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { createSchedule, getSchedule, getActiveSchedules, cancelSchedule } from '../services/scheduleService.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { config, isPointManager, isSuperAdmin, canManagePoints, getScopeDenial, getPointSettings } from '../../config.js';
+import { sendAuditLog } from '../utils/logger.js';
+import { parseCron, getNextCronRun } from '../utils/cron.js';
+import { parseInterval, describeSchedule, scheduleReason } from '../utils/scheduler.js';
+import { requiresApproval } from '../utils/approvalWorkflow.js';
+import { parseUtcDate } from '../utils/periods.js';
+
+/**
+ * Build the command definition for a server (amount limits come from its settings)
+ * @param {string|null} guildId - Guild ID, or null for the default settings
+ * @returns {SlashCommandBuilder}
+ */
+export function buildData(guildId = null) {
+  const pointSettings = getPointSettings(guildId);
+
+  return new SlashCommandBuilder()
+    .setName('schedule')
+    .setDescription('Scheduled and recurring point grants (Staff only)')
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('create')
+        .setDescription('Schedule a one-off or recurring point change')
+        .addStringOption(option =>
+          option
+            .setName('action')
+            .setDescription('Add or remove points')
+            .setRequired(true)
+            .addChoices(
+              { name: 'Add', value: 'ADD' },
+              { name: 'Remove', value: 'REMOVE' }
+            )
+        )
+        .addIntegerOption(option =>
+          option
+            .setName('amount')
+            .setDescription('Amount of points per run')
+            .setRequired(true)
+            .setMinValue(pointSettings.minAmount)
+            .setMaxValue(pointSettings.maxAmount)
+        )
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('User to apply to')
+            .setRequired(false)
+        )
+        .addRoleOption(option =>
+          option
+            .setName('role')
+            .setDescription('Role whose members to apply to (resolved at each run)')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('start')
+            .setDescription('First run, UTC (YYYY-MM-DD or YYYY-MM-DD HH:MM) - required for one-off')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('every')
+            .setDescription('Repeat interval, e.g. 30m, 12h, 7d, 2w')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('cron')
+            .setDescription('Cron expression in UTC, e.g. "0 9 * * 1" for Mondays 09:00')
+            .setRequired(false)
+        )
+        .addStringOption(option =>
+          option
+            .setName('missed')
+            .setDescription('What to do with runs missed while the bot was offline')
+            .setRequired(false)
+            .addChoices(
+              { name: 'Run once (default)', value: 'RUN_ONCE' },
+              { name: 'Catch up every missed run', value: 'CATCH_UP' },
+              { name: 'Skip missed runs', value: 'SKIP' }
+            )
+        )
+        .addStringOption(option =>
+          option
+            .setName('note')
+            .setDescription('Internal note (optional)')
+            .setRequired(false)
+            .setMaxLength(200)
+        )
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('list')
+        .setDescription('List active schedules')
+    )
+    .addSubcommand(subcommand =>
+      subcommand
+        .setName('cancel')
+        .setDescription('Cancel a schedule')
+        .addIntegerOption(option =>
+          option
+            .setName('id')
+            .setDescription('Schedule ID')
+            .setRequired(true)
+            .setMinValue(1)
+        )
+    );
+}
+
+export const data = buildData();
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    // Check permissions
+    if (!isPointManager(interaction.guildId, interaction.user.id)) {
+      return await interaction.reply({
+        content: '<:error:1450781522545086599> **You do not have permission to manage schedules.**',
+        ephemeral: true,
+      });
+    }
+
+    if (!isSupabaseBackend()) {
+      throw new Error('Schedules need the Supabase storage backend.');
+    }
+
+    if (subcommand === 'create') {
+      await handleCreate(interaction);
+    } else if (subcommand === 'list') {
+      await handleList(interaction);
+    } else if (subcommand === 'cancel') {
+      await handleCancel(interaction);
+    }
+  } catch (error) {
+    console.error('Error executing schedule command:', error);
+
+    const errorMessage = error.message || 'An unexpected error occurred.';
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}` });
+    } else {
+      await interaction.reply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}`, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Parse a UTC start time (YYYY-MM-DD or YYYY-MM-DD HH:MM)
+ * @param {string} value - Start time text
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+function parseStart(value) {
+  const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}))?$/);
+  if (!match || !parseUtcDate(match[1])) return null;
+
+  const date = new Date(`${match[1]}T${match[2] || '00:00'}:00Z`);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Handle /schedule create
+ */
+async function handleCreate(interaction) {
+  const executor = interaction.user;
+  const action = interaction.options.getString('action');
+  const amount = interaction.options.getInteger('amount');
+  const user = interaction.options.getUser('user');
+  const role = interaction.options.getRole('role');
+  const startRaw = interaction.options.getString('start');
+  const everyRaw = interaction.options.getString('every');
+  const cronRaw = interaction.options.getString('cron');
+  const missedPolicy = interaction.options.getString('missed') || 'RUN_ONCE';
+  const note = interaction.options.getString('note') || null;
+
+  // Exactly one target
+  if (!user === !role) {
+    throw new Error('Choose either a `user` or a `role`.');
+  }
+
+  if (user && !canManagePoints(interaction.guildId, executor.id, user.id, amount)) {
+    throw new Error(getScopeDenial(interaction.guildId, executor.id, user.id, amount) || 'You do not have permission to manage points for this user.');
+  }
+
+  // Scheduled runs can't go through the two-person workflow
+  if (requiresApproval(amount)) {
+    throw new Error(`Scheduled changes are limited to ${config.approvals.threshold} points per run.`);
+  }
+
+  if (everyRaw && cronRaw) {
+    throw new Error('Use either `every` or `cron`, not both.');
+  }
+
+  const now = new Date();
+  const start = startRaw ? parseStart(startRaw) : null;
+
+  if (startRaw && !start) {
+    throw new Error('Invalid `start`. Use YYYY-MM-DD or YYYY-MM-DD HH:MM (UTC).');
+  }
+
+  const schedule = {
+    guild_id: interaction.guildId,
+    created_by: executor.id,
+    target_type: user ? 'USER' : 'ROLE',
+    target_id: user ? user.id : role.id,
+    action_type: action,
+    amount,
+    note,
+    missed_policy: missedPolicy,
+  };
+
+  if (everyRaw) {
+    const intervalMinutes = parseInterval(everyRaw);
+    if (!intervalMinutes) {
+      throw new Error('Invalid `every`. Use a number and unit, e.g. 30m, 12h, 7d, 2w.');
+    }
+
+    schedule.schedule_type = 'INTERVAL';
+    schedule.interval_minutes = intervalMinutes;
+    // Without a start, the first run is one interval from now
+    schedule.next_run_at = (start || new Date(now.getTime() + intervalMinutes * 60000)).toISOString();
+  } else if (cronRaw) {
+    try {
+      parseCron(cronRaw);
+    } catch (error) {
+      throw new Error(`Invalid \`cron\`: ${error.message}`);
+    }
+
+    const firstRun = getNextCronRun(cronRaw, start && start > now ? new Date(start.getTime() - 60000) : now);
+    if (!firstRun) {
+      throw new Error('That cron expression never runs.');
+    }
+
+    schedule.schedule_type = 'CRON';
+    schedule.cron_expression = cronRaw.trim();
+    schedule.next_run_at = firstRun.toISOString();
+  } else {
+    if (!start) {
+      throw new Error('One-off schedules need a `start` time.');
+    }
+
+    schedule.schedule_type = 'ONCE';
+    schedule.next_run_at = start.toISOString();
+  }
+
+  if (new Date(schedule.next_run_at) <= now) {
+    throw new Error('The first run must be in the future.');
+  }
+
+  await interaction.deferReply();
+
+  const created = await createSchedule(schedule);
+  const description = describeSchedule(created);
+  const nextRun = Math.floor(new Date(created.next_run_at).getTime() / 1000);
+
+  const responseLines = [
+    `🗓️ <:success:1450781525812449280> **SCHEDULE CREATED**`,
+    ``,
+    `**ID:** #${created.id}`,
+    `**Target:** ${user || role}`,
+    `**Change:** ${action === 'ADD' ? '+' : '-'}${amount}`,
+    `**Timing:** ${description}`,
+    `**Next run:** <t:${nextRun}:F> (<t:${nextRun}:R>)`,
+    `**If missed:** ${missedPolicy.replace('_', ' ').toLowerCase()}`,
+    `**History reason:** \`${scheduleReason(created)}\``,
+  ];
+
+  if (note) {
+    responseLines.push(`**Note:** ${note}`);
+  }
+
+  responseLines.push(``, `────────────────────────────`);
+
+  await interaction.editReply(responseLines.join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'SCHEDULE',
+    event: 'CREATED',
+    schedule: created,
+    description,
+    executor,
+  });
+}
+
+/**
+ * Handle /schedule list
+ */
+async function handleList(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const schedules = await getActiveSchedules(interaction.guildId);
+
+  if (schedules.length === 0) {
+    return await interaction.editReply('🗓️ **No active schedules.**');
+  }
+
+  const lines = schedules.slice(0, 20).map(schedule => {
+    const target = schedule.target_type === 'ROLE' ? `<@&${schedule.target_id}>` : `<@${schedule.target_id}>`;
+    const sign = schedule.action_type === 'ADD' ? '+' : '-';
+    const nextRun = Math.floor(new Date(schedule.next_run_at).getTime() / 1000);
+
+    return [
+      `**#${schedule.id}** ${target} **${sign}${schedule.amount}** • ${describeSchedule(schedule)}`,
+      `> Next: <t:${nextRun}:R> • Runs: ${schedule.run_count} • By <@${schedule.created_by}>${schedule.note ? ` • ${schedule.note}` : ''}`,
+    ].join('\n');
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle('🗓️ Active Schedules')
+    .setDescription(lines.join('\n\n'))
+    .setFooter({ text: schedules.length > 20 ? `Showing 20 of ${schedules.length}` : `${schedules.length} active` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle /schedule cancel
+ */
+async function handleCancel(interaction) {
+  const executor = interaction.user;
+  const scheduleId = interaction.options.getInteger('id');
+
+  const schedule = await getSchedule(interaction.guildId, scheduleId);
+
+  if (!schedule || !schedule.active) {
+    throw new Error(`Schedule #${scheduleId} is not active.`);
+  }
+
+  // Only the creator or a super admin can cancel
+  if (schedule.created_by !== executor.id && !isSuperAdmin(interaction.guildId, executor.id)) {
+    throw new Error('Only the schedule creator or a super admin can cancel it.');
+  }
+
+  await interaction.deferReply();
+
+  const cancelled = await cancelSchedule(interaction.guildId, scheduleId, executor.id);
+
+  if (!cancelled) {
+    throw new Error(`Schedule #${scheduleId} is not active.`);
+  }
+
+  await interaction.editReply([
+    `🗓️ <:success:1450781525812449280> **SCHEDULE CANCELLED**`,
+    ``,
+    `**ID:** #${scheduleId}`,
+    `**Runs completed:** ${cancelled.run_count}`,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'SCHEDULE',
+    event: 'CANCELLED',
+    schedule: cancelled,
+    description: describeSchedule(cancelled),
+    executor,
+  });
+}
@@ -0,0 +1,284 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { startSeason, endSeason, getActiveSeason, getSeason, getSeasons, getSeasonStandings } from '../services/seasonService.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { config, isSuperAdmin } from '../../config.js';
+import { sendAuditLog } from '../utils/logger.js';
+import { checkCooldown, setCooldown } from '../utils/cooldown.js';
+import { syncAllMilestoneRoles } from '../utils/roleRewards.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('season')
+  .setDescription('Leaderboard seasons (Super Admin only)')
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('start')
+      .setDescription('Start a new season')
+      .addStringOption(option =>
+        option
+          .setName('name')
+          .setDescription('Season name, e.g. "Winter 2026"')
+          .setRequired(true)
+          .setMaxLength(50)
+      )
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('end')
+      .setDescription('End the active season: archive the leaderboard and reset balances')
+      .addIntegerOption(option =>
+        option
+          .setName('carry_over')
+          .setDescription(`% of each balance kept into the next season (default: ${Math.round(config.seasons.carryOverRatio * 100)}%)`)
+          .setRequired(false)
+          .setMinValue(0)
+          .setMaxValue(100)
+      )
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('list')
+      .setDescription('List all seasons')
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('view')
+      .setDescription('View a season and its final standings')
+      .addIntegerOption(option =>
+        option
+          .setName('id')
+          .setDescription('Season ID (default: the active season)')
+          .setRequired(false)
+          .setMinValue(1)
+      )
+  );
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  // Seasons reset every balance, so all of it is super admin only
+  if (!isSuperAdmin(interaction.guildId, interaction.user.id)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **Only super admins can manage seasons.**',
+      ephemeral: true,
+    });
+  }
+
+  // RATE LIMIT: Check cooldown (anti-spam protection)
+  const cooldownRemaining = checkCooldown(interaction.user.id, 'season');
+  if (cooldownRemaining > 0) {
+    return await interaction.reply({
+      content: `<:time:1450781529700565073> **Slow down!** Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before using this command again.`,
+      ephemeral: true,
+    });
+  }
+
+  try {
+    if (!isSupabaseBackend()) {
+      throw new Error('Seasons need the Supabase storage backend.');
+    }
+
+    if (subcommand === 'start') {
+      await handleStart(interaction);
+    } else if (subcommand === 'end') {
+      await handleEnd(interaction);
+    } else if (subcommand === 'list') {
+      await handleList(interaction);
+    } else if (subcommand === 'view') {
+      await handleView(interaction);
+    }
+
+    // Set cooldown AFTER successful operation
+    setCooldown(interaction.user.id, 'season');
+  } catch (error) {
+    console.error('Error executing season command:', error);
+
+    const errorMessage = error.message || 'An unexpected error occurred.';
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}` });
+    } else {
+      await interaction.reply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}`, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Format a season's dates as Discord timestamps
+ * @param {Object} season - seasons row
+ * @returns {string}
+ */
+function describeSeasonPeriod(season) {
+  const started = `<t:${Math.floor(new Date(season.started_at).getTime() / 1000)}:d>`;
+  if (!season.ended_at) return `${started} → now`;
+  return `${started} → <t:${Math.floor(new Date(season.ended_at).getTime() / 1000)}:d>`;
+}
+
+/**
+ * Handle /season start
+ */
+async function handleStart(interaction) {
+  const executor = interaction.user;
+  const name = interaction.options.getString('name').trim();
+
+  await interaction.deferReply();
+
+  const season = await startSeason(interaction.guildId, name, executor.id);
+
+  if (!season) {
+    throw new Error('A season is already active. End it with `/season end` first.');
+  }
+
+  await interaction.editReply([
+    `🏁 <:success:1450781525812449280> **SEASON STARTED**`,
+    ``,
+    `**Season:** #${season.id} — ${season.name}`,
+    `**Started:** <t:${Math.floor(new Date(season.started_at).getTime() / 1000)}:F>`,
+    `> Balances carry on as they are. \`/season end\` archives the leaderboard and resets them.`,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'SEASON',
+    event: 'STARTED',
+    season,
+    executor,
+  });
+}
+
+/**
+ * Handle /season end
+ */
+async function handleEnd(interaction) {
+  const executor = interaction.user;
+  const carryOverPercent = interaction.options.getInteger('carry_over');
+  const ratio = carryOverPercent !== null ? carryOverPercent / 100 : config.seasons.carryOverRatio;
+
+  const active = await getActiveSeason(interaction.guildId);
+
+  if (!active) {
+    throw new Error('No season is active. Start one with `/season start`.');
+  }
+
+  await interaction.deferReply();
+
+  await interaction.editReply(
+    '<a:time:1450781529700565073> **Ending season...**\n> Archiving standings and resetting balances'
+  );
+
+  // Call end_season RPC - ATOMIC TRANSACTION, resets recorded as SEASON_RESET
+  const result = await endSeason(interaction.guildId, executor.id, ratio);
+  const season = await getSeason(interaction.guildId, result.seasonId);
+  const standings = await getSeasonStandings(interaction.guildId, result.seasonId);
+  const medals = ['🥇', '🥈', '🥉'];
+
+  const podium = standings.slice(0, 3).map((entry, index) =>
+    `${medals[index]} <@${entry.userId}> — **${entry.points}** pts`
+  );
+
+  await interaction.editReply([
+    `🏁 <:success:1450781525812449280> **SEASON ENDED**`,
+    ``,
+    `**Season:** #${season.id} — ${season.name}`,
+    `**Period:** ${describeSeasonPeriod(season)}`,
+    `**Players archived:** ${result.players}`,
+    `**Carry-over:** ${Math.round(ratio * 100)}% (${result.totalFinal} → ${result.totalCarried} pts in total)`,
+    podium.length > 0 ? `\n${podium.join('\n')}` : null,
+    `> Final standings: \`/points leaderboard season:${season.id}\``,
+    ``,
+    `────────────────────────────`,
+  ].filter(line => line !== null).join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'SEASON',
+    event: 'ENDED',
+    season,
+    players: result.players,
+    ratio,
+    totalFinal: result.totalFinal,
+    totalCarried: result.totalCarried,
+    executor,
+  });
+
+  // Balances dropped, so reward roles may no longer match
+  if (config.roleRewards.enabled) {
+    await syncAllMilestoneRoles(interaction.guild);
+  }
+}
+
+/**
+ * Handle /season list
+ */
+async function handleList(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const seasons = await getSeasons(interaction.guildId);
+
+  if (seasons.length === 0) {
+    return await interaction.editReply('🏁 **No seasons yet.** Start one with `/season start`.');
+  }
+
+  const lines = seasons.slice(0, 20).map(season => {
+    const status = season.status === 'ACTIVE' ? '🟢 Active' : `Ended • ${Math.round(season.carry_over_ratio * 100)}% carried`;
+    return `**#${season.id}** ${season.name} • ${describeSeasonPeriod(season)} • ${status}`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle('🏁 Seasons')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: seasons.length > 20 ? `Showing 20 of ${seasons.length}` : `${seasons.length} season${seasons.length === 1 ? '' : 's'}` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle /season view
+ */
+async function handleView(interaction) {
+  const seasonId = interaction.options.getInteger('id');
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const season = seasonId
+    ? await getSeason(interaction.guildId, seasonId)
+    : await getActiveSeason(interaction.guildId);
+
+  if (!season) {
+    throw new Error(seasonId ? `Season #${seasonId} not found.` : 'No season is active.');
+  }
+
+  const embed = new EmbedBuilder()
+    .setColor(season.status === 'ACTIVE' ? 0x00FF00 : 0xFFD700)
+    .setTitle(`🏁 Season #${season.id} — ${season.name}`)
+    .addFields(
+      { name: 'Status', value: season.status === 'ACTIVE' ? '🟢 Active' : 'Ended', inline: true },
+      { name: 'Period', value: describeSeasonPeriod(season), inline: true },
+      { name: 'Started by', value: `<@${season.started_by}>`, inline: true }
+    )
+    .setTimestamp();
+
+  if (season.status === 'ENDED') {
+    const standings = await getSeasonStandings(interaction.guildId, season.id);
+    const medals = ['🥇', '🥈', '🥉'];
+    const top = standings.slice(0, 10).map((entry, index) =>
+      `${medals[index] || `\`#${index + 1}\``} <@${entry.userId}> — **${entry.points}** pts (kept ${entry.carried})`
+    );
+
+    embed.addFields(
+      { name: 'Ended by', value: `<@${season.ended_by}>`, inline: true },
+      { name: 'Carry-over', value: `${Math.round(season.carry_over_ratio * 100)}%`, inline: true },
+      { name: 'Players', value: String(standings.length), inline: true },
+      { name: 'Final Standings', value: top.length > 0 ? top.join('\n') : '*Nobody had points*' }
+    );
+
+    if (standings.length > 10) {
+      embed.setFooter({ text: `Full standings: /points leaderboard season:${season.id}` });
+    }
+  }
+
+  await interaction.editReply({ embeds: [embed] });
+}
@@ -0,0 +1,594 @@
+import { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, StringSelectMenuBuilder } from 'discord.js';
+import {
+  getRewards,
+  getReward,
+  createReward,
+  updateReward,
+  redeemReward,
+  getPendingRedemptions,
+  markRedemptionDelivered,
+} from '../services/shopService.js';
+import { getUserPoints, getFrozenAccount } from '../services/database.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { interactionKey, DUPLICATE_NOTICE } from '../utils/idempotency.js';
+import { isPointManager, isSuperAdmin } from '../../config.js';
+import { sendAuditLog } from '../utils/logger.js';
+import { checkCooldown, setCooldown } from '../utils/cooldown.js';
+import { applyMilestoneRoles } from '../utils/roleRewards.js';
+
+export const data = new SlashCommandBuilder()
+  .setName('shop')
+  .setDescription('Spend points on rewards')
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('browse')
+      .setDescription('Browse the rewards catalog and redeem')
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('add')
+      .setDescription('Add a reward to the catalog (Super Admin only)')
+      .addStringOption(option =>
+        option
+          .setName('name')
+          .setDescription('Reward name')
+          .setRequired(true)
+          .setMaxLength(80)
+      )
+      .addIntegerOption(option =>
+        option
+          .setName('cost')
+          .setDescription('Cost in points')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+      .addIntegerOption(option =>
+        option
+          .setName('stock')
+          .setDescription('Units available (leave empty for unlimited)')
+          .setRequired(false)
+          .setMinValue(0)
+      )
+      .addRoleOption(option =>
+        option
+          .setName('role')
+          .setDescription('Role granted on redemption')
+          .setRequired(false)
+      )
+      .addIntegerOption(option =>
+        option
+          .setName('limit')
+          .setDescription('Max redemptions per user (leave empty for unlimited)')
+          .setRequired(false)
+          .setMinValue(1)
+      )
+      .addStringOption(option =>
+        option
+          .setName('description')
+          .setDescription('Short description')
+          .setRequired(false)
+          .setMaxLength(100)
+      )
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('edit')
+      .setDescription('Edit a catalog reward (Super Admin only)')
+      .addIntegerOption(option =>
+        option
+          .setName('id')
+          .setDescription('Reward ID')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+      .addStringOption(option =>
+        option
+          .setName('name')
+          .setDescription('New name')
+          .setRequired(false)
+          .setMaxLength(80)
+      )
+      .addIntegerOption(option =>
+        option
+          .setName('cost')
+          .setDescription('New cost in points')
+          .setRequired(false)
+          .setMinValue(1)
+      )
+      .addIntegerOption(option =>
+        option
+          .setName('stock')
+          .setDescription('New stock (-1 = unlimited)')
+          .setRequired(false)
+          .setMinValue(-1)
+      )
+      .addRoleOption(option =>
+        option
+          .setName('role')
+          .setDescription('New role granted on redemption')
+          .setRequired(false)
+      )
+      .addBooleanOption(option =>
+        option
+          .setName('clear_role')
+          .setDescription('Stop granting a role')
+          .setRequired(false)
+      )
+      .addIntegerOption(option =>
+        option
+          .setName('limit')
+          .setDescription('New per-user limit (0 = unlimited)')
+          .setRequired(false)
+          .setMinValue(0)
+      )
+      .addStringOption(option =>
+        option
+          .setName('description')
+          .setDescription('New description')
+          .setRequired(false)
+          .setMaxLength(100)
+      )
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('remove')
+      .setDescription('Remove a reward from the catalog (Super Admin only)')
+      .addIntegerOption(option =>
+        option
+          .setName('id')
+          .setDescription('Reward ID')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('tickets')
+      .setDescription('List redemptions waiting for delivery (Staff only)')
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('deliver')
+      .setDescription('Mark a redemption ticket as delivered (Staff only)')
+      .addIntegerOption(option =>
+        option
+          .setName('ticket')
+          .setDescription('Ticket ID')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+  );
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  try {
+    if (!isSupabaseBackend()) {
+      throw new Error('The rewards shop needs the Supabase storage backend.');
+    }
+
+    if (subcommand === 'browse') {
+      await handleBrowse(interaction);
+    } else if (['add', 'edit', 'remove'].includes(subcommand)) {
+      // Catalog management is super admin only
+      if (!isSuperAdmin(interaction.guildId, interaction.user.id)) {
+        return await interaction.reply({
+          content: '<:error:1450781522545086599> **Only super admins can manage the rewards catalog.**',
+          ephemeral: true,
+        });
+      }
+
+      if (subcommand === 'add') {
+        await handleAdd(interaction);
+      } else if (subcommand === 'edit') {
+        await handleEdit(interaction);
+      } else {
+        await handleRemove(interaction);
+      }
+    } else {
+      // Fulfilment is handled by point managers
+      if (!isPointManager(interaction.guildId, interaction.user.id)) {
+        return await interaction.reply({
+          content: '<:error:1450781522545086599> **Only point managers can handle redemption tickets.**',
+          ephemeral: true,
+        });
+      }
+
+      if (subcommand === 'tickets') {
+        await handleTickets(interaction);
+      } else {
+        await handleDeliver(interaction);
+      }
+    }
+  } catch (error) {
+    console.error('Error executing shop command:', error);
+
+    const errorMessage = error.message || 'An unexpected error occurred.';
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}`, embeds: [], components: [] });
+    } else {
+      await interaction.reply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}`, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Describe stock and limit of a reward
+ * @param {Object} reward - shop_rewards row
+ * @returns {string} e.g. "3 left • 1 per user"
+ */
+function describeAvailability(reward) {
+  const stock = reward.stock === null ? 'Unlimited' : reward.stock === 0 ? 'Out of stock' : `${reward.stock} left`;
+  const limit = reward.per_user_limit === null ? '' : ` • ${reward.per_user_limit} per user`;
+  return `${stock}${limit}`;
+}
+
+/**
+ * Build the catalog embed
+ * @param {Array} rewards - Active shop_rewards rows
+ * @param {number} balance - Viewer's balance
+ * @returns {EmbedBuilder} Formatted embed
+ */
+function buildCatalogEmbed(rewards, balance) {
+  const lines = rewards.slice(0, 25).map(reward => [
+    `**#${reward.id} ${reward.name}** — <a:points:1450781567663210506> **${reward.cost}**`,
+    `> ${describeAvailability(reward)}${reward.role_id ? ` • Grants <@&${reward.role_id}>` : ''}`,
+    reward.description ? `> ${reward.description}` : null,
+  ].filter(line => line !== null).join('\n'));
+
+  return new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle('🛒 Rewards Shop')
+    .setDescription(lines.join('\n\n'))
+    .setFooter({ text: `Your balance: ${balance} points • Pick a reward below to redeem` })
+    .setTimestamp();
+}
+
+/**
+ * Build the redeem select menu (first 25 rewards - Discord's option limit)
+ * @param {Array} rewards - Active shop_rewards rows
+ * @returns {ActionRowBuilder} Select menu row
+ */
+function buildRedeemMenu(rewards) {
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId('shop_redeem')
+    .setPlaceholder('Select a reward to redeem')
+    .addOptions(rewards.slice(0, 25).map(reward => ({
+      label: reward.name,
+      description: `${reward.cost} points • ${describeAvailability(reward)}`.slice(0, 100),
+      value: String(reward.id),
+    })));
+
+  return new ActionRowBuilder().addComponents(menu);
+}
+
+/**
+ * Handle /shop browse
+ */
+async function handleBrowse(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const rewards = await getRewards(interaction.guildId);
+
+  if (rewards.length === 0) {
+    return await interaction.editReply('🛒 **The shop is empty.** Check back later!');
+  }
+
+  const balance = await getUserPoints(interaction.guildId, interaction.user.id);
+
+  await interaction.editReply({
+    embeds: [buildCatalogEmbed(rewards, balance)],
+    components: [buildRedeemMenu(rewards)],
+  });
+
+  const collector = interaction.channel.createMessageComponentCollector({
+    filter: i => i.user.id === interaction.user.id && i.customId === 'shop_redeem',
+    time: 120000 // 2 minutes
+  });
+
+  collector.on('collect', async i => {
+    await i.deferUpdate();
+    collector.stop();
+
+    try {
+      await redeem(interaction, Number(i.values[0]), interactionKey(i));
+    } catch (error) {
+      console.error('Error redeeming reward:', error);
+
+      const errorMessage = error.message && error.message.includes('Insufficient points')
+        ? 'You do not have enough points for this reward.'
+        : (error.message || 'An unexpected error occurred.');
+
+      await interaction.editReply({
+        content: `<:error:1450781522545086599> **Error:** ${errorMessage}`,
+        embeds: [],
+        components: [],
+      });
+    }
+  });
+
+  collector.on('end', async (collected) => {
+    if (collected.size > 0) return;
+
+    try {
+      await interaction.editReply({ components: [] });
+    } catch (error) {
+      // Message might be deleted
+    }
+  });
+}
+
+/**
+ * Redeem a reward for the browsing user
+ * @param {Interaction} interaction - Original /shop browse interaction
+ * @param {number} rewardId - Selected reward ID
+ * @param {string} idempotencyKey - Key from the select menu interaction
+ */
+async function redeem(interaction, rewardId, idempotencyKey) {
+  const buyer = interaction.user;
+
+  // RATE LIMIT: Check cooldown (anti-spam protection)
+  const cooldownRemaining = checkCooldown(buyer.id, 'shop_redeem');
+  if (cooldownRemaining > 0) {
+    throw new Error(`Slow down! Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before redeeming again.`);
+  }
+
+  if (await getFrozenAccount(interaction.guildId, buyer.id)) {
+    throw new Error('Your account is frozen. Rewards cannot be redeemed until a super admin unfreezes it.');
+  }
+
+  await interaction.editReply({
+    content: '🛒 **Processing redemption...**',
+    embeds: [],
+    components: [],
+  });
+
+  // Call redeem_reward RPC - stock, limit and modify_points deduction in ONE transaction
+  const result = await redeemReward(interaction.guildId, rewardId, buyer.id, idempotencyKey);
+
+  setCooldown(buyer.id, 'shop_redeem');
+
+  // Role grant happens after the purchase commits; failure leaves the ticket for a manager
+  let roleGranted = false;
+  if (result.roleId) {
+    try {
+      const member = await interaction.guild.members.fetch(buyer.id);
+      await member.roles.add(result.roleId, `Shop redemption #${result.redemptionId}`);
+      roleGranted = true;
+    } catch (error) {
+      console.error(`Failed to grant shop role for redemption #${result.redemptionId}:`, error.message);
+    }
+  }
+
+  await interaction.editReply([
+    `🛒 <:success:1450781525812449280> **REWARD REDEEMED**`,
+    ``,
+    `**Reward:** ${result.rewardName}`,
+    `**Cost:** -${result.cost}`,
+    `**Balance:** ${result.before} → ${result.after}`,
+    `**Ticket:** #${result.redemptionId}`,
+    result.roleId
+      ? (roleGranted ? `**Role granted:** <@&${result.roleId}>` : `⚠️ **Role could not be granted** - a manager will sort it out.`)
+      : null,
+    `> A manager will mark your ticket as delivered.`,
+    result.duplicate ? `\n${DUPLICATE_NOTICE}` : null,
+    ``,
+    `────────────────────────────`,
+  ].filter(line => line !== null).join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'SHOP',
+    event: 'REDEEMED',
+    targetUser: buyer,
+    executor: buyer,
+    amount: result.cost,
+    details: `${result.rewardName} • Ticket #${result.redemptionId}`,
+    duplicate: result.duplicate,
+  });
+
+  await applyMilestoneRoles(interaction.guild, buyer.id, result.before, result.after);
+}
+
+/**
+ * Handle /shop add
+ */
+async function handleAdd(interaction) {
+  const executor = interaction.user;
+
+  await interaction.deferReply();
+
+  const reward = await createReward(interaction.guildId, {
+    name: interaction.options.getString('name'),
+    description: interaction.options.getString('description'),
+    cost: interaction.options.getInteger('cost'),
+    stock: interaction.options.getInteger('stock'),
+    roleId: interaction.options.getRole('role')?.id,
+    perUserLimit: interaction.options.getInteger('limit'),
+    createdBy: executor.id,
+  });
+
+  await interaction.editReply([
+    `🛒 <:success:1450781525812449280> **REWARD ADDED**`,
+    ``,
+    `**ID:** #${reward.id}`,
+    `**Name:** ${reward.name}`,
+    `**Cost:** ${reward.cost}`,
+    `**Availability:** ${describeAvailability(reward)}`,
+    reward.role_id ? `**Grants:** <@&${reward.role_id}>` : null,
+    ``,
+    `────────────────────────────`,
+  ].filter(line => line !== null).join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'SHOP',
+    event: 'ADDED',
+    executor,
+    amount: reward.cost,
+    details: `#${reward.id} ${reward.name} • ${describeAvailability(reward)}`,
+  });
+}
+
+/**
+ * Handle /shop edit
+ */
+async function handleEdit(interaction) {
+  const executor = interaction.user;
+  const rewardId = interaction.options.getInteger('id');
+
+  const updates = {};
+  const name = interaction.options.getString('name');
+  const description = interaction.options.getString('description');
+  const cost = interaction.options.getInteger('cost');
+  const stock = interaction.options.getInteger('stock');
+  const role = interaction.options.getRole('role');
+  const clearRole = interaction.options.getBoolean('clear_role');
+  const limit = interaction.options.getInteger('limit');
+
+  if (name !== null) updates.name = name;
+  if (description !== null) updates.description = description;
+  if (cost !== null) updates.cost = cost;
+  if (stock !== null) updates.stock = stock === -1 ? null : stock;
+  if (role) updates.roleId = role.id;
+  if (clearRole) updates.roleId = null;
+  if (limit !== null) updates.perUserLimit = limit === 0 ? null : limit;
+
+  if (Object.keys(updates).length === 0) {
+    throw new Error('Nothing to update. Provide at least one field.');
+  }
+
+  await interaction.deferReply();
+
+  const reward = await updateReward(interaction.guildId, rewardId, updates);
+
+  if (!reward) {
+    throw new Error(`Reward #${rewardId} does not exist.`);
+  }
+
+  await interaction.editReply([
+    `🛒 <:success:1450781525812449280> **REWARD UPDATED**`,
+    ``,
+    `**ID:** #${reward.id}`,
+    `**Name:** ${reward.name}`,
+    `**Cost:** ${reward.cost}`,
+    `**Availability:** ${describeAvailability(reward)}`,
+    reward.role_id ? `**Grants:** <@&${reward.role_id}>` : null,
+    reward.active ? null : `> This reward is removed from the catalog.`,
+    ``,
+    `────────────────────────────`,
+  ].filter(line => line !== null).join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'SHOP',
+    event: 'UPDATED',
+    executor,
+    amount: reward.cost,
+    details: `#${reward.id} ${reward.name} • ${describeAvailability(reward)}`,
+  });
+}
+
+/**
+ * Handle /shop remove
+ * Rewards are deactivated, not deleted, so past redemptions keep their reference
+ */
+async function handleRemove(interaction) {
+  const executor = interaction.user;
+  const rewardId = interaction.options.getInteger('id');
+
+  const existing = await getReward(interaction.guildId, rewardId);
+
+  if (!existing || !existing.active) {
+    throw new Error(`Reward #${rewardId} is not in the catalog.`);
+  }
+
+  await interaction.deferReply();
+
+  await updateReward(interaction.guildId, rewardId, { active: false });
+
+  await interaction.editReply([
+    `🛒 <:success:1450781525812449280> **REWARD REMOVED**`,
+    ``,
+    `**ID:** #${existing.id}`,
+    `**Name:** ${existing.name}`,
+    `> Pending tickets for this reward are not affected.`,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'SHOP',
+    event: 'REMOVED',
+    executor,
+    amount: existing.cost,
+    details: `#${existing.id} ${existing.name}`,
+  });
+}
+
+/**
+ * Handle /shop tickets
+ */
+async function handleTickets(interaction) {
+  await interaction.deferReply({ ephemeral: true });
+
+  const tickets = await getPendingRedemptions(interaction.guildId);
+
+  if (tickets.length === 0) {
+    return await interaction.editReply('🎫 **No redemptions waiting for delivery.**');
+  }
+
+  const lines = tickets.slice(0, 20).map(ticket => {
+    const createdAt = Math.floor(new Date(ticket.created_at).getTime() / 1000);
+    return `**#${ticket.id}** <@${ticket.user_id}> • **${ticket.shop_rewards?.name || `Reward #${ticket.reward_id}`}** (${ticket.cost}) • <t:${createdAt}:R>`;
+  });
+
+  const embed = new EmbedBuilder()
+    .setColor(0xFFA500)
+    .setTitle('🎫 Pending Redemptions')
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: tickets.length > 20 ? `Showing 20 of ${tickets.length} • /shop deliver to close` : `${tickets.length} pending • /shop deliver to close` })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle /shop deliver
+ */
+async function handleDeliver(interaction) {
+  const executor = interaction.user;
+  const ticketId = interaction.options.getInteger('ticket');
+
+  await interaction.deferReply();
+
+  const ticket = await markRedemptionDelivered(interaction.guildId, ticketId, executor.id);
+
+  if (!ticket) {
+    throw new Error(`Ticket #${ticketId} does not exist or was already delivered.`);
+  }
+
+  const rewardName = ticket.shop_rewards?.name || `Reward #${ticket.reward_id}`;
+
+  await interaction.editReply([
+    `🎫 <:success:1450781525812449280> **TICKET DELIVERED**`,
+    ``,
+    `**Ticket:** #${ticket.id}`,
+    `**User:** <@${ticket.user_id}>`,
+    `**Reward:** ${rewardName}`,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'SHOP',
+    event: 'DELIVERED',
+    targetUser: `<@${ticket.user_id}>`,
+    executor,
+    amount: ticket.cost,
+    details: `${rewardName} • Ticket #${ticket.id}`,
+  });
+}
@@ -0,0 +1,208 @@
+import { SlashCommandBuilder, EmbedBuilder } from 'discord.js';
+import { getManagerStats, getUserStats } from '../services/database.js';
+import { config, isSuperAdmin } from '../../config.js';
+import { resolvePeriodRange } from '../utils/periods.js';
+
+// Managers / givers shown per report
+const STATS_LIMIT = 10;
+
+/**
+ * Add the shared period options to a subcommand
+ */
+function addPeriodOptions(subcommand) {
+  return subcommand
+    .addStringOption(option =>
+      option
+        .setName('period')
+        .setDescription('Reporting period (default: this month)')
+        .setRequired(false)
+        .addChoices(
+          { name: 'All time', value: 'all' },
+          { name: 'This week', value: 'week' },
+          { name: 'This month', value: 'month' },
+          { name: 'Custom range', value: 'custom' }
+        )
+    )
+    .addStringOption(option =>
+      option
+        .setName('from')
+        .setDescription('Custom range start (YYYY-MM-DD)')
+        .setRequired(false)
+    )
+    .addStringOption(option =>
+      option
+        .setName('to')
+        .setDescription('Custom range end, inclusive (YYYY-MM-DD)')
+        .setRequired(false)
+    );
+}
+
+export const data = new SlashCommandBuilder()
+  .setName('stats')
+  .setDescription('Point activity statistics (Super Admin only)')
+  .addSubcommand(subcommand =>
+    addPeriodOptions(
+      subcommand
+        .setName('managers')
+        .setDescription('Points added and removed by each manager')
+        .addUserOption(option =>
+          option
+            .setName('manager')
+            .setDescription('Only show this manager')
+            .setRequired(false)
+        )
+    )
+  )
+  .addSubcommand(subcommand =>
+    addPeriodOptions(
+      subcommand
+        .setName('user')
+        .setDescription('Who gave and took points from a staff member')
+        .addUserOption(option =>
+          option
+            .setName('user')
+            .setDescription('Staff member to report on')
+            .setRequired(true)
+        )
+    )
+  );
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  if (!isSuperAdmin(interaction.guildId, interaction.user.id)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **Only super admins can view statistics.**',
+      ephemeral: true,
+    });
+  }
+
+  try {
+    if (subcommand === 'managers') {
+      await handleManagers(interaction);
+    } else if (subcommand === 'user') {
+      await handleUser(interaction);
+    }
+  } catch (error) {
+    console.error('Error executing stats command:', error);
+
+    const errorMessage = error.message || 'An unexpected error occurred.';
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}` });
+    } else {
+      await interaction.reply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}`, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Resolve the period options of the interaction
+ */
+function resolveStatsPeriod(interaction) {
+  return resolvePeriodRange(
+    interaction.options.getString('period') || 'month',
+    interaction.options.getString('from'),
+    interaction.options.getString('to')
+  );
+}
+
+/**
+ * Shorten a history reason for display
+ */
+function formatReason(reason) {
+  return reason.length > 40 ? `${reason.substring(0, 39)}…` : reason;
+}
+
+/**
+ * Handle /stats managers
+ */
+async function handleManagers(interaction) {
+  const manager = interaction.options.getUser('manager');
+  const { range, label } = resolveStatsPeriod(interaction);
+
+  await interaction.deferReply({ ephemeral: true });
+
+  // READ ONLY: aggregated from points_history
+  const allStats = await getManagerStats(interaction.guildId, range);
+  const stats = manager ? allStats.filter(entry => entry.managerId === manager.id) : allStats;
+
+  if (stats.length === 0) {
+    return await interaction.editReply(
+      `📊 **No manager activity${manager ? ` for ${manager}` : ''} — ${label}.**`
+    );
+  }
+
+  const blocks = stats.slice(0, STATS_LIMIT).map((entry, index) => {
+    const reasons = entry.topReasons.map(({ reason, count }) => `${formatReason(reason)} (${count})`).join(', ');
+    const share = entry.added > 0 ? Math.round((entry.topRecipientPoints / entry.added) * 100) : 0;
+    const concentration = entry.topRecipientId
+      ? `<@${entry.topRecipientId}> got **${share}%** of grants (${entry.topRecipientPoints} pts)`
+      : 'No grants';
+
+    return [
+      `**${index + 1}.** <@${entry.managerId}> — <:up:1450773420362174605> **+${entry.added}** • <:down:1450773447813632023> **-${entry.removed}**`,
+      `> ${entry.transactions} transaction${entry.transactions === 1 ? '' : 's'} • ${entry.recipients} recipient${entry.recipients === 1 ? '' : 's'}`,
+      `> Top reasons: ${reasons}`,
+      `> Top recipient: ${concentration}`,
+    ].join('\n');
+  });
+
+  const totalAdded = stats.reduce((sum, entry) => sum + entry.added, 0);
+  const totalRemoved = stats.reduce((sum, entry) => sum + entry.removed, 0);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(`📊 Manager Activity — ${label}`)
+    .setDescription(blocks.join('\n\n'))
+    .setFooter({
+      text: `${stats.length > STATS_LIMIT ? `Top ${STATS_LIMIT} of ${stats.length} managers` : `${stats.length} manager${stats.length === 1 ? '' : 's'}`} • +${totalAdded} / -${totalRemoved} in total • Manual changes only`,
+    })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle /stats user
+ */
+async function handleUser(interaction) {
+  const targetUser = interaction.options.getUser('user');
+  const { range, label } = resolveStatsPeriod(interaction);
+
+  await interaction.deferReply({ ephemeral: true });
+
+  // READ ONLY: aggregated from points_history
+  const stats = await getUserStats(interaction.guildId, targetUser.id, range);
+
+  if (stats.length === 0) {
+    return await interaction.editReply(`📊 **Nobody changed ${targetUser}'s points — ${label}.**`);
+  }
+
+  const lines = stats.slice(0, STATS_LIMIT).map(entry => {
+    const actor = entry.actorId === config.systemActorId ? '⚙️ System (automatic)' : `<@${entry.actorId}>`;
+    const lastAt = Math.floor(new Date(entry.lastAt).getTime() / 1000);
+
+    return [
+      `${actor} — <:up:1450773420362174605> **+${entry.added}** • <:down:1450773447813632023> **-${entry.removed}**`,
+      `> ${entry.transactions} transaction${entry.transactions === 1 ? '' : 's'} • Last <t:${lastAt}:R>`,
+    ].join('\n');
+  });
+
+  const totalAdded = stats.reduce((sum, entry) => sum + entry.added, 0);
+  const totalRemoved = stats.reduce((sum, entry) => sum + entry.removed, 0);
+
+  const embed = new EmbedBuilder()
+    .setColor(0x5865F2)
+    .setTitle(`📊 Points Received — ${label}`)
+    .setDescription([`<:user:1450781532473000006> ${targetUser}`, ``, ...lines].join('\n'))
+    .addFields(
+      { name: 'Given', value: `+${totalAdded}`, inline: true },
+      { name: 'Taken', value: `-${totalRemoved}`, inline: true },
+      { name: 'Net', value: `${totalAdded - totalRemoved >= 0 ? '+' : ''}${totalAdded - totalRemoved}`, inline: true }
+    )
+    .setFooter({ text: stats.length > STATS_LIMIT ? `Top ${STATS_LIMIT} of ${stats.length} • Own transfers and purchases excluded` : 'Own transfers and purchases excluded' })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
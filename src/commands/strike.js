@@ -0,0 +1,434 @@
+import { SlashCommandBuilder, EmbedBuilder, AttachmentBuilder } from 'discord.js';
+import { addStrike, removeStrike, getStrike, getStrikes, getActiveStrikeWeight, getStrikeHistory } from '../services/strikeService.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { config, getGuildConfig, getFeatureSettings, isPointManager, canManagePoints } from '../../config.js';
+import { sendAuditLog } from '../utils/logger.js';
+import { checkCooldown, setCooldown } from '../utils/cooldown.js';
+import { parseUtcDate } from '../utils/periods.js';
+import { generateStrikeHistoryFile } from '../utils/historyGenerator.js';
+
+const SEVERITY_EMOJIS = {
+  MINOR: '🟡',
+  MAJOR: '🟠',
+  SEVERE: '🔴',
+};
+
+export const data = new SlashCommandBuilder()
+  .setName('strike')
+  .setDescription('Staff warnings and strikes (Point Managers only)')
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('add')
+      .setDescription('Issue a strike')
+      .addUserOption(option =>
+        option
+          .setName('user')
+          .setDescription('Staff member receiving the strike')
+          .setRequired(true)
+      )
+      .addStringOption(option =>
+        option
+          .setName('severity')
+          .setDescription('How serious the strike is')
+          .setRequired(true)
+          .addChoices(
+            ...Object.entries(config.strikes.severities).map(([severity, { weight }]) => ({
+              name: `${severity.charAt(0)}${severity.slice(1).toLowerCase()} (weight ${weight})`,
+              value: severity,
+            }))
+          )
+      )
+      .addStringOption(option =>
+        option
+          .setName('reason')
+          .setDescription('Why the strike is issued')
+          .setRequired(true)
+          .setMaxLength(200)
+      )
+      .addStringOption(option =>
+        option
+          .setName('expires')
+          .setDescription('Expiry date (YYYY-MM-DD UTC) or "never" (default: from the severity)')
+          .setRequired(false)
+      )
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('remove')
+      .setDescription('Remove a strike')
+      .addIntegerOption(option =>
+        option
+          .setName('id')
+          .setDescription('Strike ID (see /strike list)')
+          .setRequired(true)
+          .setMinValue(1)
+      )
+      .addStringOption(option =>
+        option
+          .setName('reason')
+          .setDescription('Why the strike is removed')
+          .setRequired(true)
+          .setMaxLength(200)
+      )
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('list')
+      .setDescription('List a staff member\'s strikes')
+      .addUserOption(option =>
+        option
+          .setName('user')
+          .setDescription('Staff member')
+          .setRequired(true)
+      )
+      .addBooleanOption(option =>
+        option
+          .setName('include_inactive')
+          .setDescription('Also show removed and expired strikes')
+          .setRequired(false)
+      )
+  )
+  .addSubcommand(subcommand =>
+    subcommand
+      .setName('export')
+      .setDescription('Export a staff member\'s strike record (sent via DM)')
+      .addUserOption(option =>
+        option
+          .setName('user')
+          .setDescription('Staff member')
+          .setRequired(true)
+      )
+  );
+
+export async function execute(interaction) {
+  const subcommand = interaction.options.getSubcommand();
+
+  // Strikes are only visible to managers, never to the staff member themselves
+  if (!isPointManager(interaction.guildId, interaction.user.id)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **You do not have permission to manage strikes.**',
+      ephemeral: true,
+    });
+  }
+
+  // RATE LIMIT: Check cooldown (anti-spam protection)
+  const cooldownRemaining = checkCooldown(interaction.user.id, 'strike');
+  if (cooldownRemaining > 0) {
+    return await interaction.reply({
+      content: `<:time:1450781529700565073> **Slow down!** Please wait ${cooldownRemaining} second${cooldownRemaining > 1 ? 's' : ''} before using this command again.`,
+      ephemeral: true,
+    });
+  }
+
+  try {
+    if (!isSupabaseBackend()) {
+      throw new Error('Strikes need the Supabase storage backend.');
+    }
+
+    if (subcommand === 'add') {
+      await handleAdd(interaction);
+    } else if (subcommand === 'remove') {
+      await handleRemove(interaction);
+    } else if (subcommand === 'list') {
+      await handleList(interaction);
+    } else if (subcommand === 'export') {
+      await handleExport(interaction);
+    }
+
+    // Set cooldown AFTER successful operation
+    setCooldown(interaction.user.id, 'strike');
+  } catch (error) {
+    console.error('Error executing strike command:', error);
+
+    const errorMessage = error.message || 'An unexpected error occurred.';
+
+    if (interaction.deferred || interaction.replied) {
+      await interaction.editReply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}` });
+    } else {
+      await interaction.reply({ content: `<:error:1450781522545086599> **Error:** ${errorMessage}`, ephemeral: true });
+    }
+  }
+}
+
+/**
+ * Resolve the expiry for a new strike
+ * @param {string} severity - MINOR, MAJOR or SEVERE
+ * @param {string|null} raw - The expires option
+ * @returns {Date|null} Expiry, or null for never
+ */
+function resolveExpiry(severity, raw) {
+  if (raw === null) {
+    const { expiryDays } = config.strikes.severities[severity];
+    return expiryDays ? new Date(Date.now() + expiryDays * 86400000) : null;
+  }
+
+  if (raw.trim().toLowerCase() === 'never') return null;
+
+  const date = parseUtcDate(raw.trim());
+
+  if (!date) {
+    throw new Error('Invalid `expires`. Use YYYY-MM-DD or "never".');
+  }
+
+  if (date <= new Date()) {
+    throw new Error('`expires` must be in the future.');
+  }
+
+  return date;
+}
+
+/**
+ * Apply the server's consequences whose count was reached by this strike
+ * Only thresholds crossed now (before < count <= after) fire, so a consequence runs once
+ * @param {Interaction} interaction - The /strike add interaction
+ * @param {string} userId - Discord user ID of the staff member (string)
+ * @param {number} before - Active weight before the strike
+ * @param {number} after - Active weight after the strike
+ * @returns {Promise<Array<string>>} One line per consequence applied
+ */
+async function applyConsequences(interaction, userId, before, after) {
+  const consequences = (getGuildConfig(interaction.guildId)?.strikeConsequences || [])
+    .filter(consequence => before < consequence.count && consequence.count <= after)
+    .sort((a, b) => a.count - b.count);
+
+  const applied = [];
+
+  for (const consequence of consequences) {
+    if (consequence.action === 'FREEZE_GAINS') {
+      // Enforced by addPoints() / transferPoints() while the weight stays at or above the count
+      applied.push(`🧊 Point gains frozen (${consequence.count}+ active weight)`);
+    } else if (consequence.action === 'REMOVE_ROLE') {
+      try {
+        const member = await interaction.guild.members.fetch(userId);
+
+        if (member.roles.cache.has(consequence.roleId)) {
+          await member.roles.remove(consequence.roleId, `Strike consequence (${after} active weight)`);
+          applied.push(`🚫 Removed <@&${consequence.roleId}> (${consequence.count}+ active weight)`);
+        }
+      } catch (error) {
+        console.error(`Failed to remove strike consequence role ${consequence.roleId}:`, error.message);
+        applied.push(`⚠️ Could not remove <@&${consequence.roleId}> — check the bot's role permissions`);
+      }
+    }
+  }
+
+  return applied;
+}
+
+/**
+ * Format a strike for lists
+ * @param {Object} strike - staff_strikes row
+ * @returns {string}
+ */
+function formatStrike(strike) {
+  const issued = `<t:${Math.floor(new Date(strike.issued_at).getTime() / 1000)}:d>`;
+  let status = strike.expires_at
+    ? `expires <t:${Math.floor(new Date(strike.expires_at).getTime() / 1000)}:R>`
+    : 'never expires';
+
+  if (strike.removed_at) {
+    status = `~~removed by <@${strike.removed_by}>~~ — ${strike.removal_reason}`;
+  } else if (strike.expires_at && new Date(strike.expires_at) <= new Date()) {
+    status = 'expired';
+  }
+
+  return `${SEVERITY_EMOJIS[strike.severity]} **#${strike.id}** ${strike.severity} • ${issued} by <@${strike.issued_by}> • ${status}\n> ${strike.reason}`;
+}
+
+/**
+ * Handle /strike add
+ */
+async function handleAdd(interaction) {
+  const executor = interaction.user;
+  const targetUser = interaction.options.getUser('user');
+  const severity = interaction.options.getString('severity');
+  const reason = interaction.options.getString('reason').trim();
+  const expiresAt = resolveExpiry(severity, interaction.options.getString('expires'));
+
+  // Same rules as managing points: no self-strikes, super admins only for other managers
+  if (!canManagePoints(interaction.guildId, executor.id, targetUser.id) || targetUser.id === executor.id) {
+    throw new Error('You cannot issue a strike to this user.');
+  }
+
+  if (targetUser.bot) {
+    throw new Error('Bots cannot receive strikes.');
+  }
+
+  await interaction.deferReply();
+
+  // Call add_strike RPC - ATOMIC TRANSACTION with its strike_history row
+  const { weight } = config.strikes.severities[severity];
+  const result = await addStrike({
+    guildId: interaction.guildId,
+    userId: targetUser.id,
+    issuedBy: executor.id,
+    severity,
+    weight,
+    reason,
+    expiresAt,
+  });
+
+  const consequences = await applyConsequences(interaction, targetUser.id, result.activeBefore, result.activeAfter);
+
+  await interaction.editReply([
+    `${SEVERITY_EMOJIS[severity]} <:success:1450781525812449280> **STRIKE ISSUED**`,
+    ``,
+    `**Strike:** #${result.strikeId} — ${severity} (weight ${weight})`,
+    `**User:** ${targetUser}`,
+    `**Reason:** ${reason}`,
+    `**Expires:** ${expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:D>` : 'Never'}`,
+    `**Active weight:** ${result.activeBefore} → **${result.activeAfter}**`,
+    ...consequences,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'STRIKE',
+    action: 'ADD',
+    strikeId: result.strikeId,
+    severity,
+    reason,
+    expiresAt,
+    activeBefore: result.activeBefore,
+    activeAfter: result.activeAfter,
+    consequences,
+    targetUser,
+    executor,
+  });
+}
+
+/**
+ * Handle /strike remove
+ */
+async function handleRemove(interaction) {
+  const executor = interaction.user;
+  const strikeId = interaction.options.getInteger('id');
+  const reason = interaction.options.getString('reason').trim();
+
+  // Strikes from another server are treated as missing
+  const strike = await getStrike(interaction.guildId, strikeId);
+
+  if (!strike) {
+    throw new Error(`Strike #${strikeId} not found.`);
+  }
+
+  if (!canManagePoints(interaction.guildId, executor.id, strike.user_id) || strike.user_id === executor.id) {
+    throw new Error('You cannot remove strikes from this user.');
+  }
+
+  await interaction.deferReply();
+
+  // Call remove_strike RPC - ATOMIC TRANSACTION with its strike_history row
+  const result = await removeStrike(interaction.guildId, strikeId, executor.id, reason);
+  const targetUser = await interaction.client.users.fetch(result.userId);
+
+  await interaction.editReply([
+    `🧽 <:success:1450781525812449280> **STRIKE REMOVED**`,
+    ``,
+    `**Strike:** #${result.strikeId} — ${result.severity}`,
+    `**User:** ${targetUser}`,
+    `**Reason:** ${reason}`,
+    `**Active weight:** ${result.activeBefore} → **${result.activeAfter}**`,
+    `> Removed roles are not given back automatically.`,
+    ``,
+    `────────────────────────────`,
+  ].join('\n'));
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'STRIKE',
+    action: 'REMOVE',
+    strikeId: result.strikeId,
+    severity: result.severity,
+    reason,
+    activeBefore: result.activeBefore,
+    activeAfter: result.activeAfter,
+    targetUser,
+    executor,
+  });
+}
+
+/**
+ * Handle /strike list
+ */
+async function handleList(interaction) {
+  const targetUser = interaction.options.getUser('user');
+  const includeInactive = interaction.options.getBoolean('include_inactive') || false;
+
+  await interaction.deferReply({ ephemeral: true });
+
+  const strikes = await getStrikes(interaction.guildId, targetUser.id, includeInactive);
+  const activeWeight = await getActiveStrikeWeight(interaction.guildId, targetUser.id);
+
+  const embed = new EmbedBuilder()
+    .setColor(activeWeight > 0 ? 0xFF4500 : 0x00FF00)
+    .setTitle(`⚠️ Strikes — ${targetUser.username}`)
+    .setDescription(strikes.length > 0
+      ? strikes.slice(0, 15).map(formatStrike).join('\n')
+      : `*No ${includeInactive ? '' : 'active '}strikes*`)
+    .addFields({ name: 'Active weight', value: String(activeWeight), inline: true })
+    .setFooter({ text: strikes.length > 15 ? `Showing 15 of ${strikes.length} • Full record: /strike export` : 'Full record: /strike export' })
+    .setTimestamp();
+
+  await interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Handle /strike export
+ */
+async function handleExport(interaction) {
+  const executor = interaction.user;
+  const targetUser = interaction.options.getUser('user');
+
+  await interaction.deferReply({ ephemeral: true });
+  await interaction.editReply('<:history:1450781562059751534> **Accessing archives...**');
+
+  const history = await getStrikeHistory(interaction.guildId, targetUser.id);
+
+  if (history.length === 0) {
+    return await interaction.editReply('<:history:1450781562059751534> **No strike history found for this user.**');
+  }
+
+  const activeWeight = await getActiveStrikeWeight(interaction.guildId, targetUser.id);
+  const fileContent = await generateStrikeHistoryFile(targetUser, history, activeWeight);
+
+  // Filename format: Strikes_<USERNAME>_<YYYY-MM-DD>.txt
+  const dateStr = new Date().toISOString().split('T')[0];
+  const attachment = new AttachmentBuilder(
+    Buffer.from(fileContent, 'utf-8'),
+    { name: `Strikes_${targetUser.username}_${dateStr}.txt` }
+  );
+
+  // With DM-only delivery turned off, the record is attached to the (ephemeral) reply
+  if (!getFeatureSettings(interaction.guildId).dmHistoryOnly) {
+    return await interaction.editReply({
+      content: `⚠️ **Official Strike Record** for **${targetUser.username}**`,
+      files: [attachment],
+    });
+  }
+
+  try {
+    await executor.send({
+      content: `⚠️ **Official Strike Record** for **${targetUser.username}**`,
+      files: [attachment],
+    });
+
+    await interaction.editReply({
+      content: [
+        '### 📨 Strike Record Sent',
+        '> The strike record has been sent to your DMs.'
+      ].join('\n')
+    });
+  } catch (dmError) {
+    console.error('Failed to send DM:', dmError);
+    await interaction.editReply({
+      content: [
+        '### ❌ Delivery Failed',
+        '> **Error:** Cannot send Direct Message',
+        'Please enable DMs and try again.'
+      ].join('\n')
+    });
+  }
+}
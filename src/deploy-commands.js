@@ -3,6 +3,7 @@ import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readdirSync } from 'fs';
+import { getGuildIds } from '../config.js';
 
 dotenv.config();
 
@@ -11,41 +12,46 @@ const __dirname = dirname(__filename);
 
 /**
  * Deploy commands script
- * Run this to register/update slash commands
+ * Run this to register/update slash commands in every allowed server
  */
 async function deploy() {
-  const commands = [];
+  const loaded = [];
   const commandsPath = join(__dirname, 'commands');
   const commandFiles = readdirSync(commandsPath).filter(file => file.endsWith('.js'));
 
-  // Load all command data
+  // Load all command modules
   for (const file of commandFiles) {
     const filePath = join(commandsPath, file);
     const command = await import(`file://${filePath}`);
     
     if ('data' in command) {
-      commands.push(command.data.toJSON());
+      loaded.push(command);
       console.log(`📝 Loaded: ${command.data.name}`);
     }
   }
 
   const rest = new REST().setToken(process.env.DISCORD_TOKEN);
 
-  try {
-    console.log(`\n🔄 Deploying ${commands.length} commands to Discord...`);
-
-    const data = await rest.put(
-      Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
-      { body: commands }
-    );
-
-    console.log(`✅ Successfully deployed ${data.length} commands!\n`);
-    
-    data.forEach(cmd => {
-      console.log(`  - /${cmd.name}`);
-    });
-  } catch (error) {
-    console.error('❌ Error deploying commands:', error);
+  for (const guildId of getGuildIds()) {
+    // Commands with buildData() get that server's point limits
+    const commands = loaded.map(command => (command.buildData ? command.buildData(guildId) : command.data).toJSON());
+
+    try {
+      console.log(`\n🔄 Deploying ${commands.length} commands to guild ${guildId}...`);
+
+      const data = await rest.put(
+        Routes.applicationGuildCommands(process.env.CLIENT_ID, guildId),
+        { body: commands }
+      );
+
+      console.log(`✅ Successfully deployed ${data.length} commands!\n`);
+      
+      data.forEach(cmd => {
+        console.log(`  - /${cmd.name}`);
+      });
+    } catch (error) {
+      console.error(`❌ Error deploying commands to guild ${guildId}:`, error);
+    }
   }
 }
 
@@ -1,10 +1,20 @@
-import { Client, GatewayIntentBits, Collection, REST, Routes } from 'discord.js';
+import { Client, GatewayIntentBits, Collection } from 'discord.js';
 import dotenv from 'dotenv';
 import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import { readdirSync } from 'fs';
 import { checkDatabaseConnection } from './services/database.js';
-import { isAllowedServer } from '../config.js';
+import { storageBackend, isSupabaseBackend } from './services/storage/index.js';
+import { isAllowedServer, getGuildIds } from '../config.js';
+import { handleApprovalButton, startApprovalExpiryJob } from './utils/approvalWorkflow.js';
+import { handleAnomalyButton } from './utils/anomalyDetection.js';
+import { startScheduler } from './utils/scheduler.js';
+import { startDecayJob } from './utils/decay.js';
+import { loadActivitySettings, handleActivityMessage, startActivityFlusher, flushActivity } from './utils/activityRewards.js';
+import { handleVoiceStateUpdate, startVoiceTracker } from './utils/voiceTracker.js';
+import { loadPermissionGrants, trackMemberRoles } from './utils/permissionStore.js';
+import { loadRuntimeSettings } from './utils/runtimeSettings.js';
+import { registerGuildCommands } from './utils/commandRegistry.js';
 
 dotenv.config();
 
@@ -18,6 +28,7 @@ const client = new Client({
     GatewayIntentBits.GuildMembers,
     GatewayIntentBits.GuildMessages,
     GatewayIntentBits.MessageContent,
+    GatewayIntentBits.GuildVoiceStates,
   ],
 });
 
@@ -45,28 +56,16 @@ async function loadCommands() {
 }
 
 /**
- * Register slash commands with Discord
+ * Register slash commands with Discord in every allowed server
+ * Commands with buildData() get that server's point limits
  */
 async function registerCommands() {
-  const commands = [];
-  
-  for (const command of client.commands.values()) {
-    commands.push(command.data.toJSON());
-  }
-
-  const rest = new REST().setToken(process.env.DISCORD_TOKEN);
-
-  try {
-    console.log(`🔄 Refreshing ${commands.length} application (/) commands...`);
-
-    const data = await rest.put(
-      Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
-      { body: commands }
-    );
-
-    console.log(`✅ Successfully registered ${data.length} application commands.`);
-  } catch (error) {
-    console.error('❌ Error registering commands:', error);
+  for (const guildId of getGuildIds()) {
+    try {
+      await registerGuildCommands(client, guildId);
+    } catch (error) {
+      console.error(`❌ Error registering commands for guild ${guildId}:`, error);
+    }
   }
 }
 
@@ -84,6 +83,39 @@ client.on('interactionCreate', async interaction => {
         ephemeral: true
       });
     }
+
+    // Approval buttons must work across restarts, so they're routed here instead of a collector
+    if (interaction.customId.startsWith('approval_')) {
+      try {
+        await handleApprovalButton(interaction);
+      } catch (error) {
+        console.error('Error handling approval button:', error);
+        const errorMessage = { content: '❌ There was an error processing this request.', ephemeral: true };
+        if (interaction.replied || interaction.deferred) {
+          await interaction.followUp(errorMessage).catch(() => {});
+        } else {
+          await interaction.reply(errorMessage).catch(() => {});
+        }
+      }
+      return;
+    }
+
+    // Anomaly review buttons live in the security channel and must also survive restarts
+    if (interaction.customId.startsWith('anomaly_')) {
+      try {
+        await handleAnomalyButton(interaction);
+      } catch (error) {
+        console.error('Error handling anomaly button:', error);
+        const errorMessage = { content: '❌ There was an error processing this flag.', ephemeral: true };
+        if (interaction.replied || interaction.deferred) {
+          await interaction.followUp(errorMessage).catch(() => {});
+        } else {
+          await interaction.reply(errorMessage).catch(() => {});
+        }
+      }
+      return;
+    }
+
     return; // Let the command's collector handle it
   }
 
@@ -95,7 +127,7 @@ client.on('interactionCreate', async interaction => {
       content: [
         '🔒 **Access Denied**',
         '',
-        'This bot is configured to work in a specific server only.',
+        'This bot is configured to work in specific servers only.',
         'Contact the bot administrator for access.',
         '',
         '────────────────────────────'
@@ -149,7 +181,7 @@ client.on('interactionCreate', async interaction => {
 });
 
 /**
- * Secret ping command - Hidden prefix
+ * Message handler - Secret ping command and activity rewards
  * Trigger: >>ping
  */
 client.on('messageCreate', async message => {
@@ -162,7 +194,13 @@ client.on('messageCreate', async message => {
   // Secret prefix: >>
   const secretPrefix = '>>';
   
-  if (!message.content.startsWith(secretPrefix)) return;
+  // Regular messages only count towards activity rewards (stored in Supabase)
+  if (!message.content.startsWith(secretPrefix)) {
+    if (isSupabaseBackend()) {
+      await handleActivityMessage(message);
+    }
+    return;
+  }
 
   const args = message.content.slice(secretPrefix.length).trim().split(/ +/);
   const command = args.shift().toLowerCase();
@@ -195,6 +233,19 @@ client.on('messageCreate', async message => {
   }
 });
 
+/**
+ * Voice time tracking - joins, leaves, moves and self-deafen
+ */
+client.on('voiceStateUpdate', (oldState, newState) => {
+  // SECURITY: Only track allowed servers
+  if (!isAllowedServer(newState.guild.id)) return;
+
+  // Voice sessions are stored in Supabase
+  if (!isSupabaseBackend()) return;
+
+  handleVoiceStateUpdate(oldState, newState);
+});
+
 /**
  * Bot ready event (using clientReady for Discord.js v15 compatibility)
  */
@@ -208,13 +259,43 @@ client.once('clientReady', async () => {
   // Check database connection
   const dbConnected = await checkDatabaseConnection();
   if (dbConnected) {
-    console.log('✅ Database connection successful');
+    console.log(`✅ Database connection successful (${storageBackend} storage)`);
   } else {
     console.error('❌ Database connection failed');
   }
 
+  // Role grants and manager scopes read member roles from the cache
+  trackMemberRoles(client);
+
+  // Granted permissions (config.js arrays always apply on top) and /config overrides,
+  // loaded before registering so command limits use the saved settings
+  if (isSupabaseBackend()) {
+    await loadPermissionGrants();
+    await loadRuntimeSettings();
+  }
+
   // Register commands
   await registerCommands();
+
+  // Apply point decay / expiry (no-op unless config.decay.enabled)
+  startDecayJob(client);
+
+  if (isSupabaseBackend()) {
+    // Expire stale approval requests (including ones that lapsed while offline)
+    startApprovalExpiryJob(client);
+
+    // Run scheduled grants (missed runs are handled per-schedule policy on the first tick)
+    startScheduler(client);
+
+    // Activity rewards: saved /activity config overrides, then batch writes of buffered points
+    await loadActivitySettings();
+    startActivityFlusher(client);
+
+    // Voice tracking: reconcile sessions left open by the last run, then checkpoint periodically
+    await startVoiceTracker(client);
+  } else {
+    console.warn(`⚠️ ${storageBackend} storage: approvals, schedules, the shop, seasons, anomaly flags, strikes, permission grants, activity and voice rewards need Supabase and are disabled`);
+  }
   
   console.log('='.repeat(50));
   console.log('🚀 Bot is ready!');
@@ -262,6 +343,11 @@ process.on('unhandledRejection', error => {
 async function shutdown() {
   console.log('\n' + '='.repeat(50));
   console.log('🛑 Shutting down bot...');
+
+  // Write buffered activity points before exiting
+  if (client.isReady()) {
+    await flushActivity(client).catch(error => console.error('Failed to flush activity points:', error));
+  }
   
   const statusChannelId = process.env.STATUS_CHANNEL_ID;
   if (statusChannelId && client.isReady()) {
@@ -0,0 +1,82 @@
+import { supabase } from './database.js';
+
+// ==========================================
+// ACTIVITY REWARDS STORAGE
+// ==========================================
+// Settings overrides live in activity_settings, one row per server.
+// Earnings are read back from points_history (reason = 'ACTIVITY').
+
+/**
+ * Get a server's saved activity settings overrides
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object>} Saved settings (empty object if none)
+ */
+export async function getActivitySettings(guildId) {
+  try {
+    const { data, error } = await supabase
+      .from('activity_settings')
+      .select('settings')
+      .eq('guild_id', guildId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return {}; // No rows found
+      throw error;
+    }
+
+    return data.settings || {};
+  } catch (error) {
+    console.error('Error fetching activity settings:', error);
+    throw new Error('Failed to fetch activity settings');
+  }
+}
+
+/**
+ * Save a server's activity settings overrides
+ * @param {string} guildId - Guild ID
+ * @param {Object} settings - Full settings object to persist
+ * @param {string} updatedBy - Discord user ID of the manager
+ */
+export async function saveActivitySettings(guildId, settings, updatedBy) {
+  try {
+    const { error } = await supabase
+      .from('activity_settings')
+      .upsert({ guild_id: guildId, settings, updated_by: updatedBy, updated_at: new Date().toISOString() });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error saving activity settings:', error);
+    throw new Error('Failed to save activity settings');
+  }
+}
+
+/**
+ * Get activity rewards credited in a server since a point in time
+ * @param {string} guildId - Guild ID
+ * @param {Date} since - Start of the window
+ * @param {string|null} userId - Limit to one user (string), or null for everyone
+ * @returns {Promise<Array<{userId: string, amount: number}>>} One row per credit
+ */
+export async function getActivityEarnings(guildId, since, userId = null) {
+  try {
+    let query = supabase
+      .from('points_history')
+      .select('user_id:target_user_id::text, amount')
+      .eq('guild_id', guildId)
+      .eq('reason', 'ACTIVITY')
+      .eq('action_type', 'ADD')
+      .gte('created_at', since.toISOString());
+
+    if (userId) {
+      query = query.eq('target_user_id', userId);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+
+    return (data || []).map(row => ({ userId: row.user_id, amount: row.amount }));
+  } catch (error) {
+    console.error('Error fetching activity earnings:', error);
+    throw new Error('Failed to fetch activity earnings');
+  }
+}
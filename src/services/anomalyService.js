@@ -0,0 +1,118 @@
+import { supabase } from './database.js';
+
+// ==========================================
+// ANOMALY FLAG STORAGE
+// ==========================================
+// Flags live in anomaly_flags so reviews survive bot restarts. Only one OPEN flag
+// per (rule, manager, subject) can exist, and reviews are conditional updates
+// (WHERE status = 'OPEN'), so two super admins can't both decide one flag.
+
+/**
+ * Create an open flag
+ * @param {Object} flag - Flag data
+ * @param {string} flag.guildId - Guild ID
+ * @param {string} flag.rule - REPEAT_RECIPIENT, NEAR_THRESHOLD, BURST or RECIPROCAL
+ * @param {string} flag.managerId - Discord user ID of the manager (string)
+ * @param {string} flag.subjectId - Recipient / other manager, '' if none
+ * @param {string} flag.summary - One-line description
+ * @param {Array<number>} flag.historyIds - Supporting points_history IDs
+ * @returns {Promise<Object|null>} Created row, or null if the same pattern is already open
+ */
+export async function createAnomalyFlag({ guildId, rule, managerId, subjectId, summary, historyIds }) {
+  try {
+    const { data, error } = await supabase
+      .from('anomaly_flags')
+      .insert({
+        guild_id: guildId,
+        rule,
+        manager_id: managerId,
+        subject_id: subjectId,
+        summary,
+        history_ids: historyIds,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null; // Already flagged and under review
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error creating anomaly flag:', error);
+    throw new Error('Failed to create anomaly flag');
+  }
+}
+
+/**
+ * Remember where the flag message was posted
+ * @param {number} flagId - Flag ID
+ * @param {string} channelId - Channel ID
+ * @param {string} messageId - Message ID
+ */
+export async function setAnomalyFlagMessage(flagId, channelId, messageId) {
+  try {
+    const { error } = await supabase
+      .from('anomaly_flags')
+      .update({ channel_id: channelId, message_id: messageId })
+      .eq('id', flagId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error saving anomaly flag message:', error);
+  }
+}
+
+/**
+ * Get flag by ID (only if it belongs to the server)
+ * @param {string} guildId - Guild ID
+ * @param {number} flagId - Flag ID
+ * @returns {Promise<Object|null>} Flag row or null
+ */
+export async function getAnomalyFlag(guildId, flagId) {
+  try {
+    const { data, error } = await supabase
+      .from('anomaly_flags')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('id', flagId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // No rows found
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching anomaly flag:', error);
+    throw new Error('Failed to fetch anomaly flag');
+  }
+}
+
+/**
+ * Atomically move an OPEN flag to ACKNOWLEDGED or DISMISSED
+ * @param {string} guildId - Guild ID
+ * @param {number} flagId - Flag ID
+ * @param {string} decidedBy - Discord user ID of the super admin
+ * @param {string} status - ACKNOWLEDGED or DISMISSED
+ * @returns {Promise<Object|null>} Updated row, or null if it was no longer open
+ */
+export async function reviewAnomalyFlag(guildId, flagId, decidedBy, status) {
+  try {
+    const { data, error } = await supabase
+      .from('anomaly_flags')
+      .update({ status, decided_by: decidedBy, decided_at: new Date().toISOString() })
+      .eq('guild_id', guildId)
+      .eq('id', flagId)
+      .eq('status', 'OPEN')
+      .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error reviewing anomaly flag:', error);
+    throw new Error('Failed to update anomaly flag');
+  }
+}
@@ -0,0 +1,157 @@
+import { supabase } from './database.js';
+
+// ==========================================
+// APPROVAL REQUEST STORAGE
+// ==========================================
+// Pending requests live in point_approvals so they survive bot restarts.
+// Status transitions are conditional updates (WHERE status = 'PENDING'),
+// so two managers pressing a button at the same time can't both win.
+
+/**
+ * Create a pending approval request
+ * @param {Object} request - Request data
+ * @param {string} request.guildId - Guild ID the change applies to
+ * @param {string} request.actionType - ADD or REMOVE
+ * @param {string} request.targetUserId - Discord user ID (string)
+ * @param {string} request.requestedBy - Discord user ID of the requesting manager (string)
+ * @param {number} request.amount - Points to add/remove
+ * @param {string|null} request.reason - Optional reason
+ * @param {Date} request.expiresAt - When the request expires
+ * @returns {Promise<Object>} Created request row
+ */
+export async function createApprovalRequest({ guildId, actionType, targetUserId, requestedBy, amount, reason, expiresAt }) {
+  try {
+    const { data, error } = await supabase
+      .from('point_approvals')
+      .insert({
+        guild_id: guildId,
+        action_type: actionType,
+        target_user_id: targetUserId,
+        requested_by: requestedBy,
+        amount,
+        reason,
+        expires_at: expiresAt.toISOString(),
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error creating approval request:', error);
+    throw new Error('Failed to create approval request');
+  }
+}
+
+/**
+ * Remember where the request message was posted (for later edits)
+ * @param {number} requestId - Approval request ID
+ * @param {string} channelId - Channel ID
+ * @param {string} messageId - Message ID
+ */
+export async function setApprovalMessage(requestId, channelId, messageId) {
+  try {
+    const { error } = await supabase
+      .from('point_approvals')
+      .update({ channel_id: channelId, message_id: messageId })
+      .eq('id', requestId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error saving approval message:', error);
+  }
+}
+
+/**
+ * Get approval request by ID (only if it belongs to the server)
+ * @param {string} guildId - Guild ID
+ * @param {number} requestId - Approval request ID
+ * @returns {Promise<Object|null>} Request row or null
+ */
+export async function getApprovalRequest(guildId, requestId) {
+  try {
+    const { data, error } = await supabase
+      .from('point_approvals')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('id', requestId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // No rows found
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching approval request:', error);
+    throw new Error('Failed to fetch approval request');
+  }
+}
+
+/**
+ * Atomically move a PENDING, unexpired request to APPROVED or DENIED
+ * @param {string} guildId - Guild ID
+ * @param {number} requestId - Approval request ID
+ * @param {string} decidedBy - Discord user ID of the deciding manager
+ * @param {string} status - APPROVED or DENIED
+ * @returns {Promise<Object|null>} Updated row, or null if it was no longer pending
+ */
+export async function decideApprovalRequest(guildId, requestId, decidedBy, status) {
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('point_approvals')
+      .update({ status, decided_by: decidedBy, decided_at: now })
+      .eq('guild_id', guildId)
+      .eq('id', requestId)
+      .eq('status', 'PENDING')
+      .gt('expires_at', now)
+      .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error deciding approval request:', error);
+    throw new Error('Failed to update approval request');
+  }
+}
+
+/**
+ * Mark an approved request as FAILED (modify_points rejected it)
+ * @param {number} requestId - Approval request ID
+ * @param {string} failureReason - Error message from the database
+ */
+export async function failApprovalRequest(requestId, failureReason) {
+  try {
+    const { error } = await supabase
+      .from('point_approvals')
+      .update({ status: 'FAILED', failure_reason: failureReason })
+      .eq('id', requestId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error marking approval request failed:', error);
+  }
+}
+
+/**
+ * Expire every PENDING request past its deadline (all servers)
+ * @returns {Promise<Array>} Requests that were expired by this call
+ */
+export async function expireApprovalRequests() {
+  try {
+    const { data, error } = await supabase
+      .from('point_approvals')
+      .update({ status: 'EXPIRED' })
+      .eq('status', 'PENDING')
+      .lte('expires_at', new Date().toISOString())
+      .select();
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error expiring approval requests:', error);
+    return [];
+  }
+}
@@ -1,55 +1,37 @@
-import { createClient } from '@supabase/supabase-js';
-import dotenv from 'dotenv';
-
-dotenv.config();
+import { storage, supabase, isSupabaseBackend } from './storage/index.js';
+import { getActiveStrikeWeight } from './strikeService.js';
+import { config, getGuildConfig } from '../../config.js';
 
 // ==========================================
 // DATABASE SERVICE LAYER
 // ==========================================
-// This layer interfaces with the finalized PostgreSQL database via Supabase.
+// This layer interfaces with the configured storage backend (see storage/index.js).
 //
 // CRITICAL ARCHITECTURE:
-// - PostgreSQL function modify_points() is the SINGLE SOURCE OF TRUTH for point mutations
-// - ALL add/remove operations MUST go through modify_points() RPC
-// - NO direct UPDATE on staff_points table
-// - NO direct INSERT into points_history table
-// - Database handles: atomicity, locking, validation, history insertion
-//
-// SECURITY: Using service_role key for server-side operations only
-// NEVER expose this key to client-side code
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
-
-// Export supabase client for other services
+// - The backend's modifyPoints() (PostgreSQL modify_points() on Supabase) is the
+//   SINGLE SOURCE OF TRUTH for point mutations
+// - ALL add/remove operations MUST go through it
+// - NO direct writes to balances or history from here
+// - Backend handles: atomicity, locking, validation, history insertion
+// - Every ledger read/write is scoped to ONE server (guildId is always the first argument)
+// - Mutations take an optional idempotency key (last argument): a key the server has
+//   already seen returns the ORIGINAL result with duplicate: true instead of applying again
+
+// Export supabase client for the services outside the storage interface
 export { supabase };
 
 /**
- * Get user's current points
+ * Get user's current points in a server
  * READ ONLY operation - safe to call anytime
+ * @param {string} guildId - Guild ID the ledger belongs to
  * @param {string} userId - Discord user ID (treated as string, never Number)
  * @returns {Promise<number>} Current points balance
  */
-export async function getUserPoints(userId) {
+export async function getUserPoints(guildId, userId) {
   try {
     // CRITICAL: userId is kept as string to prevent BIGINT precision loss
     // Discord IDs are 18-digit snowflakes, JS Number is only accurate to 16 digits
-    const { data, error } = await supabase
-      .from('staff_points')
-      .select('points')
-      .eq('id', userId)  // Supabase handles string->BIGINT conversion safely
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') {
-        // User not found in database, return 0 (they have no points yet)
-        return 0;
-      }
-      throw error;
-    }
-
-    return data?.points || 0;
+    return await storage.getBalance(guildId, userId);
   } catch (error) {
     console.error('Error fetching user points:', error);
     throw new Error('Failed to fetch user points');
@@ -57,21 +39,157 @@ export async function getUserPoints(userId) {
 }
 
 /**
- * Add points to a user using ATOMIC TRANSACTION via modify_points() RPC
+ * Get freeze record for a user in a server
+ * READ ONLY operation - safe to call anytime
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @returns {Promise<Object|null>} frozen_accounts row, or null if not frozen
+ */
+export async function getFrozenAccount(guildId, userId) {
+  try {
+    return await storage.getFrozenAccount(guildId, userId);
+  } catch (error) {
+    console.error('Error fetching frozen account:', error);
+    throw new Error('Failed to check account status');
+  }
+}
+
+/**
+ * Throw a clear error if any of the given accounts is frozen
+ * @param {string} guildId - Guild ID
+ * @param {...string} userIds - Discord user IDs (strings)
+ */
+async function assertNotFrozen(guildId, ...userIds) {
+  for (const userId of userIds) {
+    if (await getFrozenAccount(guildId, userId)) {
+      throw new Error(`Account is frozen: <@${userId}> cannot send or receive points until a super admin unfreezes it.`);
+    }
+  }
+}
+
+/**
+ * Throw a clear error if a user's strikes have frozen their point gains
+ * Only applies when the server has a FREEZE_GAINS strike consequence (strikes live in Supabase)
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ */
+async function assertGainsAllowed(guildId, userId) {
+  const freezes = (getGuildConfig(guildId)?.strikeConsequences || [])
+    .filter(consequence => consequence.action === 'FREEZE_GAINS');
+
+  if (freezes.length === 0 || !isSupabaseBackend()) return;
+
+  const weight = await getActiveStrikeWeight(guildId, userId);
+  const threshold = Math.min(...freezes.map(consequence => consequence.count));
+
+  if (weight >= threshold) {
+    throw new Error(`Point gains are frozen: <@${userId}> has ${weight} active strike weight (limit ${threshold}).`);
+  }
+}
+
+/**
+ * Check if a mutation with this idempotency key already happened in a server
+ * Its retry must return the original result, so the up-front freeze checks are skipped
+ * and the backend replays it - even if the account was frozen since.
+ * @param {string} guildId - Guild ID
+ * @param {string|null} idempotencyKey - Idempotency key of the mutation
+ * @returns {Promise<boolean>}
+ */
+async function isReplay(guildId, idempotencyKey) {
+  return idempotencyKey ? storage.hasIdempotencyKey(guildId, idempotencyKey) : false;
+}
+
+/**
+ * Check if an error is a frozen account / frozen gains rejection
+ * These are final for background credits: retrying cannot succeed until a super admin
+ * steps in. Anything else (e.g. a database outage) is worth retrying.
+ * @param {Error} error - Error thrown by a point mutation
+ * @returns {boolean}
+ */
+export function isFrozenError(error) {
+  return /^(Account is frozen|Point gains are frozen)/.test(error?.message || '');
+}
+
+/**
+ * Freeze a user's account in a server (super admin override)
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {string} frozenBy - Discord user ID of the super admin (string)
+ * @param {string} reason - Mandatory reason
+ * @returns {Promise<Object>} Created frozen_accounts row
+ */
+export async function freezeAccount(guildId, userId, frozenBy, reason) {
+  try {
+    return await storage.freezeAccount(guildId, userId, frozenBy, reason);
+  } catch (error) {
+    if (error.message === 'Account is already frozen') throw error;
+    console.error('Error freezing account:', error);
+    throw new Error('Failed to freeze account');
+  }
+}
+
+/**
+ * Unfreeze a user's account in a server (super admin override)
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @returns {Promise<Object|null>} Removed frozen_accounts row, or null if it wasn't frozen
+ */
+export async function unfreezeAccount(guildId, userId) {
+  try {
+    return await storage.unfreezeAccount(guildId, userId);
+  } catch (error) {
+    console.error('Error unfreezing account:', error);
+    throw new Error('Failed to unfreeze account');
+  }
+}
+
+/**
+ * Set an absolute balance using ATOMIC TRANSACTION via the backend's setBalance()
+ *
+ * ARCHITECTURE:
+ * - Supabase: PostgreSQL function set_points_balance() (see database/overrides_schema.sql)
+ * - Writes an ADJUST history entry with the delta
+ * - Super admin emergency override: works on frozen accounts
+ *
+ * @param {string} guildId - Guild ID the ledger belongs to
+ * @param {string} targetUserId - User whose balance is set (Discord ID as string)
+ * @param {string} actionByUserId - Super admin performing the override (Discord ID as string)
+ * @param {number} newBalance - Absolute balance to set
+ * @param {string} reason - Mandatory reason
+ * @param {string|null} idempotencyKey - Optional idempotency key (e.g. from the interaction)
+ * @returns {Promise<{before: number, after: number, duplicate: boolean}>}
+ */
+export async function setPointsBalance(guildId, targetUserId, actionByUserId, newBalance, reason, idempotencyKey = null) {
+  if (!reason) {
+    throw new Error('A reason is required for balance overrides');
+  }
+
+  try {
+    return await storage.setBalance(guildId, targetUserId, actionByUserId, newBalance, reason, idempotencyKey);
+  } catch (error) {
+    console.error('Error setting balance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Add points to a user using ATOMIC TRANSACTION via the backend's modifyPoints()
  * 
  * ARCHITECTURE:
- * - Calls PostgreSQL function modify_points()
- * - Database handles: row locking, validation, points update, history insert
+ * - Supabase: PostgreSQL function modify_points()
+ * - Backend handles: row locking, validation, points update, history insert
  * - All operations are atomic (all succeed or all fail)
- * - NO direct database manipulation in JavaScript
+ * - NO direct database manipulation in this layer
  * 
+ * @param {string} guildId - Guild ID the ledger belongs to
  * @param {string} targetUserId - User receiving points (Discord ID as string)
  * @param {string} actionByUserId - User performing the action (Discord ID as string)
  * @param {number} amount - Points to add (must be positive)
  * @param {string|null} reason - Optional reason for transaction
- * @returns {Promise<{before: number, after: number}>}
+ * @param {string|null} idempotencyKey - Optional idempotency key (interaction ID or job-specific key)
+ * @returns {Promise<{before: number, after: number, duplicate: boolean}>}
  */
-export async function addPoints(targetUserId, actionByUserId, amount, reason = null) {
+export async function addPoints(guildId, targetUserId, actionByUserId, amount, reason = null, idempotencyKey = null) {
   // CRITICAL: All Discord IDs remain as strings, never converted to Number
   // This prevents precision loss with 18-digit snowflake IDs
   
@@ -79,133 +197,276 @@ export async function addPoints(targetUserId, actionByUserId, amount, reason = n
     throw new Error('Amount must be positive');
   }
 
-  try {
-    // Call PostgreSQL function modify_points() via Supabase RPC
-    // This function is TESTED, VERIFIED, and the SINGLE SOURCE OF TRUTH
-    // If ANY step fails inside the function, the ENTIRE transaction rolls back
-    const { data, error } = await supabase.rpc('modify_points', {
-      p_target_user_id: targetUserId,        // String safely converted to BIGINT by Postgres
-      p_action_by_user_id: actionByUserId,   // String safely converted to BIGINT by Postgres
-      p_action_type: 'ADD',
-      p_amount: amount,
-      p_allow_negative: false,  // Not relevant for ADD operations
-      p_reason: reason,
-    });
+  // Frozen accounts are rejected up front (the backend is the final guard)
+  if (!await isReplay(guildId, idempotencyKey)) {
+    await assertNotFrozen(guildId, targetUserId);
+    await assertGainsAllowed(guildId, targetUserId);
+  }
 
-    if (error) {
-      console.error('Database RPC error:', error);
-      // Map database errors to user-friendly messages
-      throw new Error(error.message || 'Failed to add points');
-    }
+  try {
+    // If ANY step fails inside the backend, the ENTIRE transaction rolls back
+    const { before, after, duplicate } = await storage.modifyPoints(
+      guildId,
+      targetUserId,
+      actionByUserId,
+      'ADD',
+      amount,
+      false,  // Not relevant for ADD operations
+      reason,
+      idempotencyKey
+    );
 
-    // Database returns JSON with before_points and after_points
-    return {
-      before: data.before_points,
-      after: data.after_points,
-    };
+    return { before, after, duplicate };
   } catch (error) {
     console.error('Error adding points:', error);
-    // Re-throw with original error message (includes validation failures from DB)
+    // Re-throw with original error message (includes validation failures from the backend)
     throw error;
   }
 }
 
 /**
- * Remove points from a user using ATOMIC TRANSACTION via modify_points() RPC
+ * Remove points from a user using ATOMIC TRANSACTION via the backend's modifyPoints()
  * 
  * ARCHITECTURE:
- * - Calls PostgreSQL function modify_points()
- * - Database validates negative balance BEFORE any writes
+ * - Supabase: PostgreSQL function modify_points()
+ * - Backend validates negative balance BEFORE any writes
  * - All operations are atomic (all succeed or all fail)
- * - NO direct database manipulation in JavaScript
+ * - NO direct database manipulation in this layer
  * 
+ * @param {string} guildId - Guild ID the ledger belongs to
  * @param {string} targetUserId - User losing points (Discord ID as string)
  * @param {string} actionByUserId - User performing the action (Discord ID as string)
  * @param {number} amount - Points to remove (must be positive)
  * @param {boolean} allowNegative - Allow negative balance (from config)
  * @param {string|null} reason - Optional reason for transaction
- * @returns {Promise<{before: number, after: number}>}
+ * @param {string|null} idempotencyKey - Optional idempotency key (interaction ID or job-specific key)
+ * @returns {Promise<{before: number, after: number, duplicate: boolean}>}
  */
-export async function removePoints(targetUserId, actionByUserId, amount, allowNegative = false, reason = null) {
+export async function removePoints(guildId, targetUserId, actionByUserId, amount, allowNegative = false, reason = null, idempotencyKey = null) {
   // CRITICAL: All Discord IDs remain as strings, never converted to Number
   
   if (amount <= 0) {
     throw new Error('Amount must be positive');
   }
 
+  // Frozen accounts are rejected up front (the backend is the final guard)
+  if (!await isReplay(guildId, idempotencyKey)) {
+    await assertNotFrozen(guildId, targetUserId);
+  }
+
   try {
-    // Call PostgreSQL function modify_points() via Supabase RPC
-    // Negative balance validation happens INSIDE the database function BEFORE any write
-    // This ensures strict enforcement and prevents race conditions
-    const { data, error } = await supabase.rpc('modify_points', {
-      p_target_user_id: targetUserId,        // String safely converted to BIGINT by Postgres
-      p_action_by_user_id: actionByUserId,   // String safely converted to BIGINT by Postgres
-      p_action_type: 'REMOVE',
-      p_amount: amount,
-      p_allow_negative: allowNegative,       // Config setting passed to database
-      p_reason: reason,
-    });
-
-    if (error) {
-      console.error('Database RPC error:', error);
-      
-      // Map specific database errors to user-friendly messages
-      if (error.message && error.message.includes('Insufficient points')) {
-        // Database rejected the operation due to negative balance constraint
-        throw new Error(error.message);
-      }
-      
-      throw new Error(error.message || 'Failed to remove points');
-    }
+    // Negative balance validation happens INSIDE the backend BEFORE any write
+    // ('Insufficient points: ...' is passed through unchanged)
+    const { before, after, duplicate } = await storage.modifyPoints(
+      guildId,
+      targetUserId,
+      actionByUserId,
+      'REMOVE',
+      amount,
+      allowNegative,  // Config setting passed to the backend
+      reason,
+      idempotencyKey
+    );
 
-    // Database returns JSON with before_points and after_points
-    return {
-      before: data.before_points,
-      after: data.after_points,
-    };
+    return { before, after, duplicate };
   } catch (error) {
     console.error('Error removing points:', error);
-    // Re-throw with original error message (preserves validation failures from DB)
+    // Re-throw with original error message (preserves validation failures from the backend)
     throw error;
   }
 }
 
 /**
- * Get points history for a user
- * READ ONLY - No modifications to database
- * @param {string} userId - Discord user ID (kept as string)
- * @returns {Promise<Array>} History records with UTC timestamps
+ * Transfer points from one user to another using ATOMIC TRANSACTION via the backend's transferPoints()
+ *
+ * ARCHITECTURE:
+ * - Supabase: PostgreSQL function transfer_points() (see database/transfers_schema.sql)
+ * - Debit and credit happen in ONE transaction with both rows locked
+ * - Writes two history rows linked by the same transfer_id
+ *
+ * @param {string} guildId - Guild ID the ledger belongs to
+ * @param {string} fromUserId - User sending points (Discord ID as string)
+ * @param {string} toUserId - User receiving points (Discord ID as string)
+ * @param {number} amount - Points to transfer (must be positive)
+ * @param {boolean} allowNegative - Allow sender to go negative (from config)
+ * @param {string|null} reason - Optional reason for transaction
+ * @param {string|null} idempotencyKey - Optional idempotency key (e.g. from the interaction)
+ * @returns {Promise<{transferId: string, sender: {before: number, after: number}, recipient: {before: number, after: number}, duplicate: boolean}>}
  */
-export async function getPointsHistory(userId) {
+export async function transferPoints(guildId, fromUserId, toUserId, amount, allowNegative = false, reason = null, idempotencyKey = null) {
+  if (amount <= 0) {
+    throw new Error('Amount must be positive');
+  }
+
+  if (fromUserId === toUserId) {
+    throw new Error('Cannot transfer points to yourself');
+  }
+
+  // Neither side of a transfer may be frozen
+  if (!await isReplay(guildId, idempotencyKey)) {
+    await assertNotFrozen(guildId, fromUserId, toUserId);
+    await assertGainsAllowed(guildId, toUserId);
+  }
+
   try {
-    // CRITICAL: userId stays as string for safe BIGINT comparison
-    const { data, error } = await supabase
-      .from('points_history')
-      .select('*')
-      .eq('target_user_id', userId)
-      .order('created_at', { ascending: false });
+    return await storage.transferPoints(guildId, fromUserId, toUserId, amount, allowNegative, reason, idempotencyKey);
+  } catch (error) {
+    console.error('Error transferring points:', error);
+    throw error;
+  }
+}
 
-    if (error) throw error;
+/**
+ * Reverse a specific transaction using ATOMIC TRANSACTION via the backend's revertPoints()
+ *
+ * ARCHITECTURE:
+ * - Supabase: PostgreSQL function revert_points() (see database/reversals_schema.sql)
+ * - Backend writes the opposite entry through modifyPoints() and links both rows
+ * - An entry can only be reversed once (enforced by the backend)
+ *
+ * @param {string} guildId - Guild ID (entries from other servers are not found)
+ * @param {number} historyId - points_history ID of the entry to reverse
+ * @param {string} actionByUserId - User performing the reversal (Discord ID as string)
+ * @param {boolean} allowNegative - Allow negative balance (from config)
+ * @param {string|null} reason - Optional reason for the reversal
+ * @param {string|null} idempotencyKey - Optional idempotency key (e.g. from the interaction)
+ * @returns {Promise<{reversalId: number, targetUserId: string, originalType: string, amount: number, before: number, after: number, duplicate: boolean}>}
+ */
+export async function revertTransaction(guildId, historyId, actionByUserId, allowNegative = false, reason = null, idempotencyKey = null) {
+  try {
+    return await storage.revertPoints(guildId, historyId, actionByUserId, allowNegative, reason, idempotencyKey);
+  } catch (error) {
+    console.error('Error reverting transaction:', error);
+    throw error;
+  }
+}
 
-    // Timestamps are already in UTC (TIMESTAMPTZ in PostgreSQL)
+/**
+ * Get points history for a user in a server
+ * READ ONLY - No modifications to database
+ * Filters are applied by the storage query, not in memory
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (kept as string)
+ * @param {Object} [filters] - Optional filters
+ * @param {Date} [filters.from] - Start of the window (inclusive)
+ * @param {Date} [filters.to] - End of the window (exclusive)
+ * @param {string} [filters.actionType] - Only this action type (e.g. ADD, REMOVE)
+ * @param {string} [filters.actorId] - Only entries made by this user
+ * @param {number} [filters.minAmount] - Only entries of at least this many points
+ * @returns {Promise<Array>} History records with UTC timestamps, newest first
+ */
+export async function getPointsHistory(guildId, userId, filters = {}) {
+  try {
+    // Timestamps are stored in UTC
     // Conversion to local time happens only when generating history file
-    return data || [];
+    return await storage.getHistory(guildId, userId, filters);
   } catch (error) {
     console.error('Error fetching points history:', error);
     throw new Error('Failed to fetch points history');
   }
 }
 
+/**
+ * Get a user's balance as of a point in time (from the history ledger)
+ * READ ONLY - Used for statement opening and closing balances
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {Date|null} at - Balance just before this time, null = latest
+ * @returns {Promise<number>} Balance (0 before the first entry)
+ */
+export async function getBalanceAsOf(guildId, userId, at) {
+  try {
+    return await storage.getBalanceAt(guildId, userId, at);
+  } catch (error) {
+    console.error('Error fetching balance as of date:', error);
+    throw new Error('Failed to fetch balance');
+  }
+}
+
+/**
+ * Get the points a manager has added/removed for others since a given time
+ * READ ONLY - Transfers are excluded (they move the sender's own balance)
+ * @param {string} guildId - Guild ID
+ * @param {string} managerId - Discord user ID of the manager (string)
+ * @param {Date} since - Start of the window
+ * @returns {Promise<Array<{id: number, target_user_id: string, action_type: string, amount: number, reason: string|null, created_at: string}>>} Matching rows, oldest first
+ */
+export async function getManagerActivity(guildId, managerId, since) {
+  try {
+    return await storage.getManagerActivity(guildId, managerId, since);
+  } catch (error) {
+    console.error('Error fetching manager activity:', error);
+    throw new Error('Failed to fetch manager activity');
+  }
+}
+
+/**
+ * Get per-manager totals for manual point changes in a period
+ * READ ONLY - Transfers, purchases and system actor entries are excluded
+ * (manager_stats() RPC on Supabase)
+ * @param {string} guildId - Guild ID
+ * @param {Object} [range] - Optional time window ({from, to}), null = all time
+ * @returns {Promise<Array<{managerId: string, added: number, removed: number, transactions: number, recipients: number, topRecipientId: string|null, topRecipientPoints: number, topReasons: Array<{reason: string, count: number}>}>>} Most points added first
+ */
+export async function getManagerStats(guildId, range = null) {
+  try {
+    return await storage.getManagerStats(guildId, range?.from || null, range?.to || null, config.systemActorId);
+  } catch (error) {
+    console.error('Error fetching manager stats:', error);
+    throw new Error('Failed to fetch manager statistics');
+  }
+}
+
+/**
+ * Get who added/removed points on a user's balance in a period
+ * READ ONLY - The user's own transfers and purchases are excluded (user_stats() RPC on Supabase)
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {Object} [range] - Optional time window ({from, to}), null = all time
+ * @returns {Promise<Array<{actorId: string, added: number, removed: number, transactions: number, lastAt: string}>>} Most points moved first
+ */
+export async function getUserStats(guildId, userId, range = null) {
+  try {
+    return await storage.getUserStats(guildId, userId, range?.from || null, range?.to || null);
+  } catch (error) {
+    console.error('Error fetching user stats:', error);
+    throw new Error('Failed to fetch user statistics');
+  }
+}
+
+/**
+ * Get ranked leaderboard for a server
+ * READ ONLY - No modifications to database
+ * - No range: all-time ranking from current balances
+ * - With range: net deltas from history (points_leaderboard() RPC on Supabase)
+ * @param {string} guildId - Guild ID
+ * @param {Object} [range] - Optional time window
+ * @param {Date} range.from - Window start (inclusive)
+ * @param {Date} range.to - Window end (exclusive)
+ * @returns {Promise<Array<{userId: string, points: number}>>} Sorted highest first
+ */
+export async function getLeaderboard(guildId, range = null) {
+  try {
+    if (!range) {
+      return await storage.getBalances(guildId);
+    }
+
+    return await storage.getNetChanges(guildId, range.from, range.to);
+  } catch (error) {
+    console.error('Error fetching leaderboard:', error);
+    throw new Error('Failed to fetch leaderboard');
+  }
+}
+
 /**
  * Check database connection
  */
 export async function checkDatabaseConnection() {
   try {
-    const { error } = await supabase.from('staff_points').select('id').limit(1);
-    if (error) throw error;
+    await storage.checkConnection();
     return true;
   } catch (error) {
     console.error('Database connection failed:', error);
     return false;
   }
-}
\ No newline at end of file
+}
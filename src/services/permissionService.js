@@ -0,0 +1,106 @@
+import { supabase } from './database.js';
+
+// ==========================================
+// PERMISSION GRANT STORAGE
+// ==========================================
+// Grants live in permission_grants. Only one live (unrevoked) grant per subject
+// and level can exist, so granting again updates that row's expiry instead.
+
+/**
+ * Get every live (unrevoked) grant in a server, including expired ones
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array>} permission_grants rows
+ */
+export async function getPermissionGrants(guildId) {
+  try {
+    const { data, error } = await supabase
+      .from('permission_grants')
+      .select('*')
+      .eq('guild_id', guildId)
+      .is('revoked_at', null)
+      .order('granted_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching permission grants:', error);
+    throw new Error('Failed to fetch permission grants');
+  }
+}
+
+/**
+ * Grant a permission level to a user or role (renews the expiry of an existing grant)
+ * @param {Object} grant - Grant data
+ * @param {string} grant.guildId - Guild ID
+ * @param {string} grant.subjectType - USER or ROLE
+ * @param {string} grant.subjectId - Discord user or role ID (string)
+ * @param {string} grant.level - POINT_MANAGER or SUPER_ADMIN
+ * @param {string} grant.grantedBy - Discord user ID of the super admin (string)
+ * @param {Date|null} grant.expiresAt - Expiry, or null for permanent
+ * @returns {Promise<{grant: Object, renewed: boolean}>} Saved row, and whether it replaced a live grant
+ */
+export async function grantPermission({ guildId, subjectType, subjectId, level, grantedBy, expiresAt }) {
+  const values = {
+    granted_by: grantedBy,
+    granted_at: new Date().toISOString(),
+    expires_at: expiresAt ? expiresAt.toISOString() : null,
+  };
+
+  try {
+    const { data, error } = await supabase
+      .from('permission_grants')
+      .insert({ guild_id: guildId, subject_type: subjectType, subject_id: subjectId, level, ...values })
+      .select()
+      .single();
+
+    if (!error) return { grant: data, renewed: false };
+    if (error.code !== '23505') throw error;
+
+    // Already granted: renew the live grant
+    const { data: renewed, error: renewError } = await supabase
+      .from('permission_grants')
+      .update(values)
+      .eq('guild_id', guildId)
+      .eq('subject_type', subjectType)
+      .eq('subject_id', subjectId)
+      .eq('level', level)
+      .is('revoked_at', null)
+      .select()
+      .single();
+
+    if (renewError) throw renewError;
+    return { grant: renewed, renewed: true };
+  } catch (error) {
+    console.error('Error granting permission:', error);
+    throw new Error('Failed to save permission grant');
+  }
+}
+
+/**
+ * Revoke a live grant
+ * @param {string} guildId - Guild ID
+ * @param {string} subjectType - USER or ROLE
+ * @param {string} subjectId - Discord user or role ID (string)
+ * @param {string} level - POINT_MANAGER or SUPER_ADMIN
+ * @param {string} revokedBy - Discord user ID of the super admin (string)
+ * @returns {Promise<Object|null>} Revoked row, or null if there was no live grant
+ */
+export async function revokePermission(guildId, subjectType, subjectId, level, revokedBy) {
+  try {
+    const { data, error } = await supabase
+      .from('permission_grants')
+      .update({ revoked_by: revokedBy, revoked_at: new Date().toISOString() })
+      .eq('guild_id', guildId)
+      .eq('subject_type', subjectType)
+      .eq('subject_id', subjectId)
+      .eq('level', level)
+      .is('revoked_at', null)
+      .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error revoking permission:', error);
+    throw new Error('Failed to revoke permission');
+  }
+}
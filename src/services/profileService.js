@@ -1,4 +1,4 @@
-import { supabase } from './database.js';
+import { storage } from './storage/index.js';
 
 /**
  * Validate age against DOB
@@ -49,24 +49,14 @@ export function validateDate(dateString) {
 }
 
 /**
- * Get user profile
+ * Get user profile in a server
+ * @param {string} guildId - Guild ID
  * @param {string} userId - Discord user ID
  * @returns {Promise<Object|null>} Profile data or null
  */
-export async function getUserProfile(userId) {
+export async function getUserProfile(guildId, userId) {
   try {
-    const { data, error } = await supabase
-      .from('user_profiles')
-      .select('*')
-      .eq('user_id', userId)
-      .single();
-
-    if (error) {
-      if (error.code === 'PGRST116') return null; // No rows found
-      throw error;
-    }
-
-    return data;
+    return await storage.getProfile(guildId, userId);
   } catch (error) {
     console.error('Error fetching user profile:', error);
     throw new Error('Failed to fetch profile');
@@ -74,12 +64,13 @@ export async function getUserProfile(userId) {
 }
 
 /**
- * Create user profile
+ * Create user profile in a server
+ * @param {string} guildId - Guild ID
  * @param {string} userId - Discord user ID
  * @param {Object} profileData - Profile data
  * @returns {Promise<Object>} Created profile
  */
-export async function createUserProfile(userId, profileData) {
+export async function createUserProfile(guildId, userId, profileData) {
   try {
     const { displayName, age, dob, bio, tags, avatarUrl, gender } = profileData;
 
@@ -99,24 +90,15 @@ export async function createUserProfile(userId, profileData) {
       throw new Error('MAX_TAGS_EXCEEDED');
     }
 
-    const { data, error } = await supabase
-      .from('user_profiles')
-      .insert({
-        user_id: userId,
-        display_name: displayName,
-        age: age,
-        dob: dob,
-        bio: bio || undefined, // Will use default from DB if not provided
-        tags: tags || undefined, // Will use default from DB if not provided
-        avatar_url: avatarUrl || null,
-        gender: gender || null
-      })
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    return data;
+    return await storage.createProfile(guildId, userId, {
+      display_name: displayName,
+      age: age,
+      dob: dob,
+      bio: bio || undefined, // Backend default is used if not provided
+      tags: tags || undefined, // Backend default is used if not provided
+      avatar_url: avatarUrl || null,
+      gender: gender || null
+    });
   } catch (error) {
     if (error.message.startsWith('DATE_INVALID:') || 
         error.message === 'AGE_DOB_MISMATCH' || 
@@ -129,16 +111,17 @@ export async function createUserProfile(userId, profileData) {
 }
 
 /**
- * Update user profile
+ * Update user profile in a server
+ * @param {string} guildId - Guild ID
  * @param {string} userId - Discord user ID
  * @param {Object} updates - Fields to update
  * @returns {Promise<Object>} Updated profile
  */
-export async function updateUserProfile(userId, updates) {
+export async function updateUserProfile(guildId, userId, updates) {
   try {
     // If DOB or age is being updated, validate them
     if (updates.dob || updates.age) {
-      const currentProfile = await getUserProfile(userId);
+      const currentProfile = await getUserProfile(guildId, userId);
       
       const newDob = updates.dob || currentProfile.dob;
       const newAge = updates.age !== undefined ? updates.age : currentProfile.age;
@@ -174,16 +157,7 @@ export async function updateUserProfile(userId, updates) {
     
     dbUpdates.updated_at = new Date().toISOString();
 
-    const { data, error } = await supabase
-      .from('user_profiles')
-      .update(dbUpdates)
-      .eq('user_id', userId)
-      .select()
-      .single();
-
-    if (error) throw error;
-
-    return data;
+    return await storage.updateProfile(guildId, userId, dbUpdates);
   } catch (error) {
     if (error.message.startsWith('DATE_INVALID:') || 
         error.message === 'AGE_DOB_MISMATCH' || 
@@ -201,16 +175,7 @@ export async function updateUserProfile(userId, updates) {
  */
 export async function getPinnedUpdate() {
   try {
-    const { data, error } = await supabase
-      .from('bot_updates')
-      .select('*')
-      .eq('is_pinned', true)
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .single();
-
-    if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
-    return data || null;
+    return await storage.getPinnedUpdate();
   } catch (error) {
     console.error('Error fetching pinned update:', error);
     return null;
@@ -224,16 +189,7 @@ export async function getPinnedUpdate() {
  */
 export async function getUpdateByPage(page = 1) {
   try {
-    const offset = page - 1;
-    const { data, error } = await supabase
-      .from('bot_updates')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(1)
-      .range(offset, offset);
-
-    if (error) throw error;
-    return data && data.length > 0 ? data[0] : null;
+    return await storage.getUpdateAt(page - 1);
   } catch (error) {
     console.error('Error fetching update by page:', error);
     return null;
@@ -246,12 +202,7 @@ export async function getUpdateByPage(page = 1) {
  */
 export async function getTotalUpdatesCount() {
   try {
-    const { count, error } = await supabase
-      .from('bot_updates')
-      .select('*', { count: 'exact', head: true });
-
-    if (error) throw error;
-    return count || 0;
+    return await storage.countUpdates();
   } catch (error) {
     console.error('Error fetching updates count:', error);
     return 0;
@@ -265,15 +216,7 @@ export async function getTotalUpdatesCount() {
  */
 export async function getBotUpdates(limit = 5) {
   try {
-    const { data, error } = await supabase
-      .from('bot_updates')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(limit);
-
-    if (error) throw error;
-
-    return data || [];
+    return await storage.getUpdates(limit);
   } catch (error) {
     console.error('Error fetching bot updates:', error);
     throw new Error('Failed to fetch updates');
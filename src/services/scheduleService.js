@@ -0,0 +1,151 @@
+import { supabase } from './database.js';
+
+// ==========================================
+// SCHEDULE STORAGE
+// ==========================================
+// Schedules live in point_schedules so they survive bot restarts.
+// The scheduler claims a run by moving next_run_at forward with a
+// conditional update, so the same occurrence is never executed twice.
+
+/**
+ * Create a schedule
+ * @param {Object} schedule - Schedule data (snake_case columns of point_schedules, including guild_id)
+ * @returns {Promise<Object>} Created schedule row
+ */
+export async function createSchedule(schedule) {
+  try {
+    const { data, error } = await supabase
+      .from('point_schedules')
+      .insert(schedule)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error creating schedule:', error);
+    throw new Error('Failed to create schedule');
+  }
+}
+
+/**
+ * Get schedule by ID (only if it belongs to the server)
+ * @param {string} guildId - Guild ID
+ * @param {number} scheduleId - Schedule ID
+ * @returns {Promise<Object|null>} Schedule row or null
+ */
+export async function getSchedule(guildId, scheduleId) {
+  try {
+    const { data, error } = await supabase
+      .from('point_schedules')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('id', scheduleId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // No rows found
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    throw new Error('Failed to fetch schedule');
+  }
+}
+
+/**
+ * Get a server's active schedules, soonest first
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array>} Active schedule rows
+ */
+export async function getActiveSchedules(guildId) {
+  try {
+    const { data, error } = await supabase
+      .from('point_schedules')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('active', true)
+      .order('next_run_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    throw new Error('Failed to fetch schedules');
+  }
+}
+
+/**
+ * Get active schedules whose next run is due (all servers)
+ * @param {Date} now - Current time
+ * @returns {Promise<Array>} Due schedule rows
+ */
+export async function getDueSchedules(now) {
+  try {
+    const { data, error } = await supabase
+      .from('point_schedules')
+      .select('*')
+      .eq('active', true)
+      .lte('next_run_at', now.toISOString())
+      .order('next_run_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching due schedules:', error);
+    return [];
+  }
+}
+
+/**
+ * Claim a due run by advancing the schedule
+ * Only succeeds if next_run_at is still the value the caller saw
+ * @param {number} scheduleId - Schedule ID
+ * @param {string} expectedNextRunAt - next_run_at value read from the database
+ * @param {Object} updates - Columns to set (next_run_at, last_run_at, run_count, active)
+ * @returns {Promise<boolean>} True if this caller claimed the run
+ */
+export async function advanceSchedule(scheduleId, expectedNextRunAt, updates) {
+  try {
+    const { data, error } = await supabase
+      .from('point_schedules')
+      .update(updates)
+      .eq('id', scheduleId)
+      .eq('active', true)
+      .eq('next_run_at', expectedNextRunAt)
+      .select('id');
+
+    if (error) throw error;
+    return data && data.length > 0;
+  } catch (error) {
+    console.error('Error advancing schedule:', error);
+    return false;
+  }
+}
+
+/**
+ * Cancel an active schedule
+ * @param {string} guildId - Guild ID
+ * @param {number} scheduleId - Schedule ID
+ * @param {string} cancelledBy - Discord user ID of the canceller
+ * @returns {Promise<Object|null>} Cancelled row, or null if it wasn't active
+ */
+export async function cancelSchedule(guildId, scheduleId, cancelledBy) {
+  try {
+    const { data, error } = await supabase
+      .from('point_schedules')
+      .update({ active: false, cancelled_by: cancelledBy, cancelled_at: new Date().toISOString() })
+      .eq('guild_id', guildId)
+      .eq('id', scheduleId)
+      .eq('active', true)
+      .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error cancelling schedule:', error);
+    throw new Error('Failed to cancel schedule');
+  }
+}
@@ -0,0 +1,167 @@
+import { supabase } from './database.js';
+import { config } from '../../config.js';
+
+// ==========================================
+// SEASON STORAGE
+// ==========================================
+// Seasons live in the seasons table, one ACTIVE row per server at most.
+// Ending a season ALWAYS goes through end_season() so the standings archive
+// and the SEASON_RESET modify_points() entries are one atomic transaction.
+
+/**
+ * Start a new season
+ * @param {string} guildId - Guild ID
+ * @param {string} name - Season name
+ * @param {string} startedBy - Discord user ID of the super admin
+ * @returns {Promise<Object|null>} Created seasons row, or null if one is already active
+ */
+export async function startSeason(guildId, name, startedBy) {
+  try {
+    const { data, error } = await supabase
+      .from('seasons')
+      .insert({ guild_id: guildId, name, started_by: startedBy })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null; // Another season is active
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error starting season:', error);
+    throw new Error('Failed to start season');
+  }
+}
+
+/**
+ * End the server's active season via end_season() RPC
+ * @param {string} guildId - Guild ID
+ * @param {string} endedBy - Discord user ID of the super admin
+ * @param {number} carryOverRatio - Share of each balance kept, 0 (full reset) to 1
+ * @returns {Promise<{seasonId: number, players: number, totalFinal: number, totalCarried: number}>}
+ */
+export async function endSeason(guildId, endedBy, carryOverRatio) {
+  try {
+    const { data, error } = await supabase.rpc('end_season', {
+      p_guild_id: guildId,
+      p_ended_by: endedBy,
+      p_carry_over_ratio: carryOverRatio,
+      p_system_actor_id: config.systemActorId, // Resets are recorded as automatic changes
+    });
+
+    if (error) {
+      console.error('Database RPC error:', error);
+      throw new Error(error.message || 'Failed to end season');
+    }
+
+    return {
+      seasonId: data.season_id,
+      players: data.players,
+      totalFinal: Number(data.total_final_points),
+      totalCarried: Number(data.total_carried_points),
+    };
+  } catch (error) {
+    console.error('Error ending season:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the server's active season
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object|null>} seasons row or null
+ */
+export async function getActiveSeason(guildId) {
+  try {
+    const { data, error } = await supabase
+      .from('seasons')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('status', 'ACTIVE')
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error fetching active season:', error);
+    throw new Error('Failed to fetch active season');
+  }
+}
+
+/**
+ * Get season by ID (only if it belongs to the server)
+ * @param {string} guildId - Guild ID
+ * @param {number} seasonId - Season ID
+ * @returns {Promise<Object|null>} seasons row or null
+ */
+export async function getSeason(guildId, seasonId) {
+  try {
+    const { data, error } = await supabase
+      .from('seasons')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('id', seasonId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // No rows found
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching season:', error);
+    throw new Error('Failed to fetch season');
+  }
+}
+
+/**
+ * Get all of a server's seasons, newest first
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array>} seasons rows
+ */
+export async function getSeasons(guildId) {
+  try {
+    const { data, error } = await supabase
+      .from('seasons')
+      .select('*')
+      .eq('guild_id', guildId)
+      .order('started_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching seasons:', error);
+    throw new Error('Failed to fetch seasons');
+  }
+}
+
+/**
+ * Get the archived final leaderboard of an ended season
+ * @param {string} guildId - Guild ID
+ * @param {number} seasonId - Season ID
+ * @returns {Promise<Array<{userId: string, points: number, carried: number}>>} Highest rank first
+ */
+export async function getSeasonStandings(guildId, seasonId) {
+  try {
+    const { data, error } = await supabase
+      .from('season_standings')
+      .select('user_id, final_points, carried_points')
+      .eq('guild_id', guildId)
+      .eq('season_id', seasonId)
+      .order('rank', { ascending: true });
+
+    if (error) throw error;
+
+    return (data || []).map(row => ({
+      userId: row.user_id,
+      points: row.final_points,
+      carried: row.carried_points,
+    }));
+  } catch (error) {
+    console.error('Error fetching season standings:', error);
+    throw new Error('Failed to fetch season standings');
+  }
+}
@@ -0,0 +1,50 @@
+import { supabase } from './database.js';
+
+// ==========================================
+// RUNTIME SETTINGS STORAGE
+// ==========================================
+// Overrides saved by /config live in bot_settings, one row per server.
+
+/**
+ * Get a server's saved setting overrides
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<{points: Object, features: Object}>} Saved overrides (empty sections if none)
+ */
+export async function getBotSettings(guildId) {
+  try {
+    const { data, error } = await supabase
+      .from('bot_settings')
+      .select('settings')
+      .eq('guild_id', guildId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return { points: {}, features: {} }; // No rows found
+      throw error;
+    }
+
+    return { points: {}, features: {}, ...data.settings };
+  } catch (error) {
+    console.error('Error fetching bot settings:', error);
+    throw new Error('Failed to fetch settings');
+  }
+}
+
+/**
+ * Save a server's setting overrides
+ * @param {string} guildId - Guild ID
+ * @param {{points: Object, features: Object}} settings - Full overrides object to persist
+ * @param {string} updatedBy - Discord user ID of the super admin
+ */
+export async function saveBotSettings(guildId, settings, updatedBy) {
+  try {
+    const { error } = await supabase
+      .from('bot_settings')
+      .upsert({ guild_id: guildId, settings, updated_by: updatedBy, updated_at: new Date().toISOString() });
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error saving bot settings:', error);
+    throw new Error('Failed to save settings');
+  }
+}
@@ -0,0 +1,220 @@
+import { supabase } from './database.js';
+
+// ==========================================
+// REWARDS SHOP STORAGE
+// ==========================================
+// Catalog edits are plain table writes (super admins only).
+// Redemptions ALWAYS go through redeem_reward() so stock, limits and the
+// modify_points() deduction are one atomic transaction.
+
+/**
+ * Get a server's catalog rewards
+ * @param {string} guildId - Guild ID
+ * @param {boolean} includeInactive - Include removed rewards
+ * @returns {Promise<Array>} shop_rewards rows, cheapest first
+ */
+export async function getRewards(guildId, includeInactive = false) {
+  try {
+    let query = supabase
+      .from('shop_rewards')
+      .select('*')
+      .eq('guild_id', guildId)
+      .order('cost', { ascending: true });
+
+    if (!includeInactive) {
+      query = query.eq('active', true);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching rewards:', error);
+    throw new Error('Failed to fetch rewards');
+  }
+}
+
+/**
+ * Get reward by ID (only if it belongs to the server)
+ * @param {string} guildId - Guild ID
+ * @param {number} rewardId - Reward ID
+ * @returns {Promise<Object|null>} Reward row or null
+ */
+export async function getReward(guildId, rewardId) {
+  try {
+    const { data, error } = await supabase
+      .from('shop_rewards')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('id', rewardId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // No rows found
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching reward:', error);
+    throw new Error('Failed to fetch reward');
+  }
+}
+
+/**
+ * Add a reward to a server's catalog
+ * @param {string} guildId - Guild ID
+ * @param {Object} reward - Reward data
+ * @param {string} reward.name - Display name
+ * @param {string|null} reward.description - Optional description
+ * @param {number} reward.cost - Cost in points
+ * @param {number|null} reward.stock - Units available (null = unlimited)
+ * @param {string|null} reward.roleId - Role granted on redemption
+ * @param {number|null} reward.perUserLimit - Max redemptions per user (null = unlimited)
+ * @param {string} reward.createdBy - Discord user ID of the super admin
+ * @returns {Promise<Object>} Created reward row
+ */
+export async function createReward(guildId, { name, description, cost, stock, roleId, perUserLimit, createdBy }) {
+  try {
+    const { data, error } = await supabase
+      .from('shop_rewards')
+      .insert({
+        guild_id: guildId,
+        name,
+        description: description || null,
+        cost,
+        stock: stock ?? null,
+        role_id: roleId || null,
+        per_user_limit: perUserLimit ?? null,
+        created_by: createdBy,
+      })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error creating reward:', error);
+    throw new Error('Failed to create reward');
+  }
+}
+
+/**
+ * Update a reward
+ * @param {string} guildId - Guild ID
+ * @param {number} rewardId - Reward ID
+ * @param {Object} updates - Fields to update (camelCase, same as createReward)
+ * @returns {Promise<Object|null>} Updated row, or null if not found
+ */
+export async function updateReward(guildId, rewardId, updates) {
+  try {
+    // Map camelCase to snake_case for DB
+    const dbUpdates = {};
+    if (updates.name !== undefined) dbUpdates.name = updates.name;
+    if (updates.description !== undefined) dbUpdates.description = updates.description;
+    if (updates.cost !== undefined) dbUpdates.cost = updates.cost;
+    if (updates.stock !== undefined) dbUpdates.stock = updates.stock;
+    if (updates.roleId !== undefined) dbUpdates.role_id = updates.roleId;
+    if (updates.perUserLimit !== undefined) dbUpdates.per_user_limit = updates.perUserLimit;
+    if (updates.active !== undefined) dbUpdates.active = updates.active;
+
+    dbUpdates.updated_at = new Date().toISOString();
+
+    const { data, error } = await supabase
+      .from('shop_rewards')
+      .update(dbUpdates)
+      .eq('guild_id', guildId)
+      .eq('id', rewardId)
+      .select();
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error updating reward:', error);
+    throw new Error('Failed to update reward');
+  }
+}
+
+/**
+ * Redeem a reward using ATOMIC TRANSACTION via redeem_reward() RPC
+ * @param {string} guildId - Guild ID (rewards and balances are per server)
+ * @param {number} rewardId - Reward ID
+ * @param {string} userId - Discord user ID of the buyer (string)
+ * @param {string|null} idempotencyKey - Optional idempotency key (a retry returns the original redemption)
+ * @returns {Promise<{redemptionId: number, rewardName: string, roleId: string|null, cost: number, before: number, after: number, duplicate: boolean}>}
+ */
+export async function redeemReward(guildId, rewardId, userId, idempotencyKey = null) {
+  try {
+    const { data, error } = await supabase.rpc('redeem_reward', {
+      p_guild_id: guildId,
+      p_reward_id: rewardId,
+      p_user_id: userId,   // String safely converted to BIGINT by Postgres
+      p_idempotency_key: idempotencyKey,
+    });
+
+    if (error) {
+      console.error('Database RPC error:', error);
+      throw new Error(error.message || 'Failed to redeem reward');
+    }
+
+    return {
+      redemptionId: data.redemption_id,
+      rewardName: data.reward_name,
+      roleId: data.role_id,
+      cost: data.cost,
+      before: data.before_points,
+      after: data.after_points,
+      duplicate: data.duplicate === true,
+    };
+  } catch (error) {
+    console.error('Error redeeming reward:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a server's fulfilment tickets still waiting for delivery
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array>} shop_redemptions rows with reward name, oldest first
+ */
+export async function getPendingRedemptions(guildId) {
+  try {
+    const { data, error } = await supabase
+      .from('shop_redemptions')
+      .select('*, shop_rewards(name)')
+      .eq('guild_id', guildId)
+      .eq('status', 'PENDING')
+      .order('created_at', { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching redemptions:', error);
+    throw new Error('Failed to fetch redemptions');
+  }
+}
+
+/**
+ * Mark a fulfilment ticket as delivered
+ * @param {string} guildId - Guild ID
+ * @param {number} redemptionId - Redemption / ticket ID
+ * @param {string} deliveredBy - Discord user ID of the manager
+ * @returns {Promise<Object|null>} Updated row, or null if not pending
+ */
+export async function markRedemptionDelivered(guildId, redemptionId, deliveredBy) {
+  try {
+    const { data, error } = await supabase
+      .from('shop_redemptions')
+      .update({ status: 'DELIVERED', delivered_by: deliveredBy, delivered_at: new Date().toISOString() })
+      .eq('guild_id', guildId)
+      .eq('id', redemptionId)
+      .eq('status', 'PENDING')
+      .select('*, shop_rewards(name)');
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error delivering redemption:', error);
+    throw new Error('Failed to update ticket');
+  }
+}
@@ -0,0 +1,648 @@
+import { readFile, writeFile, rename, mkdir } from 'fs/promises';
+import { dirname, resolve } from 'path';
+import { randomUUID } from 'crypto';
+
+// ==========================================
+// LOCAL FILE STORAGE BACKEND
+// ==========================================
+// Keeps the ledger, profiles and bot updates in one JSON file. Meant for
+// development and small single-process deployments.
+//
+// Same contract as the SQL functions:
+// - Mutations run one at a time (in-process queue = the row lock)
+// - Each mutation works on a copy and validates BEFORE anything is written
+// - The copy is written to a temp file and renamed over the old one, so a crash
+//   leaves either the old state or the new state on disk, never half of each
+// - Idempotency keys behave as in database/idempotency_schema.sql
+// - Only ONE bot process may use a file at a time
+
+const STORAGE_FILE = resolve(process.env.STORAGE_FILE || 'data/storage.json');
+
+const DEFAULT_BIO = 'Hey there! I\'m new to the staff team. Looking forward to contributing! 🚀';
+const DEFAULT_TAGS = ['tag1', 'tag2', 'tag3', 'tag4', 'tag5'];
+const GENDERS = ['Male', 'Female', 'Non-binary', 'Prefer not to say'];
+
+let state = null;
+let queue = Promise.resolve();
+
+/**
+ * Empty store layout (mirrors the SQL tables)
+ */
+function emptyState() {
+  return {
+    balances: {},        // staff_points: guildId -> userId -> points
+    history: [],         // points_history rows
+    nextHistoryId: 1,
+    frozen: [],          // frozen_accounts rows
+    profiles: [],        // user_profiles rows
+    updates: [],         // bot_updates rows (edit the file to publish one)
+  };
+}
+
+/**
+ * Load the store from disk once (a missing file starts empty)
+ * @returns {Promise<Object>} Current state
+ */
+async function load() {
+  if (state) return state;
+
+  try {
+    state = { ...emptyState(), ...JSON.parse(await readFile(STORAGE_FILE, 'utf8')) };
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read storage file ${STORAGE_FILE}: ${error.message}`);
+    }
+    state = emptyState();
+  }
+
+  return state;
+}
+
+/**
+ * Run a mutation atomically
+ * The callback gets a copy of the state; it only replaces the live state once it
+ * returned without throwing AND the copy is safely on disk.
+ * @param {Function} mutate - (draft) => result
+ * @returns {Promise<*>} Callback result
+ */
+function transaction(mutate) {
+  const run = queue.then(async () => {
+    const draft = structuredClone(await load());
+    const result = mutate(draft);
+
+    const tempFile = `${STORAGE_FILE}.tmp`;
+    await mkdir(dirname(STORAGE_FILE), { recursive: true });
+    await writeFile(tempFile, JSON.stringify(draft, null, 2));
+    await rename(tempFile, STORAGE_FILE);
+
+    state = draft;
+    return result;
+  });
+
+  // A failed mutation must not block the ones queued after it
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Read a balance from a state snapshot
+ */
+function balanceOf(data, guildId, userId) {
+  return data.balances[guildId]?.[userId] ?? 0;
+}
+
+/**
+ * Write a balance (mutations only)
+ * @param {boolean} [allowFrozen] - set_points_balance() override
+ */
+function setBalanceOf(data, guildId, userId, points, allowFrozen = false) {
+  if (!allowFrozen && findFrozen(data, guildId, userId)) {
+    throw new Error(`Account is frozen: <@${userId}> cannot send or receive points`);
+  }
+
+  data.balances[guildId] ??= {};
+  data.balances[guildId][userId] = points;
+}
+
+function findFrozen(data, guildId, userId) {
+  return data.frozen.find(row => row.guild_id === guildId && row.user_id === userId) || null;
+}
+
+/**
+ * Append a points_history row
+ * @returns {Object} Inserted row
+ */
+function insertHistory(data, row) {
+  const entry = {
+    id: data.nextHistoryId++,
+    transfer_id: null,
+    reverses_history_id: null,
+    reversed_by_history_id: null,
+    reversed_at: null,
+    idempotency_key: null,
+    created_at: new Date().toISOString(),
+    ...row,
+    reason: row.reason ?? null,
+  };
+
+  data.history.push(entry);
+  return entry;
+}
+
+/**
+ * History row already written for an idempotency key in a server
+ * @returns {Object|null} points_history row
+ */
+function findByKey(data, guildId, idempotencyKey) {
+  if (!idempotencyKey) return null;
+  return data.history.find(row => row.guild_id === guildId && row.idempotency_key === idempotencyKey) || null;
+}
+
+function keyReusedError(idempotencyKey) {
+  return new Error(`Idempotency key ${idempotencyKey} was already used for a different change`);
+}
+
+/**
+ * modify_points() on a draft - shared by modifyPoints() and revertPoints()
+ */
+function applyModify(data, guildId, targetUserId, actionByUserId, actionType, amount, allowNegative, reason, idempotencyKey = null) {
+  if (!guildId) {
+    throw new Error('Server is required');
+  }
+
+  // Seen this key before: hand back the original result, write nothing
+  const existing = findByKey(data, guildId, idempotencyKey);
+  if (existing) {
+    if (existing.target_user_id !== targetUserId || existing.amount !== amount) {
+      throw keyReusedError(idempotencyKey);
+    }
+
+    return { historyId: existing.id, before: existing.before_points, after: existing.after_points, duplicate: true };
+  }
+
+  if (!['ADD', 'REMOVE'].includes(actionType)) {
+    throw new Error(`Invalid action type: ${actionType}`);
+  }
+
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error('Amount must be positive');
+  }
+
+  const before = balanceOf(data, guildId, targetUserId);
+  const after = actionType === 'ADD' ? before + amount : before - amount;
+
+  // Validate BEFORE any write
+  if (after < 0 && !allowNegative) {
+    throw new Error(`Insufficient points: balance is ${before}, cannot remove ${amount}`);
+  }
+
+  setBalanceOf(data, guildId, targetUserId, after);
+
+  const entry = insertHistory(data, {
+    guild_id: guildId,
+    target_user_id: targetUserId,
+    action_by_user_id: actionByUserId,
+    action_type: actionType,
+    amount,
+    before_points: before,
+    after_points: after,
+    reason,
+    idempotency_key: idempotencyKey,
+  });
+
+  return { historyId: entry.id, before, after, duplicate: false };
+}
+
+/**
+ * Check the storage file is readable
+ */
+export async function checkConnection() {
+  await load();
+}
+
+// ==========================================
+// LEDGER
+// ==========================================
+
+export async function getBalance(guildId, userId) {
+  return balanceOf(await load(), guildId, userId);
+}
+
+export async function getBalances(guildId) {
+  const balances = (await load()).balances[guildId] || {};
+
+  return Object.entries(balances)
+    .filter(([, points]) => points !== 0)
+    .map(([userId, points]) => ({ userId, points }))
+    .sort((a, b) => b.points - a.points || compareIds(a.userId, b.userId));
+}
+
+export async function getNetChanges(guildId, from, to) {
+  const totals = new Map();
+
+  for (const row of (await load()).history) {
+    const createdAt = new Date(row.created_at);
+    if (row.guild_id !== guildId || createdAt < from || createdAt >= to) continue;
+
+    totals.set(row.target_user_id, (totals.get(row.target_user_id) || 0) + row.after_points - row.before_points);
+  }
+
+  return [...totals.entries()]
+    .filter(([, points]) => points !== 0)
+    .map(([userId, points]) => ({ userId, points }))
+    .sort((a, b) => b.points - a.points || compareIds(a.userId, b.userId));
+}
+
+/**
+ * Order snowflakes numerically (same as ORDER BY the BIGINT column)
+ */
+function compareIds(a, b) {
+  return a.length - b.length || (a < b ? -1 : a > b ? 1 : 0);
+}
+
+export function modifyPoints(guildId, targetUserId, actionByUserId, actionType, amount, allowNegative, reason, idempotencyKey) {
+  return transaction(data =>
+    applyModify(data, guildId, targetUserId, actionByUserId, actionType, amount, allowNegative, reason, idempotencyKey)
+  );
+}
+
+export function transferPoints(guildId, fromUserId, toUserId, amount, allowNegative, reason, idempotencyKey) {
+  return transaction(data => {
+    // The key is stored on the sender half; the recipient half is found via transfer_id
+    const existing = findByKey(data, guildId, idempotencyKey);
+    if (existing) {
+      const credit = data.history.find(row => row.transfer_id && row.transfer_id === existing.transfer_id && row.id !== existing.id);
+
+      if (!credit || existing.target_user_id !== fromUserId || credit.target_user_id !== toUserId || existing.amount !== amount) {
+        throw keyReusedError(idempotencyKey);
+      }
+
+      return {
+        transferId: existing.transfer_id,
+        sender: { before: existing.before_points, after: existing.after_points },
+        recipient: { before: credit.before_points, after: credit.after_points },
+        duplicate: true,
+      };
+    }
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      throw new Error('Amount must be positive');
+    }
+
+    if (fromUserId === toUserId) {
+      throw new Error('Cannot transfer points to yourself');
+    }
+
+    const transferId = randomUUID();
+    const fromBefore = balanceOf(data, guildId, fromUserId);
+    const toBefore = balanceOf(data, guildId, toUserId);
+    const fromAfter = fromBefore - amount;
+    const toAfter = toBefore + amount;
+
+    // Validate BEFORE any write
+    if (fromAfter < 0 && !allowNegative) {
+      throw new Error(`Insufficient points: balance is ${fromBefore}, transfer requires ${amount}`);
+    }
+
+    setBalanceOf(data, guildId, fromUserId, fromAfter);
+    setBalanceOf(data, guildId, toUserId, toAfter);
+
+    // Sender half (debit), then recipient half (credit)
+    const shared = { guild_id: guildId, action_by_user_id: fromUserId, amount, reason, transfer_id: transferId };
+    insertHistory(data, { ...shared, target_user_id: fromUserId, action_type: 'REMOVE', before_points: fromBefore, after_points: fromAfter, idempotency_key: idempotencyKey ?? null });
+    insertHistory(data, { ...shared, target_user_id: toUserId, action_type: 'ADD', before_points: toBefore, after_points: toAfter });
+
+    return {
+      transferId,
+      sender: { before: fromBefore, after: fromAfter },
+      recipient: { before: toBefore, after: toAfter },
+      duplicate: false,
+    };
+  });
+}
+
+export function revertPoints(guildId, historyId, actionByUserId, allowNegative, reason, idempotencyKey) {
+  return transaction(data => {
+    // A retried reversal would otherwise fail with "already been reversed"
+    const existing = findByKey(data, guildId, idempotencyKey);
+    if (existing) {
+      if (existing.reverses_history_id !== historyId) {
+        throw keyReusedError(idempotencyKey);
+      }
+
+      return {
+        reversalId: existing.id,
+        targetUserId: existing.target_user_id,
+        originalType: existing.action_type === 'ADD' ? 'REMOVE' : 'ADD',
+        amount: existing.amount,
+        before: existing.before_points,
+        after: existing.after_points,
+        duplicate: true,
+      };
+    }
+
+    // Entries from other servers are reported as missing
+    const original = data.history.find(row => row.id === historyId && row.guild_id === guildId);
+
+    if (!original) {
+      throw new Error(`History entry #${historyId} not found`);
+    }
+
+    if (original.reversed_at) {
+      throw new Error(`History entry #${historyId} has already been reversed`);
+    }
+
+    if (original.reverses_history_id) {
+      throw new Error(`History entry #${historyId} is itself a reversal and cannot be reverted`);
+    }
+
+    if (!['ADD', 'REMOVE'].includes(original.action_type)) {
+      throw new Error(`History entry #${historyId} (${original.action_type}) cannot be reverted`);
+    }
+
+    if (original.transfer_id) {
+      throw new Error(`History entry #${historyId} is part of a transfer and cannot be reverted on its own`);
+    }
+
+    const result = applyModify(
+      data,
+      guildId,
+      original.target_user_id,
+      actionByUserId,
+      original.action_type === 'ADD' ? 'REMOVE' : 'ADD',
+      original.amount,
+      allowNegative,
+      reason ?? `Reversal of #${historyId}`,
+      idempotencyKey
+    );
+
+    data.history.find(row => row.id === result.historyId).reverses_history_id = historyId;
+    original.reversed_at = new Date().toISOString();
+    original.reversed_by_history_id = result.historyId;
+
+    return {
+      reversalId: result.historyId,
+      targetUserId: original.target_user_id,
+      originalType: original.action_type,
+      amount: original.amount,
+      before: result.before,
+      after: result.after,
+      duplicate: false,
+    };
+  });
+}
+
+export function setBalance(guildId, targetUserId, actionByUserId, newBalance, reason, idempotencyKey) {
+  return transaction(data => {
+    // A retried override would otherwise fail with "Balance is already"
+    const existing = findByKey(data, guildId, idempotencyKey);
+    if (existing) {
+      if (existing.action_type !== 'ADJUST' || existing.target_user_id !== targetUserId || existing.after_points !== newBalance) {
+        throw keyReusedError(idempotencyKey);
+      }
+
+      return { before: existing.before_points, after: existing.after_points, duplicate: true };
+    }
+
+    if (!reason || !reason.trim()) {
+      throw new Error('A reason is required for balance overrides');
+    }
+
+    const before = balanceOf(data, guildId, targetUserId);
+
+    if (before === newBalance) {
+      throw new Error(`Balance is already ${newBalance}`);
+    }
+
+    // Emergency override works on frozen accounts too
+    setBalanceOf(data, guildId, targetUserId, newBalance, true);
+
+    // amount holds the size of the delta; before/after give its direction
+    insertHistory(data, {
+      guild_id: guildId,
+      target_user_id: targetUserId,
+      action_by_user_id: actionByUserId,
+      action_type: 'ADJUST',
+      amount: Math.abs(newBalance - before),
+      before_points: before,
+      after_points: newBalance,
+      reason,
+      idempotency_key: idempotencyKey ?? null,
+    });
+
+    return { before, after: newBalance, duplicate: false };
+  });
+}
+
+export async function hasIdempotencyKey(guildId, idempotencyKey) {
+  return findByKey(await load(), guildId, idempotencyKey) !== null;
+}
+
+// ==========================================
+// FROZEN ACCOUNTS
+// ==========================================
+
+export async function getFrozenAccount(guildId, userId) {
+  return findFrozen(await load(), guildId, userId);
+}
+
+export function freezeAccount(guildId, userId, frozenBy, reason) {
+  return transaction(data => {
+    if (findFrozen(data, guildId, userId)) {
+      throw new Error('Account is already frozen');
+    }
+
+    const row = { guild_id: guildId, user_id: userId, frozen_by: frozenBy, reason, frozen_at: new Date().toISOString() };
+    data.frozen.push(row);
+    return row;
+  });
+}
+
+export function unfreezeAccount(guildId, userId) {
+  return transaction(data => {
+    const row = findFrozen(data, guildId, userId);
+    data.frozen = data.frozen.filter(frozen => frozen !== row);
+    return row;
+  });
+}
+
+// ==========================================
+// HISTORY
+// ==========================================
+
+/**
+ * Check a history row falls in [from, to) - null bounds are open
+ */
+function inWindow(row, from, to) {
+  const createdAt = new Date(row.created_at);
+  return (!from || createdAt >= from) && (!to || createdAt < to);
+}
+
+export async function getHistory(guildId, userId, filters = {}) {
+  return (await load()).history
+    .filter(row =>
+      row.guild_id === guildId &&
+      row.target_user_id === userId &&
+      inWindow(row, filters.from || null, filters.to || null) &&
+      (!filters.actionType || row.action_type === filters.actionType) &&
+      (!filters.actorId || row.action_by_user_id === filters.actorId) &&
+      (!filters.minAmount || row.amount >= filters.minAmount)
+    )
+    .reverse();
+}
+
+export async function getBalanceAt(guildId, userId, at) {
+  const rows = (await load()).history
+    .filter(row => row.guild_id === guildId && row.target_user_id === userId && inWindow(row, null, at));
+
+  return rows.length > 0 ? rows[rows.length - 1].after_points : 0;
+}
+
+export async function getManagerActivity(guildId, managerId, since) {
+  return (await load()).history
+    .filter(row =>
+      row.guild_id === guildId &&
+      row.action_by_user_id === managerId &&
+      !row.transfer_id &&
+      new Date(row.created_at) >= since
+    )
+    .map(({ id, target_user_id, action_type, amount, reason, created_at }) => ({ id, target_user_id, action_type, amount, reason, created_at }));
+}
+
+export async function getManagerStats(guildId, from, to, systemActorId) {
+  const managers = new Map();
+
+  for (const row of (await load()).history) {
+    if (row.guild_id !== guildId || row.transfer_id || row.action_by_user_id === systemActorId) continue;
+    if (!['ADD', 'REMOVE', 'ADJUST'].includes(row.action_type) || !inWindow(row, from, to)) continue;
+
+    if (!managers.has(row.action_by_user_id)) {
+      managers.set(row.action_by_user_id, { added: 0, removed: 0, transactions: 0, granted: new Map(), reasons: new Map() });
+    }
+
+    const stats = managers.get(row.action_by_user_id);
+    const delta = row.after_points - row.before_points;
+    const reason = row.reason?.trim() || '(no reason)';
+
+    stats.added += Math.max(delta, 0);
+    stats.removed += Math.max(-delta, 0);
+    stats.transactions++;
+    stats.granted.set(row.target_user_id, (stats.granted.get(row.target_user_id) || 0) + Math.max(delta, 0));
+    stats.reasons.set(reason, (stats.reasons.get(reason) || 0) + 1);
+  }
+
+  return [...managers.entries()]
+    .map(([managerId, stats]) => {
+      const [top] = [...stats.granted.entries()]
+        .filter(([, granted]) => granted > 0)
+        .sort((a, b) => b[1] - a[1] || compareIds(a[0], b[0]));
+
+      return {
+        managerId,
+        added: stats.added,
+        removed: stats.removed,
+        transactions: stats.transactions,
+        recipients: stats.granted.size,
+        topRecipientId: top ? top[0] : null,
+        topRecipientPoints: top ? top[1] : 0,
+        topReasons: [...stats.reasons.entries()]
+          .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+          .slice(0, 3)
+          .map(([reason, count]) => ({ reason, count })),
+      };
+    })
+    .sort((a, b) => b.added - a.added || b.removed - a.removed || compareIds(a.managerId, b.managerId));
+}
+
+export async function getUserStats(guildId, userId, from, to) {
+  const actors = new Map();
+
+  for (const row of (await load()).history) {
+    if (row.guild_id !== guildId || row.target_user_id !== userId || row.action_by_user_id === userId) continue;
+    if (!inWindow(row, from, to)) continue;
+
+    if (!actors.has(row.action_by_user_id)) {
+      actors.set(row.action_by_user_id, { added: 0, removed: 0, transactions: 0, lastAt: row.created_at });
+    }
+
+    const stats = actors.get(row.action_by_user_id);
+    const delta = row.after_points - row.before_points;
+
+    stats.added += Math.max(delta, 0);
+    stats.removed += Math.max(-delta, 0);
+    stats.transactions++;
+    stats.lastAt = row.created_at; // History is stored oldest first
+  }
+
+  return [...actors.entries()]
+    .map(([actorId, stats]) => ({ actorId, ...stats }))
+    .sort((a, b) => (b.added + b.removed) - (a.added + a.removed) || compareIds(a.actorId, b.actorId));
+}
+
+// ==========================================
+// PROFILES
+// ==========================================
+
+/**
+ * user_profiles CHECK constraints
+ */
+function validateProfileRow(row) {
+  if (row.age !== undefined && (row.age < 13 || row.age > 100)) {
+    throw new Error('Age must be between 13 and 100');
+  }
+
+  if (row.gender && !GENDERS.includes(row.gender)) {
+    throw new Error(`Invalid gender: ${row.gender}`);
+  }
+}
+
+export async function getProfile(guildId, userId) {
+  return (await load()).profiles.find(row => row.guild_id === guildId && row.user_id === userId) || null;
+}
+
+export function createProfile(guildId, userId, row) {
+  return transaction(data => {
+    if (data.profiles.some(profile => profile.guild_id === guildId && profile.user_id === userId)) {
+      throw new Error('Profile already exists');
+    }
+
+    validateProfileRow(row);
+
+    const now = new Date().toISOString();
+    const profile = {
+      ...row,
+      guild_id: guildId,
+      user_id: userId,
+      bio: row.bio ?? DEFAULT_BIO,
+      tags: row.tags ?? DEFAULT_TAGS,
+      avatar_url: row.avatar_url ?? null,
+      gender: row.gender ?? null,
+      created_at: now,
+      updated_at: now,
+    };
+
+    data.profiles.push(profile);
+    return profile;
+  });
+}
+
+export function updateProfile(guildId, userId, row) {
+  return transaction(data => {
+    const profile = data.profiles.find(existing => existing.guild_id === guildId && existing.user_id === userId);
+
+    if (!profile) {
+      throw new Error('Profile not found');
+    }
+
+    validateProfileRow(row);
+    Object.assign(profile, row);
+    return profile;
+  });
+}
+
+// ==========================================
+// BOT UPDATES
+// ==========================================
+
+/**
+ * Updates newest first (same order as the SQL queries)
+ */
+async function sortedUpdates() {
+  return [...(await load()).updates].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+export async function getPinnedUpdate() {
+  return (await sortedUpdates()).find(update => update.is_pinned) || null;
+}
+
+export async function getUpdateAt(offset) {
+  return (await sortedUpdates())[offset] || null;
+}
+
+export async function countUpdates() {
+  return (await load()).updates.length;
+}
+
+export async function getUpdates(limit) {
+  return (await sortedUpdates()).slice(0, limit);
+}
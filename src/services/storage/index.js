@@ -0,0 +1,78 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+// ==========================================
+// STORAGE BACKEND SELECTION
+// ==========================================
+// The ledger (balances, history, freezes), profiles and bot updates go through a
+// storage backend chosen with STORAGE_BACKEND:
+// - supabase (default): PostgreSQL via Supabase, mutations through the RPC functions
+// - file: a local JSON file (STORAGE_FILE, default data/storage.json) for development
+//   and small self-hosted setups - no external services needed
+//
+// Every backend implements the same functions with the same semantics:
+//
+//   checkConnection()
+//   getBalance(guildId, userId) -> number
+//   getBalances(guildId) -> [{ userId, points }]              non-zero, highest first
+//   getNetChanges(guildId, from, to) -> [{ userId, points }]  net history deltas in [from, to)
+//   modifyPoints(guildId, targetUserId, actionByUserId, actionType, amount, allowNegative, reason, idempotencyKey)
+//     -> { historyId, before, after, duplicate }
+//   transferPoints(guildId, fromUserId, toUserId, amount, allowNegative, reason, idempotencyKey)
+//     -> { transferId, sender: { before, after }, recipient: { before, after }, duplicate }
+//   revertPoints(guildId, historyId, actionByUserId, allowNegative, reason, idempotencyKey)
+//     -> { reversalId, targetUserId, originalType, amount, before, after, duplicate }
+//   setBalance(guildId, targetUserId, actionByUserId, newBalance, reason, idempotencyKey)
+//     -> { before, after, duplicate }
+//   hasIdempotencyKey(guildId, idempotencyKey) -> boolean   the key is on a history row in the server
+//   getFrozenAccount(guildId, userId) / freezeAccount(guildId, userId, frozenBy, reason) / unfreezeAccount(guildId, userId)
+//   getHistory(guildId, userId, filters) -> points_history rows, newest first
+//     filters (all optional): { from, to, actionType, actorId, minAmount }   from inclusive, to exclusive
+//   getBalanceAt(guildId, userId, at) -> balance just before `at` (after the last history row), null = latest
+//   getManagerActivity(guildId, managerId, since) -> [{ id, target_user_id, action_type, amount, reason, created_at }]
+//   getManagerStats(guildId, from, to, systemActorId) -> [{ managerId, added, removed, transactions, recipients,
+//     topRecipientId, topRecipientPoints, topReasons: [{ reason, count }] }]   null bounds = unbounded
+//   getUserStats(guildId, userId, from, to) -> [{ actorId, added, removed, transactions, lastAt }]
+//   getProfile(guildId, userId) / createProfile(guildId, userId, row) / updateProfile(guildId, userId, row)
+//   getPinnedUpdate() / getUpdateAt(offset) / countUpdates() / getUpdates(limit)
+//
+// Mutations are all-or-nothing and raise the same error messages as the SQL functions
+// (e.g. 'Insufficient points: balance is X, cannot remove Y'), so callers never need
+// to know which backend is active. A mutation whose idempotency key was already used
+// in the server returns the original result with duplicate: true and writes nothing
+// (see database/idempotency_schema.sql).
+
+const BACKENDS = {
+  supabase: './supabaseStorage.js',
+  file: './fileStorage.js',
+};
+
+export const storageBackend = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+
+if (!BACKENDS[storageBackend]) {
+  throw new Error(`Unknown STORAGE_BACKEND "${storageBackend}" (expected one of: ${Object.keys(BACKENDS).join(', ')})`);
+}
+
+// Only the selected backend is loaded, so file mode needs no Supabase credentials
+export const storage = await import(BACKENDS[storageBackend]);
+
+/**
+ * Check if the active backend is Supabase
+ * Approvals, schedules, the shop, activity settings and voice sessions are only
+ * stored in Supabase - those features are unavailable on other backends.
+ * @returns {boolean}
+ */
+export function isSupabaseBackend() {
+  return storageBackend === 'supabase';
+}
+
+/**
+ * Supabase client for the services outside the storage interface
+ * On other backends every query fails with a clear message instead of a connection error.
+ */
+export const supabase = storage.supabase || new Proxy({}, {
+  get() {
+    throw new Error(`This feature needs the Supabase storage backend (STORAGE_BACKEND=supabase), but "${storageBackend}" is active.`);
+  },
+});
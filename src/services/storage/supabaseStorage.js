@@ -0,0 +1,438 @@
+import { createClient } from '@supabase/supabase-js';
+
+// ==========================================
+// SUPABASE STORAGE BACKEND
+// ==========================================
+// PostgreSQL via Supabase. The RPC functions (modify_points, transfer_points,
+// revert_points, set_points_balance) do the locking, validation and history
+// inserts - nothing here writes staff_points or points_history directly.
+//
+// SECURITY: Using service_role key for server-side operations only
+// NEVER expose this key to client-side code
+export const supabase = createClient(
+  process.env.SUPABASE_URL,
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+/**
+ * Call an RPC function, surfacing the database error message as-is
+ * @param {string} name - Function name
+ * @param {Object} params - Named parameters
+ * @returns {Promise<Object>} Function result
+ */
+async function rpc(name, params) {
+  const { data, error } = await supabase.rpc(name, params);
+
+  if (error) {
+    console.error('Database RPC error:', error);
+    throw new Error(error.message || `${name} failed`);
+  }
+
+  return data;
+}
+
+/**
+ * Check the database is reachable (throws if not)
+ */
+export async function checkConnection() {
+  const { error } = await supabase.from('staff_points').select('id').limit(1);
+  if (error) throw error;
+}
+
+// ==========================================
+// LEDGER
+// ==========================================
+
+export async function getBalance(guildId, userId) {
+  // CRITICAL: userId is kept as string to prevent BIGINT precision loss
+  // Discord IDs are 18-digit snowflakes, JS Number is only accurate to 16 digits
+  const { data, error } = await supabase
+    .from('staff_points')
+    .select('points')
+    .eq('guild_id', guildId)
+    .eq('id', userId)  // Supabase handles string->BIGINT conversion safely
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return 0; // No row yet - no points
+    throw error;
+  }
+
+  return data?.points || 0;
+}
+
+export async function getBalances(guildId) {
+  // Cast id to text so 18-digit snowflakes are not rounded by JSON parsing
+  const { data, error } = await supabase
+    .from('staff_points')
+    .select('user_id:id::text, points')
+    .eq('guild_id', guildId)
+    .neq('points', 0)
+    .order('points', { ascending: false })
+    .order('id', { ascending: true });
+
+  if (error) throw error;
+
+  return (data || []).map(row => ({ userId: row.user_id, points: row.points }));
+}
+
+export async function getNetChanges(guildId, from, to) {
+  const { data, error } = await supabase.rpc('points_leaderboard', {
+    p_guild_id: guildId,
+    p_from: from.toISOString(),
+    p_to: to.toISOString(),
+  });
+
+  if (error) throw error;
+
+  return (data || []).map(row => ({ userId: row.user_id, points: Number(row.net_points) }));
+}
+
+export async function modifyPoints(guildId, targetUserId, actionByUserId, actionType, amount, allowNegative, reason, idempotencyKey) {
+  const data = await rpc('modify_points', {
+    p_guild_id: guildId,
+    p_target_user_id: targetUserId,        // String safely converted to BIGINT by Postgres
+    p_action_by_user_id: actionByUserId,   // String safely converted to BIGINT by Postgres
+    p_action_type: actionType,
+    p_amount: amount,
+    p_allow_negative: allowNegative,
+    p_reason: reason,
+    p_idempotency_key: idempotencyKey,
+  });
+
+  return {
+    historyId: data.history_id,
+    before: data.before_points,
+    after: data.after_points,
+    duplicate: data.duplicate === true,
+  };
+}
+
+export async function transferPoints(guildId, fromUserId, toUserId, amount, allowNegative, reason, idempotencyKey) {
+  const data = await rpc('transfer_points', {
+    p_guild_id: guildId,
+    p_from_user_id: fromUserId,
+    p_to_user_id: toUserId,
+    p_amount: amount,
+    p_allow_negative: allowNegative,
+    p_reason: reason,
+    p_idempotency_key: idempotencyKey,
+  });
+
+  return {
+    transferId: data.transfer_id,
+    sender: {
+      before: data.from_before_points,
+      after: data.from_after_points,
+    },
+    recipient: {
+      before: data.to_before_points,
+      after: data.to_after_points,
+    },
+    duplicate: data.duplicate === true,
+  };
+}
+
+export async function revertPoints(guildId, historyId, actionByUserId, allowNegative, reason, idempotencyKey) {
+  const data = await rpc('revert_points', {
+    p_guild_id: guildId,
+    p_history_id: historyId,
+    p_action_by_user_id: actionByUserId,
+    p_allow_negative: allowNegative,
+    p_reason: reason,
+    p_idempotency_key: idempotencyKey,
+  });
+
+  return {
+    reversalId: data.reversal_history_id,
+    targetUserId: data.target_user_id,
+    originalType: data.original_action_type,
+    amount: data.amount,
+    before: data.before_points,
+    after: data.after_points,
+    duplicate: data.duplicate === true,
+  };
+}
+
+export async function setBalance(guildId, targetUserId, actionByUserId, newBalance, reason, idempotencyKey) {
+  const data = await rpc('set_points_balance', {
+    p_guild_id: guildId,
+    p_target_user_id: targetUserId,
+    p_action_by_user_id: actionByUserId,
+    p_new_balance: newBalance,
+    p_reason: reason,
+    p_idempotency_key: idempotencyKey,
+  });
+
+  return {
+    before: data.before_points,
+    after: data.after_points,
+    duplicate: data.duplicate === true,
+  };
+}
+
+export async function hasIdempotencyKey(guildId, idempotencyKey) {
+  const { data, error } = await supabase
+    .from('points_history')
+    .select('id')
+    .eq('guild_id', guildId)
+    .eq('idempotency_key', idempotencyKey)
+    .limit(1);
+
+  if (error) throw error;
+  return data.length > 0;
+}
+
+// ==========================================
+// FROZEN ACCOUNTS
+// ==========================================
+
+export async function getFrozenAccount(guildId, userId) {
+  const { data, error } = await supabase
+    .from('frozen_accounts')
+    .select('*')
+    .eq('guild_id', guildId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null; // Not frozen
+    throw error;
+  }
+
+  return data;
+}
+
+export async function freezeAccount(guildId, userId, frozenBy, reason) {
+  const { data, error } = await supabase
+    .from('frozen_accounts')
+    .insert({ guild_id: guildId, user_id: userId, frozen_by: frozenBy, reason })
+    .select()
+    .single();
+
+  if (error) {
+    if (error.code === '23505') throw new Error('Account is already frozen'); // Unique violation
+    throw error;
+  }
+
+  return data;
+}
+
+export async function unfreezeAccount(guildId, userId) {
+  const { data, error } = await supabase
+    .from('frozen_accounts')
+    .delete()
+    .eq('guild_id', guildId)
+    .eq('user_id', userId)
+    .select();
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+// ==========================================
+// HISTORY
+// ==========================================
+
+// Snowflake columns are BIGINT - read as text, JS numbers would lose precision
+const HISTORY_COLUMNS = [
+  'id',
+  'guild_id',
+  'target_user_id::text',
+  'action_by_user_id::text',
+  'action_type',
+  'amount',
+  'before_points',
+  'after_points',
+  'reason',
+  'created_at',
+  'transfer_id',
+  'reverses_history_id',
+  'reversed_by_history_id',
+  'reversed_at',
+  'idempotency_key',
+].join(', ');
+
+export async function getHistory(guildId, userId, filters = {}) {
+  let query = supabase
+    .from('points_history')
+    .select(HISTORY_COLUMNS)
+    .eq('guild_id', guildId)
+    .eq('target_user_id', userId);
+
+  if (filters.from) query = query.gte('created_at', filters.from.toISOString());
+  if (filters.to) query = query.lt('created_at', filters.to.toISOString());
+  if (filters.actionType) query = query.eq('action_type', filters.actionType);
+  if (filters.actorId) query = query.eq('action_by_user_id', filters.actorId);
+  if (filters.minAmount) query = query.gte('amount', filters.minAmount);
+
+  const { data, error } = await query.order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function getBalanceAt(guildId, userId, at) {
+  let query = supabase
+    .from('points_history')
+    .select('after_points')
+    .eq('guild_id', guildId)
+    .eq('target_user_id', userId);
+
+  if (at) query = query.lt('created_at', at.toISOString());
+
+  const { data, error } = await query
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0].after_points : 0;
+}
+
+export async function getManagerActivity(guildId, managerId, since) {
+  const { data, error } = await supabase
+    .from('points_history')
+    .select('id, target_user_id::text, action_type, amount, reason, created_at')
+    .eq('guild_id', guildId)
+    .eq('action_by_user_id', managerId)
+    .is('transfer_id', null)
+    .gte('created_at', since.toISOString())
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data || [];
+}
+
+export async function getManagerStats(guildId, from, to, systemActorId) {
+  const { data, error } = await supabase.rpc('manager_stats', {
+    p_guild_id: guildId,
+    p_from: from ? from.toISOString() : null,
+    p_to: to ? to.toISOString() : null,
+    p_system_actor_id: systemActorId,
+  });
+
+  if (error) throw error;
+
+  return (data || []).map(row => ({
+    managerId: row.manager_id,
+    added: Number(row.points_added),
+    removed: Number(row.points_removed),
+    transactions: Number(row.transactions),
+    recipients: Number(row.recipients),
+    topRecipientId: row.top_recipient_id,
+    topRecipientPoints: Number(row.top_recipient_points),
+    topReasons: row.top_reasons || [],
+  }));
+}
+
+export async function getUserStats(guildId, userId, from, to) {
+  const { data, error } = await supabase.rpc('user_stats', {
+    p_guild_id: guildId,
+    p_user_id: userId,
+    p_from: from ? from.toISOString() : null,
+    p_to: to ? to.toISOString() : null,
+  });
+
+  if (error) throw error;
+
+  return (data || []).map(row => ({
+    actorId: row.actor_id,
+    added: Number(row.points_added),
+    removed: Number(row.points_removed),
+    transactions: Number(row.transactions),
+    lastAt: row.last_at,
+  }));
+}
+
+// ==========================================
+// PROFILES
+// ==========================================
+
+export async function getProfile(guildId, userId) {
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .select('*')
+    .eq('guild_id', guildId)
+    .eq('user_id', userId)
+    .single();
+
+  if (error) {
+    if (error.code === 'PGRST116') return null; // No rows found
+    throw error;
+  }
+
+  return data;
+}
+
+export async function createProfile(guildId, userId, row) {
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .insert({ ...row, guild_id: guildId, user_id: userId })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function updateProfile(guildId, userId, row) {
+  const { data, error } = await supabase
+    .from('user_profiles')
+    .update(row)
+    .eq('guild_id', guildId)
+    .eq('user_id', userId)
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// ==========================================
+// BOT UPDATES
+// ==========================================
+
+export async function getPinnedUpdate() {
+  const { data, error } = await supabase
+    .from('bot_updates')
+    .select('*')
+    .eq('is_pinned', true)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .single();
+
+  if (error && error.code !== 'PGRST116') throw error; // PGRST116 = no rows
+  return data || null;
+}
+
+export async function getUpdateAt(offset) {
+  const { data, error } = await supabase
+    .from('bot_updates')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .range(offset, offset);
+
+  if (error) throw error;
+  return data && data.length > 0 ? data[0] : null;
+}
+
+export async function countUpdates() {
+  const { count, error } = await supabase
+    .from('bot_updates')
+    .select('*', { count: 'exact', head: true });
+
+  if (error) throw error;
+  return count || 0;
+}
+
+export async function getUpdates(limit) {
+  const { data, error } = await supabase
+    .from('bot_updates')
+    .select('*')
+    .order('created_at', { ascending: false })
+    .limit(limit);
+
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,187 @@
+// Imported from the storage layer directly: database.js checks strikes before point gains
+import { supabase } from './storage/index.js';
+
+// ==========================================
+// STRIKE STORAGE
+// ==========================================
+// Strikes live in staff_strikes, with every change recorded in strike_history.
+// Issuing and removing ALWAYS go through add_strike() / remove_strike() so the
+// strike row, its history row and the before/after totals are one transaction.
+
+/**
+ * Issue a strike via add_strike() RPC
+ * @param {Object} strike - Strike data
+ * @param {string} strike.guildId - Guild ID
+ * @param {string} strike.userId - Discord user ID of the staff member (string)
+ * @param {string} strike.issuedBy - Discord user ID of the manager (string)
+ * @param {string} strike.severity - MINOR, MAJOR or SEVERE
+ * @param {number} strike.weight - Weight counted towards consequences
+ * @param {string} strike.reason - Mandatory reason
+ * @param {Date|null} strike.expiresAt - Expiry, or null for never
+ * @returns {Promise<{strikeId: number, activeBefore: number, activeAfter: number}>}
+ */
+export async function addStrike({ guildId, userId, issuedBy, severity, weight, reason, expiresAt }) {
+  try {
+    const { data, error } = await supabase.rpc('add_strike', {
+      p_guild_id: guildId,
+      p_user_id: userId,
+      p_issued_by: issuedBy,
+      p_severity: severity,
+      p_weight: weight,
+      p_reason: reason,
+      p_expires_at: expiresAt ? expiresAt.toISOString() : null,
+    });
+
+    if (error) {
+      console.error('Database RPC error:', error);
+      throw new Error(error.message || 'Failed to add strike');
+    }
+
+    return {
+      strikeId: data.strike_id,
+      activeBefore: data.active_before,
+      activeAfter: data.active_after,
+    };
+  } catch (error) {
+    console.error('Error adding strike:', error);
+    throw error;
+  }
+}
+
+/**
+ * Remove a strike via remove_strike() RPC
+ * @param {string} guildId - Guild ID
+ * @param {number} strikeId - Strike ID
+ * @param {string} removedBy - Discord user ID of the manager (string)
+ * @param {string} reason - Mandatory reason
+ * @returns {Promise<{strikeId: number, userId: string, severity: string, activeBefore: number, activeAfter: number}>}
+ */
+export async function removeStrike(guildId, strikeId, removedBy, reason) {
+  try {
+    const { data, error } = await supabase.rpc('remove_strike', {
+      p_guild_id: guildId,
+      p_strike_id: strikeId,
+      p_removed_by: removedBy,
+      p_reason: reason,
+    });
+
+    if (error) {
+      console.error('Database RPC error:', error);
+      throw new Error(error.message || 'Failed to remove strike');
+    }
+
+    return {
+      strikeId: data.strike_id,
+      userId: data.user_id,
+      severity: data.severity,
+      activeBefore: data.active_before,
+      activeAfter: data.active_after,
+    };
+  } catch (error) {
+    console.error('Error removing strike:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get strike by ID (only if it belongs to the server)
+ * @param {string} guildId - Guild ID
+ * @param {number} strikeId - Strike ID
+ * @returns {Promise<Object|null>} staff_strikes row or null
+ */
+export async function getStrike(guildId, strikeId) {
+  try {
+    const { data, error } = await supabase
+      .from('staff_strikes')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('id', strikeId)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return null; // No rows found
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error fetching strike:', error);
+    throw new Error('Failed to fetch strike');
+  }
+}
+
+/**
+ * Get a user's strikes, newest first
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {boolean} includeInactive - Include removed and expired strikes
+ * @returns {Promise<Array>} staff_strikes rows
+ */
+export async function getStrikes(guildId, userId, includeInactive = false) {
+  try {
+    let query = supabase
+      .from('staff_strikes')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('user_id', userId)
+      .order('issued_at', { ascending: false });
+
+    if (!includeInactive) {
+      query = query
+        .is('removed_at', null)
+        .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching strikes:', error);
+    throw new Error('Failed to fetch strikes');
+  }
+}
+
+/**
+ * Get a user's active strike weight
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @returns {Promise<number>} Sum of the weights of active strikes
+ */
+export async function getActiveStrikeWeight(guildId, userId) {
+  try {
+    const { data, error } = await supabase.rpc('active_strike_weight', {
+      p_guild_id: guildId,
+      p_user_id: userId,
+    });
+
+    if (error) throw error;
+    return data || 0;
+  } catch (error) {
+    console.error('Error fetching strike weight:', error);
+    throw new Error('Failed to check strikes');
+  }
+}
+
+/**
+ * Get a user's strike history (every issue and removal), newest first
+ * READ ONLY - used for strike statement exports
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @returns {Promise<Array>} strike_history rows
+ */
+export async function getStrikeHistory(guildId, userId) {
+  try {
+    const { data, error } = await supabase
+      .from('strike_history')
+      .select('*')
+      .eq('guild_id', guildId)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching strike history:', error);
+    throw new Error('Failed to fetch strike history');
+  }
+}
@@ -0,0 +1,207 @@
+import { supabase } from './database.js';
+
+// ==========================================
+// VOICE SESSION STORAGE
+// ==========================================
+// Open sessions live in voice_sessions so tracking survives restarts.
+// Time is always added by the database functions (update_voice_session,
+// close_voice_session, checkpoint_voice_sessions) using the DB clock.
+
+/**
+ * Open a session for a user in a server (no-op if one is already open)
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {string} channelId - Voice channel ID
+ * @param {boolean} counting - Start counting now (false while self-deafened)
+ * @returns {Promise<Object|null>} Created row, or null if already open
+ */
+export async function openVoiceSession(guildId, userId, channelId, counting) {
+  try {
+    const now = new Date().toISOString();
+    const { data, error } = await supabase
+      .from('voice_sessions')
+      .insert({
+        guild_id: guildId,
+        user_id: userId,
+        channel_id: channelId,
+        counting_since: counting ? now : null,
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') return null; // Already open
+      throw error;
+    }
+
+    return data;
+  } catch (error) {
+    console.error('Error opening voice session:', error);
+    throw new Error('Failed to open voice session');
+  }
+}
+
+/**
+ * Get a server's open sessions (used to reconcile after a restart)
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array>} Open voice_sessions rows
+ */
+export async function getOpenVoiceSessions(guildId) {
+  try {
+    const { data, error } = await supabase
+      .from('voice_sessions')
+      .select('*')
+      .eq('guild_id', guildId)
+      .is('ended_at', null);
+
+    if (error) throw error;
+    return data || [];
+  } catch (error) {
+    console.error('Error fetching open voice sessions:', error);
+    throw new Error('Failed to fetch voice sessions');
+  }
+}
+
+/**
+ * Pause or resume counting for a user's open session
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {boolean} counting - Whether time should count from now on
+ * @param {string|null} channelId - New channel if the user moved
+ * @param {boolean} countOpenSegment - Count time since the last checkpoint
+ * @returns {Promise<Object|null>} Updated row, or null if no open session
+ */
+export async function updateVoiceSession(guildId, userId, counting, channelId = null, countOpenSegment = true) {
+  try {
+    const { data, error } = await supabase.rpc('update_voice_session', {
+      p_guild_id: guildId,
+      p_user_id: userId,
+      p_counting: counting,
+      p_channel_id: channelId,
+      p_count_open_segment: countOpenSegment,
+    });
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error updating voice session:', error);
+    throw new Error('Failed to update voice session');
+  }
+}
+
+/**
+ * Close a user's open session
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {boolean} countOpenSegment - Count time since the last checkpoint
+ * @returns {Promise<Object|null>} Closed row, or null if no open session
+ */
+export async function closeVoiceSession(guildId, userId, countOpenSegment = true) {
+  try {
+    const { data, error } = await supabase.rpc('close_voice_session', {
+      p_guild_id: guildId,
+      p_user_id: userId,
+      p_count_open_segment: countOpenSegment,
+    });
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0] : null;
+  } catch (error) {
+    console.error('Error closing voice session:', error);
+    throw new Error('Failed to close voice session');
+  }
+}
+
+/**
+ * Record the points outcome of a closed session
+ * @param {number} sessionId - Session ID
+ * @param {number} pointsAwarded - Points credited
+ * @param {number} carrySeconds - Time carried to the next session
+ */
+export async function settleVoiceSession(sessionId, pointsAwarded, carrySeconds) {
+  try {
+    const { error } = await supabase
+      .from('voice_sessions')
+      .update({ points_awarded: pointsAwarded, carry_seconds: carrySeconds })
+      .eq('id', sessionId);
+
+    if (error) throw error;
+  } catch (error) {
+    console.error('Error settling voice session:', error);
+    throw new Error('Failed to settle voice session');
+  }
+}
+
+/**
+ * Get time carried over from a user's previous session in a server
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {number} excludeId - Session being settled
+ * @returns {Promise<number>} Carry in seconds
+ */
+export async function getVoiceCarry(guildId, userId, excludeId) {
+  try {
+    const { data, error } = await supabase
+      .from('voice_sessions')
+      .select('carry_seconds')
+      .eq('guild_id', guildId)
+      .eq('user_id', userId)
+      .neq('id', excludeId)
+      .not('ended_at', 'is', null)
+      .order('ended_at', { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data && data.length > 0 ? data[0].carry_seconds : 0;
+  } catch (error) {
+    console.error('Error fetching voice carry:', error);
+    throw new Error('Failed to fetch voice carry');
+  }
+}
+
+/**
+ * Checkpoint every open session in every server (bounds time lost to a crash)
+ * @returns {Promise<number>} Sessions checkpointed
+ */
+export async function checkpointVoiceSessions() {
+  try {
+    const { data, error } = await supabase.rpc('checkpoint_voice_sessions');
+    if (error) throw error;
+    return data;
+  } catch (error) {
+    console.error('Error checkpointing voice sessions:', error);
+    throw new Error('Failed to checkpoint voice sessions');
+  }
+}
+
+/**
+ * Get a user's tracked voice time for sessions started since a point in time
+ * Open sessions include their running segment
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {Date} since - Start of the window
+ * @returns {Promise<number>} Tracked seconds
+ */
+export async function getVoiceSecondsSince(guildId, userId, since) {
+  try {
+    const { data, error } = await supabase
+      .from('voice_sessions')
+      .select('tracked_seconds, counting_since, ended_at')
+      .eq('guild_id', guildId)
+      .eq('user_id', userId)
+      .gte('started_at', since.toISOString());
+
+    if (error) throw error;
+
+    const now = Date.now();
+    return (data || []).reduce((total, session) => {
+      const running = !session.ended_at && session.counting_since
+        ? Math.max(0, Math.floor((now - new Date(session.counting_since).getTime()) / 1000))
+        : 0;
+      return total + session.tracked_seconds + running;
+    }, 0);
+  } catch (error) {
+    console.error('Error fetching voice time:', error);
+    throw new Error('Failed to fetch voice time');
+  }
+}
@@ -0,0 +1,281 @@
+import { addPoints, isFrozenError } from '../services/database.js';
+import { getActivitySettings, getActivityEarnings } from '../services/activityService.js';
+import { config, getGuildIds } from '../../config.js';
+import { sendAuditLog } from './logger.js';
+import { applyMilestoneRoles } from './roleRewards.js';
+import { jobKey } from './idempotency.js';
+
+// Reason written to points_history for every activity credit
+export const ACTIVITY_REASON = 'ACTIVITY';
+
+// Settings that /activity config can change (everything else stays in config.js)
+export const ACTIVITY_SETTING_KEYS = ['enabled', 'channels', 'staffRoleId', 'pointsPerMessage', 'minLength', 'cooldownMinutes', 'dailyCap'];
+
+// Saved /activity config overrides per server: guildId → settings
+const overrides = new Map();
+
+// Points earned but not yet written: guildId → (userId → points)
+const buffer = new Map();
+
+// Credits whose write failed, retried with their original job key: guildId → (key → { userId, amount, key })
+const retries = new Map();
+
+// Anti-farming state: "guildId:userId" → last reward time (ms), "guildId:userId" → { day, earned, ready }
+const lastRewardAt = new Map();
+const daily = new Map();
+
+// Counters since startup for /activity stats: guildId → counters
+const stats = new Map();
+const startedAt = new Date();
+
+let flushing = false;
+
+/**
+ * Start of the current UTC day
+ * @returns {Date}
+ */
+function startOfUtcDay() {
+  const now = new Date();
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+}
+
+/**
+ * Get a server's counters, creating them on first use
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Counters
+ */
+function getGuildStats(guildId) {
+  if (!stats.has(guildId)) {
+    stats.set(guildId, {
+      rewarded: 0,
+      skippedShort: 0,
+      skippedCooldown: 0,
+      skippedCap: 0,
+      flushedPoints: 0,
+      flushFailures: 0,
+      lastFlushAt: null,
+    });
+  }
+  return stats.get(guildId);
+}
+
+/**
+ * Get effective activity settings for a server (config.activity merged with saved overrides)
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Settings shaped like config.activity
+ */
+export function getActivityConfig(guildId) {
+  return { ...config.activity, ...(overrides.get(guildId) || {}) };
+}
+
+/**
+ * Replace a server's running overrides (after /activity config saved them)
+ * @param {string} guildId - Guild ID
+ * @param {Object} settings - Saved settings
+ */
+export function setActivityOverrides(guildId, settings) {
+  overrides.set(guildId, Object.fromEntries(
+    ACTIVITY_SETTING_KEYS.filter(key => settings[key] !== undefined).map(key => [key, settings[key]])
+  ));
+}
+
+/**
+ * Load saved /activity config overrides for every allowed server
+ * Called once on startup; a failure keeps the config.js values for that server
+ */
+export async function loadActivitySettings() {
+  for (const guildId of getGuildIds()) {
+    try {
+      setActivityOverrides(guildId, await getActivitySettings(guildId));
+    } catch (error) {
+      console.error(`Could not load activity settings for guild ${guildId}, using config.js values:`, error.message);
+    }
+  }
+}
+
+/**
+ * Get today's running total for a user, loading what was already written today
+ * Loaded once per user per day so restarts can't reset the daily cap
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @returns {Promise<{day: number, earned: number}>}
+ */
+async function getDailyEntry(guildId, userId) {
+  const key = `${guildId}:${userId}`;
+  const day = startOfUtcDay().getTime();
+  let entry = daily.get(key);
+
+  if (!entry || entry.day !== day) {
+    entry = { day, earned: 0 };
+    entry.ready = getActivityEarnings(guildId, new Date(day), userId)
+      .then(rows => { entry.earned += rows.reduce((sum, row) => sum + row.amount, 0); })
+      .catch(error => console.error(`Could not load activity total for ${userId}:`, error.message));
+    daily.set(key, entry);
+  }
+
+  await entry.ready;
+  return entry;
+}
+
+/**
+ * Credit a message towards activity rewards (called from messageCreate)
+ * Never throws - activity tracking must not break message handling
+ * @param {Message} message - Discord message
+ */
+export async function handleActivityMessage(message) {
+  const guildId = message.guild.id;
+  const settings = getActivityConfig(guildId);
+  if (!settings.enabled || !settings.channels.includes(message.channelId)) return;
+  if (settings.staffRoleId && !message.member?.roles.cache.has(settings.staffRoleId)) return;
+
+  const userId = message.author.id;
+  const key = `${guildId}:${userId}`;
+  const counters = getGuildStats(guildId);
+
+  try {
+    if (message.content.trim().length < settings.minLength) {
+      counters.skippedShort++;
+      return;
+    }
+
+    // Claim the cooldown synchronously so a burst of messages earns once
+    const now = Date.now();
+    if (now - (lastRewardAt.get(key) || 0) < settings.cooldownMinutes * 60000) {
+      counters.skippedCooldown++;
+      return;
+    }
+    lastRewardAt.set(key, now);
+
+    const entry = await getDailyEntry(guildId, userId);
+    const amount = Math.min(settings.pointsPerMessage, settings.dailyCap - entry.earned);
+
+    if (amount <= 0) {
+      counters.skippedCap++;
+      return;
+    }
+
+    entry.earned += amount;
+    if (!buffer.has(guildId)) buffer.set(guildId, new Map());
+    const pending = buffer.get(guildId);
+    pending.set(userId, (pending.get(userId) || 0) + amount);
+    counters.rewarded++;
+  } catch (error) {
+    console.error(`Activity tracking failed for ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Drop cooldown entries that have expired (they no longer block anything)
+ * Keeps lastRewardAt from growing by one entry per member who ever chatted
+ */
+function pruneCooldowns() {
+  const now = Date.now();
+
+  for (const [key, rewardedAt] of lastRewardAt) {
+    const guildId = key.split(':')[0];
+    if (now - rewardedAt >= getActivityConfig(guildId).cooldownMinutes * 60000) {
+      lastRewardAt.delete(key);
+    }
+  }
+}
+
+/**
+ * Write buffered points through addPoints (one credit per user per flush)
+ * Each server gets its own audit summary
+ * @param {Client} client - Discord client
+ */
+export async function flushActivity(client) {
+  pruneCooldowns();
+
+  if (flushing || (buffer.size === 0 && retries.size === 0)) return;
+  flushing = true;
+
+  // Swap the buffers out first - messages arriving mid-flush go into the next batch
+  const flushId = Date.now();
+  const batches = new Map();
+
+  for (const [guildId, pending] of buffer) {
+    batches.set(guildId, [...pending].map(([userId, amount]) => ({ userId, amount, key: jobKey('activity', flushId, userId) })));
+  }
+
+  for (const [guildId, failed] of retries) {
+    batches.set(guildId, [...(batches.get(guildId) || []), ...failed.values()]);
+  }
+
+  buffer.clear();
+  retries.clear();
+
+  try {
+    for (const [guildId, credits] of batches) {
+      const credited = [];
+      const counters = getGuildStats(guildId);
+      const guild = client.guilds.cache.get(guildId);
+
+      for (const credit of credits) {
+        const { userId, amount, key } = credit;
+
+        try {
+          const { before, after } = await addPoints(guildId, userId, config.systemActorId, amount, ACTIVITY_REASON, key);
+          credited.push({ userId, amount });
+          counters.flushedPoints += amount;
+
+          await applyMilestoneRoles(guild, userId, before, after);
+        } catch (error) {
+          counters.flushFailures++;
+
+          // Frozen accounts lose the points; anything else is retried next flush with the same key
+          if (isFrozenError(error)) {
+            console.error(`Activity credit dropped for ${userId}:`, error.message);
+            continue;
+          }
+
+          console.error(`Activity credit failed for ${userId}, retrying next flush:`, error.message);
+          if (!retries.has(guildId)) retries.set(guildId, new Map());
+          retries.get(guildId).set(key, credit);
+        }
+      }
+
+      counters.lastFlushAt = new Date();
+
+      if (credited.length > 0) {
+        await sendAuditLog(client, {
+          guildId,
+          type: 'ACTIVITY',
+          event: 'FLUSH',
+          credited,
+        });
+      }
+    }
+
+    // Drop yesterday's cap entries
+    const today = startOfUtcDay().getTime();
+    for (const [key, entry] of daily) {
+      if (entry.day !== today) daily.delete(key);
+    }
+  } finally {
+    flushing = false;
+  }
+}
+
+/**
+ * Snapshot of a server's activity counters for /activity stats
+ * @param {string} guildId - Guild ID
+ * @returns {Object} Counters plus buffered totals
+ */
+export function getActivityStats(guildId) {
+  const pending = buffer.get(guildId) || new Map();
+  const failed = [...(retries.get(guildId)?.values() || [])];
+  const pendingPoints = [...pending.values(), ...failed.map(credit => credit.amount)].reduce((sum, amount) => sum + amount, 0);
+  const pendingUsers = new Set([...pending.keys(), ...failed.map(credit => credit.userId)]).size;
+  return { ...getGuildStats(guildId), since: startedAt, pendingUsers, pendingPoints };
+}
+
+/**
+ * Start flushing buffered activity points on an interval
+ * @param {Client} client - Discord client
+ */
+export function startActivityFlusher(client) {
+  return setInterval(() => {
+    flushActivity(client).catch(error => console.error('Error flushing activity points:', error));
+  }, config.activity.flushIntervalSeconds * 1000);
+}
@@ -0,0 +1,306 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import { createAnomalyFlag, setAnomalyFlagMessage, getAnomalyFlag, reviewAnomalyFlag } from '../services/anomalyService.js';
+import { getManagerActivity } from '../services/database.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { config, getGuildConfig, isPointManager, isSuperAdmin } from '../../config.js';
+import { sendAuditLog } from './logger.js';
+
+/**
+ * Anomaly Detection
+ * Runs after every successful change made through /points add, remove and bulk and
+ * looks at the manager's recent history for the patterns in config.anomalies.rules.
+ * Matches become flags in the security channel; super admins acknowledge or dismiss
+ * them. Detection never blocks or undoes a change.
+ */
+
+const RULE_LABELS = {
+  REPEAT_RECIPIENT: '🔁 Repeated rewards to one user',
+  NEAR_THRESHOLD: '📏 Grants just under the approval threshold',
+  BURST: '💥 Burst of high-value changes',
+  RECIPROCAL: '🔄 Reciprocal grants between managers',
+};
+
+// Supporting history rows shown on a flag
+const MAX_EVIDENCE_ROWS = 10;
+
+/**
+ * Keep rows newer than a window
+ * @param {Array} rows - History rows
+ * @param {number} ms - Window length
+ * @returns {Array} Rows inside the window
+ */
+function withinWindow(rows, ms) {
+  const since = Date.now() - ms;
+  return rows.filter(row => new Date(row.created_at).getTime() >= since);
+}
+
+/**
+ * Evaluate every enabled rule against a manager's recent changes
+ * @param {string} guildId - Guild ID
+ * @param {Object} change - The change that was just applied
+ * @returns {Promise<Array<{rule: string, subjectId: string, summary: string, rows: Array}>>} Matches
+ */
+async function evaluateRules(guildId, { managerId, targetUserId, actionType, amount }) {
+  const { rules } = config.anomalies;
+  const matches = [];
+
+  // One query covers every rule: fetch the longest enabled window
+  const windows = [
+    rules.repeatRecipient.enabled ? rules.repeatRecipient.windowHours * 3600000 : 0,
+    rules.nearThreshold.enabled ? rules.nearThreshold.windowHours * 3600000 : 0,
+    rules.burst.enabled ? rules.burst.windowMinutes * 60000 : 0,
+    rules.reciprocal.enabled ? rules.reciprocal.windowHours * 3600000 : 0,
+  ];
+  const longest = Math.max(...windows);
+  if (longest === 0) return matches;
+
+  const since = new Date(Date.now() - longest);
+  const rows = await getManagerActivity(guildId, managerId, since);
+  const grants = rows.filter(row => row.action_type === 'ADD');
+
+  if (rules.repeatRecipient.enabled && actionType === 'ADD') {
+    const { count, windowHours } = rules.repeatRecipient;
+    const repeated = withinWindow(grants, windowHours * 3600000).filter(row => row.target_user_id === targetUserId);
+
+    if (repeated.length >= count) {
+      matches.push({
+        rule: 'REPEAT_RECIPIENT',
+        subjectId: targetUserId,
+        summary: `<@${managerId}> rewarded <@${targetUserId}> ${repeated.length} times in ${windowHours}h`,
+        rows: repeated,
+      });
+    }
+  }
+
+  if (rules.nearThreshold.enabled && config.approvals.enabled && actionType === 'ADD') {
+    const { marginPercent, count, windowHours } = rules.nearThreshold;
+    const threshold = config.approvals.threshold;
+    const lower = Math.ceil(threshold * (1 - marginPercent / 100));
+
+    if (amount >= lower && amount <= threshold) {
+      const nearMisses = withinWindow(grants, windowHours * 3600000)
+        .filter(row => row.amount >= lower && row.amount <= threshold);
+
+      if (nearMisses.length >= count) {
+        matches.push({
+          rule: 'NEAR_THRESHOLD',
+          subjectId: '',
+          summary: `<@${managerId}> made ${nearMisses.length} grants of ${lower}-${threshold} pts (approval needed above ${threshold}) in ${windowHours}h`,
+          rows: nearMisses,
+        });
+      }
+    }
+  }
+
+  if (rules.burst.enabled && amount >= rules.burst.minAmount) {
+    const { minAmount, count, windowMinutes } = rules.burst;
+    const burst = withinWindow(rows, windowMinutes * 60000).filter(row => row.amount >= minAmount);
+
+    if (burst.length >= count) {
+      matches.push({
+        rule: 'BURST',
+        subjectId: '',
+        summary: `<@${managerId}> made ${burst.length} changes of ${minAmount}+ pts in ${windowMinutes} minutes`,
+        rows: burst,
+      });
+    }
+  }
+
+  // Only between two managers: the recipient must be able to grant points back
+  if (rules.reciprocal.enabled && actionType === 'ADD' && targetUserId !== managerId && isPointManager(guildId, targetUserId)) {
+    const windowMs = rules.reciprocal.windowHours * 3600000;
+    const given = withinWindow(grants, windowMs).filter(row => row.target_user_id === targetUserId);
+    const received = withinWindow(await getManagerActivity(guildId, targetUserId, since), windowMs)
+      .filter(row => row.action_type === 'ADD' && row.target_user_id === managerId);
+
+    if (received.length > 0) {
+      matches.push({
+        rule: 'RECIPROCAL',
+        subjectId: targetUserId,
+        summary: `<@${managerId}> and <@${targetUserId}> granted each other points within ${rules.reciprocal.windowHours}h`,
+        rows: [...given, ...received],
+      });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Build the flag embed with its supporting history rows
+ * @param {Object} flag - anomaly_flags row
+ * @param {Array} rows - Supporting history rows
+ * @returns {EmbedBuilder} Formatted embed
+ */
+function buildFlagEmbed(flag, rows) {
+  const evidence = [...rows]
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .slice(0, MAX_EVIDENCE_ROWS)
+    .map(row => {
+      const sign = row.action_type === 'ADD' ? '+' : '-';
+      const time = Math.floor(new Date(row.created_at).getTime() / 1000);
+      return `\`#${row.id}\` <t:${time}:f> <@${row.target_user_id}> **${sign}${row.amount}**${row.reason ? ` — ${row.reason}` : ''}`;
+    });
+
+  if (rows.length > MAX_EVIDENCE_ROWS) {
+    evidence.push(`…and ${rows.length - MAX_EVIDENCE_ROWS} more`);
+  }
+
+  return new EmbedBuilder()
+    .setColor(0xFF4500)
+    .setTitle(`🚨 Anomaly #${flag.id} — ${RULE_LABELS[flag.rule]}`)
+    .setDescription([
+      flag.summary,
+      ``,
+      `**Manager:** <@${flag.manager_id}>`,
+      flag.subject_id ? `**Involving:** <@${flag.subject_id}>` : null,
+      ``,
+      `<:history:1450781562059751534> **Supporting history:**`,
+      ...evidence,
+    ].filter(line => line !== null).join('\n'))
+    .setFooter({ text: 'Review the entries, then acknowledge or dismiss • Super admins only' })
+    .setTimestamp(new Date(flag.created_at));
+}
+
+/**
+ * Build Acknowledge / Dismiss buttons - custom IDs carry the flag ID so they survive restarts
+ * @param {number} flagId - Flag ID
+ * @returns {ActionRowBuilder} Button row
+ */
+function buildFlagButtons(flagId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`anomaly_ack_${flagId}`)
+      .setLabel('Acknowledge')
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`anomaly_dismiss_${flagId}`)
+      .setLabel('Dismiss')
+      .setEmoji('✖️')
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+/**
+ * Check a change that was just applied and flag any suspicious pattern
+ * Never throws - a detection failure must not fail the point change
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Object} change - The applied change
+ * @param {string} change.managerId - Discord user ID of the manager (string)
+ * @param {string} change.targetUserId - Discord user ID of the recipient (string)
+ * @param {string} change.actionType - ADD or REMOVE
+ * @param {number} change.amount - Points moved
+ */
+export async function checkForAnomalies(client, guildId, change) {
+  // Flags are stored in Supabase
+  if (!config.anomalies.enabled || !isSupabaseBackend()) return;
+
+  try {
+    const matches = await evaluateRules(guildId, change);
+
+    for (const match of matches) {
+      const flag = await createAnomalyFlag({
+        guildId,
+        rule: match.rule,
+        managerId: change.managerId,
+        subjectId: match.subjectId,
+        summary: match.summary,
+        historyIds: match.rows.map(row => row.id),
+      });
+
+      // The same pattern is already open and waiting for review
+      if (!flag) continue;
+
+      const channelId = getGuildConfig(guildId)?.securityChannelId || process.env.SECURITY_CHANNEL_ID;
+
+      if (!channelId) {
+        console.warn(`SECURITY_CHANNEL_ID not configured. Anomaly #${flag.id} was stored but not posted.`);
+        continue;
+      }
+
+      const channel = await client.channels.fetch(channelId);
+      const message = await channel.send({
+        embeds: [buildFlagEmbed(flag, match.rows)],
+        components: [buildFlagButtons(flag.id)],
+      });
+
+      await setAnomalyFlagMessage(flag.id, message.channelId, message.id);
+    }
+  } catch (error) {
+    console.error('Anomaly detection failed:', error);
+  }
+}
+
+/**
+ * Handle Acknowledge / Dismiss button presses (routed from index.js)
+ * @param {ButtonInteraction} interaction - Button interaction
+ */
+export async function handleAnomalyButton(interaction) {
+  const [, decision, rawId] = interaction.customId.split('_');
+  const flagId = Number(rawId);
+  const reviewerId = interaction.user.id;
+  const guildId = interaction.guildId;
+
+  if (!isSuperAdmin(guildId, reviewerId)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **Only super admins can review anomaly flags.**',
+      ephemeral: true,
+    });
+  }
+
+  // Flags from another server are treated as missing
+  const flag = await getAnomalyFlag(guildId, flagId);
+
+  if (!flag) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **This flag no longer exists.**',
+      ephemeral: true,
+    });
+  }
+
+  if (reviewerId === flag.manager_id || reviewerId === flag.subject_id) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **You cannot review a flag that involves you.**',
+      ephemeral: true,
+    });
+  }
+
+  const status = decision === 'ack' ? 'ACKNOWLEDGED' : 'DISMISSED';
+  const reviewed = await reviewAnomalyFlag(guildId, flagId, reviewerId, status);
+
+  if (!reviewed) {
+    const latest = await getAnomalyFlag(guildId, flagId);
+
+    // Deleted between the first lookup and the review
+    if (!latest) {
+      return await interaction.reply({
+        content: '<:error:1450781522545086599> **This flag no longer exists.**',
+        ephemeral: true,
+      });
+    }
+
+    return await interaction.reply({
+      content: `<:error:1450781522545086599> **This flag is already ${latest.status.toLowerCase()}.**`,
+      ephemeral: true,
+    });
+  }
+
+  // Keep the original evidence, only the review state changes
+  const embed = EmbedBuilder.from(interaction.message.embeds[0])
+    .setColor(status === 'ACKNOWLEDGED' ? 0xFFA500 : 0x808080)
+    .setTitle(`🚨 Anomaly #${flag.id} — ${status}`)
+    .addFields({ name: 'Reviewed by', value: `<:admin:1450781535002427476> ${interaction.user} <t:${Math.floor(Date.now() / 1000)}:R>` });
+
+  await interaction.update({ embeds: [embed], components: [] });
+
+  await sendAuditLog(interaction.client, {
+    guildId,
+    type: 'ANOMALY',
+    status,
+    flag: reviewed,
+    label: RULE_LABELS[reviewed.rule],
+    executor: interaction.user,
+  });
+}
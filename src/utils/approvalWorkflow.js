@@ -0,0 +1,338 @@
+import { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } from 'discord.js';
+import {
+  createApprovalRequest,
+  setApprovalMessage,
+  getApprovalRequest,
+  decideApprovalRequest,
+  failApprovalRequest,
+  expireApprovalRequests,
+} from '../services/approvalService.js';
+import { addPoints, removePoints } from '../services/database.js';
+import { isSupabaseBackend } from '../services/storage/index.js';
+import { config, canManagePoints, getScopeDenial, isPointManager, getPointSettings } from '../../config.js';
+import { sendAuditLog } from './logger.js';
+import { jobKey } from './idempotency.js';
+import { checkBudget, formatBudgetDenial } from './budgets.js';
+import { applyMilestoneRoles } from './roleRewards.js';
+import { cacheMembers } from './permissionStore.js';
+
+// How often pending requests are checked for expiry
+const EXPIRY_CHECK_INTERVAL = 60000; // 1 minute
+
+/**
+ * Check if a point change needs a second manager's approval
+ * @param {number} amount - Points being added/removed
+ * @returns {boolean} True if the change must go through the approval workflow
+ */
+export function requiresApproval(amount) {
+  return config.approvals.enabled && amount > config.approvals.threshold;
+}
+
+/**
+ * Build the approval request embed for any status
+ * @param {Object} request - point_approvals row
+ * @returns {EmbedBuilder} Formatted embed
+ */
+function buildApprovalEmbed(request) {
+  const colors = {
+    PENDING: 0xFFA500,
+    APPROVED: 0x00FF00,
+    DENIED: 0xFF0000,
+    EXPIRED: 0x808080,
+    FAILED: 0xFF0000,
+  };
+  const sign = request.action_type === 'ADD' ? '+' : '-';
+  const expiresAt = Math.floor(new Date(request.expires_at).getTime() / 1000);
+
+  const lines = [
+    `**User:** <@${request.target_user_id}>`,
+    `**Change:** ${sign}${request.amount}`,
+    `**Requested by:** <@${request.requested_by}>`,
+  ];
+
+  if (request.reason) {
+    lines.push(`**Reason:** ${request.reason}`);
+  }
+
+  if (request.status === 'PENDING') {
+    lines.push(``, `<a:time:1450781529700565073> **Expires:** <t:${expiresAt}:R>`);
+  } else if (request.status === 'EXPIRED') {
+    lines.push(``, `⌛ **Expired** without a decision`);
+  } else {
+    const verb = request.status === 'DENIED' ? 'Denied' : 'Approved';
+    lines.push(``, `<:admin:1450781535002427476> **${verb} by:** <@${request.decided_by}>`);
+  }
+
+  if (request.status === 'FAILED' && request.failure_reason) {
+    lines.push(`<:error:1450781522545086599> **Failed:** ${request.failure_reason}`);
+  }
+
+  return new EmbedBuilder()
+    .setColor(colors[request.status] ?? 0x5865F2)
+    .setTitle(`🛂 Approval Request #${request.id} — ${request.status}`)
+    .setDescription(lines.join('\n'))
+    .setFooter({ text: 'Large point changes need a second manager' })
+    .setTimestamp(new Date(request.created_at));
+}
+
+/**
+ * Build Approve / Deny buttons - custom IDs carry the request ID so they survive restarts
+ * @param {number} requestId - Approval request ID
+ * @returns {ActionRowBuilder} Button row
+ */
+function buildApprovalButtons(requestId) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`approval_approve_${requestId}`)
+      .setLabel('Approve')
+      .setEmoji('✅')
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`approval_deny_${requestId}`)
+      .setLabel('Deny')
+      .setEmoji('✖️')
+      .setStyle(ButtonStyle.Danger)
+  );
+}
+
+/**
+ * Build the full message payload for a request
+ */
+function buildApprovalMessage(request) {
+  return {
+    content: '',
+    embeds: [buildApprovalEmbed(request)],
+    components: request.status === 'PENDING' ? [buildApprovalButtons(request.id)] : [],
+  };
+}
+
+/**
+ * Create a pending request and post it with Approve/Deny buttons
+ * Replies to the interaction (must not be deferred yet)
+ * @param {Interaction} interaction - /points add or /points remove interaction
+ * @param {Object} change - Requested change
+ * @param {string} change.actionType - ADD or REMOVE
+ * @param {User} change.targetUser - Target user
+ * @param {number} change.amount - Points to add/remove
+ * @param {string|null} change.reason - Optional reason
+ */
+export async function submitApprovalRequest(interaction, { actionType, targetUser, amount, reason }) {
+  // Pending requests are stored in Supabase - without it, large changes are refused rather than applied unchecked
+  if (!isSupabaseBackend()) {
+    throw new Error(`Changes over ${config.approvals.threshold} points need approval, which requires the Supabase storage backend.`);
+  }
+
+  const expiresAt = new Date(Date.now() + config.approvals.expiryHours * 3600000);
+
+  const request = await createApprovalRequest({
+    guildId: interaction.guildId,
+    actionType,
+    targetUserId: targetUser.id,
+    requestedBy: interaction.user.id,
+    amount,
+    reason,
+    expiresAt,
+  });
+
+  await interaction.reply(buildApprovalMessage(request));
+
+  const message = await interaction.fetchReply();
+  await setApprovalMessage(request.id, message.channelId, message.id);
+
+  await sendAuditLog(interaction.client, {
+    guildId: interaction.guildId,
+    type: 'APPROVAL',
+    status: 'PENDING',
+    request,
+    executor: interaction.user,
+  });
+}
+
+/**
+ * Handle Approve / Deny button presses (routed from index.js)
+ * Works for requests created before a restart - all state comes from the database
+ * @param {ButtonInteraction} interaction - Button interaction
+ */
+export async function handleApprovalButton(interaction) {
+  const [, decision, rawId] = interaction.customId.split('_');
+  const requestId = Number(rawId);
+  const deciderId = interaction.user.id;
+  const guildId = interaction.guildId;
+
+  // Requests from another server are treated as missing
+  const request = await getApprovalRequest(guildId, requestId);
+
+  if (!request) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **This approval request no longer exists.**',
+      ephemeral: true,
+    });
+  }
+
+  // Only a DIFFERENT manager (or super admin) can decide
+  if (!isPointManager(guildId, deciderId)) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **Only point managers can approve or deny requests.**',
+      ephemeral: true,
+    });
+  }
+
+  if (deciderId === request.requested_by) {
+    return await interaction.reply({
+      content: '<:error:1450781522545086599> **You cannot approve or deny your own request.**',
+      ephemeral: true,
+    });
+  }
+
+  if (!canManagePoints(guildId, deciderId, request.target_user_id, request.amount)) {
+    const scopeDenial = getScopeDenial(guildId, deciderId, request.target_user_id, request.amount);
+    return await interaction.reply({
+      content: `<:error:1450781522545086599> **${scopeDenial || 'You do not have permission to manage points for this user.'}**`,
+      ephemeral: true,
+    });
+  }
+
+  const status = decision === 'approve' ? 'APPROVED' : 'DENIED';
+  const decided = await decideApprovalRequest(guildId, requestId, deciderId, status);
+
+  // Someone else got there first, or the request expired
+  if (!decided) {
+    const latest = await getApprovalRequest(guildId, requestId);
+
+    // Deleted between the first lookup and the decision
+    if (!latest) {
+      return await interaction.reply({
+        content: '<:error:1450781522545086599> **Approval request not found.**',
+        ephemeral: true,
+      });
+    }
+
+    const latestStatus = latest.status === 'PENDING' ? 'EXPIRED' : latest.status;
+
+    await interaction.reply({
+      content: `<:error:1450781522545086599> **This request is already ${latestStatus.toLowerCase()}.**`,
+      ephemeral: true,
+    });
+    return;
+  }
+
+  await interaction.deferUpdate();
+
+  if (status === 'DENIED') {
+    await interaction.editReply(buildApprovalMessage(decided));
+
+    await sendAuditLog(interaction.client, {
+      guildId,
+      type: 'APPROVAL',
+      status: 'DENIED',
+      request: decided,
+      executor: interaction.user,
+    });
+    return;
+  }
+
+  // APPROVED: apply through modify_points on behalf of the requesting manager
+  try {
+    // The requester's role grants (e.g. budget exemption) need them in the member cache
+    await cacheMembers(interaction.client, guildId, [decided.requested_by]);
+
+    // Budget is re-checked now - the requester may have spent it while the request was pending
+    const budget = await checkBudget(guildId, decided.requested_by, decided.action_type, decided.amount);
+    if (!budget.allowed) {
+      throw new Error(formatBudgetDenial(decided.action_type, decided.amount, budget));
+    }
+
+    // Keyed by the request, so one approval can never be applied twice
+    const key = jobKey('approval', decided.id);
+    const { before, after, duplicate } = decided.action_type === 'ADD'
+      ? await addPoints(guildId, decided.target_user_id, decided.requested_by, decided.amount, decided.reason, key)
+      : await removePoints(
+        guildId,
+        decided.target_user_id,
+        decided.requested_by,
+        decided.amount,
+        getPointSettings(guildId).allowNegativeBalance,
+        decided.reason,
+        key
+      );
+
+    const embed = buildApprovalEmbed(decided)
+      .addFields({ name: 'Balance', value: `${before} → ${after}` });
+
+    await interaction.editReply({ content: '', embeds: [embed], components: [] });
+
+    await sendAuditLog(interaction.client, {
+      guildId,
+      type: 'APPROVAL',
+      status: 'APPROVED',
+      request: decided,
+      executor: interaction.user,
+    });
+
+    const targetUser = await interaction.client.users.fetch(decided.target_user_id).catch(() => `<@${decided.target_user_id}>`);
+    const requester = await interaction.client.users.fetch(decided.requested_by).catch(() => `<@${decided.requested_by}>`);
+
+    await sendAuditLog(interaction.client, {
+      guildId,
+      type: decided.action_type,
+      targetUser,
+      amount: decided.amount,
+      executor: requester,
+      duplicate,
+    });
+
+    await applyMilestoneRoles(interaction.guild, decided.target_user_id, before, after);
+  } catch (error) {
+    console.error('Approved change failed:', error);
+
+    const failureReason = error.message && error.message.includes('Insufficient points')
+      ? 'User has insufficient balance.'
+      : (error.message || 'Unknown error');
+
+    await failApprovalRequest(requestId, failureReason);
+    await interaction.editReply(buildApprovalMessage({ ...decided, status: 'FAILED', failure_reason: failureReason }));
+
+    await sendAuditLog(interaction.client, {
+      guildId,
+      type: 'APPROVAL',
+      status: 'FAILED',
+      request: decided,
+      executor: interaction.user,
+    });
+  }
+}
+
+/**
+ * Periodically expire stale requests and update their messages
+ * @param {Client} client - Discord client
+ */
+export function startApprovalExpiryJob(client) {
+  const run = async () => {
+    const expired = await expireApprovalRequests();
+
+    for (const request of expired) {
+      try {
+        if (request.channel_id && request.message_id) {
+          const channel = await client.channels.fetch(request.channel_id);
+          const message = await channel.messages.fetch(request.message_id);
+          await message.edit(buildApprovalMessage(request));
+        }
+      } catch (error) {
+        // Message might be deleted
+        console.error(`Could not update expired approval #${request.id}:`, error.message);
+      }
+
+      await sendAuditLog(client, {
+        guildId: request.guild_id,
+        type: 'APPROVAL',
+        status: 'EXPIRED',
+        request,
+        executor: null,
+      });
+    }
+  };
+
+  // Catch up on anything that expired while the bot was offline
+  run();
+  return setInterval(run, EXPIRY_CHECK_INTERVAL);
+}
@@ -0,0 +1,104 @@
+import { getManagerActivity } from '../services/database.js';
+import { config, isSuperAdmin } from '../../config.js';
+
+/**
+ * Manager Budgets
+ * Caps how many points each manager can add/remove in rolling windows.
+ * Usage is summed from the manager's own points_history rows, so the
+ * database stays the single source of truth (no in-memory counters).
+ */
+
+const WINDOWS = {
+  daily: { ms: 86400000, label: '24h' },
+  weekly: { ms: 7 * 86400000, label: '7 days' },
+};
+
+/**
+ * Resolve the budget limits that apply to a manager in a server
+ * @param {string} guildId - Guild ID
+ * @param {string} managerId - Discord user ID (string)
+ * @returns {Object|null} Limits shaped like config.budgets.default, or null if exempt
+ */
+export function getBudgetLimits(guildId, managerId) {
+  if (!config.budgets.enabled) return null;
+
+  if (isSuperAdmin(guildId, managerId)) {
+    return config.budgets.superAdmins;
+  }
+
+  const override = config.budgets.managers[managerId] || {};
+  return {
+    add: { ...config.budgets.default.add, ...override.add },
+    remove: { ...config.budgets.default.remove, ...override.remove },
+  };
+}
+
+/**
+ * Get used / remaining budget for every limited window
+ * Usage is counted per server (each server has its own ledger)
+ * @param {string} guildId - Guild ID
+ * @param {string} managerId - Discord user ID (string)
+ * @returns {Promise<Object|null>} { add: [{window, limit, used, remaining}], remove: [...] } or null if exempt
+ */
+export async function getBudgetStatus(guildId, managerId) {
+  const limits = getBudgetLimits(guildId, managerId);
+  if (!limits) return null;
+
+  // One query covers every window: fetch the longest and filter per window
+  const now = Date.now();
+  const rows = await getManagerActivity(guildId, managerId, new Date(now - WINDOWS.weekly.ms));
+
+  const status = { add: [], remove: [] };
+
+  for (const action of ['add', 'remove']) {
+    for (const [window, { ms, label }] of Object.entries(WINDOWS)) {
+      const limit = limits[action]?.[window];
+      if (limit === null || limit === undefined) continue;
+
+      const used = rows
+        .filter(row => row.action_type === action.toUpperCase() && new Date(row.created_at).getTime() >= now - ms)
+        .reduce((sum, row) => sum + row.amount, 0);
+
+      status[action].push({ window, label, limit, used, remaining: Math.max(0, limit - used) });
+    }
+  }
+
+  return status;
+}
+
+/**
+ * Check whether a manager can move this many points right now
+ * @param {string} guildId - Guild ID
+ * @param {string} managerId - Discord user ID (string)
+ * @param {string} actionType - ADD or REMOVE
+ * @param {number} amount - Total points about to be moved
+ * @returns {Promise<{allowed: boolean, remaining: number|null, label: string|null}>}
+ *   remaining/label describe the tightest window (null when unlimited)
+ */
+export async function checkBudget(guildId, managerId, actionType, amount) {
+  const status = await getBudgetStatus(guildId, managerId);
+  const windows = status ? status[actionType.toLowerCase()] : [];
+
+  if (windows.length === 0) {
+    return { allowed: true, remaining: null, label: null };
+  }
+
+  const tightest = windows.reduce((min, w) => (w.remaining < min.remaining ? w : min));
+  return {
+    allowed: amount <= tightest.remaining,
+    remaining: tightest.remaining,
+    label: tightest.label,
+  };
+}
+
+/**
+ * User-facing denial message for an exceeded budget
+ * @param {string} actionType - ADD or REMOVE
+ * @param {number} amount - Requested amount
+ * @param {{remaining: number, label: string}} budget - checkBudget() result
+ * @returns {string} Message
+ */
+export function formatBudgetDenial(actionType, amount, { remaining, label }) {
+  const verb = actionType === 'ADD' ? 'add' : 'remove';
+  return `Budget exceeded: you can ${verb} ${remaining} more point${remaining === 1 ? '' : 's'} in the current ${label} window (requested ${amount}).`;
+}
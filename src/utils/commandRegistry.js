@@ -0,0 +1,28 @@
+import { REST, Routes } from 'discord.js';
+
+/**
+ * Register the bot's slash commands in one server
+ * Commands with buildData() get that server's point limits, so this runs on startup
+ * and again whenever /config changes a setting baked into a command definition
+ * @param {Client} client - Discord client (client.commands holds the loaded commands)
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<number>} Number of registered commands
+ */
+export async function registerGuildCommands(client, guildId) {
+  const rest = new REST().setToken(process.env.DISCORD_TOKEN);
+  const commands = [];
+
+  for (const command of client.commands.values()) {
+    commands.push((command.buildData ? command.buildData(guildId) : command.data).toJSON());
+  }
+
+  console.log(`🔄 Refreshing ${commands.length} application (/) commands for guild ${guildId}...`);
+
+  const data = await rest.put(
+    Routes.applicationGuildCommands(process.env.CLIENT_ID, guildId),
+    { body: commands }
+  );
+
+  console.log(`✅ Successfully registered ${data.length} application commands.`);
+  return data.length;
+}
@@ -0,0 +1,133 @@
+/**
+ * Minimal cron expression support for scheduled grants
+ * Standard 5 fields, evaluated in UTC:
+ *   minute (0-59) hour (0-23) day-of-month (1-31) month (1-12) day-of-week (0-6, Sunday = 0)
+ * Each field supports: *, single values, lists (1,15), ranges (1-5) and steps (*\/15, 0-30/10)
+ */
+
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }, // 7 is accepted as Sunday
+];
+
+// Never search further ahead than this (covers leap-day expressions)
+const MAX_SEARCH_YEARS = 5;
+
+/**
+ * Parse one cron field into the set of allowed values
+ * @param {string} field - Field text (e.g. "*\/15", "1-5", "0,30")
+ * @param {{name: string, min: number, max: number}} range - Allowed range
+ * @returns {Set<number>} Allowed values
+ */
+function parseField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const match = part.match(/^(\*|\d+)(?:-(\d+))?(?:\/(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid cron ${name}: "${part}"`);
+    }
+
+    const [, startRaw, endRaw, stepRaw] = match;
+    const start = startRaw === '*' ? min : Number(startRaw);
+    const end = startRaw === '*' ? max : endRaw !== undefined ? Number(endRaw) : stepRaw ? max : start;
+    const step = stepRaw ? Number(stepRaw) : 1;
+
+    if (start < min || end > max || start > end || step < 1) {
+      throw new Error(`Invalid cron ${name}: "${part}" (allowed ${min}-${max})`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression
+ * @param {string} expression - Cron expression (e.g. "0 9 * * 1")
+ * @returns {Object} Parsed expression used by getNextCronRun()
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  const fields = expression.trim().split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day month weekday');
+  }
+
+  const [minutes, hours, days, months, weekdays] = fields.map((field, i) => parseField(field, FIELD_RANGES[i]));
+
+  // 7 and 0 both mean Sunday
+  if (weekdays.has(7)) weekdays.add(0);
+
+  return {
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    // Classic cron rule: if BOTH day fields are restricted, either one may match
+    // A field starting with * (including steps like */2) counts as unrestricted, as in Vixie cron
+    anyDay: !fields[2].startsWith('*') && !fields[4].startsWith('*'),
+  };
+}
+
+/**
+ * Check whether a date's day matches the day-of-month / day-of-week fields
+ */
+function dayMatches(parsed, date) {
+  const domMatch = parsed.days.has(date.getUTCDate());
+  const dowMatch = parsed.weekdays.has(date.getUTCDay());
+  return parsed.anyDay ? domMatch || dowMatch : domMatch && dowMatch;
+}
+
+/**
+ * Get the first run time strictly after a given date
+ * @param {string|Object} expression - Cron expression or parseCron() result
+ * @param {Date} after - Search starts after this moment
+ * @returns {Date|null} Next run time (UTC), or null if none within the search window
+ */
+export function getNextCronRun(expression, after) {
+  const parsed = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  // Start at the next whole minute
+  const date = new Date(after.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_YEARS * 366 * 86400000;
+
+  while (date.getTime() <= limit) {
+    if (!parsed.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!dayMatches(parsed, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!parsed.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!parsed.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+}
@@ -0,0 +1,203 @@
+import { getPointsHistory, getLeaderboard, removePoints } from '../services/database.js';
+import { config, getGuildIds } from '../../config.js';
+import { sendAuditLog } from './logger.js';
+import { jobKey } from './idempotency.js';
+
+// How often balances are checked for decay
+const DECAY_CHECK_INTERVAL = 3600000; // 1 hour
+
+// Reason written to points_history for every decay deduction
+export const DECAY_REASON = 'DECAY';
+
+const DAY_MS = 86400000;
+
+/**
+ * Build the FIFO lots of still-unspent points from a user's history
+ * Credits create lots; debits (including earlier decay) consume the oldest lots first
+ * @param {Array} history - points_history rows (any order)
+ * @returns {Array<{amount: number, earnedAt: Date, expiresAt: Date}>} Remaining lots, oldest first
+ */
+export function getRemainingLots(history) {
+  const lots = [];
+  const chronological = [...history].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  for (const record of chronological) {
+    const delta = record.after_points - record.before_points;
+
+    if (delta > 0) {
+      const earnedAt = new Date(record.created_at);
+      lots.push({
+        amount: delta,
+        earnedAt,
+        expiresAt: new Date(earnedAt.getTime() + config.decay.expiry.days * DAY_MS),
+      });
+      continue;
+    }
+
+    // Consume oldest lots first
+    let remaining = -delta;
+    while (remaining > 0 && lots.length > 0) {
+      const used = Math.min(lots[0].amount, remaining);
+      lots[0].amount -= used;
+      remaining -= used;
+      if (lots[0].amount === 0) lots.shift();
+    }
+  }
+
+  return lots;
+}
+
+/**
+ * Work out inactivity decay state from a user's history
+ * @param {Array} history - points_history rows (any order)
+ * @param {number} balance - Current balance
+ * @returns {{amount: number, dueAt: Date|null}} Next decay amount and when it applies
+ */
+export function getInactivityDecay(history, balance) {
+  if (balance <= 0 || history.length === 0) {
+    return { amount: 0, dueAt: null };
+  }
+
+  const { percent, periodDays } = config.decay.inactivity;
+  const latest = (rows) => rows.reduce((max, r) => Math.max(max, new Date(r.created_at).getTime()), 0);
+
+  // Decay entries don't count as activity, but they restart the clock for the next period
+  const lastActivity = latest(history.filter(r => r.reason !== DECAY_REASON));
+  const lastDecay = latest(history.filter(r => r.reason === DECAY_REASON));
+  const since = Math.max(lastActivity, lastDecay);
+
+  return {
+    amount: Math.max(1, Math.floor(balance * percent / 100)),
+    dueAt: new Date(since + periodDays * DAY_MS),
+  };
+}
+
+/**
+ * Preview upcoming decay for /points view
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {number} balance - Current balance
+ * @returns {Promise<Array<{amount: number, at: Date}>>} Upcoming deductions within config.decay.previewDays
+ */
+export async function getDecayPreview(guildId, userId, balance) {
+  if (!config.decay.enabled || balance <= 0) return [];
+
+  const history = await getPointsHistory(guildId, userId);
+  const horizon = Date.now() + config.decay.previewDays * DAY_MS;
+
+  if (config.decay.mode === 'inactivity') {
+    const { amount, dueAt } = getInactivityDecay(history, balance);
+    return dueAt && dueAt.getTime() <= horizon ? [{ amount, at: dueAt }] : [];
+  }
+
+  // Group lots by expiry day so the preview stays short
+  const upcoming = new Map();
+  for (const lot of getRemainingLots(history)) {
+    if (lot.expiresAt.getTime() > horizon) break;
+    const day = lot.expiresAt.toISOString().split('T')[0];
+    const entry = upcoming.get(day) || { amount: 0, at: lot.expiresAt };
+    entry.amount += lot.amount;
+    upcoming.set(day, entry);
+  }
+
+  return [...upcoming.values()];
+}
+
+/**
+ * Calculate how many points should decay for a user right now
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {number} balance - Current balance
+ * @param {Date} now - Current time
+ * @returns {Promise<{amount: number, basisId: number|null}>} Points to deduct (0 if none) and the
+ *   newest history entry the decision was based on
+ */
+async function getDueDecay(guildId, userId, balance, now) {
+  const history = await getPointsHistory(guildId, userId);
+  const basisId = history[0]?.id ?? null;
+
+  if (config.decay.mode === 'inactivity') {
+    const { amount, dueAt } = getInactivityDecay(history, balance);
+    return { amount: dueAt && dueAt <= now ? amount : 0, basisId };
+  }
+
+  const expired = getRemainingLots(history)
+    .filter(lot => lot.expiresAt <= now)
+    .reduce((sum, lot) => sum + lot.amount, 0);
+
+  // Never take more than the user actually has
+  return { amount: Math.min(expired, balance), basisId };
+}
+
+/**
+ * Apply decay to every positive balance in a server
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ */
+async function runDecay(client, guildId) {
+  const now = new Date();
+  const balances = (await getLeaderboard(guildId)).filter(entry => entry.points > 0);
+  const deducted = [];
+
+  for (const { userId, points } of balances) {
+    try {
+      const { amount, basisId } = await getDueDecay(guildId, userId, points, now);
+      if (amount <= 0) continue;
+
+      // Goes through modify_points like any other change, recorded under the system actor
+      // Keyed by the history it was computed from, so two runs over the same state deduct once
+      const { duplicate } = await removePoints(
+        guildId,
+        userId,
+        config.systemActorId,
+        amount,
+        false,
+        DECAY_REASON,
+        jobKey('decay', userId, basisId)
+      );
+      if (!duplicate) deducted.push({ userId, amount });
+    } catch (error) {
+      console.error(`Decay failed for ${userId}:`, error.message);
+    }
+  }
+
+  if (deducted.length > 0) {
+    await sendAuditLog(client, {
+      guildId,
+      type: 'DECAY',
+      mode: config.decay.mode,
+      deducted,
+    });
+  }
+}
+
+/**
+ * Start the periodic decay job
+ * @param {Client} client - Discord client
+ */
+export function startDecayJob(client) {
+  if (!config.decay.enabled) return null;
+
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+
+    try {
+      // One server failing must not stop decay in the others
+      for (const guildId of getGuildIds()) {
+        try {
+          await runDecay(client, guildId);
+        } catch (error) {
+          console.error(`Error running decay for guild ${guildId}:`, error);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, DECAY_CHECK_INTERVAL);
+}
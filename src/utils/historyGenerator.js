@@ -1,66 +1,464 @@
+// Statement width (text format); every rule and separator is this wide
+const STATEMENT_WIDTH = 77;
+
+// Column order shared by every format
+const STATEMENT_COLUMNS = ['ref', 'timestamp', 'admin', 'action', 'amount', 'balance_before', 'balance_after', 'reason'];
+
+/**
+ * Supported /history formats
+ * Each entry: file extension and the generator for that format
+ */
+export const STATEMENT_FORMATS = {
+  txt: { extension: 'txt', generate: generateTextStatement },
+  csv: { extension: 'csv', generate: generateCsvStatement },
+  json: { extension: 'json', generate: generateJsonStatement },
+  html: { extension: 'html', generate: generateHtmlStatement },
+};
+
+/**
+ * Find the season a history record belongs to
+ * A season runs from started_at to ended_at inclusive, so its SEASON_RESET entries
+ * (written at the moment it ended) are listed under it.
+ * @param {Object} record - History record
+ * @param {Array} seasons - seasons rows
+ * @returns {Object|null} Season, or null if the record falls between seasons
+ */
+function findSeason(record, seasons) {
+  const time = new Date(record.created_at).getTime();
+
+  return seasons.find(season =>
+    new Date(season.started_at).getTime() <= time &&
+    (!season.ended_at || time <= new Date(season.ended_at).getTime())
+  ) || null;
+}
+
+/**
+ * Build a season label for separators
+ * @param {Object|null} season - Season, or null for records outside any season
+ * @returns {string}
+ */
+function seasonLabel(season) {
+  if (!season) return 'OFF-SEASON';
+
+  const startDate = new Date(season.started_at).toISOString().split('T')[0];
+  const endDate = season.ended_at ? new Date(season.ended_at).toISOString().split('T')[0] : 'ACTIVE';
+  return `SEASON #${season.id}: ${season.name.toUpperCase()} (${startDate} TO ${endDate})`;
+}
+
+/**
+ * Build a season separator line, padded to the statement width
+ * @param {Object|null} season - Season, or null for records outside any season
+ * @returns {string}
+ */
+function seasonSeparator(season) {
+  return `---- ${seasonLabel(season)} `.padEnd(STATEMENT_WIDTH, '-');
+}
+
+/**
+ * Convert a history record into the columns shared by every format
+ * @param {Object} record - History record
+ * @returns {Object} Row keyed by STATEMENT_COLUMNS
+ */
+function toStatementRow(record) {
+  // Compensating entries are labelled as reversals
+  const action = record.reverses_history_id ? 'REVERT' : record.action_type;
+
+  // ADJUST direction comes from the balance change
+  const isCredit = record.action_type === 'ADJUST'
+    ? record.after_points >= record.before_points
+    : record.action_type === 'ADD';
+
+  return {
+    ref: record.id,
+    timestamp: new Date(record.created_at).toISOString(),
+    admin: String(record.action_by_user_id),
+    action,
+    amount: isCredit ? record.amount : -record.amount,
+    balance_before: record.before_points,
+    balance_after: record.after_points,
+    reason: record.reason || '',
+  };
+}
+
+/**
+ * Split a reason into lines (reasons can contain line breaks)
+ * @param {string} reason - Reason text
+ * @returns {Array<string>}
+ */
+function reasonLines(reason) {
+  return reason ? reason.split(/\r\n|\r|\n/) : [];
+}
+
+/**
+ * Escape a value for a CSV cell (RFC 4180)
+ * Cells a spreadsheet would run as a formula are prefixed with a quote
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  let text = String(value ?? '');
+
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Escape text for HTML
+ * @param {*} value - Text
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Build the period summary: opening balance, totals of the listed entries, closing balance
+ * @param {Array} history - History records in the statement
+ * @param {Object} period - Statement period (see generateHistoryFile)
+ * @returns {{from: Date|null, to: Date|null, filters: Array<string>, openingBalance: number, totalCredits: number, totalDebits: number, netChange: number, closingBalance: number}}
+ */
+function summarizePeriod(history, period) {
+  const amounts = history.map(record => toStatementRow(record).amount);
+  const totalCredits = amounts.filter(amount => amount > 0).reduce((sum, amount) => sum + amount, 0);
+  const totalDebits = amounts.filter(amount => amount < 0).reduce((sum, amount) => sum - amount, 0);
+
+  return {
+    from: period.from || null,
+    to: period.to || null,
+    filters: period.filters || [],
+    openingBalance: period.openingBalance ?? 0,
+    totalCredits,
+    totalDebits,
+    netChange: totalCredits - totalDebits,
+    closingBalance: period.closingBalance ?? (history.length > 0 ? history[0].after_points : 0),
+  };
+}
+
+/**
+ * Describe the statement period, e.g. "2026-01-01 TO 2026-01-31"
+ * `to` is exclusive, so the last day shown is the day before it
+ * @param {Object} summary - Result of summarizePeriod()
+ * @returns {string}
+ */
+function periodLabel(summary) {
+  const from = summary.from ? summary.from.toISOString().split('T')[0] : 'START';
+  const to = summary.to ? new Date(summary.to.getTime() - 86400000).toISOString().split('T')[0] : 'PRESENT';
+  return `${from} TO ${to}`;
+}
+
+/**
+ * Format a signed amount ("+5", "-5", "0")
+ * @param {number} amount - Amount
+ * @returns {string}
+ */
+function signed(amount) {
+  return `${amount > 0 ? '+' : ''}${amount}`;
+}
+
+/**
+ * Generate a points statement in the requested format
+ * @param {User} user - Discord user object
+ * @param {Array} history - Array of history records from database (newest first)
+ * @param {Object} options - Statement options
+ * @param {Array} options.seasons - The server's seasons rows; when given, text and HTML statements are split by season
+ * @param {string} options.format - txt, csv, json or html (see STATEMENT_FORMATS)
+ * @param {Object} options.period - Statement period: from/to (Dates, to exclusive), filters (labels of the
+ *   other filters applied), openingBalance (balance as of from) and closingBalance (balance as of to)
+ * @returns {string} File content
+ */
+export async function generateHistoryFile(user, history, { seasons = [], format = 'txt', period = {} } = {}) {
+  const statement = STATEMENT_FORMATS[format];
+
+  if (!statement) {
+    throw new Error(`Unknown statement format: ${format}`);
+  }
+
+  return statement.generate(user, history, seasons, new Date(), summarizePeriod(history, period));
+}
+
 /**
  * Generate bank passbook-style history file
  * @param {User} user - Discord user object
  * @param {Array} history - Array of history records from database
+ * @param {Array} seasons - Seasons rows; a separator is inserted wherever the season changes
+ * @param {Date} now - Generation time
+ * @param {Object} summary - Result of summarizePeriod()
  * @returns {string} Formatted text file content
  */
-export async function generateHistoryFile(user, history) {
+function generateTextStatement(user, history, seasons, now, summary) {
   const lines = [];
-  
+  const rule = '='.repeat(STATEMENT_WIDTH);
+
   // Get current UTC time for generation timestamp
+  const generatedDate = now.toISOString().split('T')[0]; // YYYY-MM-DD
+  const generatedTime = now.toISOString().split('T')[1].substring(0, 5); // HH:MM
+
+  // Header
+  lines.push(rule);
+  lines.push('                          OFFICIAL POINTS STATEMENT');
+  lines.push(rule);
+  lines.push(`USER     : ${user.username} (ID: ${user.id})`);
+  lines.push(`GENERATED: ${generatedDate} ${generatedTime} UTC`);
+  lines.push(`PERIOD   : ${periodLabel(summary)}`);
+  if (summary.filters.length > 0) {
+    lines.push(`FILTERS  : ${summary.filters.join(', ')}`);
+  }
+  lines.push(rule);
+  lines.push('DATE         TIME    ADMIN           ACTION         AMT     BEFORE      AFTER');
+  lines.push('-'.repeat(STATEMENT_WIDTH));
+
+  // Transaction entries - sorted by date (newest first typically)
+  let currentSeason;
+
+  for (const record of history) {
+    // Season separator whenever the record belongs to a different season than the one above it
+    if (seasons.length > 0) {
+      const season = findSeason(record, seasons);
+
+      if (season?.id !== currentSeason?.id || currentSeason === undefined) {
+        lines.push(seasonSeparator(season));
+        lines.push('');
+        currentSeason = season;
+      }
+    }
+
+    const row = toStatementRow(record);
+    const dateStr = row.timestamp.split('T')[0]; // YYYY-MM-DD
+    const timeStr = row.timestamp.split('T')[1].substring(0, 5); // HH:MM
+
+    // Fixed-width fields
+    const action = `[${row.action}]`.padEnd(8);
+    const amountStr = `${row.amount >= 0 ? '+' : ''}${row.amount}`.padStart(7);
+    const beforeStr = String(row.balance_before).padStart(8);
+    const afterStr = String(row.balance_after).padStart(8);
+
+    // Get admin name - truncated to fit the column
+    const adminName = `User_${row.admin.substring(0, 8)}`;
+
+    // Main transaction line with proper spacing
+    lines.push(`${dateStr}   ${timeStr}   ${adminName.padEnd(15)} ${action}   ${amountStr}   ${beforeStr}   ${afterStr}`);
+
+    // Memo line(s) if reason exists - line breaks in a reason continue on the next line
+    reasonLines(row.reason).forEach((line, index) => {
+      lines.push(`                     ${index === 0 ? 'Memo:' : '     '} ${line}`);
+    });
+
+    // Reference number (used by /points revert) and reversal links
+    lines.push(`                     Ref : #${row.ref}`);
+
+    if (record.reverses_history_id) {
+      lines.push(`                     ** REVERSAL OF #${record.reverses_history_id} **`);
+    }
+
+    if (record.reversed_at) {
+      const reversedDate = new Date(record.reversed_at).toISOString().split('T')[0];
+      lines.push(`                     ** REVERSED BY #${record.reversed_by_history_id} ON ${reversedDate} **`);
+    }
+
+    lines.push('');
+  }
+
+  // Period summary and closing balance
+  lines.push('-'.repeat(STATEMENT_WIDTH));
+  lines.push(`                     OPENING BALANCE                                 ${String(summary.openingBalance).padStart(8)}`);
+  lines.push(`                     TOTAL CREDITS                                   ${signed(summary.totalCredits).padStart(8)}`);
+  lines.push(`                     TOTAL DEBITS                                    ${signed(-summary.totalDebits).padStart(8)}`);
+  lines.push(`                     NET CHANGE                                      ${signed(summary.netChange).padStart(8)}`);
+  lines.push(`                     CLOSING BALANCE                                 ${String(summary.closingBalance).padStart(8)}`);
+  lines.push(rule);
+  lines.push('* This is an automated record.');
+
+  return lines.join('\n');
+}
+
+/**
+ * Generate a CSV statement: one header row, then one row per entry (newest first)
+ * Entries only - the period summary would break the column layout for spreadsheets
+ * @param {User} user - Discord user object
+ * @param {Array} history - Array of history records from database
+ * @returns {string} CSV content
+ */
+function generateCsvStatement(user, history) {
+  const rows = history.map(toStatementRow)
+    .map(row => STATEMENT_COLUMNS.map(column => escapeCsv(row[column])).join(','));
+
+  return [STATEMENT_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Generate a JSON statement
+ * @param {User} user - Discord user object
+ * @param {Array} history - Array of history records from database
+ * @param {Array} seasons - Unused (JSON entries carry timestamps)
+ * @param {Date} now - Generation time
+ * @param {Object} summary - Result of summarizePeriod()
+ * @returns {string} JSON content
+ */
+function generateJsonStatement(user, history, seasons, now, summary) {
+  return JSON.stringify({
+    user: { id: user.id, username: user.username },
+    generated_at: now.toISOString(),
+    period: {
+      from: summary.from ? summary.from.toISOString() : null,
+      to: summary.to ? summary.to.toISOString() : null,
+      filters: summary.filters,
+    },
+    opening_balance: summary.openingBalance,
+    total_credits: summary.totalCredits,
+    total_debits: summary.totalDebits,
+    net_change: summary.netChange,
+    closing_balance: summary.closingBalance,
+    columns: STATEMENT_COLUMNS,
+    entries: history.map(toStatementRow),
+  }, null, 2);
+}
+
+/**
+ * Generate a self-contained, printable HTML statement
+ * Same header and closing-balance block as the text statement
+ * @param {User} user - Discord user object
+ * @param {Array} history - Array of history records from database
+ * @param {Array} seasons - Seasons rows; a separator row is inserted wherever the season changes
+ * @param {Date} now - Generation time
+ * @param {Object} summary - Result of summarizePeriod()
+ * @returns {string} HTML document
+ */
+function generateHtmlStatement(user, history, seasons, now, summary) {
+  const generated = `${now.toISOString().split('T')[0]} ${now.toISOString().split('T')[1].substring(0, 5)} UTC`;
+  const rows = [];
+  let currentSeason;
+
+  for (const record of history) {
+    if (seasons.length > 0) {
+      const season = findSeason(record, seasons);
+
+      if (season?.id !== currentSeason?.id || currentSeason === undefined) {
+        rows.push(`<tr class="season"><td colspan="${STATEMENT_COLUMNS.length}">${escapeHtml(seasonLabel(season))}</td></tr>`);
+        currentSeason = season;
+      }
+    }
+
+    const row = toStatementRow(record);
+    const reason = reasonLines(row.reason).map(escapeHtml).join('<br>');
+
+    rows.push([
+      '<tr>',
+      `<td>#${row.ref}</td>`,
+      `<td>${escapeHtml(row.timestamp.replace('T', ' ').substring(0, 16))} UTC</td>`,
+      `<td>${escapeHtml(row.admin)}</td>`,
+      `<td>${escapeHtml(row.action)}</td>`,
+      `<td class="num ${row.amount >= 0 ? 'credit' : 'debit'}">${row.amount >= 0 ? '+' : ''}${row.amount}</td>`,
+      `<td class="num">${row.balance_before}</td>`,
+      `<td class="num">${row.balance_after}</td>`,
+      `<td>${reason}</td>`,
+      '</tr>',
+    ].join(''));
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Points Statement - ${escapeHtml(user.username)}</title>
+<style>
+  body { font-family: Georgia, serif; color: #111; margin: 2rem; }
+  h1 { text-align: center; letter-spacing: 0.1em; border-top: 3px double #111; border-bottom: 3px double #111; padding: 0.5rem 0; }
+  .meta { font-family: monospace; margin-bottom: 1rem; }
+  table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+  th, td { border-bottom: 1px solid #ccc; padding: 0.3rem 0.5rem; text-align: left; vertical-align: top; }
+  th { border-bottom: 2px solid #111; }
+  .num { text-align: right; font-family: monospace; }
+  .credit { color: #0a6b2d; }
+  .debit { color: #a11; }
+  .season td { background: #eee; font-weight: bold; font-family: monospace; }
+  .summary { margin-top: 1rem; border-top: 2px solid #111; padding: 0.5rem 0; }
+  .summary div { display: flex; justify-content: space-between; padding: 0.1rem 0.5rem; font-family: monospace; }
+  .closing { display: flex; justify-content: space-between; font-weight: bold; border-top: 1px solid #111; border-bottom: 3px double #111; padding: 0.5rem; }
+  .note { font-size: 0.8rem; color: #555; }
+  @media print { body { margin: 0; } tr { page-break-inside: avoid; } }
+</style>
+</head>
+<body>
+<h1>OFFICIAL POINTS STATEMENT</h1>
+<div class="meta">
+USER&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;: ${escapeHtml(user.username)} (ID: ${escapeHtml(user.id)})<br>
+GENERATED: ${generated}<br>
+PERIOD&nbsp;&nbsp;&nbsp;: ${periodLabel(summary)}${summary.filters.length > 0 ? `<br>\nFILTERS&nbsp;&nbsp;: ${escapeHtml(summary.filters.join(', '))}` : ''}
+</div>
+<table>
+<thead><tr><th>Ref</th><th>Timestamp</th><th>Admin</th><th>Action</th><th class="num">Amount</th><th class="num">Before</th><th class="num">After</th><th>Reason</th></tr></thead>
+<tbody>
+${rows.join('\n')}
+</tbody>
+</table>
+<div class="summary">
+<div><span>OPENING BALANCE</span><span>${summary.openingBalance}</span></div>
+<div><span>TOTAL CREDITS</span><span>${signed(summary.totalCredits)}</span></div>
+<div><span>TOTAL DEBITS</span><span>${signed(-summary.totalDebits)}</span></div>
+<div><span>NET CHANGE</span><span>${signed(summary.netChange)}</span></div>
+</div>
+<div class="closing"><span>CLOSING BALANCE</span><span>${summary.closingBalance}</span></div>
+<p class="note">* This is an automated record.</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * Generate a strike record file in the same passbook style as the points statement
+ * @param {User} user - Discord user object
+ * @param {Array} history - strike_history rows (newest first)
+ * @param {number} activeWeight - Current active strike weight
+ * @returns {string} Formatted text file content
+ */
+export async function generateStrikeHistoryFile(user, history, activeWeight) {
+  const lines = [];
+
   const now = new Date();
   const generatedDate = now.toISOString().split('T')[0]; // YYYY-MM-DD
   const generatedTime = now.toISOString().split('T')[1].substring(0, 5); // HH:MM
-  
+
   // Header
   lines.push('===================================================================');
-  lines.push('                  OFFICIAL POINTS STATEMENT');
+  lines.push('                     OFFICIAL STRIKE RECORD');
   lines.push('===================================================================');
   lines.push(`USER     : ${user.username} (ID: ${user.id})`);
   lines.push(`GENERATED: ${generatedDate} ${generatedTime} UTC`);
   lines.push('===================================================================');
-  lines.push('DATE         TIME    ADMIN           ACTION      AMT    BALANCE');
+  lines.push('DATE         TIME    ADMIN           ACTION      SEVERITY  ACTIVE');
   lines.push('-------------------------------------------------------------------');
 
-  // Transaction entries - sorted by date (newest first typically)
   for (const record of history) {
-    // Parse UTC timestamp
     const date = new Date(record.created_at);
     const dateStr = date.toISOString().split('T')[0]; // YYYY-MM-DD
     const timeStr = date.toISOString().split('T')[1].substring(0, 5); // HH:MM
-    
-    // Format action type
-    const action = record.action_type === 'ADD' ? '[ADD]   ' : '[REMOVE]';
-    
-    // Format amount with sign
-    const amountStr = record.action_type === 'ADD' 
-      ? `+${record.amount}`.padStart(7) 
-      : `-${record.amount}`.padStart(7);
-    
-    // Format balance (after_points)
-    const balanceStr = String(record.after_points).padStart(8);
-    
-    // Get admin name - convert ID to string first, then truncate
-    const adminId = String(record.action_by_user_id);
+
+    const action = record.action_type === 'ADD' ? '[ISSUE] ' : '[REMOVE]';
+    const severityStr = `${record.severity} (${record.weight})`.padEnd(10);
+    const activeStr = String(record.active_after).padStart(6);
+
+    const adminId = String(record.action_by);
     const adminName = `User_${adminId.substring(0, 8)}`;
-    
-    // Main transaction line with proper spacing
-    lines.push(`${dateStr}   ${timeStr}   ${adminName.padEnd(15)} ${action}   ${amountStr}   ${balanceStr}`);
-    
-    // Add memo line if reason exists
-    if (record.reason) {
-      lines.push(`                     Memo: ${record.reason}`);
-    }
-    
+
+    lines.push(`${dateStr}   ${timeStr}   ${adminName.padEnd(15)} ${action}    ${severityStr}${activeStr}`);
+    lines.push(`                     Memo: ${record.reason}`);
+    lines.push(`                     Ref : Strike #${record.strike_id}`);
     lines.push('');
   }
 
-  // Closing balance (latest balance)
-  const closingBalance = history.length > 0 ? history[0].after_points : 0;
+  // Active weight now - expired strikes no longer count, so this can be lower than the last row
   lines.push('-------------------------------------------------------------------');
-  lines.push(`                     CLOSING BALANCE             ${String(closingBalance).padStart(8)}`);
+  lines.push(`                     ACTIVE STRIKE WEIGHT                  ${String(activeWeight).padStart(6)}`);
   lines.push('===================================================================');
-  lines.push('* This is an automated record.');
-  
+  lines.push('* This is an automated record. Expired strikes no longer count.');
+
   return lines.join('\n');
 }
@@ -0,0 +1,36 @@
+// ==========================================
+// IDEMPOTENCY KEYS
+// ==========================================
+// Every point mutation carries a key so a retry (RPC timeout after commit, a
+// re-delivered interaction, a job re-run) returns the original result instead of
+// applying the change twice. Keys are unique per server - see database/idempotency_schema.sql.
+//
+// Formats:
+// - interaction:<interactionId>[:<part>...]   changes made from a slash command / component
+// - <job>:<id>[:<part>...]                     changes made by background jobs
+
+/**
+ * Idempotency key for a change made from an interaction
+ * Discord re-delivers an interaction with the same ID, so retries map to the same key
+ * @param {Interaction} interaction - Slash command or component interaction
+ * @param {...(string|number)} parts - Extra parts when one interaction makes several changes (e.g. one per bulk target)
+ * @returns {string} Idempotency key
+ */
+export function interactionKey(interaction, ...parts) {
+  return ['interaction', interaction.id, ...parts].join(':');
+}
+
+/**
+ * Idempotency key for a change made by a background job
+ * @param {string} job - Job name (schedule, approval, voice, decay, activity)
+ * @param {...(string|number)} parts - Parts that identify this exact change
+ * @returns {string} Idempotency key
+ */
+export function jobKey(job, ...parts) {
+  return [job, ...parts].join(':');
+}
+
+/**
+ * Response line shown when a change was suppressed as a duplicate
+ */
+export const DUPLICATE_NOTICE = '♻️ **Duplicate request:** this change was already applied - nothing was changed again.';
@@ -1,13 +1,18 @@
+import { getGuildConfig, getFeatureSettings } from '../../config.js';
+
 /**
  * Send audit log message to configured log channel
  * @param {Client} client - Discord client
- * @param {Object} data - Log data
+ * @param {Object} data - Log data (data.guildId picks the server's log channel)
  */
 export async function sendAuditLog(client, data) {
-  const logChannelId = process.env.LOG_CHANNEL_ID;
+  const logChannelId = getGuildConfig(data.guildId)?.logChannelId || process.env.LOG_CHANNEL_ID;
   
   if (!logChannelId) {
-    console.warn('LOG_CHANNEL_ID not configured. Skipping audit log.');
+    // Only worth a warning while every action is required to be logged
+    if (getFeatureSettings(data.guildId).requireAuditLog) {
+      console.warn('LOG_CHANNEL_ID not configured. Skipping audit log.');
+    }
     return;
   }
 
@@ -21,15 +26,361 @@ export async function sendAuditLog(client, data) {
 
     const { type, targetUser, amount, executor } = data;
     
+    // Use Discord timestamp format (automatically converts UTC to user's local time)
+    // <t:timestamp:F> = Full date and time
+    const unixTimestamp = Math.floor(Date.now() / 1000);
+
+    // A retried change with a known idempotency key is logged too, flagged as suppressed
+    const duplicateLine = data.duplicate ? '♻️ **Duplicate suppressed:** already applied, nothing changed' : null;
+
+    // Transfers are staff-to-staff: executor is the sender, targetUser the recipient
+    if (type === 'TRANSFER') {
+      await channel.send([
+        `🔁 **POINTS TRANSFERRED**`,
+        ``,
+        `**From:** ${executor}`,
+        `**To:** ${targetUser}`,
+        `**Amount:** ${amount}`,
+        duplicateLine,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+    
+    // Super admin emergency overrides always carry the operator and the reason
+    if (type === 'OVERRIDE') {
+      const { action, reason, details } = data;
+      const titles = {
+        SET_BALANCE: '<:admin:1450781535002427476> **BALANCE OVERRIDDEN**',
+        FREEZE: '🧊 **ACCOUNT FROZEN**',
+        UNFREEZE: '🔥 **ACCOUNT UNFROZEN**',
+      };
+
+      await channel.send([
+        titles[action],
+        ``,
+        `**User:** ${targetUser}`,
+        details ? `**Change:** ${details}` : null,
+        `**Reason:** ${reason}`,
+        duplicateLine,
+        `**Operator:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
+    // Rewards shop: catalog changes, redemptions and ticket delivery
+    if (type === 'SHOP') {
+      const { event, details } = data;
+      const titles = {
+        ADDED: '🛒 **SHOP REWARD ADDED**',
+        UPDATED: '🛒 **SHOP REWARD UPDATED**',
+        REMOVED: '🛒 **SHOP REWARD REMOVED**',
+        REDEEMED: '🛒 **REWARD REDEEMED**',
+        DELIVERED: '🎫 **REDEMPTION DELIVERED**',
+      };
+
+      await channel.send([
+        titles[event],
+        ``,
+        targetUser ? `**User:** ${targetUser}` : null,
+        `**Reward:** ${details}`,
+        `**${event === 'REDEEMED' ? 'Cost' : 'Price'}:** ${event === 'REDEEMED' ? `-${amount}` : amount}`,
+        duplicateLine,
+        `**By:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
+    // Activity rewards: one summary entry per flush, or a settings change
+    if (type === 'ACTIVITY') {
+      const { event, credited, changes } = data;
+
+      if (event === 'CONFIG') {
+        await channel.send([
+          `💬 **ACTIVITY SETTINGS CHANGED**`,
+          ``,
+          changes.map(change => `• ${change}`).join('\n'),
+          `**By:** <:admin:1450781535002427476> ${executor}`,
+          `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+          ``,
+          `───────────────────────────────`,
+        ].join('\n'));
+        return;
+      }
+
+      const total = credited.reduce((sum, entry) => sum + entry.amount, 0);
+      const users = credited.slice(0, 30).map(entry => `<@${entry.userId}> +${entry.amount}`).join('\n');
+      const more = credited.length > 30 ? `\n…and ${credited.length - 30} more` : '';
+
+      await channel.send([
+        `💬 **ACTIVITY POINTS CREDITED**`,
+        ``,
+        `**Users:** ${credited.length} • **Total:** +${total}`,
+        users + more,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].join('\n'));
+      return;
+    }
+
+    // Voice time: one entry per settled session
+    if (type === 'VOICE') {
+      const { seconds } = data;
+
+      await channel.send([
+        `🎙️ **VOICE TIME CREDITED**`,
+        ``,
+        `**User:** ${targetUser}`,
+        `**Tracked:** ${(seconds / 3600).toFixed(1)}h`,
+        `**Amount:** +${amount}`,
+        duplicateLine,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
+    // Decay runs: one summary entry per run
+    if (type === 'DECAY') {
+      const { mode, deducted } = data;
+      const total = deducted.reduce((sum, entry) => sum + entry.amount, 0);
+      const users = deducted.slice(0, 30).map(entry => `<@${entry.userId}> -${entry.amount}`).join('\n');
+      const more = deducted.length > 30 ? `\n…and ${deducted.length - 30} more` : '';
+
+      await channel.send([
+        `🍂 **POINTS DECAYED** (${mode})`,
+        ``,
+        `**Users:** ${deducted.length} • **Total:** -${total}`,
+        users + more,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].join('\n'));
+      return;
+    }
+
+    // Schedule lifecycle: created / cancelled by a manager
+    if (type === 'SCHEDULE') {
+      const { event, schedule, description } = data;
+      const target = schedule.target_type === 'ROLE' ? `<@&${schedule.target_id}>` : `<@${schedule.target_id}>`;
+
+      await channel.send([
+        `🗓️ **SCHEDULE ${event}**`,
+        ``,
+        `**Schedule:** #${schedule.id} (${description})`,
+        `**Target:** ${target}`,
+        `**Change:** ${schedule.action_type === 'ADD' ? '+' : '-'}${schedule.amount}`,
+        `**By:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].join('\n'));
+      return;
+    }
+
+    // Season lifecycle: started / ended (with the reset summary) by a super admin
+    if (type === 'SEASON') {
+      const { event, season, players, ratio, totalFinal, totalCarried } = data;
+
+      await channel.send([
+        `🏁 **SEASON ${event}**`,
+        ``,
+        `**Season:** #${season.id} — ${season.name}`,
+        event === 'ENDED' ? `**Players archived:** ${players}` : null,
+        event === 'ENDED' ? `**Carry-over:** ${Math.round(ratio * 100)}% (${totalFinal} → ${totalCarried} pts, reason \`SEASON_RESET\`)` : null,
+        `**By:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
+    // Scheduler runs: one entry per schedule execution, not per user
+    if (type === 'SCHEDULE_RUN') {
+      const { schedule, runs, missed, succeeded, failed, duplicates, budgetExceeded, next } = data;
+      const target = schedule.target_type === 'ROLE' ? `<@&${schedule.target_id}>` : `<@${schedule.target_id}>`;
+
+      await channel.send([
+        `🗓️ **SCHEDULED ${schedule.action_type === 'ADD' ? 'GRANT' : 'DEDUCTION'}**`,
+        ``,
+        `**Schedule:** #${schedule.id}`,
+        `**Target:** ${target}`,
+        `**Change:** ${schedule.action_type === 'ADD' ? '+' : '-'}${schedule.amount} × ${runs} run${runs === 1 ? '' : 's'}`,
+        missed > 0 ? `**Missed (skipped):** ${missed}` : null,
+        `**Succeeded:** ${succeeded} • **Failed:** ${failed}`,
+        duplicates > 0 ? `♻️ **Duplicates suppressed:** ${duplicates}` : null,
+        budgetExceeded ? `⚠️ **Skipped:** creator's budget exceeded` : null,
+        `**Next run:** ${next ? `<t:${Math.floor(next.getTime() / 1000)}:F>` : 'None (completed)'}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
+    // Approval workflow: request, decision or expiry of a large point change
+    if (type === 'APPROVAL') {
+      const { status, request } = data;
+      const sign = request.action_type === 'ADD' ? '+' : '-';
+      const titles = {
+        PENDING: '🛂 **APPROVAL REQUESTED**',
+        APPROVED: '✅ **APPROVAL GRANTED**',
+        DENIED: '✖️ **APPROVAL DENIED**',
+        EXPIRED: '⌛ **APPROVAL EXPIRED**',
+        FAILED: '⚠️ **APPROVED CHANGE FAILED**',
+      };
+
+      await channel.send([
+        titles[status],
+        ``,
+        `**Request:** #${request.id}`,
+        `**User:** <@${request.target_user_id}>`,
+        `**Change:** ${sign}${request.amount}`,
+        `**Requested by:** <@${request.requested_by}>`,
+        executor && status !== 'PENDING' ? `**Decided by:** <:admin:1450781535002427476> ${executor}` : null,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
+    // Anomaly flag reviews (the flags themselves go to the security channel)
+    if (type === 'ANOMALY') {
+      const { status, flag, label } = data;
+
+      await channel.send([
+        status === 'ACKNOWLEDGED' ? '🚨 **ANOMALY ACKNOWLEDGED**' : '🚨 **ANOMALY DISMISSED**',
+        ``,
+        `**Flag:** #${flag.id} (${label})`,
+        `**Manager:** <@${flag.manager_id}>`,
+        `**Details:** ${flag.summary}`,
+        `**By:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].join('\n'));
+      return;
+    }
+
+    // Runtime settings changed with /config (old → new per key)
+    if (type === 'CONFIG') {
+      const { changes } = data;
+
+      await channel.send([
+        `⚙️ **SETTINGS CHANGED**`,
+        ``,
+        changes.map(change => `• ${change}`).join('\n'),
+        `**By:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].join('\n'));
+      return;
+    }
+
+    // Access granted / renewed / revoked with /admin permissions
+    if (type === 'PERMISSION') {
+      const { action, subject, level, expiresText, reason } = data;
+      const titles = {
+        GRANTED: '🔑 **PERMISSION GRANTED**',
+        RENEWED: '🔑 **PERMISSION RENEWED**',
+        REVOKED: '🔒 **PERMISSION REVOKED**',
+      };
+
+      await channel.send([
+        titles[action],
+        ``,
+        `**Subject:** ${subject}`,
+        `**Level:** ${level}`,
+        action !== 'REVOKED' ? `**Expires:** ${expiresText}` : null,
+        `**Reason:** ${reason}`,
+        `**Operator:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
+    // Strikes are a separate ledger: issue / removal with the consequences they triggered
+    if (type === 'STRIKE') {
+      const { action, strikeId, severity, reason, expiresAt, activeBefore, activeAfter, consequences = [] } = data;
+
+      await channel.send([
+        action === 'ADD' ? '⚠️ **STRIKE ISSUED**' : '🧽 **STRIKE REMOVED**',
+        ``,
+        `**Strike:** #${strikeId} (${severity})`,
+        `**User:** ${targetUser}`,
+        `**Reason:** ${reason}`,
+        action === 'ADD' ? `**Expires:** ${expiresAt ? `<t:${Math.floor(expiresAt.getTime() / 1000)}:D>` : 'Never'}` : null,
+        `**Active weight:** ${activeBefore} → ${activeAfter}`,
+        ...consequences.map(line => `**Consequence:** ${line}`),
+        `**By:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
+    // Reversals reference both the original and the compensating entry
+    if (type === 'REVERT') {
+      const { originalId, originalType, reversalId } = data;
+
+      await channel.send([
+        `↩️ **TRANSACTION REVERSED**`,
+        ``,
+        `**User:** ${targetUser}`,
+        `**Original:** #${originalId} (${originalType} ${amount})`,
+        `**Reversal:** #${reversalId} (${originalType === 'ADD' ? '-' : '+'}${amount})`,
+        duplicateLine,
+        `**By:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
+    // Bulk runs are logged as ONE consolidated entry
+    if (type === 'BULK') {
+      const { action, role, succeeded, failedCount, duplicateCount } = data;
+      const mentions = succeeded.slice(0, 40).map(user => `${user}`).join(' ');
+      const more = succeeded.length > 40 ? ` …and ${succeeded.length - 40} more` : '';
+
+      await channel.send([
+        `📦 **BULK POINTS ${action === 'ADD' ? 'ADDED' : 'REMOVED'}**`,
+        ``,
+        `**Amount:** ${action === 'ADD' ? '+' : '-'}${amount} each`,
+        role ? `**Role:** ${role}` : null,
+        `**Succeeded:** ${succeeded.length} • **Failed:** ${failedCount}`,
+        duplicateCount > 0 ? `♻️ **Duplicates suppressed:** ${duplicateCount}` : null,
+        `**Users:** ${mentions || 'None'}${more}`,
+        `**By:** <:admin:1450781535002427476> ${executor}`,
+        `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
+        ``,
+        `───────────────────────────────`,
+      ].filter(line => line !== null).join('\n'));
+      return;
+    }
+
     // Use custom emojis for action type
     const emoji = type === 'ADD' ? '<:up:1450773420362174605>' : '<:down:1450773447813632023>';
     const sign = type === 'ADD' ? '+' : '-';
     const action = type === 'ADD' ? 'ADDED' : 'REMOVED';
     
-    // Use Discord timestamp format (automatically converts UTC to user's local time)
-    // <t:timestamp:F> = Full date and time
-    const unixTimestamp = Math.floor(Date.now() / 1000);
-    
     // IMPORTANT: Log ONLY user, amount, executor, time
     // NO before/after balances (database is source of truth)
     // NO reasons (privacy)
@@ -39,11 +390,12 @@ export async function sendAuditLog(client, data) {
       ``,
       `**User:** ${targetUser}`,
       `**Amount:** ${sign}${amount}`,
+      duplicateLine,
       `**By:** <:admin:1450781535002427476> ${executor}`,
       `**Time:** <a:time:1450781529700565073> <t:${unixTimestamp}:F>`,
       ``,
       `───────────────────────────────`,
-    ].join('\n');
+    ].filter(line => line !== null).join('\n');
 
     await channel.send(message);
   } catch (error) {
@@ -0,0 +1,70 @@
+// ==========================================
+// REPORTING PERIODS
+// ==========================================
+// Shared by the commands that report over a time window. All boundaries are UTC.
+
+/**
+ * Parse a YYYY-MM-DD string as a UTC midnight Date
+ * @param {string} value - Date string
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+export function parseUtcDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+
+  // Impossible days (e.g. 2026-02-30) would otherwise roll into the next month
+  if (isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) return null;
+  return date;
+}
+
+/**
+ * Start of the week containing a date (weeks start on Monday, UTC)
+ * Shared by weekly leaderboards/stats and weekly voice hours
+ * @param {Date} [date] - Any moment in the week (default: now)
+ * @returns {Date} Monday 00:00 UTC
+ */
+export function startOfUtcWeek(date = new Date()) {
+  const dayUtc = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  const daysSinceMonday = (dayUtc.getUTCDay() + 6) % 7;
+  return new Date(dayUtc.getTime() - daysSinceMonday * 86400000);
+}
+
+/**
+ * Resolve a period option (/points leaderboard, /stats) into a time window
+ * @param {string} period - all | week | month | custom
+ * @param {string|null} fromRaw - Custom start (YYYY-MM-DD)
+ * @param {string|null} toRaw - Custom end, inclusive (YYYY-MM-DD)
+ * @returns {{range: {from: Date, to: Date}|null, label: string}}
+ */
+export function resolvePeriodRange(period, fromRaw, toRaw) {
+  const now = new Date();
+  const todayUtc = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+
+  if (period === 'week') {
+    return { range: { from: startOfUtcWeek(now), to: now }, label: 'This Week' };
+  }
+
+  if (period === 'month') {
+    const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    return { range: { from, to: now }, label: 'This Month' };
+  }
+
+  if (period === 'custom') {
+    const from = fromRaw ? parseUtcDate(fromRaw) : null;
+    const toDay = toRaw ? parseUtcDate(toRaw) : todayUtc;
+
+    if (!from || !toDay) {
+      throw new Error('Custom range needs `from` (and optionally `to`) in YYYY-MM-DD format.');
+    }
+
+    // "to" is inclusive, so the window ends at the start of the following day
+    const to = new Date(toDay.getTime() + 86400000);
+    if (from >= to) {
+      throw new Error('`from` must be on or before `to`.');
+    }
+
+    return { range: { from, to }, label: `${fromRaw} → ${toRaw || todayUtc.toISOString().split('T')[0]}` };
+  }
+
+  return { range: null, label: 'All Time' };
+}
@@ -0,0 +1,67 @@
+import { getPermissionGrants } from '../services/permissionService.js';
+import { getGuildIds, setPermissionGrants, setMemberRoleResolver } from '../../config.js';
+
+/**
+ * Permission Store
+ * Keeps the grants managed with /admin permissions in memory (see config.js), so
+ * isPointManager() / isSuperAdmin() stay synchronous. Each server's cache is
+ * reloaded on startup and after every grant or revoke. If loading fails, only the
+ * config.js arrays apply for that server.
+ */
+
+/**
+ * Reload a server's grants from the database (called after every change)
+ * @param {string} guildId - Guild ID
+ */
+export async function refreshPermissionGrants(guildId) {
+  setPermissionGrants(guildId, await getPermissionGrants(guildId));
+}
+
+/**
+ * Resolve member roles (role grants, manager scopes) from the client's member cache
+ * Members who run a command, and users picked in its options, are cached by the interaction
+ * @param {Client} client - Discord client
+ */
+export function trackMemberRoles(client) {
+  setMemberRoleResolver((guildId, userId) => {
+    const member = client.guilds.cache.get(guildId)?.members.cache.get(userId);
+    return member ? [...member.roles.cache.keys()] : null;
+  });
+}
+
+/**
+ * Load members into the member cache so their role grants and scopes can be resolved
+ * Commands cache the members they involve; background jobs (schedules, approvals)
+ * and bulk user lists act for members who may not be cached. Members who cannot be fetched (e.g. they
+ * left the server) keep only their user grants.
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ * @param {Array<string>} userIds - Members about to be permission-checked
+ */
+export async function cacheMembers(client, guildId, userIds) {
+  const guild = client.guilds.cache.get(guildId);
+  if (!guild) return;
+
+  const missing = [...new Set(userIds)].filter(userId => !guild.members.cache.has(userId));
+  if (missing.length === 0) return;
+
+  try {
+    await guild.members.fetch({ user: missing });
+  } catch (error) {
+    console.error(`Could not fetch members for permission checks in guild ${guildId}:`, error.message);
+  }
+}
+
+/**
+ * Load every allowed server's grants
+ * Called once on startup
+ */
+export async function loadPermissionGrants() {
+  for (const guildId of getGuildIds()) {
+    try {
+      await refreshPermissionGrants(guildId);
+    } catch (error) {
+      console.error(`Could not load permission grants for guild ${guildId}, using config.js only:`, error.message);
+    }
+  }
+}
@@ -0,0 +1,135 @@
+import { getLeaderboard } from '../services/database.js';
+import { config, getGuildConfig } from '../../config.js';
+
+/**
+ * Milestone Role Rewards
+ * Keeps members' reward roles in line with their points balance.
+ * Milestones are set per server in config.guilds; announcements go to the server's
+ * milestoneChannelId, falling back to MILESTONE_CHANNEL_ID.
+ */
+
+/**
+ * Get a server's milestones sorted from lowest to highest
+ * @param {string} guildId - Guild ID
+ * @returns {Array<{points: number, roleId: string, name: string}>}
+ */
+function getMilestones(guildId) {
+  return [...(getGuildConfig(guildId)?.milestones || [])].sort((a, b) => a.points - b.points);
+}
+
+/**
+ * Work out which reward roles a balance should hold
+ * @param {string} guildId - Guild ID
+ * @param {number} balance - Points balance
+ * @returns {Set<string>} Role IDs the member should have
+ */
+export function getRewardRoleIds(guildId, balance) {
+  const reached = getMilestones(guildId).filter(milestone => balance >= milestone.points);
+
+  if (reached.length === 0) return new Set();
+  if (!config.roleRewards.stackRoles) return new Set([reached[reached.length - 1].roleId]);
+  return new Set(reached.map(milestone => milestone.roleId));
+}
+
+/**
+ * Add/remove reward roles so a member matches their balance
+ * @param {GuildMember} member - Guild member
+ * @param {number} balance - Points balance
+ * @returns {Promise<{added: Array<string>, removed: Array<string>}>} Role IDs changed
+ */
+async function syncMemberRoles(member, balance) {
+  const wanted = getRewardRoleIds(member.guild.id, balance);
+  const allRewardRoles = getMilestones(member.guild.id).map(milestone => milestone.roleId);
+
+  const added = allRewardRoles.filter(id => wanted.has(id) && !member.roles.cache.has(id));
+  const removed = allRewardRoles.filter(id => !wanted.has(id) && member.roles.cache.has(id));
+
+  if (added.length > 0) await member.roles.add(added, `Points milestone (balance ${balance})`);
+  if (removed.length > 0) await member.roles.remove(removed, `Points milestone (balance ${balance})`);
+
+  return { added, removed };
+}
+
+/**
+ * Post an announcement for milestones crossed upward
+ * @param {Guild} guild - Guild the milestones belong to
+ * @param {string} userId - Discord user ID (string)
+ * @param {Array} milestones - Milestones crossed
+ */
+async function announceMilestones(guild, userId, milestones) {
+  const channelId = getGuildConfig(guild.id)?.milestoneChannelId || process.env.MILESTONE_CHANNEL_ID;
+  if (!channelId || milestones.length === 0) return;
+
+  try {
+    const channel = await guild.client.channels.fetch(channelId);
+    if (!channel || !channel.isTextBased()) return;
+
+    const highest = milestones[milestones.length - 1];
+
+    await channel.send({
+      content: [
+        `🎉 **MILESTONE REACHED**`,
+        ``,
+        `<@${userId}> just crossed **${highest.points}** points!`,
+        `🏅 **New role:** <@&${highest.roleId}>${highest.name ? ` (${highest.name})` : ''}`,
+        ``,
+        `────────────────────────────`,
+      ].join('\n'),
+      allowedMentions: { users: [userId] },
+    });
+  } catch (error) {
+    console.error('Failed to send milestone announcement:', error);
+  }
+}
+
+/**
+ * Update reward roles after a successful point change
+ * Never throws - role problems must not fail an already-committed transaction
+ * @param {Guild} guild - Guild the member belongs to
+ * @param {string} userId - Discord user ID (string)
+ * @param {number} before - Balance before the change
+ * @param {number} after - Balance after the change
+ */
+export async function applyMilestoneRoles(guild, userId, before, after) {
+  if (!config.roleRewards.enabled || !guild) return;
+
+  try {
+    const member = await guild.members.fetch(userId);
+    await syncMemberRoles(member, after);
+
+    // Announce only upward crossings
+    const crossed = getMilestones(guild.id).filter(milestone => before < milestone.points && after >= milestone.points);
+    await announceMilestones(guild, userId, crossed);
+  } catch (error) {
+    console.error(`Failed to update milestone roles for ${userId}:`, error.message);
+  }
+}
+
+/**
+ * Reconcile reward roles for every member of the guild
+ * @param {Guild} guild - Guild to reconcile
+ * @returns {Promise<{checked: number, updated: number, failed: number}>} Summary
+ */
+export async function syncAllMilestoneRoles(guild) {
+  const balances = new Map((await getLeaderboard(guild.id)).map(entry => [entry.userId, entry.points]));
+  const members = await guild.members.fetch();
+
+  let checked = 0;
+  let updated = 0;
+  let failed = 0;
+
+  for (const member of members.values()) {
+    if (member.user.bot) continue;
+    checked++;
+
+    try {
+      const { added, removed } = await syncMemberRoles(member, balances.get(member.id) || 0);
+      if (added.length > 0 || removed.length > 0) updated++;
+    } catch (error) {
+      console.error(`Failed to sync milestone roles for ${member.id}:`, error.message);
+      failed++;
+    }
+  }
+
+  return { checked, updated, failed };
+}
@@ -0,0 +1,115 @@
+import { getBotSettings } from '../services/settingsService.js';
+import { getGuildIds, getPointSettings, getFeatureSettings, setSettingOverrides } from '../../config.js';
+
+/**
+ * Runtime Settings
+ * The config.points / config.features values super admins can change with /config.
+ * Saved overrides are cached in config.js, so getPointSettings() and
+ * getFeatureSettings() pick them up immediately. Keys marked `registers` are baked
+ * into slash command definitions (option limits), so changing them re-registers
+ * the server's commands.
+ */
+export const SETTING_DEFINITIONS = {
+  'points.allowSelfAdd': {
+    type: 'boolean',
+    description: 'Point managers can add points to themselves',
+  },
+  'points.allowNegativeBalance': {
+    type: 'boolean',
+    description: 'Balances can go below zero',
+    // Sets the lowest value /admin set-balance accepts
+    registers: true,
+  },
+  'points.minAmount': {
+    type: 'integer',
+    min: 1,
+    max: 1000000,
+    description: 'Minimum points per transaction',
+    registers: true,
+  },
+  'points.maxAmount': {
+    type: 'integer',
+    min: 1,
+    max: 1000000,
+    description: 'Maximum points per transaction',
+    registers: true,
+  },
+  'points.bulkMaxTargets': {
+    type: 'integer',
+    min: 1,
+    max: 1000,
+    description: 'Maximum users affected by one /points bulk',
+  },
+  'features.dmHistoryOnly': {
+    type: 'boolean',
+    description: 'History statements are only sent via DM',
+  },
+  'features.requireAuditLog': {
+    type: 'boolean',
+    description: 'Warn when an action cannot be audit-logged',
+  },
+};
+
+/**
+ * Get the effective value of a setting in a server
+ * @param {string} guildId - Guild ID
+ * @param {string} key - Setting key, e.g. points.minAmount
+ * @returns {*} Current value
+ */
+export function getSettingValue(guildId, key) {
+  const [section, name] = key.split('.');
+  return section === 'points' ? getPointSettings(guildId)[name] : getFeatureSettings(guildId)[name];
+}
+
+/**
+ * Parse and range-check a value typed into /config set
+ * @param {string} key - Setting key
+ * @param {string} raw - Value as typed
+ * @returns {boolean|number} Parsed value
+ */
+export function parseSettingValue(key, raw) {
+  const definition = SETTING_DEFINITIONS[key];
+  const value = raw.trim().toLowerCase();
+
+  if (definition.type === 'boolean') {
+    if (['true', 'yes', 'on'].includes(value)) return true;
+    if (['false', 'no', 'off'].includes(value)) return false;
+    throw new Error(`\`${key}\` must be true or false.`);
+  }
+
+  if (!/^-?\d+$/.test(value)) {
+    throw new Error(`\`${key}\` must be a whole number.`);
+  }
+
+  const number = Number(value);
+
+  if (number < definition.min || number > definition.max) {
+    throw new Error(`\`${key}\` must be between ${definition.min} and ${definition.max}.`);
+  }
+
+  return number;
+}
+
+/**
+ * Check that a server's settings still make sense together
+ * @param {Object} points - Effective point settings
+ */
+export function validatePointSettings(points) {
+  if (points.minAmount > points.maxAmount) {
+    throw new Error(`\`points.minAmount\` (${points.minAmount}) cannot be higher than \`points.maxAmount\` (${points.maxAmount}).`);
+  }
+}
+
+/**
+ * Load saved /config overrides for every allowed server
+ * Called once on startup; a failure keeps the config.js values for that server
+ */
+export async function loadRuntimeSettings() {
+  for (const guildId of getGuildIds()) {
+    try {
+      setSettingOverrides(guildId, await getBotSettings(guildId));
+    } catch (error) {
+      console.error(`Could not load settings for guild ${guildId}, using config.js values:`, error.message);
+    }
+  }
+}
@@ -0,0 +1,247 @@
+import { getDueSchedules, advanceSchedule } from '../services/scheduleService.js';
+import { addPoints, removePoints } from '../services/database.js';
+import { canManagePoints, getPointSettings } from '../../config.js';
+import { getNextCronRun } from './cron.js';
+import { sendAuditLog } from './logger.js';
+import { checkBudget } from './budgets.js';
+import { jobKey } from './idempotency.js';
+import { cacheMembers } from './permissionStore.js';
+
+// How often due schedules are checked
+const SCHEDULER_INTERVAL = 60000; // 1 minute
+
+// A run this late counts as "missed" (bot was offline) and follows the missed-run policy
+const MISSED_GRACE_MS = 5 * 60000; // 5 minutes
+
+// Upper bound for CATCH_UP so a long outage can't trigger hundreds of grants
+const MAX_CATCH_UP_RUNS = 24;
+
+const INTERVAL_UNITS = { m: 1, h: 60, d: 1440, w: 10080 };
+
+/**
+ * Parse an interval like "30m", "12h", "7d" or "2w"
+ * @param {string} text - Interval text
+ * @returns {number|null} Interval in minutes, or null if invalid
+ */
+export function parseInterval(text) {
+  const match = text.trim().toLowerCase().match(/^(\d+)\s*([mhdw])$/);
+  if (!match) return null;
+
+  const minutes = Number(match[1]) * INTERVAL_UNITS[match[2]];
+  return minutes > 0 ? minutes : null;
+}
+
+/**
+ * Format minutes as the largest whole unit (e.g. 10080 → "1w")
+ * @param {number} minutes - Interval in minutes
+ * @returns {string} Formatted interval
+ */
+export function formatInterval(minutes) {
+  for (const [unit, size] of Object.entries(INTERVAL_UNITS).reverse()) {
+    if (minutes % size === 0) return `${minutes / size}${unit}`;
+  }
+  return `${minutes}m`;
+}
+
+/**
+ * Human-readable timing of a schedule
+ * @param {Object} schedule - point_schedules row
+ * @returns {string} Description
+ */
+export function describeSchedule(schedule) {
+  if (schedule.schedule_type === 'INTERVAL') return `Every ${formatInterval(schedule.interval_minutes)}`;
+  if (schedule.schedule_type === 'CRON') return `Cron \`${schedule.cron_expression}\` (UTC)`;
+  return 'One-off';
+}
+
+/**
+ * Reason written to points_history for every run of a schedule
+ * @param {Object} schedule - point_schedules row
+ * @returns {string} Reason
+ */
+export function scheduleReason(schedule) {
+  return `SCHEDULE-${schedule.id}`;
+}
+
+/**
+ * Work out which occurrences are due and when the schedule runs next
+ * @param {Object} schedule - point_schedules row
+ * @param {Date} now - Current time
+ * @returns {{dueCount: number, next: Date|null}}
+ */
+function planRuns(schedule, now) {
+  const first = new Date(schedule.next_run_at);
+
+  if (schedule.schedule_type === 'ONCE') {
+    return { dueCount: 1, next: null };
+  }
+
+  if (schedule.schedule_type === 'INTERVAL') {
+    const intervalMs = schedule.interval_minutes * 60000;
+    const dueCount = Math.floor((now - first) / intervalMs) + 1;
+    return { dueCount, next: new Date(first.getTime() + dueCount * intervalMs) };
+  }
+
+  // CRON: count occurrences up to now (bounded), next is independent of the backlog
+  let dueCount = 1;
+  let occurrence = getNextCronRun(schedule.cron_expression, first);
+  while (occurrence && occurrence <= now && dueCount <= MAX_CATCH_UP_RUNS) {
+    dueCount++;
+    occurrence = getNextCronRun(schedule.cron_expression, occurrence);
+  }
+
+  return { dueCount, next: getNextCronRun(schedule.cron_expression, now) };
+}
+
+/**
+ * Decide how many runs to execute based on lateness and the missed-run policy
+ * @param {Object} schedule - point_schedules row
+ * @param {number} dueCount - Occurrences due up to now
+ * @param {Date} now - Current time
+ * @returns {number} Runs to execute
+ */
+function runsToExecute(schedule, dueCount, now) {
+  const late = now - new Date(schedule.next_run_at) > MISSED_GRACE_MS;
+
+  // On time: just the current occurrence
+  if (!late) return 1;
+
+  if (schedule.missed_policy === 'CATCH_UP') return Math.min(dueCount, MAX_CATCH_UP_RUNS);
+  if (schedule.missed_policy === 'SKIP') return 0;
+  return 1; // RUN_ONCE
+}
+
+/**
+ * Resolve the Discord IDs a schedule applies to
+ * @param {Client} client - Discord client
+ * @param {Object} schedule - point_schedules row
+ * @returns {Promise<Array<string>>} Target user IDs (strings)
+ */
+async function resolveScheduleTargets(client, schedule) {
+  if (schedule.target_type === 'USER') {
+    return [schedule.target_id];
+  }
+
+  // Role members are resolved at run time so new members are included
+  const guild = await client.guilds.fetch(schedule.guild_id);
+  await guild.members.fetch();
+  const role = guild.roles.cache.get(schedule.target_id);
+
+  if (!role) return [];
+  return [...role.members.values()].filter(member => !member.user.bot).map(member => member.id);
+}
+
+/**
+ * Execute a single due schedule
+ * @param {Client} client - Discord client
+ * @param {Object} schedule - point_schedules row
+ * @param {Date} now - Current time
+ */
+async function runSchedule(client, schedule, now) {
+  const { dueCount, next } = planRuns(schedule, now);
+  const runs = runsToExecute(schedule, dueCount, now);
+
+  // Claim BEFORE executing: a crash mid-run can never cause the same occurrence to pay twice
+  const claimed = await advanceSchedule(schedule.id, schedule.next_run_at, {
+    next_run_at: next ? next.toISOString() : null,
+    last_run_at: runs > 0 ? now.toISOString() : schedule.last_run_at,
+    run_count: schedule.run_count + runs,
+    active: next !== null,
+  });
+
+  if (!claimed) return;
+
+  let succeeded = 0;
+  let failed = 0;
+  let duplicates = 0;
+  let budgetExceeded = false;
+
+  if (runs > 0) {
+    const { allowNegativeBalance } = getPointSettings(schedule.guild_id);
+    const targetIds = await resolveScheduleTargets(client, schedule);
+    const reason = scheduleReason(schedule);
+
+    // Role grants and manager scopes are resolved from the member cache
+    await cacheMembers(client, schedule.guild_id, [schedule.created_by, ...targetIds]);
+
+    // Scheduled runs count against the creator's budget like manual changes
+    const budget = await checkBudget(schedule.guild_id, schedule.created_by, schedule.action_type, schedule.amount * targetIds.length * runs);
+    if (!budget.allowed) {
+      budgetExceeded = true;
+      failed = targetIds.length * runs;
+    }
+
+    for (let run = 0; run < runs && !budgetExceeded; run++) {
+      for (const targetId of targetIds) {
+        // Creator must still be allowed to manage this user
+        if (!canManagePoints(schedule.guild_id, schedule.created_by, targetId, schedule.amount)) {
+          failed++;
+          continue;
+        }
+
+        try {
+          // One key per occurrence and target: the claimed run time identifies the occurrence
+          const key = jobKey('schedule', schedule.id, schedule.next_run_at, run, targetId);
+          const { duplicate } = schedule.action_type === 'ADD'
+            ? await addPoints(schedule.guild_id, targetId, schedule.created_by, schedule.amount, reason, key)
+            : await removePoints(schedule.guild_id, targetId, schedule.created_by, schedule.amount, allowNegativeBalance, reason, key);
+
+          if (duplicate) {
+            duplicates++;
+          } else {
+            succeeded++;
+          }
+        } catch (error) {
+          console.error(`Schedule #${schedule.id} failed for ${targetId}:`, error.message);
+          failed++;
+        }
+      }
+    }
+  }
+
+  await sendAuditLog(client, {
+    guildId: schedule.guild_id,
+    type: 'SCHEDULE_RUN',
+    schedule,
+    runs,
+    missed: dueCount - runs,
+    succeeded,
+    failed,
+    duplicates,
+    budgetExceeded,
+    next,
+  });
+}
+
+/**
+ * Start the scheduler loop inside the bot process
+ * Due schedules (including ones missed while offline) are handled on the first tick
+ * @param {Client} client - Discord client
+ */
+export function startScheduler(client) {
+  let running = false;
+
+  const tick = async () => {
+    // Skip if the previous tick is still working through a large role
+    if (running) return;
+    running = true;
+
+    try {
+      const now = new Date();
+      const due = await getDueSchedules(now);
+
+      for (const schedule of due) {
+        try {
+          await runSchedule(client, schedule, now);
+        } catch (error) {
+          console.error(`Error running schedule #${schedule.id}:`, error);
+        }
+      }
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, SCHEDULER_INTERVAL);
+}
@@ -0,0 +1,243 @@
+import { addPoints, isFrozenError } from '../services/database.js';
+import {
+  openVoiceSession,
+  getOpenVoiceSessions,
+  updateVoiceSession,
+  closeVoiceSession,
+  settleVoiceSession,
+  getVoiceCarry,
+  checkpointVoiceSessions,
+  getVoiceSecondsSince,
+} from '../services/voiceService.js';
+import { config, getGuildIds } from '../../config.js';
+import { startOfUtcWeek } from './periods.js';
+import { sendAuditLog } from './logger.js';
+import { applyMilestoneRoles } from './roleRewards.js';
+import { jobKey } from './idempotency.js';
+
+// Reason written to points_history for every voice credit
+export const VOICE_REASON = 'VOICE';
+
+// Events for the same user in the same server are applied one at a time, in order
+const queues = new Map();
+
+// Credits that failed for a temporary reason, retried at every checkpoint: sessionId → { session, points, carry }
+const pendingSettlements = new Map();
+
+/**
+ * Check if a voice state is in a tracked channel for an eligible member
+ * The guild's AFK channel never counts
+ * @param {VoiceState} state - Voice state
+ * @returns {boolean}
+ */
+function isTracked(state) {
+  const settings = config.voice;
+  if (!settings.enabled || !state?.channelId || !state.member || state.member.user.bot) return false;
+  if (state.channelId === state.guild.afkChannelId) return false;
+  if (!settings.channels.includes(state.channelId)) return false;
+  return !settings.staffRoleId || state.member.roles.cache.has(settings.staffRoleId);
+}
+
+/**
+ * Check if time should count right now (tracked and not self-deafened)
+ * @param {VoiceState} state - Voice state
+ * @returns {boolean}
+ */
+function isCounting(state) {
+  return isTracked(state) && !state.selfDeaf;
+}
+
+/**
+ * Run a task after any earlier task for the same user in the same server
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @param {Function} task - Async task
+ */
+function enqueue(guildId, userId, task) {
+  const key = `${guildId}:${userId}`;
+  const next = (queues.get(key) || Promise.resolve())
+    .then(task)
+    .catch(error => console.error(`Voice tracking failed for ${userId}:`, error.message))
+    .finally(() => {
+      if (queues.get(key) === next) queues.delete(key);
+    });
+
+  queues.set(key, next);
+  return next;
+}
+
+/**
+ * Convert a closed session's time into points via addPoints
+ * Leftover time (less than one point) carries into the next session
+ * @param {Client} client - Discord client
+ * @param {Object} session - Closed voice_sessions row
+ */
+async function settleSession(client, session) {
+  const secondsPerPoint = 3600 / config.voice.pointsPerHour;
+  const total = session.tracked_seconds + await getVoiceCarry(session.guild_id, session.user_id, session.id);
+  const points = Math.floor(total / secondsPerPoint);
+  const carry = Math.round(total - points * secondsPerPoint);
+
+  if (points === 0) {
+    await settleVoiceSession(session.id, 0, carry);
+    return;
+  }
+
+  await creditSession(client, session, points, carry);
+}
+
+/**
+ * Credit a closed session's points and record the outcome
+ * Frozen accounts (or frozen gains) don't earn - the time is dropped. Any other
+ * failure (e.g. a database outage) keeps the session pending, and it is retried
+ * with the same points and job key at the next checkpoint.
+ * @param {Client} client - Discord client
+ * @param {Object} session - Closed voice_sessions row
+ * @param {number} points - Points to credit
+ * @param {number} carry - Seconds carried to the next session
+ */
+async function creditSession(client, session, points, carry) {
+  try {
+    // Keyed by the session: if settling failed after the credit committed, the retry won't pay twice
+    const { before, after, duplicate } = await addPoints(
+      session.guild_id,
+      session.user_id,
+      config.systemActorId,
+      points,
+      VOICE_REASON,
+      jobKey('voice', session.id)
+    );
+    await settleVoiceSession(session.id, points, carry);
+    pendingSettlements.delete(session.id);
+
+    await sendAuditLog(client, {
+      guildId: session.guild_id,
+      type: 'VOICE',
+      targetUser: `<@${session.user_id}>`,
+      amount: points,
+      seconds: session.tracked_seconds,
+      duplicate,
+    });
+
+    await applyMilestoneRoles(client.guilds.cache.get(session.guild_id), session.user_id, before, after);
+  } catch (error) {
+    if (!isFrozenError(error)) {
+      console.error(`Voice credit failed for session #${session.id}, retrying at the next checkpoint:`, error.message);
+      pendingSettlements.set(session.id, { session, points, carry });
+      return;
+    }
+
+    // Frozen accounts don't earn - the time is dropped instead of carried
+    console.error(`Voice credit dropped for session #${session.id}:`, error.message);
+    pendingSettlements.delete(session.id);
+    await settleVoiceSession(session.id, 0, 0);
+  }
+}
+
+/**
+ * Retry credits that failed for a temporary reason
+ * @param {Client} client - Discord client
+ */
+async function retryPendingSettlements(client) {
+  for (const { session, points, carry } of [...pendingSettlements.values()]) {
+    await enqueue(session.guild_id, session.user_id, () => creditSession(client, session, points, carry));
+  }
+}
+
+/**
+ * Handle voiceStateUpdate (join, leave, move, deafen)
+ * @param {VoiceState} oldState - State before the update
+ * @param {VoiceState} newState - State after the update
+ */
+export function handleVoiceStateUpdate(oldState, newState) {
+  const wasTracked = isTracked(oldState);
+  const nowTracked = isTracked(newState);
+
+  if (!wasTracked && !nowTracked) return;
+
+  const guildId = newState.guild.id;
+  const userId = newState.id;
+  const client = newState.client;
+
+  return enqueue(guildId, userId, async () => {
+    if (!wasTracked) {
+      await openVoiceSession(guildId, userId, newState.channelId, isCounting(newState));
+      return;
+    }
+
+    if (!nowTracked) {
+      const session = await closeVoiceSession(guildId, userId);
+      if (session) await settleSession(client, session);
+      return;
+    }
+
+    // Still tracked: moved channel and/or toggled self-deafen
+    if (isCounting(oldState) !== isCounting(newState) || oldState.channelId !== newState.channelId) {
+      const session = await updateVoiceSession(guildId, userId, isCounting(newState), newState.channelId);
+
+      // No open session (e.g. the open failed earlier) - start one now
+      if (!session) await openVoiceSession(guildId, userId, newState.channelId, isCounting(newState));
+    }
+  });
+}
+
+/**
+ * Match a server's persisted sessions against who is actually in voice after a restart
+ * Time during the outage is never counted - presence can't be confirmed
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild ID
+ */
+async function reconcileSessions(client, guildId) {
+  const guild = await client.guilds.fetch(guildId);
+  const open = await getOpenVoiceSessions(guildId);
+  const openUserIds = new Set(open.map(session => session.user_id));
+
+  for (const session of open) {
+    const state = guild.voiceStates.cache.get(session.user_id);
+
+    await enqueue(guildId, session.user_id, async () => {
+      if (isTracked(state)) {
+        await updateVoiceSession(guildId, session.user_id, isCounting(state), state.channelId, false);
+      } else {
+        const closed = await closeVoiceSession(guildId, session.user_id, false);
+        if (closed) await settleSession(client, closed);
+      }
+    });
+  }
+
+  // Members who joined while the bot was offline
+  for (const state of guild.voiceStates.cache.values()) {
+    if (!openUserIds.has(state.id) && isTracked(state)) {
+      await enqueue(guildId, state.id, () => openVoiceSession(guildId, state.id, state.channelId, isCounting(state)));
+    }
+  }
+}
+
+/**
+ * Tracked voice hours for the current week (weeks start on Monday, UTC)
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - Discord user ID (string)
+ * @returns {Promise<number>} Hours, including a session still in progress
+ */
+export async function getWeeklyVoiceHours(guildId, userId) {
+  return (await getVoiceSecondsSince(guildId, userId, startOfUtcWeek())) / 3600;
+}
+
+/**
+ * Start voice tracking: reconcile open sessions, then checkpoint on an interval
+ * @param {Client} client - Discord client
+ */
+export async function startVoiceTracker(client) {
+  for (const guildId of getGuildIds()) {
+    try {
+      await reconcileSessions(client, guildId);
+    } catch (error) {
+      console.error(`Error reconciling voice sessions for guild ${guildId}:`, error);
+    }
+  }
+
+  return setInterval(() => {
+    checkpointVoiceSessions().catch(error => console.error('Error checkpointing voice sessions:', error));
+    retryPendingSettlements(client).catch(error => console.error('Error retrying voice credits:', error));
+  }, config.voice.checkpointMinutes * 60000);
+}
@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage, addTestGuild, GUILD_ID } from './helpers.js';
+
+const HOUR = 3600000;
+const now = Date.now();
+
+const row = (id, actor, actionType, amount, ageMs, extra = {}) => ({
+  id,
+  guild_id: GUILD_ID,
+  target_user_id: '300',
+  action_by_user_id: actor,
+  action_type: actionType,
+  amount,
+  reason: null,
+  transfer_id: null,
+  created_at: new Date(now - ageMs).toISOString(),
+  ...extra,
+});
+
+useTempStorage({
+  history: [
+    row(1, 'manager', 'ADD', 300, 25 * HOUR),           // weekly only
+    row(2, 'manager', 'ADD', 1500, 1 * HOUR),           // daily and weekly
+    row(3, 'manager', 'REMOVE', 200, 3 * 24 * HOUR),    // weekly only
+    row(4, 'manager', 'REMOVE', 100, 8 * 24 * HOUR),    // outside every window
+    row(5, 'manager', 'ADD', 400, HOUR, { transfer_id: 'transfer-1' }), // transfers don't count
+    row(6, 'other', 'ADD', 1000, HOUR),                 // another manager
+  ],
+});
+
+const { config } = await import('../config.js');
+const { getBudgetStatus, checkBudget, formatBudgetDenial } = await import('../src/utils/budgets.js');
+
+addTestGuild(config, { pointManagers: ['manager'], superAdmins: ['admin'] });
+config.budgets = {
+  enabled: true,
+  default: {
+    add: { daily: 2000, weekly: null },
+    remove: { daily: null, weekly: 500 },
+  },
+  managers: {},
+  superAdmins: null,
+};
+
+test('sums each rolling window from the manager\'s own history', async () => {
+  const status = await getBudgetStatus(GUILD_ID, 'manager');
+
+  assert.deepEqual(status.add, [{ window: 'daily', label: '24h', limit: 2000, used: 1500, remaining: 500 }]);
+  assert.deepEqual(status.remove, [{ window: 'weekly', label: '7 days', limit: 500, used: 200, remaining: 300 }]);
+});
+
+test('allows changes up to the remaining budget', async () => {
+  assert.deepEqual(await checkBudget(GUILD_ID, 'manager', 'ADD', 500), { allowed: true, remaining: 500, label: '24h' });
+  assert.equal((await checkBudget(GUILD_ID, 'manager', 'ADD', 501)).allowed, false);
+  assert.equal((await checkBudget(GUILD_ID, 'manager', 'REMOVE', 301)).allowed, false);
+});
+
+test('uses the tightest window when several apply', async () => {
+  config.budgets.managers.manager = { add: { weekly: 1900 } };
+
+  try {
+    // Weekly: 300 + 1500 used of 1900; daily: 1500 used of 2000
+    assert.deepEqual(await checkBudget(GUILD_ID, 'manager', 'ADD', 100), { allowed: true, remaining: 100, label: '7 days' });
+    assert.equal((await checkBudget(GUILD_ID, 'manager', 'ADD', 101)).allowed, false);
+  } finally {
+    delete config.budgets.managers.manager;
+  }
+});
+
+test('exempts super admins and disabled budgets', async () => {
+  assert.equal(await getBudgetStatus(GUILD_ID, 'admin'), null);
+  assert.deepEqual(await checkBudget(GUILD_ID, 'admin', 'ADD', 1e6), { allowed: true, remaining: null, label: null });
+
+  config.budgets.enabled = false;
+  try {
+    assert.equal((await checkBudget(GUILD_ID, 'manager', 'ADD', 1e6)).allowed, true);
+  } finally {
+    config.budgets.enabled = true;
+  }
+});
+
+test('formats the denial message', () => {
+  assert.equal(
+    formatBudgetDenial('REMOVE', 50, { remaining: 1, label: '7 days' }),
+    'Budget exceeded: you can remove 1 more point in the current 7 days window (requested 50).'
+  );
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, getNextCronRun } from '../src/utils/cron.js';
+
+const utc = value => new Date(`${value}Z`);
+
+test('parses ranges, steps and lists', () => {
+  const parsed = parseCron('0,30 9-11 */10 1-12/3 1-5');
+
+  assert.deepEqual([...parsed.minutes], [0, 30]);
+  assert.deepEqual([...parsed.hours], [9, 10, 11]);
+  assert.deepEqual([...parsed.days], [1, 11, 21, 31]);
+  assert.deepEqual([...parsed.months], [1, 4, 7, 10]);
+  assert.deepEqual([...parsed.weekdays], [1, 2, 3, 4, 5]);
+});
+
+test('parses a ranged step and a single value with a step', () => {
+  assert.deepEqual([...parseCron('0-30/10 * * * *').minutes], [0, 10, 20, 30]);
+  assert.deepEqual([...parseCron('45/5 * * * *').minutes], [45, 50, 55]);
+});
+
+test('treats 7 as Sunday', () => {
+  const parsed = parseCron('0 0 * * 7');
+
+  assert.ok(parsed.weekdays.has(0));
+  assert.deepEqual(getNextCronRun(parsed, utc('2026-01-01T00:00:00')), utc('2026-01-04T00:00:00'));
+});
+
+test('rejects invalid expressions', () => {
+  assert.throws(() => parseCron('* * * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute/);
+  assert.throws(() => parseCron('5-1 * * * *'), /minute/);
+  assert.throws(() => parseCron('* * 0 * *'), /day of month/);
+  assert.throws(() => parseCron('*/0 * * * *'), /minute/);
+  assert.throws(() => parseCron('a * * * *'), /minute/);
+});
+
+test('finds the next run strictly after the given time', () => {
+  assert.deepEqual(getNextCronRun('*/15 * * * *', utc('2026-01-01T10:07:30')), utc('2026-01-01T10:15:00'));
+  assert.deepEqual(getNextCronRun('*/15 * * * *', utc('2026-01-01T10:15:00')), utc('2026-01-01T10:30:00'));
+});
+
+test('skips to the next matching weekday in a range', () => {
+  // 2026-01-03 is a Saturday
+  assert.deepEqual(getNextCronRun('0 9 * * 1-5', utc('2026-01-03T12:00:00')), utc('2026-01-05T09:00:00'));
+});
+
+test('matches either day field when both are restricted', () => {
+  // 1st of the month OR any Monday - 2026-01-01 is a Thursday
+  const parsed = parseCron('0 9 1 * 1');
+
+  assert.equal(parsed.anyDay, true);
+  assert.deepEqual(getNextCronRun(parsed, utc('2025-12-31T12:00:00')), utc('2026-01-01T09:00:00'));
+  assert.deepEqual(getNextCronRun(parsed, utc('2026-01-01T12:00:00')), utc('2026-01-05T09:00:00'));
+});
+
+test('matches both day fields when one of them starts with *', () => {
+  // Odd days of the month that are also Mondays: Jan 5 (odd), Jan 12 (even), Jan 19 (odd)
+  const parsed = parseCron('0 9 */2 * 1');
+
+  assert.equal(parsed.anyDay, false);
+  assert.deepEqual(getNextCronRun(parsed, utc('2026-01-06T00:00:00')), utc('2026-01-19T09:00:00'));
+  assert.equal(parseCron('0 9 1 * */2').anyDay, false);
+  assert.equal(parseCron('0 9 * * *').anyDay, false);
+});
+
+test('supports leap days and gives up when nothing matches', () => {
+  assert.deepEqual(getNextCronRun('0 0 29 2 *', utc('2026-01-01T00:00:00')), utc('2028-02-29T00:00:00'));
+  assert.equal(getNextCronRun('0 0 31 2 *', utc('2026-01-01T00:00:00')), null);
+});
@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage, GUILD_ID } from './helpers.js';
+
+useTempStorage();
+
+const { addPoints, removePoints, transferPoints, freezeAccount, unfreezeAccount, getUserPoints } = await import('../src/services/database.js');
+
+const MANAGER = '200';
+
+test('a retried change returns its original result after the account is frozen', async () => {
+  const added = await addPoints(GUILD_ID, '1', MANAGER, 20, null, 'key-add');
+  const removed = await removePoints(GUILD_ID, '1', MANAGER, 5, false, null, 'key-remove');
+  const transfer = await transferPoints(GUILD_ID, '1', '2', 5, false, null, 'key-transfer');
+
+  await freezeAccount(GUILD_ID, '1', MANAGER, 'Investigation');
+
+  assert.deepEqual(await addPoints(GUILD_ID, '1', MANAGER, 20, null, 'key-add'), { ...added, duplicate: true });
+  assert.deepEqual(await removePoints(GUILD_ID, '1', MANAGER, 5, false, null, 'key-remove'), { ...removed, duplicate: true });
+  assert.deepEqual(await transferPoints(GUILD_ID, '1', '2', 5, false, null, 'key-transfer'), { ...transfer, duplicate: true });
+  assert.equal(await getUserPoints(GUILD_ID, '1'), 10);
+
+  await unfreezeAccount(GUILD_ID, '1');
+});
+
+test('new changes to a frozen account are still rejected', async () => {
+  await freezeAccount(GUILD_ID, '2', MANAGER, null);
+
+  await assert.rejects(addPoints(GUILD_ID, '2', MANAGER, 1, null, 'key-new'), /^Error: Account is frozen/);
+  await assert.rejects(addPoints(GUILD_ID, '2', MANAGER, 1, null), /^Error: Account is frozen/);
+  await assert.rejects(transferPoints(GUILD_ID, '1', '2', 1, false, null, 'key-new-transfer'), /^Error: Account is frozen/);
+});
@@ -0,0 +1,176 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { useTempStorage, GUILD_ID } from './helpers.js';
+
+// The file adapter must behave like the Supabase RPCs (database/*.sql):
+// same results, same error messages, and nothing written when a mutation fails
+const file = useTempStorage();
+const storage = await import('../src/services/storage/fileStorage.js');
+
+const OTHER_GUILD = '100000000000000002';
+const MANAGER = '200';
+
+const historyOf = async userId => storage.getHistory(GUILD_ID, userId);
+const onDisk = () => JSON.parse(readFileSync(file, 'utf8'));
+
+test('adds and removes points with a history row per change', async () => {
+  assert.deepEqual(
+    await storage.modifyPoints(GUILD_ID, '1', MANAGER, 'ADD', 50, false, 'Welcome'),
+    { historyId: 1, before: 0, after: 50, duplicate: false }
+  );
+  assert.equal((await storage.modifyPoints(GUILD_ID, '1', MANAGER, 'REMOVE', 20, false, null)).after, 30);
+
+  assert.equal(await storage.getBalance(GUILD_ID, '1'), 30);
+  assert.deepEqual((await historyOf('1')).map(row => [row.action_type, row.before_points, row.after_points]), [
+    ['REMOVE', 50, 30],
+    ['ADD', 0, 50],
+  ]);
+  assert.equal(onDisk().balances[GUILD_ID]['1'], 30);
+});
+
+test('keeps servers isolated', async () => {
+  await storage.modifyPoints(OTHER_GUILD, '1', MANAGER, 'ADD', 5, false, null);
+
+  assert.equal(await storage.getBalance(OTHER_GUILD, '1'), 5);
+  assert.equal(await storage.getBalance(GUILD_ID, '1'), 30);
+});
+
+test('rejects invalid changes with the SQL error messages and writes nothing', async () => {
+  const before = onDisk();
+
+  await assert.rejects(storage.modifyPoints(GUILD_ID, '1', MANAGER, 'REMOVE', 31, false, null), {
+    message: 'Insufficient points: balance is 30, cannot remove 31',
+  });
+  await assert.rejects(storage.modifyPoints(GUILD_ID, '1', MANAGER, 'ADD', 0, false, null), { message: 'Amount must be positive' });
+  await assert.rejects(storage.modifyPoints(GUILD_ID, '1', MANAGER, 'DOUBLE', 1, false, null), { message: 'Invalid action type: DOUBLE' });
+  await assert.rejects(storage.modifyPoints(null, '1', MANAGER, 'ADD', 1, false, null), { message: 'Server is required' });
+
+  assert.deepEqual(onDisk(), before);
+});
+
+test('allows negative balances only when asked to', async () => {
+  assert.equal((await storage.modifyPoints(GUILD_ID, '2', MANAGER, 'REMOVE', 10, true, null)).after, -10);
+});
+
+test('transfers atomically as two linked rows', async () => {
+  await storage.modifyPoints(GUILD_ID, '3', MANAGER, 'ADD', 100, false, null);
+
+  const result = await storage.transferPoints(GUILD_ID, '3', '4', 40, false, 'Covered a shift');
+
+  assert.deepEqual(result.sender, { before: 100, after: 60 });
+  assert.deepEqual(result.recipient, { before: 0, after: 40 });
+
+  const [debit] = await historyOf('3');
+  const [credit] = await historyOf('4');
+  assert.equal(debit.transfer_id, result.transferId);
+  assert.equal(credit.transfer_id, result.transferId);
+  assert.deepEqual([debit.action_type, credit.action_type], ['REMOVE', 'ADD']);
+
+  await assert.rejects(storage.transferPoints(GUILD_ID, '3', '4', 61, false, null), {
+    message: 'Insufficient points: balance is 60, transfer requires 61',
+  });
+  await assert.rejects(storage.transferPoints(GUILD_ID, '3', '3', 1, false, null), { message: 'Cannot transfer points to yourself' });
+});
+
+test('rolls back the sender half when the recipient is frozen', async () => {
+  await storage.freezeAccount(GUILD_ID, '4', MANAGER, 'Investigation');
+  const before = onDisk();
+
+  await assert.rejects(storage.transferPoints(GUILD_ID, '3', '4', 10, false, null), {
+    message: 'Account is frozen: <@4> cannot send or receive points',
+  });
+
+  assert.deepEqual(onDisk(), before);
+  assert.equal(await storage.getBalance(GUILD_ID, '3'), 60);
+
+  await storage.unfreezeAccount(GUILD_ID, '4');
+});
+
+test('reverts a change once, and never a transfer half', async () => {
+  const { historyId } = await storage.modifyPoints(GUILD_ID, '5', MANAGER, 'ADD', 25, false, null);
+  const reversal = await storage.revertPoints(GUILD_ID, historyId, MANAGER, false, null);
+
+  assert.equal(reversal.originalType, 'ADD');
+  assert.equal(reversal.after, 0);
+
+  const [reversalRow, original] = await historyOf('5');
+  assert.equal(reversalRow.reverses_history_id, historyId);
+  assert.equal(reversalRow.reason, `Reversal of #${historyId}`);
+  assert.equal(original.reversed_by_history_id, reversal.reversalId);
+
+  await assert.rejects(storage.revertPoints(GUILD_ID, historyId, MANAGER, false, null), {
+    message: `History entry #${historyId} has already been reversed`,
+  });
+  await assert.rejects(storage.revertPoints(GUILD_ID, reversal.reversalId, MANAGER, false, null), {
+    message: `History entry #${reversal.reversalId} is itself a reversal and cannot be reverted`,
+  });
+
+  const [debit] = await historyOf('3');
+  await assert.rejects(storage.revertPoints(GUILD_ID, debit.id, MANAGER, false, null), {
+    message: `History entry #${debit.id} is part of a transfer and cannot be reverted on its own`,
+  });
+
+  // Entries from another server are reported as missing
+  await assert.rejects(storage.revertPoints(OTHER_GUILD, historyId, MANAGER, false, null), {
+    message: `History entry #${historyId} not found`,
+  });
+});
+
+test('sets a balance with an ADJUST row, even on a frozen account', async () => {
+  await storage.freezeAccount(GUILD_ID, '6', MANAGER, null);
+
+  assert.deepEqual(
+    await storage.setBalance(GUILD_ID, '6', MANAGER, 75, 'Migration'),
+    { before: 0, after: 75, duplicate: false }
+  );
+
+  const [row] = await historyOf('6');
+  assert.deepEqual([row.action_type, row.amount, row.before_points, row.after_points], ['ADJUST', 75, 0, 75]);
+
+  await assert.rejects(storage.setBalance(GUILD_ID, '6', MANAGER, 75, 'Again'), { message: 'Balance is already 75' });
+  await assert.rejects(storage.setBalance(GUILD_ID, '6', MANAGER, 1, ' '), { message: 'A reason is required for balance overrides' });
+});
+
+test('orders balances by points, then numerically by ID', async () => {
+  await storage.modifyPoints(OTHER_GUILD, '10', MANAGER, 'ADD', 5, false, null);
+  await storage.modifyPoints(OTHER_GUILD, '9', MANAGER, 'ADD', 5, false, null);
+
+  assert.deepEqual((await storage.getBalances(OTHER_GUILD)).map(row => row.userId), ['1', '9', '10']);
+});
+
+test('returns the original result for a repeated idempotency key', async () => {
+  const first = await storage.modifyPoints(GUILD_ID, '7', MANAGER, 'ADD', 15, false, null, 'key-add');
+  const retry = await storage.modifyPoints(GUILD_ID, '7', MANAGER, 'ADD', 15, false, null, 'key-add');
+
+  assert.deepEqual(retry, { ...first, duplicate: true });
+  assert.equal(await storage.getBalance(GUILD_ID, '7'), 15);
+  assert.equal((await historyOf('7')).length, 1);
+
+  // Keys are per server
+  assert.equal((await storage.modifyPoints(OTHER_GUILD, '7', MANAGER, 'ADD', 15, false, null, 'key-add')).duplicate, false);
+});
+
+test('rejects a key reused for a different change', async () => {
+  await assert.rejects(storage.modifyPoints(GUILD_ID, '7', MANAGER, 'ADD', 16, false, null, 'key-add'), {
+    message: 'Idempotency key key-add was already used for a different change',
+  });
+  await assert.rejects(storage.modifyPoints(GUILD_ID, '8', MANAGER, 'ADD', 15, false, null, 'key-add'), {
+    message: 'Idempotency key key-add was already used for a different change',
+  });
+});
+
+test('deduplicates transfers, reversals and balance overrides', async () => {
+  const transfer = await storage.transferPoints(GUILD_ID, '7', '8', 5, false, null, 'key-transfer');
+  assert.deepEqual(await storage.transferPoints(GUILD_ID, '7', '8', 5, false, null, 'key-transfer'), { ...transfer, duplicate: true });
+  await assert.rejects(storage.transferPoints(GUILD_ID, '7', '9', 5, false, null, 'key-transfer'), /already used/);
+  assert.equal(await storage.getBalance(GUILD_ID, '7'), 10);
+
+  const { historyId } = await storage.modifyPoints(GUILD_ID, '8', MANAGER, 'ADD', 3, false, null);
+  const reversal = await storage.revertPoints(GUILD_ID, historyId, MANAGER, false, null, 'key-revert');
+  assert.deepEqual(await storage.revertPoints(GUILD_ID, historyId, MANAGER, false, null, 'key-revert'), { ...reversal, duplicate: true });
+
+  const override = await storage.setBalance(GUILD_ID, '8', MANAGER, 100, 'Fix', 'key-set');
+  assert.deepEqual(await storage.setBalance(GUILD_ID, '8', MANAGER, 100, 'Fix', 'key-set'), { ...override, duplicate: true });
+  await assert.rejects(storage.setBalance(GUILD_ID, '8', MANAGER, 101, 'Fix', 'key-set'), /already used/);
+});
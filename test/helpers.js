@@ -0,0 +1,50 @@
+import { mkdtempSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+/**
+ * Test Helpers
+ * Each test file runs in its own process, so a file can point the storage layer
+ * at a fresh JSON file before importing anything that loads it.
+ */
+
+export const GUILD_ID = '100000000000000001';
+
+/**
+ * Select the file backend with a new temporary store
+ * Call BEFORE importing modules that use storage (use dynamic import())
+ * @param {Object} [data] - Initial store contents (see fileStorage.js emptyState)
+ * @returns {string} Storage file path
+ */
+export function useTempStorage(data = null) {
+  const file = join(mkdtempSync(join(tmpdir(), 'staff-points-')), 'storage.json');
+
+  if (data) {
+    writeFileSync(file, JSON.stringify(data));
+  }
+
+  process.env.STORAGE_BACKEND = 'file';
+  process.env.STORAGE_FILE = file;
+  return file;
+}
+
+/**
+ * Register a test server in the config allowlist
+ * @param {Object} config - The config object from config.js
+ * @param {Object} [overrides] - Fields merged over an empty server config
+ */
+export function addTestGuild(config, overrides = {}) {
+  config.guilds[GUILD_ID] = {
+    name: 'Test Server',
+    pointManagers: [],
+    superAdmins: [],
+    managerScopes: {},
+    points: {},
+    milestones: [],
+    milestoneChannelId: null,
+    logChannelId: null,
+    strikeConsequences: [],
+    securityChannelId: null,
+    ...overrides,
+  };
+}
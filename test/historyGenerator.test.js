@@ -0,0 +1,132 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateHistoryFile } from '../src/utils/historyGenerator.js';
+
+// 19 digits - past Number.MAX_SAFE_INTEGER, so only a string keeps it exact
+const ADMIN_ID = '1234567890123456789';
+const user = { id: '987654321098765432', username: 'staff<&>"member' };
+
+const record = (id, actionType, amount, before, after, reason, extra = {}) => ({
+  id,
+  created_at: `2026-01-0${id}T10:00:00Z`,
+  action_by_user_id: ADMIN_ID,
+  action_type: actionType,
+  amount,
+  before_points: before,
+  after_points: after,
+  reason,
+  ...extra,
+});
+
+// Newest first, as returned by getPointsHistory()
+const history = [
+  record(3, 'REMOVE', 5, 15, 10, '=HYPERLINK("x"), with "quotes"\nand a second line'),
+  record(2, 'ADJUST', 5, 10, 15, null),
+  record(1, 'ADD', 10, 0, 10, '<script>alert(1)</script> & more'),
+];
+
+/**
+ * Minimal RFC 4180 parser (quoted fields may hold commas, quotes and line breaks)
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' && text[i + 1] === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      i++;
+    } else {
+      field += char;
+    }
+  }
+
+  return rows;
+}
+
+test('exports 19-digit admin IDs unchanged in every format', async () => {
+  const csv = parseCsv(await generateHistoryFile(user, history, { format: 'csv' }));
+  const json = JSON.parse(await generateHistoryFile(user, history, { format: 'json' }));
+  const html = await generateHistoryFile(user, history, { format: 'html' });
+
+  assert.ok(csv.slice(1).every(row => row[2] === ADMIN_ID));
+  assert.ok(json.entries.every(entry => entry.admin === ADMIN_ID));
+  assert.equal(json.user.id, user.id);
+  assert.equal(html.split(`<td>${ADMIN_ID}</td>`).length - 1, history.length);
+});
+
+test('csv has the shared columns and signed amounts', async () => {
+  const [header, ...rows] = parseCsv(await generateHistoryFile(user, history, { format: 'csv' }));
+
+  assert.deepEqual(header, ['ref', 'timestamp', 'admin', 'action', 'amount', 'balance_before', 'balance_after', 'reason']);
+  assert.deepEqual(rows.map(row => [row[0], row[3], row[4], row[5], row[6]]), [
+    ['3', 'REMOVE', '-5', '15', '10'],
+    ['2', 'ADJUST', '5', '10', '15'],
+    ['1', 'ADD', '10', '0', '10'],
+  ]);
+  assert.equal(rows[0][1], '2026-01-03T10:00:00.000Z');
+});
+
+test('csv quotes commas, quotes and line breaks, and defuses formulas', async () => {
+  const text = await generateHistoryFile(user, history, { format: 'csv' });
+  const [, first, second] = parseCsv(text);
+
+  assert.equal(first[7], '\'=HYPERLINK("x"), with "quotes"\nand a second line');
+  assert.equal(second[7], '');
+  assert.ok(text.includes('"\'=HYPERLINK(""x""), with ""quotes""\nand a second line"'));
+
+  for (const prefix of ['+', '-', '@']) {
+    const [, row] = parseCsv(await generateHistoryFile(user, [record(1, 'ADD', 1, 0, 1, `${prefix}1+1`)], { format: 'csv' }));
+    assert.equal(row[7], `'${prefix}1+1`);
+  }
+});
+
+test('json keeps reasons verbatim', async () => {
+  const json = JSON.parse(await generateHistoryFile(user, history, { format: 'json' }));
+
+  assert.equal(json.entries[0].reason, history[0].reason);
+  assert.equal(json.entries[1].reason, '');
+  assert.equal(json.closing_balance, 10);
+});
+
+test('html escapes user content and keeps line breaks', async () => {
+  const html = await generateHistoryFile(user, history, { format: 'html' });
+
+  assert.ok(!html.includes('<script>'));
+  assert.ok(html.includes('&lt;script&gt;alert(1)&lt;/script&gt; &amp; more'));
+  assert.ok(html.includes('with &quot;quotes&quot;<br>and a second line'));
+  assert.ok(html.includes('staff&lt;&amp;&gt;&quot;member'));
+  assert.match(html, /CLOSING BALANCE<\/span><span>10</);
+});
+
+test('text statements continue multi-line reasons on memo lines', async () => {
+  const text = await generateHistoryFile(user, history);
+
+  assert.match(text, /Memo: =HYPERLINK\("x"\), with "quotes"\n {27}and a second line/);
+  assert.match(text, /CLOSING BALANCE +10\n/);
+});
+
+test('rejects unknown formats', async () => {
+  await assert.rejects(generateHistoryFile(user, history, { format: 'pdf' }), /Unknown statement format: pdf/);
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addTestGuild, GUILD_ID } from './helpers.js';
+import { config, canManagePoints, getScopeDenial, setMemberRoleResolver } from '../config.js';
+
+const MOD_ROLE = '900';
+const EVENT_ROLE = '901';
+
+const memberRoles = {
+  moderator: [MOD_ROLE],
+  host: [EVENT_ROLE],
+  both: [MOD_ROLE, EVENT_ROLE],
+  nobody: [],
+};
+
+addTestGuild(config, {
+  pointManagers: ['scoped', 'capped', 'unscoped'],
+  superAdmins: ['admin'],
+  managerScopes: {
+    scoped: [
+      { name: 'Moderation', roleIds: [MOD_ROLE], maxAmount: 100 },
+      { name: 'Events', roleIds: [EVENT_ROLE] },
+    ],
+    capped: [{ name: 'Moderation', roleIds: [MOD_ROLE], maxAmount: 100 }],
+    admin: [{ name: 'Ignored', roleIds: [MOD_ROLE], maxAmount: 1 }],
+  },
+});
+
+// Members missing from the role lookup are "unknown" (not cached)
+setMemberRoleResolver((guildId, userId) => memberRoles[userId] ?? null);
+
+test('managers without scopes can manage anyone', () => {
+  assert.equal(getScopeDenial(GUILD_ID, 'unscoped', 'nobody', 1e6), null);
+  assert.equal(canManagePoints(GUILD_ID, 'unscoped', 'nobody', 1e6), true);
+});
+
+test('a target needs a role from one of the manager\'s scopes', () => {
+  assert.equal(canManagePoints(GUILD_ID, 'scoped', 'moderator'), true);
+  assert.equal(canManagePoints(GUILD_ID, 'scoped', 'host'), true);
+  assert.equal(canManagePoints(GUILD_ID, 'scoped', 'nobody'), false);
+  assert.equal(
+    getScopeDenial(GUILD_ID, 'scoped', 'nobody'),
+    `<@nobody> is outside your scopes: Moderation (<@&${MOD_ROLE}>), Events (<@&${EVENT_ROLE}>).`
+  );
+});
+
+test('unknown members are denied with an explanation', () => {
+  assert.equal(canManagePoints(GUILD_ID, 'scoped', 'stranger'), false);
+  assert.match(getScopeDenial(GUILD_ID, 'scoped', 'stranger'), /^Could not check <@stranger>'s roles/);
+});
+
+test('caps the amount per change by the matching scopes', () => {
+  assert.equal(canManagePoints(GUILD_ID, 'capped', 'moderator', 100), true);
+  assert.equal(canManagePoints(GUILD_ID, 'capped', 'moderator', 101), false);
+  assert.equal(getScopeDenial(GUILD_ID, 'capped', 'moderator', 101), 'Your Moderation scope allows at most 100 points per change.');
+
+  // The uncapped Events scope covers a target holding both roles
+  assert.equal(canManagePoints(GUILD_ID, 'scoped', 'both', 5000), true);
+  assert.equal(canManagePoints(GUILD_ID, 'scoped', 'moderator', 5000), false);
+
+  // Without an amount only the target is checked
+  assert.equal(canManagePoints(GUILD_ID, 'capped', 'moderator'), true);
+});
+
+test('super admins are never scoped', () => {
+  assert.equal(getScopeDenial(GUILD_ID, 'admin', 'nobody', 1e6), null);
+  assert.equal(canManagePoints(GUILD_ID, 'admin', 'stranger', 1e6), true);
+});
+
+test('self-changes still follow allowSelfAdd', () => {
+  assert.equal(canManagePoints(GUILD_ID, 'unscoped', 'unscoped'), config.points.allowSelfAdd);
+});
@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseUtcDate, startOfUtcWeek, resolvePeriodRange } from '../src/utils/periods.js';
+
+test('weeks start on Monday 00:00 UTC', () => {
+  // 2026-01-05 is a Monday
+  assert.deepEqual(startOfUtcWeek(new Date('2026-01-05T00:00:00Z')), new Date('2026-01-05T00:00:00Z'));
+  assert.deepEqual(startOfUtcWeek(new Date('2026-01-08T13:45:00Z')), new Date('2026-01-05T00:00:00Z'));
+  assert.deepEqual(startOfUtcWeek(new Date('2026-01-11T23:59:59Z')), new Date('2026-01-05T00:00:00Z'));
+});
+
+test('parses YYYY-MM-DD as UTC midnight', () => {
+  assert.deepEqual(parseUtcDate('2026-02-28'), new Date('2026-02-28T00:00:00Z'));
+  assert.equal(parseUtcDate('2026-2-28'), null);
+  assert.equal(parseUtcDate('2026-13-01'), null);
+  assert.equal(parseUtcDate('2026-02-30'), null);
+  assert.equal(parseUtcDate('2026-04-31'), null);
+  assert.deepEqual(parseUtcDate('2028-02-29'), new Date('2028-02-29T00:00:00Z'));
+});
+
+test('custom ranges include the whole `to` day', () => {
+  const { range, label } = resolvePeriodRange('custom', '2026-01-01', '2026-01-31');
+
+  assert.deepEqual(range, { from: new Date('2026-01-01T00:00:00Z'), to: new Date('2026-02-01T00:00:00Z') });
+  assert.equal(label, '2026-01-01 → 2026-01-31');
+  assert.throws(() => resolvePeriodRange('custom', '2026-02-01', '2026-01-01'), /on or before/);
+  assert.throws(() => resolvePeriodRange('custom', null, null), /YYYY-MM-DD/);
+});
+
+test('the weekly period starts at the shared week start', () => {
+  const { range } = resolvePeriodRange('week');
+
+  assert.deepEqual(range.from, startOfUtcWeek(range.to));
+  assert.equal(resolvePeriodRange('all').range, null);
+});
@@ -0,0 +1,57 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTempStorage, addTestGuild, GUILD_ID } from './helpers.js';
+
+useTempStorage();
+
+const { config, setSettingOverrides } = await import('../config.js');
+const { parseSettingValue, validatePointSettings, getSettingValue, SETTING_DEFINITIONS } = await import('../src/utils/runtimeSettings.js');
+const admin = await import('../src/commands/admin.js');
+
+addTestGuild(config, { points: { maxAmount: 500 } });
+
+test('parses booleans', () => {
+  assert.equal(parseSettingValue('points.allowSelfAdd', ' Yes '), true);
+  assert.equal(parseSettingValue('features.dmHistoryOnly', 'off'), false);
+  assert.throws(() => parseSettingValue('points.allowSelfAdd', 'maybe'), /must be true or false/);
+});
+
+test('parses whole numbers within the allowed range', () => {
+  assert.equal(parseSettingValue('points.maxAmount', '2500'), 2500);
+  assert.equal(parseSettingValue('points.bulkMaxTargets', '1000'), 1000);
+  assert.throws(() => parseSettingValue('points.minAmount', '1.5'), /whole number/);
+  assert.throws(() => parseSettingValue('points.minAmount', 'ten'), /whole number/);
+  assert.throws(() => parseSettingValue('points.minAmount', '0'), /between 1 and 1000000/);
+  assert.throws(() => parseSettingValue('points.bulkMaxTargets', '1001'), /between 1 and 1000/);
+});
+
+test('rejects a minimum above the maximum', () => {
+  assert.doesNotThrow(() => validatePointSettings({ minAmount: 10, maxAmount: 10 }));
+  assert.throws(() => validatePointSettings({ minAmount: 11, maxAmount: 10 }), /cannot be higher/);
+});
+
+test('layers /config overrides over server and default settings', () => {
+  assert.equal(getSettingValue(GUILD_ID, 'points.maxAmount'), 500);
+  assert.equal(getSettingValue(GUILD_ID, 'points.minAmount'), config.points.minAmount);
+
+  setSettingOverrides(GUILD_ID, { points: { maxAmount: 50 }, features: { dmHistoryOnly: false } });
+
+  assert.equal(getSettingValue(GUILD_ID, 'points.maxAmount'), 50);
+  assert.equal(getSettingValue(GUILD_ID, 'features.dmHistoryOnly'), false);
+
+  // Other servers keep their own values
+  assert.equal(getSettingValue(null, 'points.maxAmount'), config.points.maxAmount);
+});
+
+test('registering settings change the server\'s command definitions', () => {
+  const minBalance = () => admin.buildData(GUILD_ID).toJSON().options
+    .find(option => option.name === 'set-balance').options
+    .find(option => option.name === 'balance').min_value;
+
+  setSettingOverrides(GUILD_ID, { points: { allowNegativeBalance: false } });
+  assert.equal(minBalance(), 0);
+
+  setSettingOverrides(GUILD_ID, { points: { allowNegativeBalance: true } });
+  assert.equal(minBalance(), -1000000);
+  assert.equal(SETTING_DEFINITIONS['points.allowNegativeBalance'].registers, true);
+});